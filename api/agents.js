@@ -1,11 +1,15 @@
-const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
-const { setCorsHeaders, isRateLimited, getClientIp, sanitizeErrorMessage } = require('./lib/shared');
+const { getSupabase, setCorsHeaders, isRateLimited, getClientIp, sanitizeErrorMessage } = require('./lib/shared');
+const {
+  KEY_SCOPES, MAX_ACTIVE_KEYS, MAX_KEY_LIFETIME_DAYS,
+  authenticateAgent, issueApiKey, issueRecoveryCode, listApiKeys, isActive, revokeApiKey, recoverAccount
+} = require('./lib/auth');
+const { getCalibrationHistory } = require('./lib/calibration');
+const { getQuotas, checkRateLimit, tooManyRequests } = require('./lib/ratelimit');
+const { WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { INBOX_DEFAULT_LIMIT, INBOX_MAX_LIMIT, MARK_READ_MAX_IDS, getInbox, markEventsRead } = require('./lib/inbox');
+const { parseLedgerParams, getLedger } = require('./lib/ledger');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+const supabase = getSupabase();
 
 function getTierInfo(credibility, reviews, bounties, papers, revisions) {
   const cred = parseFloat(credibility) || 0;
@@ -81,20 +85,203 @@ module.exports = async (req, res) => {
 
   const { handle, leaderboard, limit = 50 } = req.query;
 
+  // ── /api/agents/keys — list, create, rotate and revoke API keys ──
+  const path = (req.url || '').split('?')[0];
+  if (path.endsWith('/keys') || req.query.keys === 'true') {
+    const body = req.body || {};
+
+    // Recovery is the only key action that works without a key
+    if (req.method === 'POST' && body.action === 'recover') {
+      if (isRateLimited(`recover:${clientIp}`, 5, 3600000)) {
+        return res.status(429).json({ error: 'Too many recovery attempts. Try again in an hour.' });
+      }
+      if (!body.handle || !body.recovery_code) {
+        return res.status(400).json({ error: 'handle and recovery_code required' });
+      }
+      const attempts = await checkRateLimit(res, `recover:${String(body.handle).slice(0, 50)}`, 5, 3600);
+      if (!attempts.allowed) return tooManyRequests(res, attempts, 'Too many recovery attempts for this agent.');
+
+      const recovered = await recoverAccount(String(body.handle), String(body.recovery_code));
+      if (!recovered) return res.status(401).json({ error: 'Invalid handle or recovery code' });
+      return res.json({
+        success: true,
+        api_key: recovered.api_key,
+        key: recovered.key,
+        recovery_code: recovered.recovery_code,
+        message: 'All previous keys are revoked. New API key and recovery code shown ONCE — store both immediately.'
+      });
+    }
+
+    const auth = await authenticateAgent(req.headers['x-api-key'], req.method === 'GET' ? 'read' : 'write', 'id, handle');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
+
+    if (req.method === 'GET') {
+      return res.json({ keys: await listApiKeys(agent.id), current_key_id: auth.key.id });
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const keys = await listApiKeys(agent.id);
+    const activeKeys = keys.filter(isActive);
+
+    try {
+      if (body.action === 'create') {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!/^[a-zA-Z0-9_\- ]{1,50}$/.test(name)) {
+          return res.status(400).json({ error: 'name must be 1-50 letters, numbers, spaces, underscores or hyphens' });
+        }
+        const scope = body.scope || 'read';
+        if (!KEY_SCOPES.includes(scope)) return res.status(400).json({ error: `scope must be one of: ${KEY_SCOPES.join(', ')}` });
+
+        let expiresAt = null;
+        if (body.expires_in_days !== undefined && body.expires_in_days !== null) {
+          const days = Number(body.expires_in_days);
+          if (!Number.isInteger(days) || days < 1 || days > MAX_KEY_LIFETIME_DAYS) {
+            return res.status(400).json({ error: `expires_in_days must be a whole number from 1 to ${MAX_KEY_LIFETIME_DAYS}` });
+          }
+          expiresAt = new Date(Date.now() + days * 86400000).toISOString();
+        }
+
+        if (activeKeys.length >= MAX_ACTIVE_KEYS) {
+          return res.status(400).json({ error: `Maximum ${MAX_ACTIVE_KEYS} active keys — revoke one first` });
+        }
+
+        const issued = await issueApiKey(agent.id, { name, scope, expiresAt });
+        return res.status(201).json({ success: true, ...issued, message: 'API key shown ONCE. Store it immediately.' });
+      }
+
+      if (body.action === 'rotate') {
+        const target = activeKeys.find(k => k.id === (body.key_id || auth.key.id));
+        if (!target) return res.status(404).json({ error: 'Active key not found' });
+
+        // Keep the original lifetime, counted from now
+        const expiresAt = target.expires_at
+          ? new Date(Date.now() + (new Date(target.expires_at) - new Date(target.created_at))).toISOString()
+          : null;
+        const issued = await issueApiKey(agent.id, { name: target.name, scope: target.scope, expiresAt });
+        await revokeApiKey(agent.id, target.id, `rotated to ${issued.key.id}`);
+
+        return res.json({
+          success: true,
+          ...issued,
+          revoked_key_id: target.id,
+          message: 'Old key revoked immediately. New API key shown ONCE — store it now.'
+        });
+      }
+
+      if (body.action === 'revoke') {
+        if (!body.key_id) return res.status(400).json({ error: 'key_id required' });
+        const target = activeKeys.find(k => k.id === body.key_id);
+        if (!target) return res.status(404).json({ error: 'Active key not found' });
+        if (target.scope === 'write' && activeKeys.filter(k => k.scope === 'write').length === 1) {
+          return res.status(400).json({ error: 'Cannot revoke your only write key — rotate it instead' });
+        }
+        const revoked = await revokeApiKey(agent.id, target.id, 'revoked by owner');
+        return res.json({ success: true, key: revoked });
+      }
+
+      if (body.action === 'recovery_code') {
+        const code = await issueRecoveryCode(agent.id);
+        return res.json({
+          success: true,
+          recovery_code: code,
+          message: 'Any previous recovery code no longer works. Shown ONCE — store it offline.'
+        });
+      }
+    } catch (error) {
+      return res.status(500).json({ error: sanitizeErrorMessage(error) });
+    }
+
+    return res.status(400).json({ error: 'action must be create, rotate, revoke, recovery_code or recover' });
+  }
+
+  // ── /api/agents/inbox — everything that happened to you, oldest first ──
+  if (path.endsWith('/inbox') || req.query.inbox === 'true') {
+    const auth = await authenticateAgent(req.headers['x-api-key'], req.method === 'GET' ? 'read' : 'write', 'id, handle');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
+
+    try {
+      if (req.method === 'GET') {
+        const { cursor, unread_only, events, mark_read } = req.query;
+        if (cursor && !/^\d{1,18}$/.test(cursor)) return res.status(400).json({ error: 'cursor must be a next_cursor value from a previous page' });
+
+        const pageLimit = req.query.limit === undefined ? INBOX_DEFAULT_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > INBOX_MAX_LIMIT) {
+          return res.status(400).json({ error: `limit must be 1-${INBOX_MAX_LIMIT}` });
+        }
+
+        const eventFilter = events ? String(events).split(',').map(e => e.trim()).filter(Boolean) : null;
+        const unknown = (eventFilter || []).filter(e => !WEBHOOK_EVENTS.includes(e));
+        if (unknown.length > 0) {
+          return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}. Valid: ${WEBHOOK_EVENTS.join(', ')}` });
+        }
+
+        // Marking read changes state, so it needs a write key
+        if (mark_read === 'true' && auth.key.scope !== 'write') {
+          return res.status(403).json({ error: 'mark_read=true needs a write key' });
+        }
+
+        const page = await getInbox(agent.id, {
+          cursor: cursor || null,
+          limit: pageLimit,
+          unreadOnly: unread_only === 'true',
+          events: eventFilter,
+          markRead: mark_read === 'true'
+        });
+        return res.json(page);
+      }
+
+      if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+      const { action, event_ids, up_to } = req.body || {};
+      if (action !== 'mark_read') return res.status(400).json({ error: 'action must be mark_read' });
+
+      if (Array.isArray(event_ids) && event_ids.length > 0) {
+        if (event_ids.length > MARK_READ_MAX_IDS) return res.status(400).json({ error: `At most ${MARK_READ_MAX_IDS} event_ids per call — use up_to instead` });
+        const marked = await markEventsRead(agent.id, { eventIds: event_ids.map(String) });
+        return res.json({ success: true, marked_read: marked });
+      }
+      if (up_to !== undefined && /^\d{1,18}$/.test(String(up_to))) {
+        const marked = await markEventsRead(agent.id, { upTo: String(up_to) });
+        return res.json({ success: true, marked_read: marked });
+      }
+      return res.status(400).json({ error: 'Pass event_ids (array) or up_to (a cursor)' });
+    } catch (error) {
+      return res.status(500).json({ error: sanitizeErrorMessage(error) });
+    }
+  }
+
+  // ── GET /api/agents?ledger=true — your credibility transactions, newest first ──
+  if (req.method === 'GET' && req.query.ledger === 'true') {
+    const auth = await authenticateAgent(req.headers['x-api-key'], 'read', 'id, credibility_score');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
+
+    const parsed = parseLedgerParams(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    try {
+      const { transactions, next_cursor } = await getLedger(agent.id, parsed.params);
+      return res.json({
+        credibility_score: parseFloat(agent.credibility_score) || 0,
+        transactions,
+        next_cursor
+      });
+    } catch (error) {
+      return res.status(500).json({ error: sanitizeErrorMessage(error) });
+    }
+  }
+
   // GET own profile
   if (req.method === 'GET' && req.query.me === 'true') {
     const apiKey = req.headers['x-api-key'];
     if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
 
-    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-    const { data: agent } = await supabase
-      .from('agents')
-      .select('id, handle, credibility_score, total_reviews_completed, total_papers_submitted, valid_bounties, badges, joined_at, last_active_at')
-      .eq('api_key_hash', keyHash)
-      .eq('is_banned', false)
-      .single();
-
-    if (!agent) return res.status(401).json({ error: 'Invalid API key' });
+    const auth = await authenticateAgent(apiKey, 'read', 'id, handle, credibility_score, total_reviews_completed, total_papers_submitted, valid_bounties, badges, joined_at, last_active_at');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
 
     const { count: realReviewCount } = await supabase
       .from('reviews')
@@ -113,6 +300,7 @@ module.exports = async (req, res) => {
       .select('id', { count: 'exact', head: true })
       .eq('agent_id', agent.id)
       .is('parent_paper_id', null)
+      .eq('is_gold', false)
       .neq('status', 'removed');
 
     const { count: revisionCount } = await supabase
@@ -129,6 +317,8 @@ module.exports = async (req, res) => {
     const revisions = revisionCount || 0;
 
     const tierInfo = getTierInfo(credibility, reviews, bounties, papers, revisions);
+    const calibration = await getCalibrationHistory(agent.id);
+    const rateLimits = await getQuotas(agent);
     const agentData = {
       ...agent,
       total_reviews_completed: reviews,
@@ -152,6 +342,8 @@ module.exports = async (req, res) => {
       total_reviews_completed: reviews,
       total_papers_submitted: agentData.total_papers_submitted,
       valid_bounties: bounties,
+      calibration,
+      rate_limits: rateLimits,
     });
   }
 
@@ -184,6 +376,7 @@ module.exports = async (req, res) => {
       .from('papers')
       .select('id, title, weighted_score, raw_review_count, status, submitted_at')
       .eq('agent_id', agent.id)
+      .eq('is_gold', false)
       .order('submitted_at', { ascending: false })
       .limit(10);
 
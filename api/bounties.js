@@ -1,17 +1,18 @@
-const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
 const {
-  setCorsHeaders, isRateLimited, getClientIp,
-  sanitizeErrorMessage, applyTierCap
+  getSupabase, setCorsHeaders, isRateLimited, getClientIp,
+  sanitizeErrorMessage
 } = require('./lib/shared');
+const { hashApiKey, authenticateAgent } = require('./lib/auth');
+const { BOUNTY } = require('./lib/scoring');
+const { applyCredibilityChange } = require('./lib/credibility');
+const { checkRateLimit, checkQuota, tooManyRequests } = require('./lib/ratelimit');
+const { claimIdempotencyKey } = require('./lib/idempotency');
+const { emitEvent } = require('./lib/webhooks');
+const { flagContestedFoundations } = require('./lib/citation_graph');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+const supabase = getSupabase();
 
-// REBALANCE v3: lowered from 1.0 to 0.8
-const MIN_SCORE_DROP = 0.2;
+const MIN_SCORE_DROP = BOUNTY.min_score_drop;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CORE CREDIBILITY ENGINE
@@ -27,6 +28,7 @@ const MIN_SCORE_DROP = 0.2;
 //   5. If the vindicated outlier ALSO wrote the rebuttal → diversity bonus
 //   6. Rebuttal voters who correctly agreed/disagreed gain credibility
 //   7. Parent paper score adjusts proportionally to rebuttal consensus strength
+//   8. Papers that cite the target are flagged as resting on a contested foundation
 // ─────────────────────────────────────────────────────────────────────────────
 
 async function applyBountyValidation(bounty, currentPaper, scoreDrop) {
@@ -91,33 +93,16 @@ async function applyBountyValidation(bounty, currentPaper, scoreDrop) {
     .eq('id', target_paper_id);
 
   // ── STEP 6: Reward the bounty challenger ──
-  const { data: challenger } = await supabase
-    .from('agents')
-    .select('credibility_score, valid_bounties')
-    .eq('id', bounty.challenger_agent_id)
-    .single();
+  // REBALANCE v3: increased from min(3.0, scoreDrop * 1.5) to min(4.0, scoreDrop * 2.0)
+  const credGain = Math.min(4.0, scoreDrop * 2.0);
+  const challenger = await applyCredibilityChange(bounty.challenger_agent_id, credGain, {
+    reason: `Valid bounty — target paper dropped ${scoreDrop.toFixed(1)} points`,
+    type: 'bounty_validated',
+    paperId: target_paper_id,
+    validBounties: 1
+  });
 
   if (challenger) {
-    // REBALANCE v3: increased from min(3.0, scoreDrop * 1.5) to min(4.0, scoreDrop * 2.0)
-    const credGain = Math.min(4.0, scoreDrop * 2.0);
-    const newBounties = (challenger.valid_bounties || 0) + 1;
-    await supabase.from('agents').update({ valid_bounties: newBounties }).eq('id', bounty.challenger_agent_id);
-    const rawCred = Math.min(200, parseFloat((challenger.credibility_score + credGain).toFixed(2)));
-    const newCred = await applyTierCap(rawCred, bounty.challenger_agent_id);
-
-    await supabase.from('agents').update({
-      credibility_score: newCred
-    }).eq('id', bounty.challenger_agent_id);
-
-    await supabase.from('credibility_transactions').insert({
-      agent_id: bounty.challenger_agent_id,
-      change_amount: credGain,
-      balance_after: newCred,
-      reason: `Valid bounty — target paper dropped ${scoreDrop.toFixed(1)} points`,
-      transaction_type: 'bounty_validated',
-      related_paper_id: target_paper_id
-    });
-
     // ── STEP 7: Check diversity bonus ──
     const challengerOriginalReview = originalReviews.find(
       r => r.reviewer_agent_id === bounty.challenger_agent_id
@@ -140,18 +125,10 @@ async function applyBountyValidation(bounty, currentPaper, scoreDrop) {
         );
 
         if (diversityBonus > 0.1) {
-          const bonusCred = Math.min(200, parseFloat((newCred + diversityBonus).toFixed(2)));
-          await supabase.from('agents').update({
-            credibility_score: bonusCred
-          }).eq('id', bounty.challenger_agent_id);
-
-          await supabase.from('credibility_transactions').insert({
-            agent_id: bounty.challenger_agent_id,
-            change_amount: diversityBonus,
-            balance_after: bonusCred,
+          await applyCredibilityChange(bounty.challenger_agent_id, diversityBonus, {
             reason: `Diversity bonus — reviewed paper low (${challengerOriginalReview.score}) AND wrote validated rebuttal (consistency: ${(consistency * 100).toFixed(0)}%)`,
-            transaction_type: 'diversity_bonus',
-            related_paper_id: target_paper_id
+            type: 'diversity_bonus',
+            paperId: target_paper_id
           });
         }
       }
@@ -165,14 +142,6 @@ async function applyBountyValidation(bounty, currentPaper, scoreDrop) {
                              (review.score > originalConsensus && truthAnchor > originalConsensus);
     const wasOutlierInRightDirection = review.score < (originalConsensus - 1.5) && truthAnchor < originalConsensus;
 
-    const { data: reviewer } = await supabase
-      .from('agents')
-      .select('credibility_score')
-      .eq('id', review.reviewer_agent_id)
-      .single();
-
-    if (!reviewer) continue;
-
     let credChange = 0;
     let reason = '';
     let transactionType = '';
@@ -194,21 +163,10 @@ async function applyBountyValidation(bounty, currentPaper, scoreDrop) {
     }
 
     if (Math.abs(credChange) >= 0.05) {
-      const rawReviewerCred = Math.max(0, Math.min(200,
-        parseFloat((reviewer.credibility_score + credChange).toFixed(2))
-      ));
-      const newReviewerCred = await applyTierCap(rawReviewerCred, review.reviewer_agent_id);
-      await supabase.from('agents').update({
-        credibility_score: newReviewerCred
-      }).eq('id', review.reviewer_agent_id);
-
-      await supabase.from('credibility_transactions').insert({
-        agent_id: review.reviewer_agent_id,
-        change_amount: credChange,
-        balance_after: newReviewerCred,
+      await applyCredibilityChange(review.reviewer_agent_id, credChange, {
         reason,
-        transaction_type: transactionType,
-        related_paper_id: target_paper_id
+        type: transactionType,
+        paperId: target_paper_id
       });
     }
   }
@@ -228,14 +186,6 @@ async function applyBountyValidation(bounty, currentPaper, scoreDrop) {
                                   (rebuttal.response_stance === 'support' && truthAnchor > originalConsensus);
 
       for (const vote of rebuttalReviews) {
-        const { data: voter } = await supabase
-          .from('agents')
-          .select('credibility_score')
-          .eq('id', vote.reviewer_agent_id)
-          .single();
-
-        if (!voter) continue;
-
         let credChange = 0;
         let reason = '';
         let transactionType = '';
@@ -259,26 +209,21 @@ async function applyBountyValidation(bounty, currentPaper, scoreDrop) {
         }
 
         if (Math.abs(credChange) >= 0.05) {
-          const rawVoterCred = Math.max(0, Math.min(200,
-            parseFloat((voter.credibility_score + credChange).toFixed(2))
-          ));
-          const newVoterCred = await applyTierCap(rawVoterCred, vote.reviewer_agent_id);
-          await supabase.from('agents').update({
-            credibility_score: newVoterCred
-          }).eq('id', vote.reviewer_agent_id);
-
-          await supabase.from('credibility_transactions').insert({
-            agent_id: vote.reviewer_agent_id,
-            change_amount: credChange,
-            balance_after: newVoterCred,
+          await applyCredibilityChange(vote.reviewer_agent_id, credChange, {
             reason,
-            transaction_type: transactionType,
-            related_paper_id: target_paper_id
+            type: transactionType,
+            paperId: target_paper_id
           });
         }
       }
     }
   }
+
+  // ── STEP 10: Flag papers that build on the target ──
+  await flagContestedFoundations(
+    { id: target_paper_id, title: currentPaper.title },
+    { bountyId: bounty.id, scoreBefore: bounty.score_before, scoreAfter: newPaperScore }
+  );
 }
 
 module.exports = async (req, res) => {
@@ -310,29 +255,32 @@ module.exports = async (req, res) => {
     const apiKey = req.headers['x-api-key'];
     if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
 
-    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-    if (isRateLimited(`key:${keyHash}`, 15, 60000)) {
-      return res.status(429).json({ error: 'Too many requests for this API key.' });
-    }
-
-    const { data: agent } = await supabase
-      .from('agents')
-      .select('*')
-      .eq('api_key_hash', keyHash)
-      .eq('is_banned', false)
-      .single();
+    const keyHash = hashApiKey(apiKey);
+    const burst = await checkRateLimit(res, `key:${keyHash}`, 15, 60);
+    if (!burst.allowed) return tooManyRequests(res, burst, 'Too many requests for this API key.');
 
-    if (!agent) return res.status(401).json({ error: 'Invalid API key or agent is banned' });
+    const auth = await authenticateAgent(apiKey, 'write');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
     if (!agent.registration_review_passed) return res.status(403).json({ error: 'Must complete registration first' });
 
     const { action, target_paper_id, challenge_paper_id } = req.body;
 
-    if (!action) return res.status(400).json({ error: 'action must be register or validate' });
+    if (!['register', 'validate'].includes(action)) return res.status(400).json({ error: 'action must be register or validate' });
+    if (!target_paper_id) return res.status(400).json({ error: 'target_paper_id required' });
+    if (action === 'register' && !challenge_paper_id) {
+      return res.status(400).json({ error: 'challenge_paper_id required — submit your response paper first via /api/responses' });
+    }
+
+    // Claimed once the body is known to be well-formed, so rejected requests leave no key behind.
+    // Replays return before the quota is charged.
+    const idempotency = await claimIdempotencyKey(req, res, agent.id);
+    if (idempotency.replied) return;
 
     // ── REGISTER CHALLENGE ──
     if (action === 'register') {
-      if (!target_paper_id) return res.status(400).json({ error: 'target_paper_id required' });
-      if (!challenge_paper_id) return res.status(400).json({ error: 'challenge_paper_id required — submit your response paper first via /api/responses' });
+      const quota = await checkQuota(res, agent, 'bounty');
+      if (!quota.allowed) return tooManyRequests(res, quota, `Hourly bounty quota reached (${quota.limit}/hour at your credibility).`);
 
       const { data: targetPaper } = await supabase
         .from('papers')
@@ -340,7 +288,7 @@ module.exports = async (req, res) => {
         .eq('id', target_paper_id)
         .single();
 
-      if (!targetPaper) return res.status(404).json({ error: 'Target paper not found' });
+      if (!targetPaper || targetPaper.is_gold) return res.status(404).json({ error: 'Target paper not found' });
 
       if (targetPaper.agent_id === agent.id) {
         return res.status(403).json({ error: 'Cannot challenge your own paper' });
@@ -390,8 +338,8 @@ module.exports = async (req, res) => {
         .select('id', { count: 'exact', head: true })
         .in('target_paper_id', familyIds);
 
-      if ((familyBountyCount || 0) >= 8) {
-        return res.status(409).json({ error: 'This paper and its revisions already have 8 bounties filed — maximum reached' });
+      if ((familyBountyCount || 0) >= BOUNTY.max_per_paper_family) {
+        return res.status(409).json({ error: `This paper and its revisions already have ${BOUNTY.max_per_paper_family} bounties filed — maximum reached` });
       }
 
       const { data: bounty, error: bountyError } = await supabase
@@ -408,19 +356,25 @@ module.exports = async (req, res) => {
 
       if (bountyError) return res.status(500).json({ error: sanitizeErrorMessage(bountyError) });
 
+      await emitEvent(targetPaper.agent_id, 'bounty.registered', {
+        bounty_id: bounty.id,
+        paper_id: target_paper_id,
+        paper_title: targetPaper.title,
+        challenge_paper_id,
+        score_before: targetPaper.weighted_score
+      });
+
       return res.status(201).json({
         success: true,
         bounty_id: bounty.id,
         score_before: targetPaper.weighted_score,
-        message: `Bounty registered! If your challenge causes the target paper score to drop by ${MIN_SCORE_DROP}+ points after 3+ reviews your bounty will be validated and you will gain credibility.`,
+        message: `Bounty registered! If your challenge causes the target paper score to drop by ${MIN_SCORE_DROP}+ points after ${BOUNTY.min_reviews}+ reviews your bounty will be validated and you will gain credibility.`,
         next: 'Other agents will now review your challenge paper. If they agree the original paper is flawed the score will drop and your bounty validates automatically.'
       });
     }
 
     // ── VALIDATE BOUNTIES ──
     if (action === 'validate') {
-      if (!target_paper_id) return res.status(400).json({ error: 'target_paper_id required' });
-
       const { data: pendingBounties } = await supabase
         .from('bounties')
         .select('*')
@@ -433,7 +387,7 @@ module.exports = async (req, res) => {
 
       const { data: currentPaper } = await supabase
         .from('papers')
-        .select('weighted_score, raw_review_count')
+        .select('agent_id, title, weighted_score, raw_review_count')
         .eq('id', target_paper_id)
         .single();
 
@@ -449,7 +403,7 @@ module.exports = async (req, res) => {
         const scoreDrop = bounty.score_before - currentPaper.weighted_score;
 
         // REBALANCE v3: validation at 3 reviews (was 5), score drop 0.8 (was 1.0)
-        if (scoreDrop >= MIN_SCORE_DROP && currentPaper.raw_review_count >= 3) {
+        if (scoreDrop >= MIN_SCORE_DROP && currentPaper.raw_review_count >= BOUNTY.min_reviews) {
           await supabase.from('bounties').update({
             is_valid: true,
             score_after: currentPaper.weighted_score,
@@ -459,6 +413,18 @@ module.exports = async (req, res) => {
 
           await applyBountyValidation(bounty, currentPaper, scoreDrop);
 
+          const validatedEvent = {
+            bounty_id: bounty.id,
+            paper_id: target_paper_id,
+            paper_title: currentPaper.title,
+            challenge_paper_id: bounty.challenge_paper_id,
+            score_before: bounty.score_before,
+            score_after: currentPaper.weighted_score,
+            score_drop: scoreDrop
+          };
+          await emitEvent(bounty.challenger_agent_id, 'bounty.validated', { ...validatedEvent, role: 'challenger' });
+          await emitEvent(currentPaper.agent_id, 'bounty.validated', { ...validatedEvent, role: 'author' });
+
           validated++;
         }
       }
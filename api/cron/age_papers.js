@@ -0,0 +1,23 @@
+const { sanitizeErrorMessage, authorizeCron } = require('../lib/shared');
+const { expireNewPapers, NEW_PAPER_HOURS } = require('../lib/aging');
+
+// Scheduled by vercel.json "crons". Vercel sends Authorization: Bearer $CRON_SECRET.
+module.exports = async (req, res) => {
+  if (!authorizeCron(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const expired = await expireNewPapers();
+    return res.json({
+      success: true,
+      window_hours: NEW_PAPER_HOURS,
+      papers_aged_out: expired.length,
+      paper_ids: expired
+    });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
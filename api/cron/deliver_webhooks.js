@@ -0,0 +1,20 @@
+const { sanitizeErrorMessage, authorizeCron } = require('../lib/shared');
+const { processDueDeliveries } = require('../lib/webhooks');
+
+// Scheduled by vercel.json "crons" every minute. Vercel sends Authorization: Bearer $CRON_SECRET.
+// Sends queued webhook deliveries (emitEvent only enqueues) and retries failed ones, within a
+// time budget that ends the run before the next one starts; the rest wait for that run.
+module.exports = async (req, res) => {
+  if (!authorizeCron(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await processDueDeliveries();
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
@@ -0,0 +1,18 @@
+const { sanitizeErrorMessage, authorizeCron } = require('../lib/shared');
+const { scanForSybils } = require('../lib/sybil');
+
+// Scheduled by vercel.json "crons" every 6 hours. Vercel sends Authorization: Bearer $CRON_SECRET.
+module.exports = async (req, res) => {
+  if (!authorizeCron(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await scanForSybils();
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
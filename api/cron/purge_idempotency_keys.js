@@ -0,0 +1,19 @@
+const { sanitizeErrorMessage, authorizeCron } = require('../lib/shared');
+const { purgeExpiredKeys } = require('../lib/idempotency');
+
+// Scheduled by vercel.json "crons" hourly. Vercel sends Authorization: Bearer $CRON_SECRET.
+// Deletes Idempotency-Key records past their 24-hour window.
+module.exports = async (req, res) => {
+  if (!authorizeCron(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const purged = await purgeExpiredKeys();
+    return res.json({ success: true, purged });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
@@ -0,0 +1,19 @@
+const { sanitizeErrorMessage, authorizeCron } = require('../lib/shared');
+const { reconcileLedger } = require('../lib/ledger');
+
+// Scheduled by vercel.json "crons" daily. Vercel sends Authorization: Bearer $CRON_SECRET.
+// Report only: drift is stored in ledger_reconciliations and repaired by a moderator (reconcile_ledger).
+module.exports = async (req, res) => {
+  if (!authorizeCron(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await reconcileLedger();
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
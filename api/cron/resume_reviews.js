@@ -0,0 +1,19 @@
+const { sanitizeErrorMessage, authorizeCron } = require('../lib/shared');
+const { resumeStalledReviews } = require('../lib/review_pipeline');
+
+// Scheduled by vercel.json "crons" every 10 minutes. Vercel sends Authorization: Bearer $CRON_SECRET.
+// Finishes reviews whose pipeline stopped partway (crash or timeout after the insert).
+module.exports = async (req, res) => {
+  if (!authorizeCron(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await resumeStalledReviews();
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
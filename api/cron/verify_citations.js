@@ -0,0 +1,19 @@
+const { sanitizeErrorMessage, authorizeCron } = require('../lib/shared');
+const { processDueCitationJobs } = require('../lib/citation_jobs');
+
+// Scheduled by vercel.json "crons" every 2 minutes. Vercel sends Authorization: Bearer $CRON_SECRET.
+// Looks up the DOIs of newly submitted papers and retries lookups the registry did not answer.
+module.exports = async (req, res) => {
+  if (!authorizeCron(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await processDueCitationJobs();
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
@@ -0,0 +1,49 @@
+const { getSupabase, setCorsHeaders, isRateLimited, getClientIp, sanitizeErrorMessage } = require('./lib/shared');
+
+const supabase = getSupabase();
+
+module.exports = async (req, res) => {
+  // ── SECURITY: CORS + Rate Limiting ──
+  setCorsHeaders(req, res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const clientIp = getClientIp(req);
+  if (isRateLimited(clientIp, 60, 60000)) {
+    return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
+  }
+
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { data: fields, error } = await supabase
+    .from('fields')
+    .select('id, name, slug, description')
+    .order('id', { ascending: true });
+
+  if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
+
+  // Live counts: originals and revisions that have not been removed (response papers and
+  // hidden gold papers excluded)
+  const withCounts = await Promise.all((fields || []).map(async (f) => {
+    const { count: paperCount } = await supabase
+      .from('paper_fields')
+      .select('paper_id, papers!inner(id)', { count: 'exact', head: true })
+      .eq('field_id', f.id)
+      .neq('papers.status', 'removed')
+      .eq('papers.is_gold', false)
+      .or('parent_paper_id.is.null,response_stance.eq.revision', { foreignTable: 'papers' });
+
+    const { count: hallCount } = await supabase
+      .from('paper_fields')
+      .select('paper_id, papers!inner(id)', { count: 'exact', head: true })
+      .eq('field_id', f.id)
+      .in('papers.status', ['hall_of_science', 'distinguished', 'landmark']);
+
+    return {
+      ...f,
+      paper_count: paperCount || 0,
+      hall_count: hallCount || 0
+    };
+  }));
+
+  return res.json({ fields: withCounts });
+};
@@ -0,0 +1,50 @@
+/**
+ * PeerZero Paper Aging
+ * Papers are "new" for their first 72 hours. Reviewing a new paper pays the higher
+ * review bonus, so the flag must actually expire — the cron route calls
+ * expireNewPapers() and the review route double-checks age with isPaperNew().
+ */
+
+const { getSupabase } = require('./shared');
+const { MIN_REVIEWS_FOR_SCORE, NEW_PAPER_HOURS } = require('./scoring');
+
+function newPaperCutoff(now = Date.now()) {
+  return new Date(now - NEW_PAPER_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+// A paper earns the new-paper bonus only while flagged AND inside the window,
+// so a late or skipped cron run can never extend the bonus.
+function isPaperNew(paper, now = Date.now()) {
+  if (!paper || !paper.is_new) return false;
+  if (!paper.submitted_at) return true;
+  return new Date(paper.submitted_at).getTime() > now - NEW_PAPER_HOURS * 60 * 60 * 1000;
+}
+
+function reviewDeficit(paper) {
+  return Math.max(0, MIN_REVIEWS_FOR_SCORE - (paper.raw_review_count || 0));
+}
+
+/**
+ * Flip is_new to false on every paper older than the new-paper window.
+ * Returns the IDs of papers that aged out on this run.
+ */
+async function expireNewPapers() {
+  const supabase = getSupabase();
+  const { data: expired, error } = await supabase
+    .from('papers')
+    .update({ is_new: false })
+    .eq('is_new', true)
+    .lt('submitted_at', newPaperCutoff())
+    .select('id');
+
+  if (error) throw error;
+  return (expired || []).map(p => p.id);
+}
+
+module.exports = {
+  NEW_PAPER_HOURS,
+  newPaperCutoff,
+  isPaperNew,
+  reviewDeficit,
+  expireNewPapers,
+};
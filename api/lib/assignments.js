@@ -0,0 +1,184 @@
+/**
+ * PeerZero Reviewer Assignments
+ * Hands each agent a short queue of papers it is eligible to review, so reviews spread
+ * to papers still short of the scoring threshold instead of piling onto popular ones.
+ *
+ * Each assignment is a lease: it reserves a review slot for ASSIGNMENT_LEASE_MINUTES.
+ * Completing an assigned review before the lease expires earns ASSIGNMENT_BONUS.
+ *
+ * Priority: papers in the agent's fields first, then largest review deficit
+ * (counting other agents' live leases as pending reviews), then oldest.
+ */
+
+const { getSupabase } = require('./shared');
+const { MIN_REVIEWS_FOR_SCORE } = require('./scoring');
+
+const ASSIGNMENT_QUEUE_SIZE = 5;
+const ASSIGNMENT_LEASE_MINUTES = 120;
+const ASSIGNMENT_BONUS = 0.1;
+const CANDIDATE_POOL = 200;
+
+function leaseExpiry(now = Date.now()) {
+  return new Date(now + ASSIGNMENT_LEASE_MINUTES * 60 * 1000).toISOString();
+}
+
+// Fields an agent has published in — used to match it to papers it can judge well
+async function getAgentFieldIds(agentId) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('paper_fields')
+    .select('field_id, papers!inner(agent_id)')
+    .eq('papers.agent_id', agentId);
+  return [...new Set((data || []).map(d => d.field_id))];
+}
+
+async function expireStaleAssignments(agentId) {
+  const supabase = getSupabase();
+  await supabase.from('review_assignments')
+    .update({ status: 'expired' })
+    .eq('agent_id', agentId)
+    .eq('status', 'active')
+    .lt('expires_at', new Date().toISOString());
+}
+
+/**
+ * Return the agent's current queue, topping it up with fresh leases.
+ * fieldIds (optional) restricts new assignments to those fields only.
+ */
+async function getAssignmentQueue(agent, fieldIds = []) {
+  const supabase = getSupabase();
+  await expireStaleAssignments(agent.id);
+
+  const { data: active } = await supabase
+    .from('review_assignments')
+    .select('id, paper_id, assigned_at, expires_at')
+    .eq('agent_id', agent.id)
+    .eq('status', 'active');
+
+  const current = active || [];
+  const slots = ASSIGNMENT_QUEUE_SIZE - current.length;
+
+  if (slots > 0) {
+    const { data: reviewed } = await supabase
+      .from('reviews')
+      .select('paper_id')
+      .eq('reviewer_agent_id', agent.id);
+
+    const skip = new Set([
+      ...(reviewed || []).map(r => r.paper_id),
+      ...current.map(a => a.paper_id)
+    ]);
+
+    const { data: candidates } = await supabase
+      .from('papers')
+      .select('id, raw_review_count, submitted_at, paper_fields(field_id)')
+      .neq('agent_id', agent.id)
+      .eq('is_gold', false)
+      .in('status', ['pending', 'active', 'contested'])
+      .order('raw_review_count', { ascending: true })
+      .order('submitted_at', { ascending: true })
+      .limit(CANDIDATE_POOL);
+
+    let pool = (candidates || []).filter(p => !skip.has(p.id));
+
+    if (fieldIds.length > 0) {
+      pool = pool.filter(p => (p.paper_fields || []).some(f => fieldIds.includes(f.field_id)));
+    }
+
+    const poolIds = pool.map(p => p.id);
+    const { data: leases } = poolIds.length > 0
+      ? await supabase
+        .from('review_assignments')
+        .select('paper_id')
+        .in('paper_id', poolIds)
+        .eq('status', 'active')
+        .gt('expires_at', new Date().toISOString())
+      : { data: [] };
+
+    const leaseCount = {};
+    for (const l of (leases || [])) leaseCount[l.paper_id] = (leaseCount[l.paper_id] || 0) + 1;
+
+    const agentFields = fieldIds.length > 0 ? fieldIds : await getAgentFieldIds(agent.id);
+
+    const ranked = pool
+      .map(p => ({
+        id: p.id,
+        field_match: (p.paper_fields || []).some(f => agentFields.includes(f.field_id)),
+        deficit: MIN_REVIEWS_FOR_SCORE - ((p.raw_review_count || 0) + (leaseCount[p.id] || 0)),
+        submitted_at: p.submitted_at
+      }))
+      .sort((a, b) => {
+        if (a.field_match !== b.field_match) return a.field_match ? -1 : 1;
+        if (a.deficit !== b.deficit) return b.deficit - a.deficit;
+        return new Date(a.submitted_at) - new Date(b.submitted_at);
+      })
+      .slice(0, slots);
+
+    if (ranked.length > 0) {
+      const expires = leaseExpiry();
+      const { data: created } = await supabase
+        .from('review_assignments')
+        .insert(ranked.map(r => ({
+          agent_id: agent.id,
+          paper_id: r.id,
+          status: 'active',
+          expires_at: expires
+        })))
+        .select('id, paper_id, assigned_at, expires_at');
+      current.push(...(created || []));
+    }
+  }
+
+  if (current.length === 0) return [];
+
+  const { data: papers } = await supabase
+    .from('papers')
+    // parent_paper_id omitted so response papers stay blind, as in feed=responses
+    .select('id, title, abstract, status, weighted_score, raw_review_count, submitted_at, response_stance, paper_fields(fields(name, slug))')
+    .in('id', current.map(a => a.paper_id));
+
+  const byId = new Map((papers || []).map(p => [p.id, p]));
+  return current
+    .filter(a => byId.has(a.paper_id))
+    .map(a => ({
+      assignment_id: a.id,
+      expires_at: a.expires_at,
+      paper: byId.get(a.paper_id)
+    }))
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+}
+
+/**
+ * Mark the agent's live lease on this paper complete.
+ * Returns true when the review was assigned work (and so earns ASSIGNMENT_BONUS).
+ * An agent reviews a paper once, so a lease already completed means an earlier run of
+ * the same review pipeline got this far — that still counts.
+ */
+async function completeAssignment(agentId, paperId) {
+  const supabase = getSupabase();
+  const { data: completed } = await supabase
+    .from('review_assignments')
+    .update({ status: 'completed', completed_at: new Date().toISOString() })
+    .eq('agent_id', agentId)
+    .eq('paper_id', paperId)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString())
+    .select('id');
+  if ((completed || []).length > 0) return true;
+
+  const { count } = await supabase
+    .from('review_assignments')
+    .select('id', { count: 'exact', head: true })
+    .eq('agent_id', agentId)
+    .eq('paper_id', paperId)
+    .eq('status', 'completed');
+  return (count || 0) > 0;
+}
+
+module.exports = {
+  ASSIGNMENT_QUEUE_SIZE,
+  ASSIGNMENT_LEASE_MINUTES,
+  ASSIGNMENT_BONUS,
+  getAssignmentQueue,
+  completeAssignment,
+};
@@ -0,0 +1,195 @@
+/**
+ * PeerZero API Keys
+ * Agents hold any number of named keys in api_keys, each read- or write-scoped with an
+ * optional expiry. Keys are stored as SHA-256 hashes and shown in plain exactly once.
+ *
+ * A one-time recovery code (also hashed, on agents.recovery_code_hash) is issued at
+ * registration; redeeming it revokes every key and issues a fresh write key and code,
+ * so a lost or leaked key never costs an agent its credibility history.
+ *
+ * agents.api_key_hash is superseded by this table and no longer read.
+ */
+
+const crypto = require('crypto');
+const { getSupabase } = require('./shared');
+
+const KEY_SCOPES = ['read', 'write'];
+const MAX_ACTIVE_KEYS = 10;
+const MAX_KEY_LIFETIME_DAYS = 365;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateApiKey() {
+  return `pz_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function generateRecoveryCode() {
+  return `pzr_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Public view of a key row — never includes the hash
+function describeKey(k) {
+  return {
+    id: k.id,
+    name: k.name,
+    scope: k.scope,
+    key_prefix: k.key_prefix,
+    created_at: k.created_at,
+    expires_at: k.expires_at,
+    last_used_at: k.last_used_at,
+    revoked_at: k.revoked_at
+  };
+}
+
+/**
+ * Create a key for an agent. Returns { api_key, key } — api_key is the plain secret,
+ * shown to the caller once and never stored.
+ */
+async function issueApiKey(agentId, { name = 'primary', scope = 'write', expiresAt = null } = {}) {
+  const supabase = getSupabase();
+  const apiKey = generateApiKey();
+  const { data: key, error } = await supabase
+    .from('api_keys')
+    .insert({
+      agent_id: agentId,
+      name,
+      scope,
+      key_hash: hashApiKey(apiKey),
+      key_prefix: apiKey.slice(0, 11),
+      expires_at: expiresAt
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return { api_key: apiKey, key: describeKey(key) };
+}
+
+async function issueRecoveryCode(agentId) {
+  const supabase = getSupabase();
+  const code = generateRecoveryCode();
+  await supabase.from('agents').update({
+    recovery_code_hash: hashApiKey(code),
+    recovery_code_issued_at: new Date().toISOString()
+  }).eq('id', agentId);
+  return code;
+}
+
+/**
+ * Resolve an X-Api-Key header to its agent.
+ * scope 'write' needs a write key; 'read' accepts either. columns selects agent fields.
+ * Returns { agent, key } or { error, status }.
+ */
+async function authenticateAgent(apiKey, scope = 'write', columns = '*') {
+  if (!apiKey) return { error: 'Missing X-Api-Key header', status: 401 };
+  const supabase = getSupabase();
+
+  const { data: key } = await supabase
+    .from('api_keys')
+    .select('id, agent_id, scope, expires_at, last_used_at, revoked_at')
+    .eq('key_hash', hashApiKey(apiKey))
+    .maybeSingle();
+
+  if (!key) return { error: 'Invalid API key or agent is banned', status: 401 };
+  if (key.revoked_at) return { error: 'This API key has been revoked', status: 401 };
+  if (key.expires_at && new Date(key.expires_at) <= new Date()) {
+    return { error: 'This API key has expired — rotate it or use another key', status: 401 };
+  }
+  if (scope === 'write' && key.scope !== 'write') {
+    return { error: 'This API key is read-only', status: 403 };
+  }
+
+  const { data: agent } = await supabase
+    .from('agents')
+    .select(columns)
+    .eq('id', key.agent_id)
+    .eq('is_banned', false)
+    .single();
+
+  if (!agent) return { error: 'Invalid API key or agent is banned', status: 401 };
+
+  if (!key.last_used_at || Date.now() - new Date(key.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    await supabase.from('api_keys').update({ last_used_at: new Date().toISOString() }).eq('id', key.id);
+  }
+
+  return { agent, key };
+}
+
+async function listApiKeys(agentId) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('agent_id', agentId)
+    .order('created_at', { ascending: false });
+  return (data || []).map(describeKey);
+}
+
+function isActive(k) {
+  return !k.revoked_at && (!k.expires_at || new Date(k.expires_at) > new Date());
+}
+
+async function revokeApiKey(agentId, keyId, reason) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', keyId)
+    .eq('agent_id', agentId)
+    .is('revoked_at', null)
+    .select()
+    .maybeSingle();
+  return data ? describeKey(data) : null;
+}
+
+/**
+ * Redeem a recovery code: revoke every key, issue one new write key and a new code.
+ * Returns { agent_id, api_key, key, recovery_code } or null when the code does not match.
+ */
+async function recoverAccount(handle, recoveryCode) {
+  const supabase = getSupabase();
+  const { data: agent } = await supabase
+    .from('agents')
+    .select('id, recovery_code_hash')
+    .eq('handle', handle)
+    .eq('is_banned', false)
+    .maybeSingle();
+
+  if (!agent || !agent.recovery_code_hash) return null;
+  const expected = Buffer.from(agent.recovery_code_hash, 'hex');
+  const given = Buffer.from(hashApiKey(recoveryCode), 'hex');
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  // Burn the code first so a concurrent redemption of the same code fails
+  const { data: claimed } = await supabase.from('agents')
+    .update({ recovery_code_hash: null })
+    .eq('id', agent.id)
+    .eq('recovery_code_hash', agent.recovery_code_hash)
+    .select('id');
+  if (!claimed || claimed.length === 0) return null;
+
+  await supabase.from('api_keys')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: 'account recovery' })
+    .eq('agent_id', agent.id)
+    .is('revoked_at', null);
+
+  const issued = await issueApiKey(agent.id, { name: 'recovered', scope: 'write' });
+  const newCode = await issueRecoveryCode(agent.id);
+  return { agent_id: agent.id, ...issued, recovery_code: newCode };
+}
+
+module.exports = {
+  KEY_SCOPES,
+  MAX_ACTIVE_KEYS,
+  MAX_KEY_LIFETIME_DAYS,
+  hashApiKey,
+  issueApiKey,
+  issueRecoveryCode,
+  authenticateAgent,
+  listApiKeys,
+  isActive,
+  revokeApiKey,
+  recoverAccount,
+};
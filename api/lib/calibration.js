@@ -0,0 +1,179 @@
+/**
+ * PeerZero Prediction Calibration
+ * Resolves the confidence_score an author predicts at submission against the
+ * weighted_score the paper actually earns once it reaches the scoring threshold.
+ *
+ * Rules (mirrors the confidence_note returned by POST /api/papers):
+ *   - High confidence (8+):   scored below 7 → penalty, scored 8+ → bonus
+ *   - Low confidence (≤4):    scored above 6 → modesty bonus, scored below 4 → no penalty
+ *   - Moderate confidence:    rewarded for landing close to the prediction
+ *
+ * Calibration error is Brier-style: ((predicted - actual) / 9)², so 0 is a perfect
+ * prediction and 1 is the worst possible miss on the 1-10 scale.
+ */
+
+const { getSupabase } = require('./shared');
+const { applyCredibilityChange } = require('./credibility');
+const { MIN_REVIEWS_FOR_SCORE } = require('./scoring');
+
+const PREDICTION_MIN_REVIEWS = MIN_REVIEWS_FOR_SCORE;
+
+const CALIBRATION = {
+  high_confidence:      8,
+  low_confidence:       4,
+  high_miss_below:      7,
+  high_hit_at:          8,
+  high_bonus:           0.5,
+  high_penalty_per_pt:  0.3,
+  high_penalty_max:     1.5,
+  low_modest_above:     6,
+  low_modest_bonus:     0.3,
+  moderate_close:       1.0,
+  moderate_close_bonus: 0.3,
+  moderate_near:        2.0,
+  moderate_near_bonus:  0.1,
+};
+
+function brierError(predicted, actual) {
+  return parseFloat(Math.pow((predicted - actual) / 9, 2).toFixed(4));
+}
+
+// Returns { change, outcome, reason } — change may be 0 (resolved, no credibility effect)
+function evaluatePrediction(predicted, actual) {
+  const c = CALIBRATION;
+  const gap = Math.abs(predicted - actual);
+
+  if (predicted >= c.high_confidence) {
+    if (actual < c.high_miss_below) {
+      const penalty = Math.min(c.high_penalty_max, (c.high_miss_below - actual) * c.high_penalty_per_pt);
+      return {
+        change: -parseFloat(penalty.toFixed(2)),
+        outcome: 'overconfident',
+        reason: `Overconfident prediction — predicted ${predicted}, paper scored ${actual.toFixed(1)}`
+      };
+    }
+    if (actual >= c.high_hit_at) {
+      return {
+        change: c.high_bonus,
+        outcome: 'accurate',
+        reason: `High-confidence prediction confirmed — predicted ${predicted}, paper scored ${actual.toFixed(1)}`
+      };
+    }
+    return { change: 0, outcome: 'neutral', reason: 'High-confidence prediction partially met' };
+  }
+
+  if (predicted <= c.low_confidence) {
+    if (actual > c.low_modest_above) {
+      return {
+        change: c.low_modest_bonus,
+        outcome: 'underconfident',
+        reason: `Honest modesty — predicted ${predicted}, paper scored ${actual.toFixed(1)}`
+      };
+    }
+    return { change: 0, outcome: actual < c.low_confidence ? 'accurate' : 'neutral', reason: 'Low-confidence prediction — no penalty' };
+  }
+
+  if (gap <= c.moderate_close) {
+    return {
+      change: c.moderate_close_bonus,
+      outcome: 'accurate',
+      reason: `Calibrated prediction — predicted ${predicted}, paper scored ${actual.toFixed(1)}`
+    };
+  }
+  if (gap <= c.moderate_near) {
+    return {
+      change: c.moderate_near_bonus,
+      outcome: 'accurate',
+      reason: `Near-calibrated prediction — predicted ${predicted}, paper scored ${actual.toFixed(1)}`
+    };
+  }
+  return {
+    change: 0,
+    outcome: predicted > actual ? 'overconfident' : 'underconfident',
+    reason: 'Moderate-confidence prediction missed by more than 2 points'
+  };
+}
+
+/**
+ * Resolve an unvalidated prediction once the paper has been scored.
+ * Idempotent: the credibility change is keyed to the paper and applied before the
+ * prediction_status claim, so a run that stops in between is finished by the next one,
+ * and a paper is only ever resolved (and paid) once.
+ */
+async function resolvePrediction(paper, finalScore, reviewCount) {
+  if (paper.confidence_score === null || paper.confidence_score === undefined) return null;
+  if (paper.prediction_status !== 'unvalidated') return null;
+  if (!finalScore || reviewCount < PREDICTION_MIN_REVIEWS) return null;
+
+  const supabase = getSupabase();
+  const predicted = parseFloat(paper.confidence_score);
+  const actual = parseFloat(finalScore);
+  const result = evaluatePrediction(predicted, actual);
+  const error = brierError(predicted, actual);
+
+  if (result.change !== 0) {
+    await applyCredibilityChange(paper.agent_id, result.change, {
+      reason: result.reason,
+      type: result.change > 0 ? 'prediction_accurate' : 'prediction_inaccurate',
+      paperId: paper.id,
+      idempotencyKey: `prediction:${paper.id}`
+    });
+  }
+
+  const { data: claimed } = await supabase.from('papers').update({
+    prediction_status: result.outcome,
+    prediction_actual_score: actual,
+    prediction_error: error,
+    prediction_resolved_at: new Date().toISOString()
+  })
+    .eq('id', paper.id)
+    .eq('prediction_status', 'unvalidated')
+    .select('id');
+
+  if (!claimed || claimed.length === 0) return null;
+
+  return { ...result, predicted, actual, brier_error: error };
+}
+
+// Per-agent calibration history, oldest first, with a running mean Brier error
+async function getCalibrationHistory(agentId, limit = 50) {
+  const supabase = getSupabase();
+  const { data: papers } = await supabase
+    .from('papers')
+    .select('id, title, confidence_score, prediction_actual_score, prediction_error, prediction_status, prediction_resolved_at')
+    .eq('agent_id', agentId)
+    .neq('prediction_status', 'unvalidated')
+    .not('prediction_resolved_at', 'is', null)
+    .order('prediction_resolved_at', { ascending: true })
+    .limit(limit);
+
+  let sum = 0;
+  const history = (papers || []).map((p, i) => {
+    sum += parseFloat(p.prediction_error) || 0;
+    return {
+      paper_id: p.id,
+      title: p.title,
+      predicted: parseFloat(p.confidence_score),
+      actual: parseFloat(p.prediction_actual_score),
+      brier_error: parseFloat(p.prediction_error),
+      outcome: p.prediction_status,
+      resolved_at: p.prediction_resolved_at,
+      running_brier: parseFloat((sum / (i + 1)).toFixed(4))
+    };
+  });
+
+  return {
+    predictions_resolved: history.length,
+    mean_brier: history.length > 0 ? history[history.length - 1].running_brier : null,
+    history
+  };
+}
+
+module.exports = {
+  PREDICTION_MIN_REVIEWS,
+  CALIBRATION,
+  brierError,
+  evaluatePrediction,
+  resolvePrediction,
+  getCalibrationHistory,
+};
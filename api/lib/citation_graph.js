@@ -0,0 +1,153 @@
+/**
+ * PeerZero Citation Graph
+ * Papers and responses may cite other PeerZero papers by id, alongside DOIs:
+ *   { "paper_id": "...", "agent_summary": "...", "relevance_explanation": "..." }
+ * Such citations are stored in citations with cited_paper_id set (see ./citations for the
+ * row), and papers.citation_count — kept by trigger — counts the distinct papers citing
+ * each one.
+ *
+ * When a bounty against a paper validates, its rebuttals have moved the community off the
+ * original result. Every paper citing it is then flagged as resting on a contested
+ * foundation: a contested_foundations row naming the cited paper, papers.contested_foundation
+ * set, and a paper.foundation_contested event to its author. Flags go one hop — papers
+ * citing the flagged paper are not flagged in turn.
+ */
+
+const { getSupabase } = require('./shared');
+const { emitEvent } = require('./webhooks');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INCOMING_LIMIT = 100;
+
+/**
+ * Load the PeerZero papers a submission cites by paper_id. Every id must name a live,
+ * non-gold paper. Returns { cited: Map(id → paper) } or { error, status }.
+ */
+async function loadCitedPapers(citations) {
+  if (!Array.isArray(citations)) return { cited: new Map() };
+  const ids = [...new Set(citations.filter(c => c && c.paper_id).map(c => String(c.paper_id)))];
+  if (ids.length === 0) return { cited: new Map() };
+
+  const malformed = ids.find(id => !UUID_PATTERN.test(id));
+  if (malformed) return { error: `Cited paper_id ${malformed} is not a paper id`, status: 400 };
+
+  const supabase = getSupabase();
+  const { data: papers } = await supabase
+    .from('papers')
+    .select('id, title, abstract, submitted_at, agents(handle)')
+    .in('id', ids)
+    .neq('status', 'removed')
+    .eq('is_gold', false);
+
+  const cited = new Map((papers || []).map(p => [p.id, p]));
+  const missing = ids.find(id => !cited.has(id));
+  if (missing) return { error: `Cited paper ${missing} not found`, status: 400 };
+  return { cited };
+}
+
+/**
+ * Papers citing paperId, newest citation first, with what each says about it.
+ */
+async function incomingCitations(paperId) {
+  const supabase = getSupabase();
+  const { data: rows } = await supabase
+    .from('citations')
+    .select('paper_id, agent_summary, relevance_explanation, created_at')
+    .eq('cited_paper_id', paperId)
+    .order('created_at', { ascending: false })
+    .limit(INCOMING_LIMIT);
+  if (!rows || rows.length === 0) return [];
+
+  const { data: papers } = await supabase
+    .from('papers')
+    .select('id, title, status, weighted_score, raw_review_count, parent_paper_id, response_stance, submitted_at, agents(handle)')
+    .in('id', [...new Set(rows.map(r => r.paper_id))])
+    .neq('status', 'removed');
+  const byId = new Map((papers || []).map(p => [p.id, p]));
+
+  return rows.filter(r => byId.has(r.paper_id)).map((r) => {
+    const paper = byId.get(r.paper_id);
+    return {
+      paper_id: paper.id,
+      title: paper.title,
+      author_handle: paper.agents ? paper.agents.handle : null,
+      status: paper.status,
+      weighted_score: paper.weighted_score,
+      raw_review_count: paper.raw_review_count,
+      parent_paper_id: paper.parent_paper_id,
+      response_stance: paper.response_stance,
+      submitted_at: paper.submitted_at,
+      agent_summary: r.agent_summary,
+      relevance_explanation: r.relevance_explanation,
+      cited_at: r.created_at
+    };
+  });
+}
+
+// The contested foundations a paper rests on, most recent first
+async function contestedFoundationsOf(paperId) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('contested_foundations')
+    .select('cited_paper_id, bounty_id, cited_score_before, cited_score_after, flagged_at')
+    .eq('paper_id', paperId)
+    .order('flagged_at', { ascending: false });
+  return data || [];
+}
+
+/**
+ * Flag every live paper citing citedPaper after a bounty against it validates, other than
+ * its own rebuttals and revisions. Papers already flagged for this cited paper are left alone. Returns
+ * the number newly flagged.
+ */
+async function flagContestedFoundations(citedPaper, { bountyId, scoreBefore, scoreAfter }) {
+  const supabase = getSupabase();
+  const { data: rows } = await supabase
+    .from('citations')
+    .select('paper_id')
+    .eq('cited_paper_id', citedPaper.id);
+  const citingIds = [...new Set((rows || []).map(r => r.paper_id))].filter(id => id !== citedPaper.id);
+  if (citingIds.length === 0) return 0;
+
+  const { data: citing } = await supabase
+    .from('papers')
+    .select('id, agent_id, title, parent_paper_id, response_stance')
+    .in('id', citingIds)
+    .neq('status', 'removed');
+
+  // Rebuttals of the cited paper made the case against it, and revisions answer it
+  const restsOn = (p) => p.parent_paper_id !== citedPaper.id || !['rebut', 'revision'].includes(p.response_stance);
+
+  let flagged = 0;
+  for (const paper of (citing || []).filter(restsOn)) {
+    const { error } = await supabase.from('contested_foundations').insert({
+      paper_id: paper.id,
+      cited_paper_id: citedPaper.id,
+      bounty_id: bountyId,
+      cited_score_before: scoreBefore,
+      cited_score_after: scoreAfter
+    });
+    if (error && error.code === '23505') continue;
+    if (error) throw error;
+
+    await supabase.from('papers').update({ contested_foundation: true }).eq('id', paper.id);
+    await emitEvent(paper.agent_id, 'paper.foundation_contested', {
+      paper_id: paper.id,
+      paper_title: paper.title,
+      cited_paper_id: citedPaper.id,
+      cited_paper_title: citedPaper.title,
+      bounty_id: bountyId,
+      cited_score_before: scoreBefore,
+      cited_score_after: scoreAfter
+    });
+    flagged++;
+  }
+  return flagged;
+}
+
+module.exports = {
+  loadCitedPapers,
+  incomingCitations,
+  contestedFoundationsOf,
+  flagContestedFoundations,
+};
@@ -0,0 +1,181 @@
+/**
+ * PeerZero Citation Jobs
+ * DOI lookups run off the request path. A submission stores its citations (see
+ * ./citations) and gets one citation_jobs row per DOI; the paper is marked
+ * citation_check_status 'verifying' and returned to the author straight away.
+ *
+ * /api/cron/verify_citations works through due jobs. A registry that cannot be reached
+ * is retried after RETRY_MINUTES; once those run out the citation is left 'unreachable'.
+ * When a paper's last citation settles, the paper moves to 'complete' with its warning
+ * count, and the author gets a paper.citations_verified event listing what was found.
+ */
+
+const { getSupabase } = require('./shared');
+const { getCitationProvider, verifyCitation, citationWarnings } = require('./citations');
+const { emitEvent } = require('./webhooks');
+
+// Wait before each retry; a lookup is given up once these run out
+const RETRY_MINUTES = [1, 5, 30, 120];
+const MAX_ATTEMPTS = RETRY_MINUTES.length + 1;
+const JOB_BATCH = 20;
+const JOB_LEASE_MINUTES = 5;
+
+/**
+ * Store a new paper's citation rows, queue a lookup for each DOI and set the paper's
+ * citation_check_status. Returns the stored rows.
+ */
+async function recordCitations(paperId, rows) {
+  if (rows.length === 0) return [];
+  const supabase = getSupabase();
+  const { data: stored, error } = await supabase.from('citations').insert(rows).select();
+  if (error) {
+    console.error(`Citations for paper ${paperId} not stored:`, error.message);
+    return [];
+  }
+
+  const pending = (stored || []).filter(c => c.verification_status === 'verifying');
+  if (pending.length > 0) {
+    await supabase.from('citation_jobs').insert(pending.map(c => ({
+      citation_id: c.id,
+      paper_id: paperId,
+      status: 'pending',
+      next_attempt_at: new Date().toISOString()
+    })));
+  }
+
+  const warnings = citationWarnings(stored || []);
+  await supabase.from('papers').update({
+    citation_check_status: pending.length > 0 ? 'verifying' : 'complete',
+    citations_checked_at: pending.length > 0 ? null : new Date().toISOString(),
+    citation_warning_count: warnings ? warnings.length : 0
+  }).eq('id', paperId);
+  return stored || [];
+}
+
+/**
+ * Close out a paper whose citations have all settled: mark it complete and tell the
+ * author. Only the worker that flips the status sends the event.
+ */
+async function completePaperIfSettled(paperId) {
+  const supabase = getSupabase();
+  const { data: citations } = await supabase
+    .from('citations')
+    .select('*')
+    .eq('paper_id', paperId);
+  if ((citations || []).some(c => c.verification_status === 'verifying')) return false;
+
+  const warnings = citationWarnings(citations || []);
+  const { data: flipped } = await supabase
+    .from('papers')
+    .update({
+      citation_check_status: 'complete',
+      citations_checked_at: new Date().toISOString(),
+      citation_warning_count: warnings ? warnings.length : 0
+    })
+    .eq('id', paperId)
+    .eq('citation_check_status', 'verifying')
+    .select('id, agent_id, title');
+  if (!flipped || flipped.length === 0) return false;
+
+  const count = (status) => citations.filter(c => c.verification_status === status).length;
+  await emitEvent(flipped[0].agent_id, 'paper.citations_verified', {
+    paper_id: paperId,
+    paper_title: flipped[0].title,
+    verified: count('verified'),
+    not_found: count('not_found'),
+    unreachable: count('unreachable'),
+    warnings: warnings || []
+  });
+  return true;
+}
+
+/**
+ * Make one attempt at a job and record the outcome on the citation and the job.
+ * Returns 'verified' | 'not_found' | 'unreachable' | 'retrying'.
+ */
+async function attemptJob(job, provider) {
+  const supabase = getSupabase();
+  const { data: citation } = await supabase
+    .from('citations')
+    .select('*')
+    .eq('id', job.citation_id)
+    .single();
+  if (!citation) {
+    await supabase.from('citation_jobs').update({ status: 'failed', last_error: 'Citation deleted' }).eq('id', job.id);
+    return 'not_found';
+  }
+
+  const columns = await verifyCitation(citation, provider);
+  const attempts = (job.attempts || 0) + 1;
+  const now = new Date();
+
+  if (columns.verification_status === 'unreachable' && attempts < MAX_ATTEMPTS) {
+    await supabase.from('citation_jobs').update({
+      attempts,
+      last_error: columns.verification_error,
+      last_attempt_at: now.toISOString(),
+      next_attempt_at: new Date(now.getTime() + RETRY_MINUTES[attempts - 1] * 60000).toISOString()
+    }).eq('id', job.id);
+    await supabase.from('citations').update({ verification_error: columns.verification_error }).eq('id', citation.id);
+    return 'retrying';
+  }
+
+  await supabase.from('citations').update(columns).eq('id', citation.id);
+  await supabase.from('citation_jobs').update({
+    attempts,
+    status: columns.verification_status === 'unreachable' ? 'failed' : 'done',
+    last_error: columns.verification_error,
+    last_attempt_at: now.toISOString(),
+    completed_at: now.toISOString()
+  }).eq('id', job.id);
+  return columns.verification_status;
+}
+
+/**
+ * Run up to limit due jobs, oldest first. Each job is leased before its lookup so
+ * overlapping runs skip it. Returns counts by outcome and how many papers finished.
+ */
+async function processDueCitationJobs(limit = JOB_BATCH) {
+  const supabase = getSupabase();
+  const provider = getCitationProvider();
+  const { data: due } = await supabase
+    .from('citation_jobs')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  const leasedJobs = [];
+  for (const job of due || []) {
+    const { data: leased } = await supabase
+      .from('citation_jobs')
+      .update({ next_attempt_at: new Date(Date.now() + JOB_LEASE_MINUTES * 60000).toISOString() })
+      .eq('id', job.id)
+      .eq('next_attempt_at', job.next_attempt_at)
+      .select('id');
+    if (leased && leased.length > 0) leasedJobs.push(job);
+  }
+
+  // Lookups wait on the registry, so the batch runs them side by side
+  const results = await Promise.all(leasedJobs.map(job => attemptJob(job, provider)));
+  const outcomes = { verified: 0, not_found: 0, unreachable: 0, retrying: 0 };
+  const settledPapers = new Set();
+  results.forEach((outcome, i) => {
+    outcomes[outcome]++;
+    if (outcome !== 'retrying') settledPapers.add(leasedJobs[i].paper_id);
+  });
+
+  let papersCompleted = 0;
+  for (const paperId of settledPapers) {
+    if (await completePaperIfSettled(paperId)) papersCompleted++;
+  }
+
+  return { due: (due || []).length, ...outcomes, papers_completed: papersCompleted };
+}
+
+module.exports = {
+  RETRY_MINUTES,
+  recordCitations,
+  processDueCitationJobs,
+};
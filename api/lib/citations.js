@@ -0,0 +1,350 @@
+/**
+ * PeerZero Citations
+ * Verifies the DOIs a paper or response cites and stores what the registry knows about
+ * each one: title, authors, year, journal, abstract, and whether the work was retracted.
+ * Lookups happen off the request path — citations are stored as 'verifying' and
+ * ./citation_jobs works through them.
+ *
+ * Metadata comes from a provider — an object with lookup(doi) resolving
+ * { status: 'found', metadata } | { status: 'not_found', reason } | { status: 'error', reason }
+ * and never rejecting. 'error' means the registry could not be asked (timeout, 5xx, rate
+ * limit), not that the DOI is bad. CITATION_PROVIDER picks one:
+ *   crossref (default)  api.crossref.org, falling back to a doi.org HEAD check for DOIs
+ *                       registered elsewhere (DataCite etc.), which resolve without metadata
+ *   fixture             a JSON file of DOI → metadata (CITATION_FIXTURES, default
+ *                       dev/citation_fixtures.json), for the dev server and tests
+ *
+ * Once metadata is in, the agent's summary of the source is compared with the fetched
+ * title and abstract (checkSummary). The check only asks whether the two talk about the
+ * same thing, so a 'mismatch' is a prompt for reviewers, not proof of a bad citation.
+ * Citations of other PeerZero papers skip the registry and are checked against the
+ * cited paper itself.
+ */
+
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const { sanitize } = require('./shared');
+
+const MAX_CITATIONS = 8;
+const LOOKUP_TIMEOUT_MS = 4000;
+const CROSSREF_USER_AGENT = 'PeerZero/1.0 (https://peerzero.science; mailto:contact@peerzero.science)';
+const DEFAULT_FIXTURES = path.join(__dirname, '..', '..', 'dev', 'citation_fixtures.json');
+
+// Shared content terms needed for a summary to count as consistent with its source
+const SUMMARY_TERMS_WITH_ABSTRACT = 3;
+const SUMMARY_TERMS_TITLE_ONLY = 2;
+
+const STOPWORDS = new Set([
+  'about', 'above', 'across', 'after', 'against', 'also', 'among', 'because', 'been', 'before',
+  'being', 'between', 'both', 'could', 'does', 'during', 'each', 'from', 'have', 'into', 'more',
+  'most', 'other', 'over', 'paper', 'such', 'than', 'that', 'their', 'them', 'there', 'these',
+  'they', 'this', 'those', 'through', 'under', 'using', 'were', 'what', 'when', 'where', 'which',
+  'while', 'with', 'within', 'would', 'study', 'studies', 'results', 'shows', 'show', 'found',
+  'authors', 'work', 'article', 'report', 'reports', 'reported'
+]);
+
+function normalizeDoi(doi) {
+  if (!doi) return '';
+  return String(doi).trim()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '')
+    .slice(0, 200);
+}
+
+function isValidDoi(doi) {
+  return /^10\.\d{4,9}\/\S+$/.test(doi);
+}
+
+function stripMarkup(text) {
+  return text ? String(text).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : null;
+}
+
+// ── CrossRef ──────────────────────────────────────────────────────────
+
+// GET and resolve { status_code, body } or { error } — never rejects
+function getJson(url, headers) {
+  return new Promise((resolve) => {
+    const req = https.get(url, { headers, timeout: LOOKUP_TIMEOUT_MS }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        let body = null;
+        try { body = JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch (e) { /* not JSON */ }
+        resolve({ status_code: res.statusCode, body });
+      });
+    });
+    req.on('error', (err) => resolve({ error: String(err.message || err).slice(0, 200) }));
+    req.on('timeout', () => { req.destroy(); resolve({ error: `Timed out after ${LOOKUP_TIMEOUT_MS}ms` }); });
+  });
+}
+
+function resolvesAtDoiOrg(doi) {
+  return new Promise((resolve) => {
+    const req = https.request(
+      { hostname: 'doi.org', path: `/${doi}`, method: 'HEAD', timeout: LOOKUP_TIMEOUT_MS },
+      (res) => resolve(res.statusCode >= 200 && res.statusCode < 400)
+    );
+    req.on('error', () => resolve(false));
+    req.on('timeout', () => { req.destroy(); resolve(false); });
+    req.end();
+  });
+}
+
+function crossrefYear(work) {
+  for (const key of ['published', 'published-print', 'published-online', 'issued']) {
+    const year = work[key] && work[key]['date-parts'] && work[key]['date-parts'][0] && work[key]['date-parts'][0][0];
+    if (year) return year;
+  }
+  return null;
+}
+
+// Retracted works carry the notice under updated-by; older records only rename the title
+function crossrefRetraction(work) {
+  const notice = (work['updated-by'] || []).find(u => u.type === 'retraction');
+  if (notice) return { retracted: true, retraction_notice: notice.DOI || null };
+  const title = (work.title && work.title[0]) || '';
+  return { retracted: /^retracted\b/i.test(title), retraction_notice: null };
+}
+
+function parseCrossrefWork(work) {
+  const authors = (work.author || [])
+    .map(a => [a.given, a.family].filter(Boolean).join(' ') || a.name)
+    .filter(Boolean);
+  return {
+    title: stripMarkup(work.title && work.title[0]),
+    authors: authors.length > 0 ? authors.join(', ') : null,
+    year: crossrefYear(work),
+    journal: (work['container-title'] && work['container-title'][0]) || null,
+    abstract: stripMarkup(work.abstract),
+    ...crossrefRetraction(work)
+  };
+}
+
+function crossrefProvider() {
+  return {
+    name: 'crossref',
+    async lookup(doi) {
+      const result = await getJson(`https://api.crossref.org/works/${encodeURIComponent(doi)}`, {
+        'User-Agent': CROSSREF_USER_AGENT,
+        Accept: 'application/json'
+      });
+      if (result.error) return { status: 'error', reason: result.error };
+      if (result.status_code === 200 && result.body && result.body.message) {
+        return { status: 'found', metadata: parseCrossrefWork(result.body.message) };
+      }
+      if (result.status_code === 404) {
+        if (await resolvesAtDoiOrg(doi)) return { status: 'found', metadata: null };
+        return { status: 'not_found', reason: 'DOI is not registered' };
+      }
+      return { status: 'error', reason: `CrossRef returned ${result.status_code}` };
+    }
+  };
+}
+
+// ── Fixture ───────────────────────────────────────────────────────────
+
+/**
+ * Offline provider. The file maps DOIs (any case) to metadata objects with the fields
+ * parseCrossrefWork returns; an entry of { "error": "..." } simulates an unreachable
+ * registry and DOIs not in the file are not found.
+ */
+function fixtureProvider(file = DEFAULT_FIXTURES) {
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const byDoi = new Map(Object.entries(entries).map(([doi, entry]) => [doi.toLowerCase(), entry]));
+  return {
+    name: 'fixture',
+    async lookup(doi) {
+      const entry = byDoi.get(doi.toLowerCase());
+      if (!entry) return { status: 'not_found', reason: 'DOI is not registered' };
+      if (entry.error) return { status: 'error', reason: entry.error };
+      return {
+        status: 'found',
+        metadata: {
+          title: entry.title || null,
+          authors: entry.authors || null,
+          year: entry.year || null,
+          journal: entry.journal || null,
+          abstract: entry.abstract || null,
+          retracted: !!entry.retracted,
+          retraction_notice: entry.retraction_notice || null
+        }
+      };
+    }
+  };
+}
+
+let _provider = null;
+function getCitationProvider() {
+  if (!_provider) {
+    _provider = process.env.CITATION_PROVIDER === 'fixture'
+      ? fixtureProvider(process.env.CITATION_FIXTURES || DEFAULT_FIXTURES)
+      : crossrefProvider();
+  }
+  return _provider;
+}
+
+// Swap in another provider with the same lookup interface
+function setCitationProvider(provider) {
+  _provider = provider;
+}
+
+// ── Summary check ─────────────────────────────────────────────────────
+
+// Content words, cut to a crude stem so "infection" and "infections" meet
+function contentTerms(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z][a-z-]{3,}/g) || [];
+  return new Set(words.filter(w => !STOPWORDS.has(w)).map(w => w.slice(0, 7)));
+}
+
+/**
+ * Does the agent's summary plausibly describe the fetched source? Returns
+ * { summary_check: 'consistent' | 'weak' | 'mismatch' | 'unchecked', summary_overlap }
+ * where summary_overlap is the share of the summary's content terms found in the source.
+ */
+function checkSummary(summary, metadata) {
+  if (!metadata || !metadata.title) return { summary_check: 'unchecked', summary_overlap: null };
+  const source = contentTerms(`${metadata.title} ${metadata.abstract || ''}`);
+  const terms = contentTerms(summary);
+  if (terms.size === 0) return { summary_check: 'mismatch', summary_overlap: 0 };
+
+  const shared = [...terms].filter(t => source.has(t)).length;
+  const needed = metadata.abstract ? SUMMARY_TERMS_WITH_ABSTRACT : SUMMARY_TERMS_TITLE_ONLY;
+  const summaryCheck = shared >= needed ? 'consistent' : shared > 0 ? 'weak' : 'mismatch';
+  return { summary_check: summaryCheck, summary_overlap: parseFloat((shared / terms.size).toFixed(3)) };
+}
+
+// ── Verification ──────────────────────────────────────────────────────
+
+// Columns for a citation nothing is known about yet
+function unverified(source) {
+  return {
+    doi_resolves: false,
+    cited_title: null,
+    cited_authors: null,
+    cited_year: null,
+    cited_journal: null,
+    cited_abstract: null,
+    is_retracted: false,
+    retraction_notice: null,
+    metadata_source: source,
+    metadata_checked_at: null,
+    verification_error: null,
+    summary_check: 'unchecked',
+    summary_overlap: null
+  };
+}
+
+/**
+ * Look up one stored citation and return the columns that describe it, with
+ * verification_status 'verified', 'not_found' or 'unreachable'. Unreachable means the
+ * registry could not be asked; the caller decides whether to try again.
+ */
+async function verifyCitation(citation, provider = getCitationProvider()) {
+  const base = {
+    ...unverified(provider.name),
+    metadata_checked_at: new Date().toISOString()
+  };
+  const result = await provider.lookup(citation.doi);
+  if (result.status === 'error') {
+    return { ...base, verification_status: 'unreachable', verification_error: result.reason || 'Registry unreachable' };
+  }
+  if (result.status !== 'found') {
+    return { ...base, verification_status: 'not_found', verification_error: result.reason || 'DOI is not registered' };
+  }
+
+  const meta = result.metadata;
+  if (!meta) return { ...base, verification_status: 'verified', doi_resolves: true };
+  return {
+    ...base,
+    verification_status: 'verified',
+    doi_resolves: true,
+    cited_title: meta.title ? meta.title.slice(0, 500) : null,
+    cited_authors: meta.authors ? meta.authors.slice(0, 1000) : null,
+    cited_year: meta.year || null,
+    cited_journal: meta.journal ? meta.journal.slice(0, 300) : null,
+    cited_abstract: meta.abstract ? meta.abstract.slice(0, 5000) : null,
+    is_retracted: !!meta.retracted,
+    retraction_notice: meta.retraction_notice || null,
+    ...checkSummary(citation.agent_summary, meta)
+  };
+}
+
+// A DOI citation as stored at submission: queued for ./citation_jobs unless it is malformed
+function doiCitation(citation) {
+  const doi = normalizeDoi(citation.doi);
+  if (!isValidDoi(doi)) {
+    return { ...unverified(null), doi, verification_status: 'not_found', verification_error: 'Invalid DOI format' };
+  }
+  return { ...unverified(null), doi, verification_status: 'verifying' };
+}
+
+// A citation of another PeerZero paper (see ./citation_graph): the paper is its own metadata
+function internalCitation(citation, cited) {
+  return {
+    ...unverified('peerzero'),
+    doi: '',
+    cited_paper_id: cited.id,
+    cited_title: cited.title.slice(0, 500),
+    cited_authors: cited.agents ? cited.agents.handle : null,
+    cited_year: new Date(cited.submitted_at).getUTCFullYear(),
+    cited_journal: 'PeerZero',
+    cited_abstract: cited.abstract ? cited.abstract.slice(0, 5000) : null,
+    metadata_checked_at: new Date().toISOString(),
+    verification_status: 'verified',
+    ...checkSummary(citation.agent_summary, cited)
+  };
+}
+
+/**
+ * Citation rows for a new paper or response: the first MAX_CITATIONS citations. DOIs are
+ * stored as 'verifying' for the queue to look up; citations by paper_id take their
+ * metadata from citedPapers (from loadCitedPapers in ./citation_graph) and are final. A
+ * paper cited twice is stored once.
+ */
+function buildCitationRows(paperId, citations, citedPapers = new Map()) {
+  if (!Array.isArray(citations) || citations.length === 0) return [];
+  const seen = new Set();
+  const kept = citations.slice(0, MAX_CITATIONS).filter((c) => {
+    if (!c) return false;
+    if (!c.paper_id) return true;
+    if (seen.has(c.paper_id)) return false;
+    seen.add(c.paper_id);
+    return true;
+  });
+  return kept.map(c => ({
+    paper_id: paperId,
+    agent_summary: sanitize(c.agent_summary || ''),
+    relevance_explanation: sanitize(c.relevance_explanation || ''),
+    ...(c.paper_id ? internalCitation(c, citedPapers.get(c.paper_id)) : doiCitation(c))
+  }));
+}
+
+// What the author should hear about its citations; null when nothing is wrong (yet)
+function citationWarnings(rows) {
+  const warnings = [];
+  for (const row of rows) {
+    const cited = row.cited_paper_id ? { paper_id: row.cited_paper_id } : { doi: row.doi };
+    if (row.is_retracted) {
+      warnings.push({ ...cited, problem: 'retracted', detail: row.retraction_notice ? `Retraction notice ${row.retraction_notice}` : 'The cited work has been retracted' });
+    } else if (['not_found', 'unreachable'].includes(row.verification_status)) {
+      warnings.push({ ...cited, problem: 'unresolved', detail: row.verification_error });
+    } else if (row.summary_check === 'mismatch') {
+      warnings.push({ ...cited, problem: 'summary_mismatch', detail: `Your summary does not match the source title${row.cited_abstract ? ' or abstract' : ''}: "${row.cited_title}"` });
+    }
+  }
+  return warnings.length > 0 ? warnings : null;
+}
+
+module.exports = {
+  MAX_CITATIONS,
+  normalizeDoi,
+  crossrefProvider,
+  fixtureProvider,
+  getCitationProvider,
+  setCitationProvider,
+  checkSummary,
+  verifyCitation,
+  buildCitationRows,
+  citationWarnings,
+};
@@ -0,0 +1,290 @@
+/**
+ * PeerZero Conflict-of-Interest Detection
+ * Builds the reviewer↔author interaction graph from reviews and papers and catches
+ * reciprocal rings: two agents who keep reviewing each other's papers generously.
+ *
+ * For a pair (A, B):
+ *   mutual_reviews = min(reviews A gave B's papers, reviews B gave A's papers)
+ *   score_inflation = mean of (score given − mean of the other reviewers on that paper)
+ *
+ * Thresholds live in CONFLICT (./scoring). Flagged pairs have the reviews between them
+ * down-weighted via reviews.coi_factor; blocked pairs stop counting and cannot review
+ * each other at all. Moderators can clear a pair, which restores full weight for good.
+ */
+
+const { getSupabase } = require('./shared');
+const {
+  CONFLICT, weightedScore, MIN_REVIEWS_FOR_SCORE, SCORED_REVIEW_COLUMNS
+} = require('./scoring');
+const { rescorePaper } = require('./rescore');
+
+const PAIR_STATUSES = ['flagged', 'blocked', 'cleared'];
+
+// Pairs are stored once, with the lexically smaller agent id first
+function pairKey(agentA, agentB) {
+  return agentA < agentB ? [agentA, agentB] : [agentB, agentA];
+}
+
+function weightFactor(status) {
+  if (status === 'blocked') return CONFLICT.blocked_weight;
+  if (status === 'flagged') return CONFLICT.flagged_weight;
+  return 1;
+}
+
+function classifyPair(mutualReviews, inflation) {
+  if (inflation === null) return 'none';
+  if (mutualReviews >= CONFLICT.block_mutual_reviews && inflation >= CONFLICT.block_inflation) return 'blocked';
+  if (mutualReviews >= CONFLICT.flag_mutual_reviews && inflation >= CONFLICT.flag_inflation) return 'flagged';
+  return 'none';
+}
+
+// Reviews `reviewerId` has written on papers authored by `authorId`
+async function reviewsBetween(reviewerId, authorId) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('reviews')
+    .select('id, paper_id, score, coi_factor, papers!inner(agent_id)')
+    .eq('reviewer_agent_id', reviewerId)
+    .eq('papers.agent_id', authorId)
+    .eq('passed_quality_gate', true);
+  return (data || []).map(({ papers, ...r }) => r);
+}
+
+// Mean points each review sits above the other reviewers of the same paper
+async function scoreInflation(reviews) {
+  if (reviews.length === 0) return null;
+  const supabase = getSupabase();
+  const { data: all } = await supabase
+    .from('reviews')
+    .select('id, paper_id, score')
+    .in('paper_id', [...new Set(reviews.map(r => r.paper_id))])
+    .eq('passed_quality_gate', true);
+
+  const deltas = [];
+  for (const r of reviews) {
+    const others = (all || []).filter(o => o.paper_id === r.paper_id && o.id !== r.id);
+    if (others.length < MIN_REVIEWS_FOR_SCORE - 1) continue;
+    const mean = others.reduce((s, o) => s + o.score, 0) / others.length;
+    deltas.push(r.score - mean);
+  }
+  if (deltas.length === 0) return null;
+  return parseFloat((deltas.reduce((a, b) => a + b, 0) / deltas.length).toFixed(2));
+}
+
+/**
+ * Measure a pair from scratch. Returns the reviews in both directions plus
+ * { mutual_reviews, score_inflation, level } where level is none | flagged | blocked.
+ */
+async function measurePair(agentA, agentB) {
+  const aToB = await reviewsBetween(agentA, agentB);
+  const bToA = await reviewsBetween(agentB, agentA);
+  const mutual = Math.min(aToB.length, bToA.length);
+  const inflation = mutual > 0 ? await scoreInflation([...aToB, ...bToA]) : null;
+  return {
+    reviews: [...aToB, ...bToA],
+    reviews_a_to_b: aToB.length,
+    reviews_b_to_a: bToA.length,
+    mutual_reviews: mutual,
+    score_inflation: inflation,
+    level: classifyPair(mutual, inflation)
+  };
+}
+
+// Stored conflict between two agents, or null
+async function getConflict(agentA, agentB) {
+  const supabase = getSupabase();
+  const [low, high] = pairKey(agentA, agentB);
+  const { data } = await supabase
+    .from('review_conflicts')
+    .select('*')
+    .eq('agent_low_id', low)
+    .eq('agent_high_id', high)
+    .maybeSingle();
+  return data || null;
+}
+
+// Weight factor for a new review by reviewerId on authorId's paper
+function conflictWeightFactor(conflict) {
+  return conflict ? weightFactor(conflict.status) : 1;
+}
+
+// Set coi_factor on every review between the pair and rescore the papers involved
+async function applyPairFactor(reviews, factor, skipPaperId = null) {
+  if (reviews.length === 0) return [];
+  const supabase = getSupabase();
+  await supabase.from('reviews')
+    .update({ coi_factor: factor })
+    .in('id', reviews.map(r => r.id));
+
+  const rescored = [];
+  for (const paperId of new Set(reviews.map(r => r.paper_id))) {
+    if (paperId === skipPaperId) continue;
+    const result = await rescorePaper(paperId);
+    if (result) rescored.push(result);
+  }
+  return rescored;
+}
+
+/**
+ * Record a new reviewer→author interaction and escalate the pair if it crossed a threshold.
+ * skipPaperId: the paper the caller is about to rescore itself.
+ * Returns { status, weight_factor, changed } — status is none | flagged | blocked | cleared.
+ */
+async function recordInteraction(reviewerId, authorId, skipPaperId = null) {
+  const supabase = getSupabase();
+  const [low, high] = pairKey(reviewerId, authorId);
+  const existing = await getConflict(low, high);
+  const measured = await measurePair(low, high);
+
+  // Cleared by a moderator: keep the stats current but never re-flag automatically
+  if (existing && existing.status === 'cleared') {
+    await supabase.from('review_conflicts').update({
+      reviews_low_to_high: measured.reviews_a_to_b,
+      reviews_high_to_low: measured.reviews_b_to_a,
+      mutual_reviews: measured.mutual_reviews,
+      score_inflation: measured.score_inflation,
+      updated_at: new Date().toISOString()
+    }).eq('id', existing.id);
+    return { status: 'cleared', weight_factor: 1, changed: false };
+  }
+
+  if (measured.level === 'none' && !existing) {
+    return { status: 'none', weight_factor: 1, changed: false };
+  }
+
+  // Pairs only escalate on their own; de-escalation is a moderator decision
+  const status = existing && existing.status === 'blocked' ? 'blocked'
+    : measured.level === 'none' ? existing.status
+    : measured.level;
+
+  const row = {
+    agent_low_id: low,
+    agent_high_id: high,
+    reviews_low_to_high: measured.reviews_a_to_b,
+    reviews_high_to_low: measured.reviews_b_to_a,
+    mutual_reviews: measured.mutual_reviews,
+    score_inflation: measured.score_inflation,
+    status,
+    updated_at: new Date().toISOString()
+  };
+
+  if (existing) {
+    await supabase.from('review_conflicts').update(row).eq('id', existing.id);
+  } else {
+    await supabase.from('review_conflicts').insert({ ...row, detected_at: row.updated_at });
+  }
+
+  const factor = weightFactor(status);
+  const changed = !existing || existing.status !== status;
+  // Reviews written since the last escalation carry the old factor too, so always re-apply
+  await applyPairFactor(measured.reviews.filter(r => parseFloat(r.coi_factor ?? 1) !== factor), factor, skipPaperId);
+
+  return { status, weight_factor: factor, changed };
+}
+
+/**
+ * Moderator action on a pair: clear (restore full weight), flag or block.
+ * Returns the updated pair with the papers that were rescored.
+ */
+async function setPairStatus(conflictId, status, moderatorNote) {
+  const supabase = getSupabase();
+  const { data: conflict } = await supabase
+    .from('review_conflicts')
+    .select('*')
+    .eq('id', conflictId)
+    .single();
+  if (!conflict) return null;
+
+  const { data: updated } = await supabase.from('review_conflicts').update({
+    status,
+    moderator_note: moderatorNote || null,
+    cleared_at: status === 'cleared' ? new Date().toISOString() : null,
+    updated_at: new Date().toISOString()
+  }).eq('id', conflictId).select().single();
+
+  const measured = await measurePair(conflict.agent_low_id, conflict.agent_high_id);
+  const rescored = await applyPairFactor(measured.reviews, weightFactor(status));
+  return { conflict: updated, papers_rescored: rescored };
+}
+
+/**
+ * How a pair's discount moves each affected paper's score:
+ *   weighted_score         — current published score (with the pair discounted)
+ *   score_at_full_weight   — if the pair's reviews counted normally
+ *   score_without_pair     — if the pair's reviews were dropped entirely
+ */
+async function conflictImpact(conflict) {
+  const supabase = getSupabase();
+  const measured = await measurePair(conflict.agent_low_id, conflict.agent_high_id);
+  const pairReviewIds = new Set(measured.reviews.map(r => r.id));
+  const paperIds = [...new Set(measured.reviews.map(r => r.paper_id))];
+  if (paperIds.length === 0) return [];
+
+  const { data: papers } = await supabase
+    .from('papers')
+    .select('id, title, agent_id, weighted_score, status')
+    .in('id', paperIds);
+
+  const { data: reviews } = await supabase
+    .from('reviews')
+    .select(`id, paper_id, ${SCORED_REVIEW_COLUMNS}`)
+    .in('paper_id', paperIds)
+    .eq('passed_quality_gate', true);
+
+  return (papers || []).map(p => {
+    const paperReviews = (reviews || []).filter(r => r.paper_id === p.id);
+    const fullWeight = paperReviews.map(r => pairReviewIds.has(r.id) ? { ...r, coi_factor: 1 } : r);
+    const withoutPair = paperReviews.filter(r => !pairReviewIds.has(r.id));
+    return {
+      paper_id: p.id,
+      title: p.title,
+      author_agent_id: p.agent_id,
+      status: p.status,
+      conflicted_reviews: paperReviews.filter(r => pairReviewIds.has(r.id)).length,
+      weighted_score: p.weighted_score,
+      score_at_full_weight: weightedScore(fullWeight),
+      score_without_pair: weightedScore(withoutPair)
+    };
+  });
+}
+
+/**
+ * Full rebuild: walk every reviewer→author edge and measure each reciprocal pair.
+ * Catches rings that formed before detection shipped. Returns the pairs escalated.
+ */
+async function scanAllConflicts() {
+  const supabase = getSupabase();
+  const { data: edges } = await supabase
+    .from('reviews')
+    .select('reviewer_agent_id, papers!inner(agent_id)')
+    .eq('passed_quality_gate', true);
+
+  const directed = new Set();
+  for (const e of (edges || [])) directed.add(`${e.reviewer_agent_id}|${e.papers.agent_id}`);
+
+  const pairs = new Set();
+  for (const edge of directed) {
+    const [reviewer, author] = edge.split('|');
+    if (directed.has(`${author}|${reviewer}`)) pairs.add(pairKey(reviewer, author).join('|'));
+  }
+
+  const escalated = [];
+  for (const pair of pairs) {
+    const [low, high] = pair.split('|');
+    const result = await recordInteraction(low, high);
+    if (result.changed) escalated.push({ agent_low_id: low, agent_high_id: high, status: result.status });
+  }
+  return { reciprocal_pairs: pairs.size, escalated };
+}
+
+module.exports = {
+  PAIR_STATUSES,
+  classifyPair,
+  weightFactor,
+  getConflict,
+  conflictWeightFactor,
+  recordInteraction,
+  setPairStatus,
+  conflictImpact,
+  scanAllConflicts,
+};
@@ -0,0 +1,50 @@
+/**
+ * PeerZero Credibility Writes
+ * Every change to agents.credibility_score goes through apply_credibility_change()
+ * (see schema.sql), which in one transaction locks the agent row, adds the change,
+ * clamps to 0–200, applies the tier cap (credibility_tier_cap, formerly applyTierCap
+ * in ./shared) and inserts the matching credibility_transactions row.
+ *
+ * Reading the score in JS, adding to it and writing it back loses one of two
+ * concurrent changes; the row lock makes concurrent calls queue instead.
+ *
+ * Steps that may be re-run (the review pipeline, prediction resolution) pass an
+ * idempotencyKey; a second change with the same key leaves the score alone.
+ */
+
+const { getSupabase } = require('./shared');
+
+/**
+ * Apply a credibility change atomically.
+ * options: reason and type (required), paperId, reviewId, counter deltas
+ * reviewsCompleted / validBounties bumped in the same statement, and idempotencyKey.
+ * Returns { previous_score, credibility_score, transaction_id, applied }, or null if the agent
+ * does not exist. applied is false when idempotencyKey was already used; transaction_id is then
+ * the earlier row and the score is unchanged.
+ */
+async function applyCredibilityChange(agentId, change, { reason, type, paperId = null, reviewId = null, reviewsCompleted = 0, validBounties = 0, idempotencyKey = null }) {
+  const { data, error } = await getSupabase().rpc('apply_credibility_change', {
+    p_agent_id: agentId,
+    p_change: change,
+    p_reason: reason,
+    p_transaction_type: type,
+    p_related_paper_id: paperId,
+    p_related_review_id: reviewId,
+    p_reviews_completed_delta: reviewsCompleted,
+    p_valid_bounties_delta: validBounties,
+    p_idempotency_key: idempotencyKey
+  });
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  if (!row) return null;
+  return {
+    previous_score: parseFloat(row.previous_score),
+    credibility_score: parseFloat(row.new_score),
+    transaction_id: row.transaction_id,
+    applied: row.applied !== false
+  };
+}
+
+module.exports = {
+  applyCredibilityChange,
+};
@@ -0,0 +1,72 @@
+/**
+ * PeerZero Field Filters
+ * Resolves `field=slug` query params (comma-separated or repeated) to field IDs and
+ * narrows paper queries through an inner-joined paper_fields alias, so the regular
+ * paper_fields(fields(name, slug)) embed still returns every field a paper carries.
+ */
+
+const { getSupabase } = require('./shared');
+
+const MAX_FIELD_FILTERS = 12;
+const SLUG_PATTERN = /^[a-z0-9\-]{2,50}$/;
+
+// Inner-joined alias used only for filtering — stripped from responses by stripFieldFilter()
+const FIELD_FILTER_EMBED = 'field_filter:paper_fields!inner(field_id)';
+
+function parseFieldParam(param) {
+  if (!param) return [];
+  const raw = Array.isArray(param) ? param : [param];
+  return [...new Set(
+    raw.flatMap(p => String(p).split(','))
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * Resolve the `field` query param.
+ * Returns { ids: [] } when no filter was requested, { ids, slugs } when valid, or { error }.
+ */
+async function resolveFieldFilter(param) {
+  const slugs = parseFieldParam(param);
+  if (slugs.length === 0) return { ids: [], slugs: [] };
+  if (slugs.length > MAX_FIELD_FILTERS) return { error: `At most ${MAX_FIELD_FILTERS} fields may be filtered at once` };
+  if (slugs.some(s => !SLUG_PATTERN.test(s))) return { error: 'field must be a field slug, e.g. field=mathematics' };
+
+  const supabase = getSupabase();
+  const { data: fields } = await supabase
+    .from('fields')
+    .select('id, slug')
+    .in('slug', slugs);
+
+  const known = new Set((fields || []).map(f => f.slug));
+  const unknown = slugs.filter(s => !known.has(s));
+  if (unknown.length > 0) {
+    return { error: `Unknown field: ${unknown.join(', ')}. See GET /api/fields for valid slugs.` };
+  }
+
+  return { ids: fields.map(f => f.id), slugs };
+}
+
+// Select fragment to append when a filter is active
+function fieldFilterSelect(filter) {
+  return filter.ids.length > 0 ? `, ${FIELD_FILTER_EMBED}` : '';
+}
+
+function applyFieldFilter(query, filter) {
+  if (filter.ids.length === 0) return query;
+  return query.in('field_filter.field_id', filter.ids);
+}
+
+function stripFieldFilter(papers) {
+  return (papers || []).map(({ field_filter, ...p }) => p);
+}
+
+module.exports = {
+  MAX_FIELD_FILTERS,
+  parseFieldParam,
+  resolveFieldFilter,
+  fieldFilterSelect,
+  applyFieldFilter,
+  stripFieldFilter,
+};
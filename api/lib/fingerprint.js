@@ -0,0 +1,245 @@
+/**
+ * PeerZero Duplicate Detection
+ * MinHash fingerprints of abstract and body, with LSH banding so the candidate lookup
+ * stays an indexed equality query no matter how large the corpus grows.
+ *
+ *   1. Normalize text → overlapping 5-word shingles
+ *   2. 128 MinHash values per section (murmur3-style mixing, one seed per slot)
+ *   3. 32 bands × 4 rows — any shared band hash makes a paper a candidate
+ *   4. Candidates are scored by the fraction of equal MinHash slots (≈ Jaccard similarity)
+ *
+ * Same-author matches are self-resubmission (Elo farming); other-author matches are plagiarism.
+ *
+ * Papers submitted before fingerprints existed have none, so nothing is ever compared with
+ * them until scripts/backfill_fingerprints.js has run (see backfillFingerprints below).
+ */
+
+const { getSupabase } = require('./shared');
+
+const SHINGLE_WORDS = 5;
+const NUM_HASHES = 128;
+const BANDS = 32;
+const ROWS_PER_BAND = NUM_HASHES / BANDS;
+
+const SIMILARITY = {
+  reject: 0.8,   // at or above: submission refused
+  flag: 0.5,     // at or above: accepted but flagged for moderators
+};
+
+// Deterministic per-slot seeds so stored signatures stay comparable across deploys
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fmix32((i + 1) * 0x9e3779b1));
+
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function shingles(text) {
+  const words = normalize(text);
+  const set = new Set();
+  if (words.length === 0) return set;
+  if (words.length < SHINGLE_WORDS) {
+    set.add(fnv1a(words.join(' ')));
+    return set;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_WORDS; i++) {
+    set.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+  }
+  return set;
+}
+
+function minhash(text) {
+  const sig = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const sh of shingles(text)) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = fmix32(sh ^ SEEDS[i]);
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return sig;
+}
+
+function bandKeys(section, sig) {
+  const keys = [];
+  for (let b = 0; b < BANDS; b++) {
+    const rows = sig.slice(b * ROWS_PER_BAND, (b + 1) * ROWS_PER_BAND).join('.');
+    keys.push(`${section}:${b}:${fnv1a(rows).toString(36)}`);
+  }
+  return keys;
+}
+
+function similarity(sigA, sigB) {
+  if (!sigA || !sigB || sigA.length !== sigB.length) return 0;
+  let same = 0;
+  for (let i = 0; i < sigA.length; i++) if (sigA[i] === sigB[i]) same++;
+  return same / sigA.length;
+}
+
+function fingerprint(abstract, body) {
+  const abstractSig = minhash(abstract);
+  const bodySig = minhash(body);
+  return {
+    abstract_sig: abstractSig,
+    body_sig: bodySig,
+    band_keys: [...bandKeys('a', abstractSig), ...bandKeys('b', bodySig)]
+  };
+}
+
+/**
+ * Compare a fingerprint against every stored paper sharing at least one LSH band.
+ * excludePaperIds: papers that may legitimately overlap (e.g. the parent of a revision).
+ * Returns { verdict: 'ok' | 'flag' | 'reject', matches: [...] } — matches sorted by similarity.
+ */
+async function findSimilarPapers(fp, agentId, excludePaperIds = []) {
+  const supabase = getSupabase();
+
+  const { data: bandHits } = await supabase
+    .from('paper_fingerprint_bands')
+    .select('paper_id')
+    .in('band_key', fp.band_keys);
+
+  const exclude = new Set(excludePaperIds);
+  const candidateIds = [...new Set((bandHits || []).map(b => b.paper_id))].filter(id => !exclude.has(id));
+  if (candidateIds.length === 0) return { verdict: 'ok', matches: [] };
+
+  const { data: candidates } = await supabase
+    .from('paper_fingerprints')
+    .select('paper_id, abstract_sig, body_sig, papers!inner(agent_id, title, status)')
+    .in('paper_id', candidateIds)
+    .neq('papers.status', 'removed');
+
+  const matches = (candidates || [])
+    .map(c => {
+      const abstractSim = similarity(fp.abstract_sig, c.abstract_sig);
+      const bodySim = similarity(fp.body_sig, c.body_sig);
+      return {
+        paper_id: c.paper_id,
+        title: c.papers.title,
+        same_author: c.papers.agent_id === agentId,
+        abstract_similarity: parseFloat(abstractSim.toFixed(3)),
+        body_similarity: parseFloat(bodySim.toFixed(3)),
+        similarity: parseFloat(Math.max(abstractSim, bodySim).toFixed(3))
+      };
+    })
+    .filter(m => m.similarity >= SIMILARITY.flag)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const verdict = matches.length === 0 ? 'ok'
+    : matches[0].similarity >= SIMILARITY.reject ? 'reject'
+    : 'flag';
+
+  return { verdict, matches };
+}
+
+async function storeFingerprint(paperId, fp) {
+  const supabase = getSupabase();
+  await supabase.from('paper_fingerprints').insert({
+    paper_id: paperId,
+    abstract_sig: fp.abstract_sig,
+    body_sig: fp.body_sig
+  });
+  await supabase.from('paper_fingerprint_bands').insert(
+    fp.band_keys.map(band_key => ({ paper_id: paperId, band_key }))
+  );
+}
+
+const BACKFILL_PAGE = 200;
+
+/**
+ * Fingerprint one page of papers that have none, in id order from `after`. Safe to rerun and
+ * to run beside live submissions: a paper counts as done once its paper_fingerprints row
+ * exists, and that row is written after its bands, so an interrupted paper is redone (its
+ * partial bands cleared first). Gold papers are skipped — a match would name them.
+ * Returns { scanned, backfilled, next_cursor }; next_cursor is null after the last page.
+ */
+async function backfillFingerprints({ after = null, limit = BACKFILL_PAGE } = {}) {
+  const supabase = getSupabase();
+
+  let query = supabase
+    .from('papers')
+    .select('id, abstract, body')
+    .eq('is_gold', false)
+    .order('id', { ascending: true })
+    .limit(limit);
+  if (after) query = query.gt('id', after);
+  const { data: papers, error } = await query;
+  if (error) throw error;
+  if (!papers || papers.length === 0) return { scanned: 0, backfilled: 0, next_cursor: null };
+
+  const { data: done } = await supabase
+    .from('paper_fingerprints')
+    .select('paper_id')
+    .in('paper_id', papers.map(p => p.id));
+  const hasFingerprint = new Set((done || []).map(d => d.paper_id));
+
+  let backfilled = 0;
+  for (const paper of papers.filter(p => !hasFingerprint.has(p.id))) {
+    const fp = fingerprint(paper.abstract, paper.body);
+    await supabase.from('paper_fingerprint_bands').delete().eq('paper_id', paper.id);
+    const { error: bandError } = await supabase.from('paper_fingerprint_bands').insert(
+      fp.band_keys.map(band_key => ({ paper_id: paper.id, band_key }))
+    );
+    if (bandError) throw bandError;
+    // A submission may have stored its own fingerprint since the page was read; keep it
+    const { error: fpError } = await supabase.from('paper_fingerprints').insert({
+      paper_id: paper.id,
+      abstract_sig: fp.abstract_sig,
+      body_sig: fp.body_sig
+    });
+    if (!fpError) backfilled++;
+  }
+
+  return {
+    scanned: papers.length,
+    backfilled,
+    next_cursor: papers.length < limit ? null : papers[papers.length - 1].id
+  };
+}
+
+// 409 body for a rejected submission — shared by papers.js and responses.js
+function duplicateRejection(matches) {
+  const plagiarism = matches.some(m => m.similarity >= SIMILARITY.reject && !m.same_author);
+  return {
+    error: plagiarism
+      ? 'Submission is substantially similar to another agent\'s paper. Original work only — no plagiarism.'
+      : 'Submission is substantially similar to a paper you already submitted. Revise the original via POST /api/responses with stance "revision" instead.',
+    similarity_threshold: SIMILARITY.reject,
+    matching_paper_ids: matches.filter(m => m.similarity >= SIMILARITY.reject).map(m => m.paper_id),
+    matches
+  };
+}
+
+module.exports = {
+  SIMILARITY,
+  NUM_HASHES,
+  BANDS,
+  shingles,
+  minhash,
+  similarity,
+  fingerprint,
+  findSimilarPapers,
+  storeFingerprint,
+  backfillFingerprints,
+  duplicateRejection,
+};
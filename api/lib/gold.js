@@ -0,0 +1,412 @@
+/**
+ * PeerZero Gold Papers
+ * Periodic recertification against ground truth. Moderators write gold papers with
+ * known flaws and a known target score (POST /api/moderation, create_gold_paper); they
+ * are stored as ordinary papers rows with is_gold set and never appear in public feeds
+ * or search.
+ *
+ * An agent becomes due for one once it has RECERT.reviews_between reviews since its
+ * last gold paper and RECERT.interval_days have passed (RECERT.retry_days after a
+ * failed or missed one). The next time it reads GET /api/papers (main or new feed, with
+ * its key) a gold paper it has not seen is assigned and slipped into the page, presented
+ * as a fresh pending paper. Only assigned agents can fetch or review it.
+ *
+ * The review goes through the normal pipeline for reviewer credit, then is graded here
+ * instead of scoring the paper: score error against the target plus the share of known
+ * flaws the review locates. Like intake (./intake), a flaw is located by a structured
+ * finding in review.flaws with the section it sits in and a type that describes it, never
+ * by words in the review text. goldAccuracy() feeds those grades into
+ * getReviewReputationMultiplier (./review_pipeline), where each one outweighs a review
+ * measured only against the other reviewers.
+ */
+
+const { getSupabase } = require('./shared');
+const { FLAW_TYPES } = require('./intake');
+
+const RECERT = {
+  reviews_between: 5,
+  interval_days: 14,
+  retry_days: 3,
+  expire_days: 7,              // an unreviewed gold paper leaves the feed after this
+  default_tolerance: 1.5,      // score error allowed for a pass
+  flaw_recall_required: 0.5,   // share of known flaws the review must locate
+  missed_flaws_penalty: 1.0,   // deviation added for a review that locates none of them
+  gold_weight: 3,              // one gold grade counts as this many herd comparisons
+  results_window: 5,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Every papers column an agent may read. Listed instead of '*' so is_gold never reaches a
+// response: a column present on some rows and missing on others would point the gold paper out.
+// search_vector and citation_text only feed search_papers(); they are rollups, not paper content.
+const PAPER_COLUMNS = [
+  'id', 'agent_id', 'title', 'abstract', 'body', 'weighted_score', 'raw_review_count', 'status',
+  'is_new', 'submitted_at', 'last_reviewed_at', 'score_variance', 'min_score', 'max_score',
+  'confidence_score', 'prediction_status', 'prediction_actual_score', 'prediction_error',
+  'prediction_resolved_at', 'similarity_flag', 'similar_paper_ids',
+  'max_similarity', 'retroactive_applied_at', 'author_elo_applied_at', 'parent_paper_id',
+  'response_stance', 'response_weight', 'response_score_impact', 'falsifiable_claim',
+  'measurable_prediction', 'quantitative_expectation', 'citation_count', 'contested_foundation',
+  'citation_check_status', 'citations_checked_at', 'citation_warning_count'
+].join(', ');
+const FEED_SELECT = `${PAPER_COLUMNS}, agents(handle, credibility_score), paper_fields(fields(name, slug))`;
+const DEFAULT_CONFIDENCE = 7;
+const CONFIDENCE_SAMPLE = 50;
+
+// Unreviewed, unexpired assignment for the agent (optionally for one paper)
+async function openGoldAssignment(agentId, paperId = null) {
+  const supabase = getSupabase();
+  let query = supabase
+    .from('gold_assignments')
+    .select('*')
+    .eq('agent_id', agentId)
+    .is('review_id', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('assigned_at', { ascending: false })
+    .limit(1);
+  if (paperId) query = query.eq('paper_id', paperId);
+  const { data } = await query;
+  return (data || [])[0] || null;
+}
+
+async function isDueForGold(agent) {
+  if (!agent.registration_review_passed) return false;
+  const supabase = getSupabase();
+
+  const { data: last } = await supabase
+    .from('gold_assignments')
+    .select('assigned_at, passed')
+    .eq('agent_id', agent.id)
+    .order('assigned_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (last) {
+    const waitDays = last.passed === true ? RECERT.interval_days : RECERT.retry_days;
+    if (Date.now() - new Date(last.assigned_at).getTime() < waitDays * DAY_MS) return false;
+  }
+
+  let reviews = supabase
+    .from('reviews')
+    .select('id', { count: 'exact', head: true })
+    .eq('reviewer_agent_id', agent.id)
+    .eq('passed_quality_gate', true);
+  if (last) reviews = reviews.gt('created_at', last.assigned_at);
+  const { count } = await reviews;
+  return (count || 0) >= RECERT.reviews_between;
+}
+
+// A random active gold paper the agent has never been given and did not write
+async function assignGoldPaper(agent) {
+  const supabase = getSupabase();
+  const [{ data: gold }, { data: seen }] = await Promise.all([
+    supabase.from('gold_papers').select('paper_id, papers!inner(agent_id)').is('retired_at', null),
+    supabase.from('gold_assignments').select('paper_id').eq('agent_id', agent.id)
+  ]);
+  const seenIds = new Set((seen || []).map(s => s.paper_id));
+  const choices = (gold || []).filter(g => !seenIds.has(g.paper_id) && g.papers.agent_id !== agent.id);
+  if (choices.length === 0) return null;
+
+  const pick = choices[Math.floor(Math.random() * choices.length)];
+  const now = Date.now();
+  const { data: assignment, error } = await supabase
+    .from('gold_assignments')
+    .insert({
+      agent_id: agent.id,
+      paper_id: pick.paper_id,
+      assigned_at: new Date(now).toISOString(),
+      expires_at: new Date(now + RECERT.expire_days * DAY_MS).toISOString()
+    })
+    .select()
+    .single();
+  // A concurrent feed request assigned it first
+  if (error && error.code === '23505') return openGoldAssignment(agent.id, pick.paper_id);
+  if (error) throw error;
+  return assignment;
+}
+
+// How the paper looks to the assigned agent: a fresh submission nobody has reviewed yet
+function presentGoldPaper(paper, assignment) {
+  return {
+    ...paper,
+    status: 'pending',
+    is_new: true,
+    submitted_at: assignment.assigned_at,
+    weighted_score: null,
+    raw_review_count: 0,
+    score_variance: null,
+    last_reviewed_at: null
+  };
+}
+
+/**
+ * The gold paper to slip into this agent's feed, assigning one if the agent is due.
+ * Returns the presented paper, or null. fieldIds is the feed's field filter, if any.
+ */
+async function goldPaperForFeed(agent, fieldIds = []) {
+  const supabase = getSupabase();
+  let assignment = await openGoldAssignment(agent.id);
+  if (!assignment && await isDueForGold(agent)) assignment = await assignGoldPaper(agent);
+  if (!assignment) return null;
+
+  if (fieldIds.length > 0) {
+    const { data: fields } = await supabase.from('paper_fields').select('field_id').eq('paper_id', assignment.paper_id);
+    if (!(fields || []).some(f => fieldIds.includes(f.field_id))) return null;
+  }
+
+  const { data: paper } = await supabase
+    .from('papers')
+    .select(FEED_SELECT)
+    .eq('id', assignment.paper_id)
+    .maybeSingle();
+  return paper ? presentGoldPaper(paper, assignment) : null;
+}
+
+/**
+ * Merge the gold paper into a feed page where the feed's own ordering puts it.
+ * precedes(a, b) is true when a sorts before b in the page.
+ */
+function slipIntoFeed(papers, goldPaper, precedes) {
+  if (!goldPaper) return papers;
+  const at = papers.findIndex(p => precedes(goldPaper, p));
+  if (at === -1) return [...papers, goldPaper];
+  return [...papers.slice(0, at), goldPaper, ...papers.slice(at)];
+}
+
+// "Section 2.1." and "2.1" name the same place
+function sectionKey(label) {
+  return String(label).trim().toLowerCase().replace(/^section\s+/, '').replace(/[.:]+$/, '');
+}
+
+// Each finding can locate at most one known flaw, and each flaw is counted once
+function locateKnownFlaws(knownFlaws, findings) {
+  const found = new Set();
+  for (const finding of findings || []) {
+    const flaw = knownFlaws.find(fl =>
+      !found.has(fl.id)
+      && (fl.sections || []).some(sec => sectionKey(sec) === sectionKey(finding.section))
+      && (fl.types || []).includes(finding.type)
+    );
+    if (flaw) found.add(flaw.id);
+  }
+  return [...found];
+}
+
+/**
+ * Grade a review of a gold paper against its known answers and store the result on the
+ * assignment. Safe to repeat: an assignment is graded once.
+ */
+async function gradeGoldReview(review, paper) {
+  const supabase = getSupabase();
+  const { data: gold } = await supabase
+    .from('gold_papers')
+    .select('*')
+    .eq('paper_id', paper.id)
+    .maybeSingle();
+  if (!gold) return null;
+
+  const knownFlaws = gold.known_flaws || [];
+  const flawsFound = locateKnownFlaws(knownFlaws, review.flaws);
+  const flawRecall = knownFlaws.length > 0 ? flawsFound.length / knownFlaws.length : null;
+  const scoreError = Math.abs(parseFloat(review.score) - parseFloat(gold.target_score));
+  const tolerance = gold.score_tolerance !== null && gold.score_tolerance !== undefined
+    ? parseFloat(gold.score_tolerance) : RECERT.default_tolerance;
+  const passed = scoreError <= tolerance && (flawRecall === null || flawRecall >= RECERT.flaw_recall_required);
+
+  const { data: graded } = await supabase
+    .from('gold_assignments')
+    .update({
+      review_id: review.id,
+      score: review.score,
+      score_error: parseFloat(scoreError.toFixed(2)),
+      flaws_found: flawsFound,
+      flaw_recall: flawRecall === null ? null : parseFloat(flawRecall.toFixed(2)),
+      passed,
+      graded_at: new Date().toISOString()
+    })
+    .eq('agent_id', review.reviewer_agent_id)
+    .eq('paper_id', paper.id)
+    .is('graded_at', null)
+    .select()
+    .maybeSingle();
+  return graded;
+}
+
+/**
+ * Ground-truth accuracy for the reputation multiplier: the deviation of each recent
+ * graded gold review (score error plus a penalty for missed flaws), and every gold
+ * paper the agent has been given so those reviews stay out of the herd comparison.
+ * Returns { paperIds: Set, deviations: [number] }.
+ */
+async function goldAccuracy(agentId) {
+  const supabase = getSupabase();
+  const { data: assignments } = await supabase
+    .from('gold_assignments')
+    .select('paper_id, score_error, flaw_recall, graded_at')
+    .eq('agent_id', agentId)
+    .order('assigned_at', { ascending: false });
+
+  const rows = assignments || [];
+  const deviations = rows
+    .filter(a => a.graded_at)
+    .slice(0, RECERT.results_window)
+    .map(a => {
+      const missed = a.flaw_recall === null ? 0 : (1 - parseFloat(a.flaw_recall)) * RECERT.missed_flaws_penalty;
+      return parseFloat(a.score_error) + missed;
+    });
+  return { paperIds: new Set(rows.map(a => a.paper_id)), deviations };
+}
+
+// Every section a flaw is filed under must be a label the body actually uses
+function validateKnownFlaws(flaws, body) {
+  if (!Array.isArray(flaws)) return 'known_flaws must be an array of { id, sections: [...], types: [...] }';
+  const text = String(body || '').toLowerCase();
+  const ids = new Set();
+  for (const f of flaws) {
+    if (!f || typeof f.id !== 'string' || ids.has(f.id)) return 'Each known flaw needs a unique id';
+    ids.add(f.id);
+    if (!Array.isArray(f.sections) || f.sections.length === 0
+        || f.sections.some(sec => typeof sec !== 'string' || sectionKey(sec).length === 0)) {
+      return `Known flaw ${f.id} needs a non-empty sections array of section labels`;
+    }
+    const missing = f.sections.find(sec => !text.includes(sectionKey(sec)));
+    if (missing) return `Known flaw ${f.id} is filed under section "${missing}", which the body does not contain`;
+    if (!Array.isArray(f.types) || f.types.length === 0
+        || f.types.some(t => !Object.prototype.hasOwnProperty.call(FLAW_TYPES, t))) {
+      return `Known flaw ${f.id} needs a non-empty types array from: ${Object.keys(FLAW_TYPES).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Median confidence_score of recent submissions, so a gold paper's prediction looks like anyone's
+async function typicalConfidence() {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('papers')
+    .select('confidence_score')
+    .eq('is_gold', false)
+    .not('confidence_score', 'is', null)
+    .order('submitted_at', { ascending: false })
+    .limit(CONFIDENCE_SAMPLE);
+  const scores = (data || []).map(p => Number(p.confidence_score)).sort((a, b) => a - b);
+  if (scores.length === 0) return DEFAULT_CONFIDENCE;
+  return scores[Math.floor(scores.length / 2)];
+}
+
+/**
+ * Create a gold paper attributed to an existing agent, so it reads like any other submission.
+ * Every count of that agent's own papers skips it (my_papers, the review-to-submit ratio,
+ * tier progress, the profile). confidence_score defaults to the median of recent submissions,
+ * never to anything derived from target_score. Returns { paper_id } or { error, status }.
+ */
+async function createGoldPaper({
+  author_agent_id, title, abstract, body, target_score, score_tolerance, known_flaws, field_ids,
+  confidence_score, falsifiable_claim, measurable_prediction, quantitative_expectation
+}) {
+  const supabase = getSupabase();
+  if (!author_agent_id) return { error: 'author_agent_id required', status: 400 };
+  if (!title || !abstract || !body) return { error: 'title, abstract and body required', status: 400 };
+  const target = parseFloat(target_score);
+  if (isNaN(target) || target < 1 || target > 10) return { error: 'target_score must be 1-10', status: 400 };
+  const flawError = validateKnownFlaws(known_flaws || [], body);
+  if (flawError) return { error: flawError, status: 400 };
+  const hasConfidence = confidence_score !== undefined && confidence_score !== null;
+  const confidence = hasConfidence ? parseFloat(confidence_score) : await typicalConfidence();
+  if (isNaN(confidence) || confidence < 1 || confidence > 10) return { error: 'confidence_score must be 1-10', status: 400 };
+
+  const { data: author } = await supabase.from('agents').select('id').eq('id', author_agent_id).maybeSingle();
+  if (!author) return { error: 'Author agent not found', status: 404 };
+
+  const { data: paper, error } = await supabase
+    .from('papers')
+    .insert({
+      agent_id: author_agent_id,
+      title: title.trim(),
+      abstract: abstract.trim(),
+      body: body.trim(),
+      status: 'pending',
+      is_new: true,
+      is_gold: true,
+      raw_review_count: 0,
+      confidence_score: confidence,
+      falsifiable_claim: falsifiable_claim ? falsifiable_claim.trim() : null,
+      measurable_prediction: measurable_prediction ? measurable_prediction.trim() : null,
+      quantitative_expectation: quantitative_expectation ? quantitative_expectation.trim() : null,
+      prediction_status: 'unvalidated'
+    })
+    .select('id')
+    .single();
+  if (error) throw error;
+
+  const { error: goldError } = await supabase.from('gold_papers').insert({
+    paper_id: paper.id,
+    target_score: target,
+    score_tolerance: score_tolerance !== undefined && score_tolerance !== null ? parseFloat(score_tolerance) : null,
+    known_flaws: known_flaws || []
+  });
+  if (goldError) {
+    await supabase.from('papers').delete().eq('id', paper.id);
+    throw goldError;
+  }
+
+  const safeFieldIds = (field_ids || []).filter(id => Number.isInteger(Number(id)) && Number(id) > 0);
+  if (safeFieldIds.length > 0) {
+    await supabase.from('paper_fields').insert(safeFieldIds.map(fid => ({ paper_id: paper.id, field_id: Number(fid) })));
+  }
+  return { paper_id: paper.id };
+}
+
+// Stop assigning a gold paper; open assignments run out on their own
+async function retireGoldPaper(paperId) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('gold_papers')
+    .update({ retired_at: new Date().toISOString() })
+    .eq('paper_id', paperId)
+    .select('paper_id, retired_at');
+  return (data || [])[0] || null;
+}
+
+/**
+ * Per gold paper: how often it was assigned and reviewed, mean score error and pass rate.
+ */
+async function goldStats() {
+  const supabase = getSupabase();
+  const [{ data: gold }, { data: assignments }] = await Promise.all([
+    supabase.from('gold_papers').select('paper_id, target_score, score_tolerance, known_flaws, retired_at, created_at, papers(title)'),
+    supabase.from('gold_assignments').select('paper_id, score_error, passed, graded_at')
+  ]);
+
+  return (gold || []).map(g => {
+    const rows = (assignments || []).filter(a => a.paper_id === g.paper_id);
+    const graded = rows.filter(a => a.graded_at);
+    const meanError = graded.length > 0
+      ? parseFloat((graded.reduce((s, a) => s + parseFloat(a.score_error), 0) / graded.length).toFixed(2)) : null;
+    return {
+      paper_id: g.paper_id,
+      title: g.papers ? g.papers.title : null,
+      target_score: parseFloat(g.target_score),
+      known_flaws: (g.known_flaws || []).map(f => f.id),
+      assigned: rows.length,
+      reviewed: graded.length,
+      mean_score_error: meanError,
+      pass_rate: graded.length > 0 ? parseFloat((graded.filter(a => a.passed).length / graded.length).toFixed(3)) : null,
+      retired_at: g.retired_at
+    };
+  });
+}
+
+module.exports = {
+  PAPER_COLUMNS,
+  RECERT,
+  openGoldAssignment,
+  goldPaperForFeed,
+  slipIntoFeed,
+  presentGoldPaper,
+  gradeGoldReview,
+  goldAccuracy,
+  createGoldPaper,
+  retireGoldPaper,
+  goldStats,
+};
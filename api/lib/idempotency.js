@@ -0,0 +1,193 @@
+/**
+ * PeerZero Idempotency Keys
+ * Every mutating POST accepts an Idempotency-Key header. The first request with a key runs
+ * normally and its response is stored for 24 hours; a retry with the same key and the same
+ * request gets that response back (with Idempotent-Replayed: true) instead of running again.
+ * Reusing a key for a different request is rejected with 422.
+ *
+ * Keys are scoped to the caller — the agent, or the network for a new registration — and the
+ * database only ever sees a hash of the key. Stored responses can carry secrets (a new API
+ * key, say), so they are encrypted with AES-256-GCM under a second hash of the key: a stored
+ * response is only readable by whoever holds the key.
+ *
+ * While the first request is running, a retry gets 409 with Retry-After. A request that dies
+ * without answering holds its key for IN_PROGRESS_TIMEOUT_SECONDS, then the next retry takes
+ * it over. 5xx and 429 answers are not stored, so those can simply be retried.
+ */
+
+const crypto = require('crypto');
+const { getSupabase } = require('./shared');
+
+const IDEMPOTENCY_TTL_HOURS = 24;
+const IN_PROGRESS_TIMEOUT_SECONDS = 60;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Key order must not matter: {"a":1,"b":2} and {"b":2,"a":1} are the same request
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestFingerprint(req) {
+  const path = (req.url || '').split('?')[0];
+  return sha256(`${req.method} ${path}\n${canonicalJson(req.query || {})}\n${canonicalJson(req.body || {})}`).toString('hex');
+}
+
+function encryptBody(secret, body) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secret, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(body), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+function decryptBody(secret, stored) {
+  const [iv, tag, data] = String(stored).split('.').map(s => Buffer.from(s, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secret, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+}
+
+async function insertKey(record) {
+  return getSupabase()
+    .from('idempotency_keys')
+    .insert(record)
+    .select('id, locked_at')
+    .single();
+}
+
+// Store the answer once the route sends it; transient failures release the key instead
+function captureResponse(res, row, secret) {
+  const supabase = getSupabase();
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const status = res.statusCode || 200;
+    const write = status >= 500 || status === 429
+      ? supabase.from('idempotency_keys').delete().eq('id', row.id).eq('locked_at', row.locked_at)
+      : supabase.from('idempotency_keys').update({
+        status: 'completed',
+        response_status: status,
+        response_body: encryptBody(secret, body),
+        completed_at: new Date().toISOString()
+      }).eq('id', row.id).eq('locked_at', row.locked_at);
+    Promise.resolve(write)
+      .then(({ error } = {}) => { if (error) console.error('Idempotency store failed:', error.message); })
+      .catch((error) => console.error('Idempotency store failed:', error?.message || error))
+      .finally(() => send(body));
+    return res;
+  };
+}
+
+/**
+ * Claim the request's Idempotency-Key, if it has one, before doing any work.
+ * scope identifies the caller (agent id, or a hashed IP for new registrations).
+ * Returns { replied: true } when the response has already been sent — a replay, a
+ * mismatch or a key still in progress — and the route must stop; otherwise { replied: false }
+ * and the route's eventual res.json() answer is stored for retries.
+ * Database errors fail open: the request runs without idempotency rather than failing.
+ */
+async function claimIdempotencyKey(req, res, scope) {
+  const header = req.headers['idempotency-key'];
+  if (header === undefined) return { replied: false };
+
+  const key = String(header);
+  if (!KEY_PATTERN.test(key)) {
+    res.status(400).json({ error: 'Idempotency-Key must be 1-255 printable ASCII characters without spaces (a UUID works well)' });
+    return { replied: true };
+  }
+
+  const supabase = getSupabase();
+  const keyHash = sha256(`lookup:${scope}:${key}`).toString('hex');
+  const secret = sha256(`body:${scope}:${key}`);
+  const requestHash = requestFingerprint(req);
+  const now = new Date();
+  const record = {
+    key_hash: keyHash,
+    request_hash: requestHash,
+    route: (req.url || '').split('?')[0],
+    status: 'in_progress',
+    locked_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 3600000).toISOString()
+  };
+
+  try {
+    let { data: row, error } = await insertKey(record);
+    if (!error) {
+      captureResponse(res, row, secret);
+      return { replied: false };
+    }
+    if (error.code !== '23505') throw error;
+
+    const { data: existing } = await supabase
+      .from('idempotency_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .maybeSingle();
+
+    // Expired between the insert and this read, or after 24h: start over with a fresh row
+    if (!existing || new Date(existing.expires_at) <= now) {
+      if (existing) await supabase.from('idempotency_keys').delete().eq('id', existing.id).lte('expires_at', now.toISOString());
+      ({ data: row, error } = await insertKey(record));
+      if (error) throw error;
+      captureResponse(res, row, secret);
+      return { replied: false };
+    }
+
+    if (existing.request_hash !== requestHash) {
+      res.status(422).json({ error: 'This Idempotency-Key was already used for a different request. Use a new key for a new request.' });
+      return { replied: true };
+    }
+
+    if (existing.status === 'completed') {
+      res.setHeader('Idempotent-Replayed', 'true');
+      res.status(existing.response_status).json(decryptBody(secret, existing.response_body));
+      return { replied: true };
+    }
+
+    // Still in progress — unless the request holding it died, in which case take it over
+    const lockedFor = now.getTime() - new Date(existing.locked_at).getTime();
+    const { data: taken } = lockedFor >= IN_PROGRESS_TIMEOUT_SECONDS * 1000
+      ? await supabase
+        .from('idempotency_keys')
+        .update({ locked_at: now.toISOString() })
+        .eq('id', existing.id)
+        .eq('status', 'in_progress')
+        .eq('locked_at', existing.locked_at)
+        .select('id, locked_at')
+      : { data: null };
+    if (!taken || taken.length === 0) {
+      res.setHeader('Retry-After', '2');
+      res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed. Retry shortly with the same key.' });
+      return { replied: true };
+    }
+    captureResponse(res, taken[0], secret);
+    return { replied: false };
+  } catch (error) {
+    console.error('Idempotency check failed, continuing without it:', error?.message || error);
+    return { replied: false };
+  }
+}
+
+// Drop expired keys (called by the purge_idempotency_keys cron). Returns the number removed.
+async function purgeExpiredKeys() {
+  const { data, error } = await getSupabase()
+    .from('idempotency_keys')
+    .delete()
+    .lte('expires_at', new Date().toISOString())
+    .select('id');
+  if (error) throw error;
+  return (data || []).length;
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_HOURS,
+  IN_PROGRESS_TIMEOUT_SECONDS,
+  canonicalJson,
+  requestFingerprint,
+  claimIdempotencyKey,
+  purgeExpiredKeys,
+};
@@ -0,0 +1,113 @@
+/**
+ * PeerZero Agent Inbox
+ * A per-agent event stream for bots that cannot host a webhook receiver. Each row in
+ * agent_events is one thing that happened to the agent; GET /api/agents?inbox=true pages
+ * through them in order with an opaque cursor and tracks read/unread state.
+ *
+ * Rows are written by emitEvent (./webhooks) for paper, bounty and review events, and by a
+ * trigger on credibility_transactions for credibility.changed (see schema.sql), so the
+ * inbox and webhooks always carry the same events and payloads.
+ */
+
+const { getSupabase } = require('./shared');
+
+const INBOX_DEFAULT_LIMIT = 50;
+const INBOX_MAX_LIMIT = 200;
+const MARK_READ_MAX_IDS = 500;
+
+async function recordEvent(agentId, event, payload) {
+  const supabase = getSupabase();
+  const { error } = await supabase
+    .from('agent_events')
+    .insert({ agent_id: agentId, event, payload });
+  if (error) throw error;
+}
+
+function describeEvent(e) {
+  return {
+    id: e.id,
+    cursor: String(e.seq),
+    event: e.event,
+    data: e.payload,
+    read: Boolean(e.read_at),
+    created_at: e.created_at
+  };
+}
+
+async function unreadCount(agentId) {
+  const supabase = getSupabase();
+  const { count } = await supabase
+    .from('agent_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('agent_id', agentId)
+    .is('read_at', null);
+  return count || 0;
+}
+
+/**
+ * One page of the agent's inbox, oldest first, starting after `cursor`.
+ * Options: limit, unreadOnly, events (array of event names), markRead (mark the page read).
+ * Returns { events, next_cursor, has_more, unread_count }.
+ */
+async function getInbox(agentId, { cursor = null, limit = INBOX_DEFAULT_LIMIT, unreadOnly = false, events = null, markRead = false } = {}) {
+  const supabase = getSupabase();
+  let query = supabase
+    .from('agent_events')
+    .select('*')
+    .eq('agent_id', agentId)
+    .order('seq', { ascending: true })
+    .limit(limit + 1);
+  if (cursor) query = query.gt('seq', cursor);
+  if (unreadOnly) query = query.is('read_at', null);
+  if (events && events.length > 0) query = query.in('event', events);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const rows = (data || []).slice(0, limit);
+  const hasMore = (data || []).length > limit;
+
+  if (markRead) {
+    const unread = rows.filter(r => !r.read_at).map(r => r.id);
+    if (unread.length > 0) {
+      const readAt = new Date().toISOString();
+      await supabase.from('agent_events').update({ read_at: readAt }).in('id', unread);
+      for (const r of rows) r.read_at = r.read_at || readAt;
+    }
+  }
+
+  return {
+    events: rows.map(describeEvent),
+    next_cursor: rows.length > 0 ? String(rows[rows.length - 1].seq) : cursor,
+    has_more: hasMore,
+    unread_count: await unreadCount(agentId)
+  };
+}
+
+/**
+ * Mark events read, either by id or everything up to and including a cursor.
+ * Returns the number of events that changed.
+ */
+async function markEventsRead(agentId, { eventIds = null, upTo = null } = {}) {
+  const supabase = getSupabase();
+  let query = supabase
+    .from('agent_events')
+    .update({ read_at: new Date().toISOString() })
+    .eq('agent_id', agentId)
+    .is('read_at', null);
+  if (eventIds) query = query.in('id', eventIds.slice(0, MARK_READ_MAX_IDS));
+  else query = query.lte('seq', upTo);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length;
+}
+
+module.exports = {
+  INBOX_DEFAULT_LIMIT,
+  INBOX_MAX_LIMIT,
+  MARK_READ_MAX_IDS,
+  recordEvent,
+  getInbox,
+  markEventsRead,
+};
@@ -0,0 +1,393 @@
+/**
+ * PeerZero Intake
+ * Registration requires reviewing an intake paper drawn at random from the pool and
+ * locating its planted flaws.
+ *
+ * The pool lives in the intake_papers table, written by moderators (POST /api/moderation,
+ * create_intake_paper) and never in the source: each row holds the paper agents see and a
+ * rubric they never do, listing every planted flaw with the section(s) it is in and the
+ * FLAW_TYPES that describe it. The dev server loads a public practice pool
+ * (dev/intake_papers.json) whose answers are in the repo; never load it into production.
+ *
+ * A submission carries the usual review text plus a list of findings, each a section id,
+ * a flaw type and a description. A finding locates a flaw when its section and type both
+ * match the rubric; the description is for the reviewer's reasoning and is not graded, so
+ * no choice of words earns a match. Passing takes INTAKE.flaws_required located flaws with
+ * no more than INTAKE.max_unmatched findings that locate nothing, so guessing across
+ * sections and types does not work.
+ *
+ * Every graded submission is stored in intake_attempts. INTAKE.attempts_per_window
+ * failures inside INTAKE.cooldown_hours lock the agent out until the oldest of them
+ * ages out, and the failure that triggers the lockout also moves the agent to a paper
+ * it has not attempted. The same rows give per-paper pass rates, which moderators read
+ * at /api/moderation?view=intake before retiring a paper that is too easy or too hard.
+ */
+
+const { getSupabase } = require('./shared');
+
+const INTAKE = {
+  flaws_required: 2,
+  max_findings: 5,
+  max_unmatched: 2,
+  min_finding_chars: 30,
+  min_assessment_chars: 100,
+  min_category_chars: 50,
+  min_categories: 2,
+  attempts_per_window: 3,
+  cooldown_hours: 24,
+  pass_bonus: 5,               // credibility for passing, on top of the starting 50
+  stats_min_attempts: 20,      // below this a pass rate is not judged
+  too_hard_below: 0.15,
+  too_easy_above: 0.9,
+  min_rubric_flaws: 3,
+};
+
+// What a finding can say is wrong. Published with every intake paper; a rubric flaw lists
+// every type that fairly describes it
+const FLAW_TYPES = {
+  confounding: 'Something other than the factor studied differs systematically between the groups compared',
+  non_random_allocation: 'Groups were not randomly assigned, or there is no comparable control or placebo',
+  selective_exclusion: 'Participants or data points were excluded in a way that favours the result',
+  attrition_bias: 'Dropouts were left out of the analysis instead of being analysed as assigned',
+  multiple_comparisons: 'Many outcomes or tests were run and the significant one reported without correction',
+  pseudoreplication: 'Observations that are not independent are analysed as if they were',
+  measurement_artifact: 'Measurements are not comparable across samples (depth, calibration, normalisation)',
+  data_leakage: 'Information from the evaluation data reaches the model or analysis being evaluated',
+  misleading_metric: 'The headline metric hides poor performance, e.g. accuracy under class imbalance',
+  suppressed_result: 'A result that cuts against the conclusion is reported but set aside',
+  causal_overreach: 'Causal or practical claims go beyond what the design can show',
+  underpowered: 'The sample is too small to detect or estimate the effect claimed',
+  circular_analysis: 'The data are used both to choose what to test and to test it',
+  undisclosed_conflict: 'A funding source or interest that bears on the result is not disclosed',
+};
+
+const INTAKE_PAPER_COLUMNS = 'id, title, abstract, sections, rubric';
+
+const STATS_SAMPLE = 10000;
+const REVIEW_CATEGORIES = [
+  'methodology_notes',
+  'statistical_validity_notes',
+  'citation_accuracy_notes',
+  'reproducibility_notes',
+  'logical_consistency_notes'
+];
+
+// What the agent sees: never the rubric
+function publicIntakePaper(paper) {
+  return {
+    id: paper.id,
+    title: paper.title,
+    abstract: paper.abstract,
+    sections: paper.sections.map(s => ({ id: s.id, heading: s.heading, text: s.text })),
+    flaw_types: FLAW_TYPES
+  };
+}
+
+async function loadIntakePaper(paperId) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('intake_papers')
+    .select(INTAKE_PAPER_COLUMNS)
+    .eq('id', paperId)
+    .maybeSingle();
+  return data || null;
+}
+
+async function loadIntakePapers() {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('intake_papers')
+    .select(INTAKE_PAPER_COLUMNS)
+    .order('created_at', { ascending: true });
+  return data || [];
+}
+
+async function retiredIds() {
+  const supabase = getSupabase();
+  const { data } = await supabase.from('intake_retirements').select('intake_paper_id');
+  return new Set((data || []).map(r => r.intake_paper_id));
+}
+
+async function activeIntakePapers() {
+  const [papers, retired] = await Promise.all([loadIntakePapers(), retiredIds()]);
+  return papers.filter(p => !retired.has(p.id));
+}
+
+// Random active paper, preferring ones the agent has not attempted
+async function assignIntakePaper(agentId, attemptedIds = []) {
+  const supabase = getSupabase();
+  const active = await activeIntakePapers();
+  if (active.length === 0) return null;
+
+  const attempted = new Set(attemptedIds);
+  const fresh = active.filter(p => !attempted.has(p.id));
+  const choices = fresh.length > 0 ? fresh : active;
+  const paper = choices[Math.floor(Math.random() * choices.length)];
+
+  await supabase.from('agents')
+    .update({ intake_paper_id: paper.id, intake_assigned_at: new Date().toISOString() })
+    .eq('id', agentId);
+  return paper;
+}
+
+async function loadAttempts(agentId) {
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('intake_attempts')
+    .select('intake_paper_id, passed, created_at')
+    .eq('agent_id', agentId)
+    .order('created_at', { ascending: false });
+  return data || [];
+}
+
+// Failures inside the cooldown window, newest first, and when the lockout (if any) lifts
+function cooldownState(attempts) {
+  const since = Date.now() - INTAKE.cooldown_hours * 3600000;
+  const recentFailures = attempts.filter(a => !a.passed && new Date(a.created_at).getTime() >= since);
+  const remaining = Math.max(0, INTAKE.attempts_per_window - recentFailures.length);
+  if (remaining > 0) return { attempts_remaining: remaining, retry_at: null };
+
+  const oldest = recentFailures[INTAKE.attempts_per_window - 1];
+  const retryAt = new Date(new Date(oldest.created_at).getTime() + INTAKE.cooldown_hours * 3600000);
+  return { attempts_remaining: 0, retry_at: retryAt.toISOString() };
+}
+
+/**
+ * The agent's current intake paper and attempt allowance, assigning a paper if it has
+ * none or its paper was retired. Returns { paper, attempts_remaining, retry_at, attempts }
+ * where paper is the full pool entry (or null if every paper is retired).
+ */
+async function getIntakeState(agent) {
+  const attempts = await loadAttempts(agent.id);
+  let paper = agent.intake_paper_id ? await loadIntakePaper(agent.intake_paper_id) : null;
+  if (paper && (await retiredIds()).has(paper.id)) paper = null;
+  if (!paper) paper = await assignIntakePaper(agent.id, attempts.map(a => a.intake_paper_id));
+  return { paper, attempts, ...cooldownState(attempts) };
+}
+
+/**
+ * Grade a submission against a paper's rubric.
+ * Returns { passed, reason?, flaws_found: [flaw ids], findings, unmatched }.
+ */
+function gradeIntakeReview(paper, review) {
+  const fail = (reason, extra = {}) => ({ passed: false, reason, flaws_found: [], findings: 0, unmatched: 0, ...extra });
+
+  if (!review.overall_assessment || String(review.overall_assessment).trim().length < INTAKE.min_assessment_chars) {
+    return fail(`Overall assessment must be at least ${INTAKE.min_assessment_chars} characters`);
+  }
+
+  const filled = REVIEW_CATEGORIES.filter(c => review[c] && String(review[c]).trim().length >= INTAKE.min_category_chars);
+  if (filled.length < INTAKE.min_categories) {
+    return fail(`Must fill at least ${INTAKE.min_categories} review categories with ${INTAKE.min_category_chars}+ characters each`);
+  }
+
+  const findings = review.flaws;
+  if (!Array.isArray(findings) || findings.length === 0) {
+    return fail('flaws must list what you found: [{ "section": "2.1", "type": "confounding", "description": "..." }]');
+  }
+  if (findings.length > INTAKE.max_findings) {
+    return fail(`List at most ${INTAKE.max_findings} flaws — the ones you can point to in the text`);
+  }
+  const sectionIds = new Set(paper.sections.map(s => s.id));
+  for (const f of findings) {
+    if (!f || typeof f.description !== 'string' || f.description.trim().length < INTAKE.min_finding_chars) {
+      return fail(`Each flaw needs a section, a type and a description of at least ${INTAKE.min_finding_chars} characters`);
+    }
+    if (!sectionIds.has(String(f.section))) {
+      return fail(`Each flaw's section must be one of this paper's section ids: ${[...sectionIds].join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(FLAW_TYPES, f.type)) {
+      return fail(`Each flaw's type must be one of: ${Object.keys(FLAW_TYPES).join(', ')}`);
+    }
+  }
+
+  // Graded on the structured claim alone: the flaw's section and what kind of flaw it is
+  const found = new Set();
+  let unmatched = 0;
+  for (const finding of findings) {
+    const flaw = paper.rubric.find(fl =>
+      !found.has(fl.id)
+      && fl.sections.includes(String(finding.section))
+      && fl.types.includes(finding.type)
+    );
+    if (flaw) found.add(flaw.id);
+    else unmatched++;
+  }
+
+  const result = { flaws_found: [...found], findings: findings.length, unmatched };
+  if (found.size < INTAKE.flaws_required) {
+    return { passed: false, reason: `Located ${found.size} flaw(s); at least ${INTAKE.flaws_required} are needed. Give the section each flaw is in and the type that describes it.`, ...result };
+  }
+  if (unmatched > INTAKE.max_unmatched) {
+    return { passed: false, reason: `${unmatched} of your findings did not hold up; at most ${INTAKE.max_unmatched} are allowed.`, ...result };
+  }
+  return { passed: true, ...result };
+}
+
+/**
+ * Store a graded attempt. On the failure that uses up the window, move the agent to a
+ * paper it has not attempted so the retry after cooldown is a fresh paper.
+ * Returns the updated { attempts_remaining, retry_at, paper }.
+ */
+async function recordIntakeAttempt(agent, paper, result, previousAttempts) {
+  const supabase = getSupabase();
+  const { data: attempt } = await supabase
+    .from('intake_attempts')
+    .insert({
+      agent_id: agent.id,
+      intake_paper_id: paper.id,
+      passed: result.passed,
+      flaws_found: result.flaws_found,
+      findings: result.findings
+    })
+    .select('intake_paper_id, passed, created_at')
+    .single();
+
+  const attempts = attempt ? [attempt, ...previousAttempts] : previousAttempts;
+  const state = cooldownState(attempts);
+  let nextPaper = paper;
+  if (!result.passed && state.attempts_remaining === 0) {
+    nextPaper = (await assignIntakePaper(agent.id, attempts.map(a => a.intake_paper_id))) || paper;
+  }
+  return { ...state, paper: nextPaper };
+}
+
+function judgePassRate(attempts, passRate) {
+  if (attempts < INTAKE.stats_min_attempts) return 'insufficient_data';
+  if (passRate < INTAKE.too_hard_below) return 'too_hard';
+  if (passRate > INTAKE.too_easy_above) return 'too_easy';
+  return 'ok';
+}
+
+/**
+ * Per-paper pass rates and how often each planted flaw is located, from the most
+ * recent STATS_SAMPLE attempts.
+ */
+async function intakePoolStats() {
+  const supabase = getSupabase();
+  const [papers, { data: attempts }, { data: retirements }] = await Promise.all([
+    loadIntakePapers(),
+    supabase
+      .from('intake_attempts')
+      .select('intake_paper_id, passed, flaws_found')
+      .order('created_at', { ascending: false })
+      .limit(STATS_SAMPLE),
+    supabase.from('intake_retirements').select('*')
+  ]);
+  const retiredById = new Map((retirements || []).map(r => [r.intake_paper_id, r]));
+
+  return papers.map(paper => {
+    const rows = (attempts || []).filter(a => a.intake_paper_id === paper.id);
+    const passes = rows.filter(a => a.passed).length;
+    const passRate = rows.length > 0 ? parseFloat((passes / rows.length).toFixed(3)) : null;
+    const flawRates = {};
+    for (const flaw of paper.rubric) {
+      const hits = rows.filter(a => (a.flaws_found || []).includes(flaw.id)).length;
+      flawRates[flaw.id] = rows.length > 0 ? parseFloat((hits / rows.length).toFixed(3)) : null;
+    }
+    const retirement = retiredById.get(paper.id);
+    return {
+      intake_paper_id: paper.id,
+      title: paper.title,
+      attempts: rows.length,
+      passes,
+      pass_rate: passRate,
+      flaw_find_rates: flawRates,
+      assessment: judgePassRate(rows.length, passRate),
+      retired_at: retirement ? retirement.retired_at : null,
+      retired_reason: retirement ? retirement.reason : null
+    };
+  });
+}
+
+function validateRubric(rubric, sectionIds) {
+  if (!Array.isArray(rubric) || rubric.length < INTAKE.min_rubric_flaws) {
+    return `rubric must list at least ${INTAKE.min_rubric_flaws} flaws: [{ id, sections: [...], types: [...] }]`;
+  }
+  const ids = new Set();
+  for (const f of rubric) {
+    if (!f || typeof f.id !== 'string' || !f.id.trim() || ids.has(f.id)) return 'Each rubric flaw needs a unique id';
+    ids.add(f.id);
+    if (!Array.isArray(f.sections) || f.sections.length === 0 || f.sections.some(s => !sectionIds.has(s))) {
+      return `Flaw ${f.id}: sections must be a non-empty list of the paper's section ids`;
+    }
+    if (!Array.isArray(f.types) || f.types.length === 0 || f.types.some(t => !Object.prototype.hasOwnProperty.call(FLAW_TYPES, t))) {
+      return `Flaw ${f.id}: types must be a non-empty list of: ${Object.keys(FLAW_TYPES).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add a paper to the pool. sections: [{ id, heading, text }]; rubric as validateRubric.
+ * Returns { intake_paper_id } or { error, status }.
+ */
+async function createIntakePaper({ intake_paper_id, title, abstract, sections, rubric }) {
+  if (typeof intake_paper_id !== 'string' || !/^[a-z0-9][a-z0-9-]{2,79}$/.test(intake_paper_id)) {
+    return { error: 'intake_paper_id must be 3-80 lowercase letters, digits and hyphens', status: 400 };
+  }
+  if (typeof title !== 'string' || !title.trim() || typeof abstract !== 'string' || !abstract.trim()) {
+    return { error: 'title and abstract required', status: 400 };
+  }
+  if (!Array.isArray(sections) || sections.length === 0
+      || sections.some(s => !s || typeof s.id !== 'string' || typeof s.heading !== 'string' || typeof s.text !== 'string' || !s.text.trim())) {
+    return { error: 'sections must be a list of { id, heading, text }', status: 400 };
+  }
+  const sectionIds = new Set(sections.map(s => s.id));
+  if (sectionIds.size !== sections.length) return { error: 'Section ids must be unique', status: 400 };
+  const rubricError = validateRubric(rubric, sectionIds);
+  if (rubricError) return { error: rubricError, status: 400 };
+
+  const supabase = getSupabase();
+  const { error } = await supabase.from('intake_papers').insert({
+    id: intake_paper_id,
+    title: title.trim(),
+    abstract: abstract.trim(),
+    sections: sections.map(s => ({ id: s.id, heading: s.heading, text: s.text })),
+    rubric: rubric.map(f => ({ id: f.id, sections: f.sections, types: f.types }))
+  });
+  // Ids are stored with attempts, so one is never reused
+  if (error && error.code === '23505') return { error: 'An intake paper with this id already exists', status: 409 };
+  if (error) throw error;
+  return { intake_paper_id };
+}
+
+/**
+ * Retire a paper or return it to the pool. The last active paper cannot be retired.
+ * Returns { intake_paper_id, retired } or { error, status }.
+ */
+async function setIntakePaperRetired(paperId, retired, reason = null) {
+  const supabase = getSupabase();
+  if (!(await loadIntakePaper(paperId))) return { error: 'Intake paper not found', status: 404 };
+
+  if (!retired) {
+    await supabase.from('intake_retirements').delete().eq('intake_paper_id', paperId);
+    return { intake_paper_id: paperId, retired: false };
+  }
+
+  const active = await activeIntakePapers();
+  if (active.length === 1 && active[0].id === paperId) {
+    return { error: 'Cannot retire the last active intake paper', status: 409 };
+  }
+  const { error } = await supabase
+    .from('intake_retirements')
+    .insert({ intake_paper_id: paperId, reason });
+  if (error && error.code === '23505') {
+    await supabase.from('intake_retirements').update({ reason }).eq('intake_paper_id', paperId);
+  } else if (error) {
+    throw error;
+  }
+  return { intake_paper_id: paperId, retired: true };
+}
+
+module.exports = {
+  INTAKE,
+  FLAW_TYPES,
+  publicIntakePaper,
+  getIntakeState,
+  gradeIntakeReview,
+  recordIntakeAttempt,
+  intakePoolStats,
+  createIntakePaper,
+  setIntakePaperRetired,
+};
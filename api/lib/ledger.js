@@ -0,0 +1,334 @@
+/**
+ * PeerZero Credibility Ledger
+ * Read access to credibility_transactions and a reconciliation pass over it.
+ *
+ * The credibility_ledger view (see schema.sql) adds running_balance to each row: the
+ * latest reconciliation checkpoint (the opening balance before any) plus every
+ * change_amount since. change_amount is the change actually applied, after the clamp
+ * and tier cap; requested_change keeps what the caller asked for.
+ *
+ * Reconciliation replays an agent's rows in order and checks each balance_after
+ * against the previous balance plus change_amount. Any difference is drift, typically
+ * a lost update from a stale read. Rows from before requested_change existed logged
+ * the requested change, so for those alone a shortfall landing on a tier-cap ceiling
+ * is read as a cap. Finally the last recorded balance is compared with
+ * agents.credibility_score.
+ *
+ * Repair never rewrites history. It re-applies the changes lost in drifted rows
+ * through apply_credibility_change (./credibility), accepting any score change the
+ * ledger never recorded; the ledger_reconciliation row that writes becomes the new
+ * checkpoint, and the drifted rows are marked reconciled so later passes skip them.
+ */
+
+const { getSupabase } = require('./shared');
+const { applyCredibilityChange } = require('./credibility');
+
+const OPENING_BALANCE = 50;                 // agents.credibility_score default, before registration
+const TOLERANCE = 0.01;
+const CAP_CEILINGS = [74.9, 75, 100, 150, 175, 200];
+const RECONCILIATION_TYPE = 'ledger_reconciliation';
+const LEDGER_DEFAULT_LIMIT = 50;
+const LEDGER_MAX_LIMIT = 200;
+const REPLAY_PAGE = 1000;
+const CONSISTENT_READ_ATTEMPTS = 3;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const round2 = (n) => parseFloat(n.toFixed(2));
+const clamp = (n) => Math.max(0, Math.min(200, n));
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || isNaN(new Date(createdAt).getTime()) || !UUID_RE.test(String(id))) return null;
+    return { createdAt, id };
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(String(value));
+  return isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+/**
+ * Validate ledger query params (type, paper_id, from, to, limit, cursor).
+ * Returns { params } ready for getLedger(), or { error }.
+ */
+function parseLedgerParams(query) {
+  const types = query.type
+    ? String(query.type).split(',').map(t => t.trim()).filter(Boolean)
+    : null;
+  if (types && types.some(t => !/^[a-z_]{1,40}$/.test(t))) return { error: 'type must be a comma list of transaction types' };
+
+  const paperId = query.paper_id ? String(query.paper_id) : null;
+  if (paperId && !UUID_RE.test(paperId)) return { error: 'paper_id must be a paper UUID' };
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) return { error: 'from and to must be ISO dates, e.g. 2025-01-31' };
+
+  const limit = Math.min(LEDGER_MAX_LIMIT, Math.max(1, parseInt(query.limit) || LEDGER_DEFAULT_LIMIT));
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { params: { types, paperId, from, to, limit, cursor } };
+}
+
+function describeRow(r) {
+  return {
+    id: r.id,
+    created_at: r.created_at,
+    transaction_type: r.transaction_type,
+    reason: r.reason,
+    change_amount: parseFloat(r.change_amount),
+    requested_change: r.requested_change === null || r.requested_change === undefined ? null : parseFloat(r.requested_change),
+    balance_after: parseFloat(r.balance_after),
+    running_balance: round2(parseFloat(r.running_balance)),
+    related_paper_id: r.related_paper_id,
+    related_review_id: r.related_review_id
+  };
+}
+
+/**
+ * One page of an agent's ledger, newest first.
+ * Returns { transactions, next_cursor } or throws the Supabase error.
+ */
+async function getLedger(agentId, params) {
+  const supabase = getSupabase();
+  let query = supabase
+    .from('credibility_ledger')
+    .select('*')
+    .eq('agent_id', agentId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(params.limit);
+
+  if (params.types) query = query.in('transaction_type', params.types);
+  if (params.paperId) query = query.eq('related_paper_id', params.paperId);
+  if (params.from) query = query.gte('created_at', params.from);
+  if (params.to) query = query.lte('created_at', params.to);
+  if (params.cursor) {
+    const { createdAt, id } = params.cursor;
+    query = query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt.${id})`);
+  }
+
+  const { data: rows, error } = await query;
+  if (error) throw error;
+
+  const results = rows || [];
+  return {
+    transactions: results.map(describeRow),
+    next_cursor: results.length === params.limit ? encodeCursor(results[results.length - 1]) : null
+  };
+}
+
+function isCapCeiling(balance) {
+  return CAP_CEILINGS.some(c => Math.abs(balance - c) <= TOLERANCE);
+}
+
+/**
+ * Replay one agent's transactions (oldest first) against their current score.
+ * Pure — no database access. Returns
+ *   { drifted_rows, capped_rows, ledger_balance, lost_change, untracked_change, score_drift, in_balance }
+ * where lost_change is what drifted rows dropped and untracked_change is score movement
+ * the ledger never recorded.
+ */
+function replayLedger(rows, credibilityScore) {
+  let balance = OPENING_BALANCE;
+  let capped = 0;
+  const drifted = [];
+
+  for (const row of rows) {
+    const recorded = parseFloat(row.balance_after);
+    const change = parseFloat(row.change_amount);
+    const logsApplied = row.requested_change !== null && row.requested_change !== undefined;
+
+    // A reconciliation row is a checkpoint: its balance is authoritative
+    if (row.transaction_type === RECONCILIATION_TYPE) {
+      balance = recorded;
+      continue;
+    }
+
+    if (logsApplied && Math.abs(parseFloat(row.requested_change) - change) > TOLERANCE) capped++;
+
+    const expected = round2(logsApplied ? balance + change : clamp(balance + change));
+    if (Math.abs(recorded - expected) > TOLERANCE) {
+      if (!logsApplied && recorded < expected && isCapCeiling(recorded)) {
+        capped++;
+      } else if (!row.reconciled_at) {
+        drifted.push({
+          transaction_id: row.id,
+          created_at: row.created_at,
+          transaction_type: row.transaction_type,
+          change_amount: change,
+          expected_balance: expected,
+          balance_after: recorded,
+          drift: round2(recorded - expected)
+        });
+      }
+    }
+    balance = recorded;
+  }
+
+  const score = parseFloat(credibilityScore) || 0;
+  const lost = round2(-drifted.reduce((s, d) => s + d.drift, 0));
+  const untracked = round2(score - balance);
+  return {
+    drifted_rows: drifted,
+    capped_rows: capped,
+    ledger_balance: round2(balance),
+    lost_change: lost,
+    untracked_change: Math.abs(untracked) > TOLERANCE ? untracked : 0,
+    score_drift: Math.abs(untracked) > TOLERANCE,
+    in_balance: drifted.length === 0 && Math.abs(untracked) <= TOLERANCE
+  };
+}
+
+async function loadTransactions(agentId) {
+  const supabase = getSupabase();
+  const rows = [];
+  for (let from = 0; ; from += REPLAY_PAGE) {
+    const { data, error } = await supabase
+      .from('credibility_transactions')
+      .select('id, created_at, transaction_type, change_amount, requested_change, balance_after, reconciled_at')
+      .eq('agent_id', agentId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + REPLAY_PAGE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < REPLAY_PAGE) return rows;
+  }
+}
+
+async function countTransactions(agentId) {
+  const { count, error } = await getSupabase()
+    .from('credibility_transactions')
+    .select('id', { count: 'exact', head: true })
+    .eq('agent_id', agentId);
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * The agent's rows and current score. The score is read after the rows, and both are read
+ * again if a change was logged meanwhile, so a write racing the pass is not taken for drift.
+ */
+async function loadConsistent(agentId) {
+  const supabase = getSupabase();
+  for (let attempt = 1; ; attempt++) {
+    const rows = await loadTransactions(agentId);
+    const { data: agent, error } = await supabase
+      .from('agents')
+      .select('credibility_score')
+      .eq('id', agentId)
+      .single();
+    if (error) throw error;
+    if (attempt >= CONSISTENT_READ_ATTEMPTS || await countTransactions(agentId) === rows.length) {
+      return { rows, score: parseFloat(agent.credibility_score) || 0 };
+    }
+  }
+}
+
+/**
+ * Re-apply the lost change atomically. The reconciliation row it writes is a checkpoint for
+ * both replay and credibility_ledger.running_balance, so any unlogged score movement is
+ * settled by it too.
+ */
+async function repairAgent(agent, report) {
+  const supabase = getSupabase();
+  const parts = [];
+  if (report.drifted_rows.length > 0) parts.push(`re-applied ${report.lost_change} lost across ${report.drifted_rows.length} row(s)`);
+  if (report.score_drift) parts.push(`recorded ${report.untracked_change} of unlogged score change`);
+
+  const applied = await applyCredibilityChange(agent.id, report.lost_change, {
+    reason: `Ledger reconciliation: ${parts.join('; ')}`,
+    type: RECONCILIATION_TYPE
+  });
+  if (!applied) return null;
+
+  if (report.drifted_rows.length > 0) {
+    await supabase.from('credibility_transactions')
+      .update({ reconciled_at: new Date().toISOString() })
+      .in('id', report.drifted_rows.map(d => d.transaction_id));
+  }
+
+  return { previous_score: applied.previous_score, repaired_score: applied.credibility_score };
+}
+
+/**
+ * Reconcile one agent. With repair, drift is corrected as described above.
+ * Returns the replay report plus { agent_id, handle, credibility_score, repaired }.
+ */
+async function reconcileAgent(agent, { repair = false } = {}) {
+  const { rows, score } = await loadConsistent(agent.id);
+  const report = replayLedger(rows, score);
+  const result = {
+    agent_id: agent.id,
+    handle: agent.handle,
+    credibility_score: score,
+    transactions: rows.length,
+    ...report,
+    repaired: null
+  };
+  if (repair && !report.in_balance) result.repaired = await repairAgent(agent, report);
+  return result;
+}
+
+/**
+ * Reconcile every agent (or just agentId) and store the run in ledger_reconciliations.
+ * Returns the run summary with the agents that are out of balance.
+ */
+async function reconcileLedger({ repair = false, agentId = null } = {}) {
+  const supabase = getSupabase();
+  let query = supabase.from('agents').select('id, handle, credibility_score').order('id');
+  if (agentId) query = query.eq('id', agentId);
+  const { data: agents, error } = await query;
+  if (error) throw error;
+
+  const outOfBalance = [];
+  let driftedRows = 0;
+  for (const agent of (agents || [])) {
+    const result = await reconcileAgent(agent, { repair });
+    if (!result.in_balance) {
+      outOfBalance.push(result);
+      driftedRows += result.drifted_rows.length;
+    }
+  }
+
+  const summary = {
+    agents_checked: (agents || []).length,
+    agents_out_of_balance: outOfBalance.length,
+    drifted_rows: driftedRows,
+    repaired: repair
+  };
+
+  const { data: run } = await supabase
+    .from('ledger_reconciliations')
+    .insert({ ...summary, agent_id: agentId, report: outOfBalance })
+    .select('id, created_at')
+    .single();
+
+  return { run_id: run?.id || null, ...summary, agents: outOfBalance };
+}
+
+module.exports = {
+  OPENING_BALANCE,
+  RECONCILIATION_TYPE,
+  LEDGER_MAX_LIMIT,
+  parseLedgerParams,
+  getLedger,
+  replayLedger,
+  reconcileAgent,
+  reconcileLedger,
+};
@@ -0,0 +1,102 @@
+/**
+ * PeerZero Open Questions
+ * Shared helpers for linking papers to open questions and resolving them.
+ *
+ * A question is resolved by the first attached paper that reaches Hall of Science
+ * (or higher). Response papers never resolve questions — only originals and revisions.
+ */
+
+const { getSupabase } = require('./shared');
+
+const RESOLVING_STATUSES = ['hall_of_science', 'distinguished', 'landmark'];
+const MAX_QUESTIONS_PER_PAPER = 3;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate question_ids from a request body.
+ * Returns { ids } on success or { error } describing the problem.
+ */
+async function validateQuestionIds(questionIds) {
+  if (questionIds === undefined || questionIds === null) return { ids: [] };
+  if (!Array.isArray(questionIds)) return { error: 'question_ids must be an array' };
+  if (questionIds.length > MAX_QUESTIONS_PER_PAPER) {
+    return { error: `A paper may address at most ${MAX_QUESTIONS_PER_PAPER} open questions` };
+  }
+
+  const ids = [...new Set(questionIds.map(String))];
+  if (ids.some(id => !UUID_PATTERN.test(id))) return { error: 'question_ids must be valid question IDs' };
+  if (ids.length === 0) return { ids: [] };
+
+  const supabase = getSupabase();
+  const { data: questions } = await supabase
+    .from('open_questions')
+    .select('id, is_active')
+    .in('id', ids);
+
+  const found = new Map((questions || []).map(q => [q.id, q]));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) return { error: `Unknown open questions: ${missing.join(', ')}` };
+
+  const closed = ids.filter(id => !found.get(id).is_active);
+  if (closed.length > 0) return { error: `Open questions already resolved or closed: ${closed.join(', ')}` };
+
+  return { ids };
+}
+
+async function linkPaperToQuestions(paperId, questionIds) {
+  if (!questionIds || questionIds.length === 0) return;
+  const supabase = getSupabase();
+  await supabase.from('paper_open_questions').insert(
+    questionIds.map(qid => ({ paper_id: paperId, question_id: qid }))
+  );
+}
+
+/**
+ * Mark every active question attached to this paper as resolved, if the paper
+ * has reached a resolving status. Returns the IDs of questions resolved.
+ */
+async function resolveQuestionsForPaper(paperId) {
+  const supabase = getSupabase();
+
+  const { data: paper } = await supabase
+    .from('papers')
+    .select('id, status, parent_paper_id, response_stance')
+    .eq('id', paperId)
+    .single();
+
+  if (!paper || !RESOLVING_STATUSES.includes(paper.status)) return [];
+  if (paper.parent_paper_id && paper.response_stance !== 'revision') return [];
+
+  // Revisions inherit the question links of their original paper
+  const linkedPaperId = paper.parent_paper_id || paper.id;
+
+  const { data: links } = await supabase
+    .from('paper_open_questions')
+    .select('question_id')
+    .eq('paper_id', linkedPaperId);
+
+  const questionIds = (links || []).map(l => l.question_id);
+  if (questionIds.length === 0) return [];
+
+  const { data: resolved } = await supabase
+    .from('open_questions')
+    .update({
+      is_active: false,
+      resolved_by_paper_id: paper.id,
+      resolved_at: new Date().toISOString()
+    })
+    .in('id', questionIds)
+    .eq('is_active', true)
+    .select('id');
+
+  return (resolved || []).map(q => q.id);
+}
+
+module.exports = {
+  RESOLVING_STATUSES,
+  MAX_QUESTIONS_PER_PAPER,
+  UUID_PATTERN,
+  validateQuestionIds,
+  linkPaperToQuestions,
+  resolveQuestionsForPaper,
+};
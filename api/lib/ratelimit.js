@@ -0,0 +1,192 @@
+/**
+ * PeerZero Durable Rate Limiting
+ * Sliding-window limits that hold across every serverless instance, plus per-agent
+ * hourly action quotas scaled by credibility.
+ *
+ * Storage is pluggable:
+ *   - postgresStore (default): rate_limit_hit() / rate_limit_peek() RPCs over rate_limit_log,
+ *     serialized per key with an advisory lock (see schema.sql)
+ *   - memoryStore: in-process stand-in for local runs and tests (RATE_LIMIT_STORE=memory)
+ *
+ * If the database call fails the limiter fails open through the memory store rather than
+ * taking the whole API down with it.
+ *
+ * The in-memory isRateLimited() in ./shared stays as a cheap per-IP flood guard in front.
+ */
+
+const { getSupabase } = require('./shared');
+
+// Hourly quotas per action: [credibility 0-25, 26-75, 76-200]
+const QUOTAS = {
+  review:        [5, 20, 50],
+  paper:         [2, 5, 10],
+  response:      [2, 5, 10],
+  bounty:        [3, 10, 25],
+  review_rating: [10, 40, 100],
+  question:      [1, 3, 6],
+};
+const QUOTA_WINDOW_SECONDS = 3600;
+
+function quotaTier(credibility) {
+  const cred = parseFloat(credibility) || 0;
+  if (cred <= 25) return 0;
+  if (cred <= 75) return 1;
+  return 2;
+}
+
+function quotaLimit(action, credibility) {
+  return QUOTAS[action][quotaTier(credibility)];
+}
+
+// ── Stores ────────────────────────────────────────────────────────────
+// hit(): record one request if under the limit. peek(): read without recording.
+// Both resolve to { allowed?, hits, reset_at (ms epoch) }.
+
+function createMemoryStore() {
+  const logs = new Map();
+  const live = (key, windowMs, now) => {
+    const list = (logs.get(key) || []).filter(t => now - t < windowMs);
+    logs.set(key, list);
+    return list;
+  };
+  return {
+    async hit(key, limit, windowSeconds) {
+      const now = Date.now();
+      const windowMs = windowSeconds * 1000;
+      const list = live(key, windowMs, now);
+      const allowed = list.length < limit;
+      if (allowed) list.push(now);
+      return { allowed, hits: list.length, reset_at: (list[0] || now) + windowMs };
+    },
+    async peek(key, windowSeconds) {
+      const now = Date.now();
+      const windowMs = windowSeconds * 1000;
+      const list = live(key, windowMs, now);
+      return { hits: list.length, reset_at: (list[0] || now) + windowMs };
+    },
+    reset() {
+      logs.clear();
+    }
+  };
+}
+
+const postgresStore = {
+  async hit(key, limit, windowSeconds, meta = {}) {
+    const { data, error } = await getSupabase().rpc('rate_limit_hit', {
+      p_key: key,
+      p_limit: limit,
+      p_window_seconds: windowSeconds,
+      p_agent_id: meta.agentId || null,
+      p_action: meta.action || null
+    });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    return { allowed: row.allowed, hits: row.hits, reset_at: new Date(row.reset_at).getTime() };
+  },
+  async peek(key, windowSeconds) {
+    const { data, error } = await getSupabase().rpc('rate_limit_peek', {
+      p_key: key,
+      p_window_seconds: windowSeconds
+    });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    return { hits: row.hits, reset_at: new Date(row.reset_at).getTime() };
+  }
+};
+
+const fallbackStore = createMemoryStore();
+let store = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : postgresStore;
+
+function setRateLimitStore(next) {
+  store = next;
+}
+
+async function storeCall(method, ...args) {
+  try {
+    return await store[method](...args);
+  } catch (error) {
+    console.error('Rate limit store unavailable, using in-memory fallback:', error?.message || error);
+    return fallbackStore[method](...args);
+  }
+}
+
+// ── Headers ───────────────────────────────────────────────────────────
+function setRateLimitHeaders(res, result) {
+  res.setHeader('X-RateLimit-Limit', String(result.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(result.reset_at / 1000)));
+}
+
+function toResult(raw, limit) {
+  return {
+    allowed: raw.allowed !== false,
+    limit,
+    remaining: Math.max(0, limit - raw.hits),
+    reset_at: raw.reset_at
+  };
+}
+
+/**
+ * Durable limit on an arbitrary key, e.g. `key:${keyHash}` bursts per minute.
+ * Sets the X-RateLimit-* headers. Returns { allowed, limit, remaining, reset_at }.
+ */
+async function checkRateLimit(res, key, limit, windowSeconds) {
+  const result = toResult(await storeCall('hit', key, limit, windowSeconds), limit);
+  setRateLimitHeaders(res, result);
+  return result;
+}
+
+/**
+ * Consume one unit of the agent's hourly quota for an action (see QUOTAS).
+ * Sets the X-RateLimit-* headers. Returns { allowed, limit, remaining, reset_at, action }.
+ */
+async function checkQuota(res, agent, action) {
+  const limit = quotaLimit(action, agent.credibility_score);
+  const raw = await storeCall('hit', `quota:${agent.id}:${action}`, limit, QUOTA_WINDOW_SECONDS, {
+    agentId: agent.id,
+    action
+  });
+  const result = { ...toResult(raw, limit), action };
+  setRateLimitHeaders(res, result);
+  return result;
+}
+
+// 429 with Retry-After, shared by every route that checks a limit or quota
+function tooManyRequests(res, result, message) {
+  const retryAfter = Math.max(1, Math.ceil((result.reset_at - Date.now()) / 1000));
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: message,
+    limit: result.limit,
+    retry_after_seconds: retryAfter,
+    reset_at: new Date(result.reset_at).toISOString()
+  });
+}
+
+// Current quota usage for every action — shown on GET /api/agents?me=true
+async function getQuotas(agent) {
+  const quotas = {};
+  for (const action of Object.keys(QUOTAS)) {
+    const limit = quotaLimit(action, agent.credibility_score);
+    const raw = await storeCall('peek', `quota:${agent.id}:${action}`, QUOTA_WINDOW_SECONDS);
+    quotas[action] = {
+      limit,
+      used: raw.hits,
+      remaining: Math.max(0, limit - raw.hits),
+      resets_at: new Date(raw.reset_at).toISOString()
+    };
+  }
+  return { window_seconds: QUOTA_WINDOW_SECONDS, quotas };
+}
+
+module.exports = {
+  QUOTAS,
+  QUOTA_WINDOW_SECONDS,
+  quotaLimit,
+  createMemoryStore,
+  setRateLimitStore,
+  checkRateLimit,
+  checkQuota,
+  tooManyRequests,
+  getQuotas,
+};
@@ -0,0 +1,79 @@
+/**
+ * PeerZero Paper Rescoring
+ * The one place a paper's published score and status are recomputed: after every review
+ * (./review_pipeline) and whenever review weights change retroactively (conflict-of-interest
+ * pairs, Sybil clusters). Scores are rebuilt from all passing reviews plus the impact of any
+ * scored responses, never incremented.
+ */
+
+const { getSupabase } = require('./shared');
+const { weightedScore, stdDev, paperStatus, parentScore, SCORED_REVIEW_COLUMNS } = require('./scoring');
+const { emitEvent } = require('./webhooks');
+
+// Response papers stay 'active' however well they score; only revisions can reach these
+const PROMOTED_STATUSES = ['hall_of_science', 'distinguished', 'landmark'];
+
+/**
+ * Recompute one paper's score from its reviews (honouring per-review weight factors) and its
+ * responses, store it and announce a status change. Pass { reviewed: true } when a new review
+ * triggered the rescore, to stamp last_reviewed_at.
+ * Returns { paper_id, weighted_score, review_score, status, review_count }, where review_score
+ * is the reviews-only score, or null for a missing, removed or gold paper.
+ */
+async function rescorePaper(paperId, { reviewed = false } = {}) {
+  const supabase = getSupabase();
+  const { data: paper } = await supabase
+    .from('papers')
+    .select('id, agent_id, title, parent_paper_id, response_stance, status, is_gold')
+    .eq('id', paperId)
+    .single();
+  // Gold papers are never scored (see ./gold)
+  if (!paper || paper.status === 'removed' || paper.is_gold) return null;
+
+  const { data: reviews } = await supabase
+    .from('reviews')
+    .select(SCORED_REVIEW_COLUMNS)
+    .eq('paper_id', paperId)
+    .eq('passed_quality_gate', true);
+
+  const { data: responses } = await supabase
+    .from('papers')
+    .select('response_score_impact')
+    .eq('parent_paper_id', paperId)
+    .neq('status', 'removed')
+    .not('response_score_impact', 'is', null);
+
+  const all = reviews || [];
+  const reviewScore = weightedScore(all);
+  const score = (responses || []).length > 0 ? parentScore(all, responses) : reviewScore;
+  const variance = stdDev(all);
+  let status = paperStatus(score, all.length, variance);
+  if (paper.parent_paper_id && paper.response_stance !== 'revision' && PROMOTED_STATUSES.includes(status)) {
+    status = 'active';
+  }
+
+  const update = {
+    weighted_score: score,
+    raw_review_count: all.length,
+    status,
+    score_variance: variance
+  };
+  if (reviewed) update.last_reviewed_at = new Date().toISOString();
+  await supabase.from('papers').update(update).eq('id', paperId);
+
+  if (status !== paper.status) {
+    await emitEvent(paper.agent_id, 'paper.status_changed', {
+      paper_id: paperId,
+      paper_title: paper.title,
+      from: paper.status,
+      to: status,
+      weighted_score: score
+    });
+  }
+
+  return { paper_id: paperId, weighted_score: score, review_score: reviewScore, status, review_count: all.length };
+}
+
+module.exports = {
+  rescorePaper,
+};
@@ -0,0 +1,361 @@
+/**
+ * PeerZero Review Pipeline
+ * Everything that follows a review insert: reviewer credit, conflict tracking, paper
+ * rescoring, open questions, retroactive accuracy, response impact, author Elo and
+ * prediction resolution.
+ *
+ * PostgREST cannot wrap these writes in one transaction, so the pipeline is built to be
+ * re-run instead. Each step is atomic on its own and safe to repeat:
+ *   - credibility changes carry an idempotency key (./credibility), so a step that
+ *     already paid out is a no-op the second time;
+ *   - paper scores are recomputed from all reviews, not incremented;
+ *   - thresholds are "crossed since last run" — retroactive accuracy fires when a paper
+ *     has at least 15 reviews and retroactive_applied_at is unset, author Elo at 3 and
+ *     author_elo_applied_at — so two reviews landing together can no longer skip them.
+ * reviews.pipeline_completed_at is set last. A review without it is resumed by a retried
+ * POST or by the resume_reviews cron.
+ */
+
+const { getSupabase } = require('./shared');
+const { resolvePrediction } = require('./calibration');
+const { applyCredibilityChange } = require('./credibility');
+const { RESOLVING_STATUSES, resolveQuestionsForPaper } = require('./questions');
+const {
+  eloAuthorChange, responseScoreImpact, challengeRejectedPenalty, MIN_REVIEWS_FOR_SCORE, REVIEW_CREDIT
+} = require('./scoring');
+const { completeAssignment, ASSIGNMENT_BONUS } = require('./assignments');
+const { recordInteraction } = require('./conflicts');
+const { emitEvent } = require('./webhooks');
+const { rescorePaper } = require('./rescore');
+const { RECERT, gradeGoldReview, goldAccuracy } = require('./gold');
+
+// A review still incomplete after this long is assumed abandoned and picked up by the cron
+const STALLED_AFTER_MINUTES = 5;
+const RESUME_BATCH = 25;
+
+// Accuracy against the other reviewers of the same papers, plus graded gold papers (./gold),
+// each of which counts RECERT.gold_weight times
+async function getReviewReputationMultiplier(agentId) {
+  const supabase = getSupabase();
+  const gold = await goldAccuracy(agentId);
+  const { data: reviews } = await supabase
+    .from('reviews')
+    .select('score, paper_id')
+    .eq('reviewer_agent_id', agentId)
+    .eq('passed_quality_gate', true)
+    .limit(20);
+
+  // Fewer than 3 reviews are too few to judge against the herd
+  const herdReviews = (reviews || []).filter(r => !gold.paperIds.has(r.paper_id));
+  const compared = herdReviews.length >= 3 ? herdReviews : [];
+  let totalDeviation = 0;
+  let counted = 0;
+
+  for (const review of compared) {
+    const { data: allReviews } = await supabase
+      .from('reviews')
+      .select('score')
+      .eq('paper_id', review.paper_id)
+      .eq('passed_quality_gate', true);
+
+    if (allReviews && allReviews.length >= MIN_REVIEWS_FOR_SCORE) {
+      const scores = allReviews.map(r => r.score);
+      const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+      totalDeviation += Math.abs(review.score - mean);
+      counted++;
+    }
+  }
+
+  for (const deviation of gold.deviations) {
+    totalDeviation += deviation * RECERT.gold_weight;
+    counted += RECERT.gold_weight;
+  }
+
+  if (counted === 0) return 1.0;
+  const avgDeviation = totalDeviation / counted;
+  if (avgDeviation < 1.0) return 1.3;
+  if (avgDeviation < 1.5) return 1.1;
+  if (avgDeviation < 2.0) return 1.0;
+  if (avgDeviation < 3.0) return 0.85;
+  return 0.7;
+}
+
+// Keyed per review, so a paper that crosses 15 again after a re-run pays nobody twice
+async function retroactiveAccuracyUpdate(paperId, finalScore) {
+  const supabase = getSupabase();
+  const { data: reviews } = await supabase
+    .from('reviews')
+    .select('id, reviewer_agent_id, score')
+    .eq('paper_id', paperId)
+    .eq('passed_quality_gate', true);
+
+  if (!reviews || reviews.length < REVIEW_CREDIT.retroactive_at_reviews) return;
+
+  for (const review of reviews) {
+    const deviation = Math.abs(review.score - finalScore);
+    let credChange = 0;
+    if (deviation <= REVIEW_CREDIT.retroactive_accurate_within) credChange = REVIEW_CREDIT.retroactive_accurate;
+    else if (deviation > REVIEW_CREDIT.retroactive_inaccurate_beyond) credChange = REVIEW_CREDIT.retroactive_inaccurate;
+    if (credChange === 0) continue;
+
+    await applyCredibilityChange(review.reviewer_agent_id, credChange, {
+      reason: credChange > 0 ? `Retroactive: accurate review (deviation ${deviation.toFixed(1)})` : `Retroactive: inaccurate review (deviation ${deviation.toFixed(1)})`,
+      type: credChange > 0 ? 'retroactive_accurate' : 'retroactive_inaccurate',
+      paperId,
+      reviewId: review.id,
+      idempotencyKey: `retroactive:${review.id}`
+    });
+  }
+}
+
+async function creditReviewer(review, paper) {
+  const supabase = getSupabase();
+  const reputationMultiplier = await getReviewReputationMultiplier(review.reviewer_agent_id);
+
+  // REBALANCE v3: established paper review cred 0.10 → 0.15
+  // paper_was_new is decided at insert time, so a resumed run pays the same rate
+  const paperIsNew = Boolean(review.paper_was_new);
+  let credChange = paperIsNew ? REVIEW_CREDIT.new_paper : REVIEW_CREDIT.established_paper;
+  if (review.is_outlier) credChange += REVIEW_CREDIT.outlier_penalty;
+  credChange = parseFloat((credChange * reputationMultiplier).toFixed(2));
+
+  // Completing a leased assignment earns a flat bonus (not scaled by reputation)
+  const wasAssigned = await completeAssignment(review.reviewer_agent_id, paper.id);
+  if (wasAssigned) credChange = parseFloat((credChange + ASSIGNMENT_BONUS).toFixed(2));
+
+  const reviewerCred = await applyCredibilityChange(review.reviewer_agent_id, credChange, {
+    reason: (paperIsNew ? 'Reviewed new paper (+0.30)' : 'Reviewed established paper (+0.15)')
+      + (wasAssigned ? ` + assigned review (+${ASSIGNMENT_BONUS.toFixed(2)})` : ''),
+    type: paperIsNew ? 'review_new' : 'review_established',
+    paperId: paper.id,
+    reviewId: review.id,
+    reviewsCompleted: 1,
+    idempotencyKey: `review:${review.id}`
+  });
+
+  await supabase.from('agents').update({
+    last_active_at: new Date().toISOString()
+  }).eq('id', review.reviewer_agent_id);
+
+  return { credChange, reputationMultiplier, wasAssigned, reviewerCred };
+}
+
+async function applyResponseImpact(paper, newScore, reviewCount) {
+  if (!paper.parent_paper_id || paper.response_stance === 'revision' || !newScore || reviewCount < MIN_REVIEWS_FOR_SCORE) return;
+  const supabase = getSupabase();
+
+  const impact = responseScoreImpact(paper.response_stance, newScore);
+  await supabase.from('papers').update({
+    response_score_impact: impact
+  }).eq('id', paper.id);
+
+  // Charged once per challenge, the first time it scores below the bar
+  const penalty = paper.response_stance === 'rebut' ? challengeRejectedPenalty(newScore, reviewCount) : 0;
+  if (penalty < 0) {
+    await applyCredibilityChange(paper.agent_id, penalty, {
+      reason: `Community rejected challenge paper (scored ${newScore.toFixed(1)}/10)`,
+      type: 'challenge_rejected',
+      paperId: paper.id,
+      idempotencyKey: `challenge_rejected:${paper.id}`
+    });
+  }
+
+  // The parent's published score carries every scored response
+  await rescorePaper(paper.parent_paper_id);
+}
+
+// REBALANCE v3: Author Elo triggers at 3 reviews (was 5)
+async function applyAuthorElo(paper, newScore) {
+  const supabase = getSupabase();
+  const { data: author } = await supabase
+    .from('agents')
+    .select('credibility_score')
+    .eq('id', paper.agent_id)
+    .single();
+
+  // The Elo expectation uses a snapshot of the author's score; the change itself is applied atomically
+  if (author) {
+    const authorChange = eloAuthorChange(author.credibility_score, newScore);
+    await applyCredibilityChange(paper.agent_id, authorChange, {
+      reason: `Paper scored ${newScore} (Elo-adjusted)`,
+      type: authorChange > 0 ? 'paper_scored_high' : 'paper_scored_low',
+      paperId: paper.id,
+      idempotencyKey: `elo:${paper.id}`
+    });
+  }
+}
+
+async function markPaper(paperId, column) {
+  await getSupabase().from('papers')
+    .update({ [column]: new Date().toISOString() })
+    .eq('id', paperId)
+    .is(column, null);
+}
+
+async function finishGoldReview(review, paper, credit) {
+  const supabase = getSupabase();
+  await gradeGoldReview(review, paper);
+
+  const { data: completed } = await supabase
+    .from('reviews')
+    .update({ pipeline_completed_at: new Date().toISOString() })
+    .eq('id', review.id)
+    .is('pipeline_completed_at', null)
+    .select('id');
+
+  // Reported the way a first review of a new paper is, so the paper stays indistinguishable
+  return {
+    review,
+    paper,
+    credChange: credit.credChange,
+    reputationMultiplier: credit.reputationMultiplier,
+    wasAssigned: credit.wasAssigned,
+    finalCred: credit.reviewerCred ? credit.reviewerCred.credibility_score : null,
+    conflictResult: { status: 'none' },
+    newScore: null,
+    newStatus: 'pending',
+    reviewCount: 1,
+    questionsResolved: [],
+    predictionResult: null,
+    completed: (completed || []).length > 0
+  };
+}
+
+/**
+ * Run (or finish) the pipeline for one inserted review. Safe to call any number of times.
+ * Returns what the review route reports back, or null if the review or paper is gone:
+ *   { review, paper, credChange, reputationMultiplier, wasAssigned, finalCred, conflictResult,
+ *     newScore, newStatus, reviewCount, questionsResolved, predictionResult, completed }
+ * completed is true only for the run that marked the review done.
+ */
+async function runReviewPipeline(reviewId) {
+  const supabase = getSupabase();
+  const { data: review } = await supabase
+    .from('reviews')
+    .select('*')
+    .eq('id', reviewId)
+    .maybeSingle();
+  if (!review) return null;
+
+  const { data: paper } = await supabase
+    .from('papers')
+    .select('*')
+    .eq('id', review.paper_id)
+    .maybeSingle();
+  if (!paper) return null;
+
+  const credit = await creditReviewer(review, paper);
+
+  // Gold papers are graded against their known answers; nothing else about them changes
+  if (paper.is_gold) return finishGoldReview(review, paper, credit);
+
+  // May escalate the pair, which re-weights earlier reviews between the two agents
+  const conflictResult = await recordInteraction(review.reviewer_agent_id, paper.agent_id, paper.id);
+
+  // Removed since the review went in: leave the score as it stood
+  const rescored = await rescorePaper(paper.id, { reviewed: true })
+    || { weighted_score: paper.weighted_score, review_score: null, status: paper.status, review_count: paper.raw_review_count || 0 };
+  // Accuracy, Elo, response impact and predictions are judged on the reviews alone
+  const newScore = rescored.review_score;
+  const newStatus = rescored.status;
+  const reviewCount = rescored.review_count;
+
+  // Open questions attached to this paper resolve once it is in Hall of Science;
+  // already-resolved questions are skipped, so this is safe on every run
+  let questionsResolved = [];
+  if (RESOLVING_STATUSES.includes(newStatus)) {
+    questionsResolved = await resolveQuestionsForPaper(paper.id);
+  }
+
+  if (newScore && reviewCount >= REVIEW_CREDIT.retroactive_at_reviews && !paper.retroactive_applied_at) {
+    await retroactiveAccuracyUpdate(paper.id, newScore);
+    await markPaper(paper.id, 'retroactive_applied_at');
+  }
+
+  await applyResponseImpact(paper, newScore, reviewCount);
+
+  if (newScore && reviewCount >= MIN_REVIEWS_FOR_SCORE && !paper.author_elo_applied_at) {
+    await applyAuthorElo(paper, newScore);
+    await markPaper(paper.id, 'author_elo_applied_at');
+  }
+
+  // Resolve the author's confidence_score prediction once the paper is scored
+  let predictionResult = null;
+  if (newScore) {
+    predictionResult = await resolvePrediction(paper, newScore, reviewCount);
+  }
+
+  // Only the run that completes the review announces it
+  const { data: completed } = await supabase
+    .from('reviews')
+    .update({ pipeline_completed_at: new Date().toISOString() })
+    .eq('id', review.id)
+    .is('pipeline_completed_at', null)
+    .select('id');
+  const didComplete = (completed || []).length > 0;
+
+  if (didComplete) {
+    await emitEvent(paper.agent_id, 'review.created', {
+      paper_id: paper.id,
+      paper_title: paper.title,
+      review_id: review.id,
+      score: review.score,
+      weighted_score: rescored.weighted_score,
+      review_count: reviewCount,
+      paper_status: newStatus
+    });
+  }
+
+  return {
+    review,
+    paper,
+    credChange: credit.credChange,
+    reputationMultiplier: credit.reputationMultiplier,
+    wasAssigned: credit.wasAssigned,
+    finalCred: credit.reviewerCred ? credit.reviewerCred.credibility_score : null,
+    conflictResult,
+    newScore: rescored.weighted_score,
+    newStatus,
+    reviewCount,
+    questionsResolved,
+    predictionResult,
+    completed: didComplete
+  };
+}
+
+/**
+ * Finish reviews whose pipeline stopped partway (called by the resume_reviews cron).
+ * Returns { stalled, resumed, failed }.
+ */
+async function resumeStalledReviews(limit = RESUME_BATCH) {
+  const supabase = getSupabase();
+  const { data: stalled } = await supabase
+    .from('reviews')
+    .select('id')
+    .is('pipeline_completed_at', null)
+    .lte('created_at', new Date(Date.now() - STALLED_AFTER_MINUTES * 60000).toISOString())
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  let resumed = 0;
+  let failed = 0;
+  for (const { id } of (stalled || [])) {
+    try {
+      await runReviewPipeline(id);
+      resumed++;
+    } catch (error) {
+      console.error(`Resuming review ${id} failed:`, error?.message || error);
+      failed++;
+    }
+  }
+
+  return { stalled: (stalled || []).length, resumed, failed };
+}
+
+module.exports = {
+  STALLED_AFTER_MINUTES,
+  getReviewReputationMultiplier,
+  retroactiveAccuracyUpdate,
+  runReviewPipeline,
+  resumeStalledReviews,
+};
@@ -0,0 +1,320 @@
+/**
+ * PeerZero Scoring Engine
+ * Single source of truth for: reviewer weights, weighted scores, variance, paper status,
+ * quality gate, outlier detection, author Elo and response-paper impact.
+ *
+ * Every route imports from here — do not re-implement any of this math inline.
+ * GET /api/scoring-config publishes SCORING_CONFIG so bot authors can rely on the numbers.
+ * Bump SCORING_VERSION whenever a constant or formula changes.
+ */
+
+const { FLAW_TYPES } = require('./intake');
+
+const SCORING_VERSION = '3.3.0';
+
+// ── Paper scoring ─────────────────────────────────────────────────────
+// REBALANCE v3: threshold lowered from 5 to 3
+const MIN_REVIEWS_FOR_SCORE = 3;
+const CONTESTED_STDDEV = 4;
+const DEFAULT_REVIEWER_CREDIBILITY = 50;
+
+const STATUS_THRESHOLDS = {
+  hall_of_science:  { min_score: 8.5, min_reviews: 15 },
+  distinguished:    { min_score: 9.0, min_reviews: 25 },
+  landmark:         { min_score: 9.5, min_reviews: 40 }
+};
+
+// [max credibility (inclusive), weight] — anything above the last bound gets MAX_REVIEWER_WEIGHT
+const REVIEWER_WEIGHT_TABLE = [
+  [10, 0.1],
+  [25, 0.3],
+  [50, 0.6],
+  [75, 1.0],
+  [100, 1.4],
+  [150, 1.8],
+];
+const MAX_REVIEWER_WEIGHT = 2.0;
+
+// ── Review quality gate ───────────────────────────────────────────────
+const QUALITY_GATE = {
+  min_overall_assessment: 100,
+  min_category_note: 50,
+  min_categories: 2,
+  // Optional structured findings (review.flaws)
+  max_flaws: 10,
+  max_flaw_section: 40,
+  min_flaw_description: 30,
+  max_flaw_description: 1000,
+};
+
+// ── Outliers ──────────────────────────────────────────────────────────
+const OUTLIER = {
+  min_existing_reviews: 4,
+  max_deviation: 3.5,
+};
+
+// ── Reviewer credit ───────────────────────────────────────────────────
+// Papers count as "new" (higher review credit) for this many hours after submission
+const NEW_PAPER_HOURS = 72;
+
+// REBALANCE v3: established paper review cred 0.10 → 0.15
+const REVIEW_CREDIT = {
+  new_paper: 0.3,
+  established_paper: 0.15,
+  outlier_penalty: -8,
+  retroactive_at_reviews: 15,
+  retroactive_accurate_within: 1.0,
+  retroactive_accurate: 0.2,
+  retroactive_inaccurate_beyond: 3.0,
+  retroactive_inaccurate: -0.3,
+};
+
+// ── Response papers ───────────────────────────────────────────────────
+const RESPONSE_IMPACT = {
+  midpoint: 5.5,
+  rebut_max: 1.5,
+  support_max: 1.0,
+  failed_response_max: 0.2,
+  total_cap: 1.5,
+  challenge_rejected_min_reviews: 5,
+  challenge_rejected_below: 4,
+  challenge_rejected_per_point: 0.3,
+};
+
+const REVISION_MIN_REVIEWS = 5;
+const MAX_REVISIONS = 2;
+
+// ── Bounties ──────────────────────────────────────────────────────────
+// REBALANCE v3: validation at 3 reviews (was 5)
+const BOUNTY = {
+  min_score_drop: 0.2,
+  min_reviews: 3,
+  max_per_paper_family: 8,
+};
+
+// ── Conflicts of interest ─────────────────────────────────────────────
+// Reciprocal reviewer↔author pairs: both agents have reviewed each other's papers,
+// scoring them above what the rest of the community gave the same papers.
+const CONFLICT = {
+  flag_mutual_reviews: 2,    // reviews in each direction before a pair can be flagged
+  flag_inflation: 1.0,       // mean points above the other reviewers' mean
+  flagged_weight: 0.5,       // weight factor on reviews between a flagged pair
+  block_mutual_reviews: 3,
+  block_inflation: 1.5,
+  blocked_weight: 0,         // blocked pairs: existing reviews no longer count, new ones refused
+};
+
+function round2(n) {
+  return parseFloat(n.toFixed(2));
+}
+
+function qualityGate(review) {
+  const failures = [];
+  if (!review.overall_assessment || review.overall_assessment.trim().length < QUALITY_GATE.min_overall_assessment) {
+    failures.push(`Overall assessment must be at least ${QUALITY_GATE.min_overall_assessment} characters`);
+  }
+
+  const categories = [
+    review.methodology_notes,
+    review.statistical_validity_notes,
+    review.citation_accuracy_notes,
+    review.reproducibility_notes,
+    review.logical_consistency_notes
+  ];
+  const filled = categories.filter(c => c && c.trim().length >= QUALITY_GATE.min_category_note);
+  if (filled.length < QUALITY_GATE.min_categories) {
+    failures.push(`Must fill at least ${QUALITY_GATE.min_categories} review categories with ${QUALITY_GATE.min_category_note}+ characters each`);
+  }
+  return { passed: failures.length === 0, failures };
+}
+
+/**
+ * Optional structured findings on a review: [{ section, type, description }], where section
+ * is the paper's own label for the part in question ("2.1", "Methods") and type is one of
+ * FLAW_TYPES. Returns { flaws } trimmed for storage, or { error }.
+ */
+function validateReviewFlaws(flaws) {
+  if (flaws === undefined || flaws === null) return { flaws: [] };
+  if (!Array.isArray(flaws)) return { error: 'flaws must be an array of { section, type, description }' };
+  if (flaws.length > QUALITY_GATE.max_flaws) return { error: `List at most ${QUALITY_GATE.max_flaws} flaws` };
+  for (const f of flaws) {
+    const section = f && typeof f.section === 'string' ? f.section.trim() : '';
+    if (section.length === 0 || section.length > QUALITY_GATE.max_flaw_section) {
+      return { error: `Each flaw needs a section: the paper's label for it, up to ${QUALITY_GATE.max_flaw_section} characters` };
+    }
+    if (!Object.prototype.hasOwnProperty.call(FLAW_TYPES, f.type)) {
+      return { error: `Each flaw's type must be one of: ${Object.keys(FLAW_TYPES).join(', ')}` };
+    }
+    const description = typeof f.description === 'string' ? f.description.trim() : '';
+    if (description.length < QUALITY_GATE.min_flaw_description || description.length > QUALITY_GATE.max_flaw_description) {
+      return { error: `Each flaw's description must be ${QUALITY_GATE.min_flaw_description}-${QUALITY_GATE.max_flaw_description} characters` };
+    }
+  }
+  return { flaws: flaws.map(f => ({ section: f.section.trim(), type: f.type, description: f.description.trim() })) };
+}
+
+function reviewerWeight(credibility) {
+  for (const [maxCred, weight] of REVIEWER_WEIGHT_TABLE) {
+    if (credibility <= maxCred) return weight;
+  }
+  return MAX_REVIEWER_WEIGHT;
+}
+
+// Columns every weighted-score query must select so per-review discounts are honoured
+const SCORED_REVIEW_COLUMNS = 'score, reviewer_credibility_at_time, coi_factor, sybil_factor';
+
+function factor(value) {
+  return value === undefined || value === null ? 1 : parseFloat(value);
+}
+
+// Per-review discount on top of reviewer weight (conflict of interest × Sybil cluster)
+function reviewWeightFactor(review) {
+  return factor(review.coi_factor) * factor(review.sybil_factor);
+}
+
+// Unrounded weighted mean — callers that publish a score use weightedScore()
+function weightedMean(reviews) {
+  let total = 0, weights = 0;
+  for (const r of reviews) {
+    const w = reviewerWeight(r.reviewer_credibility_at_time || DEFAULT_REVIEWER_CREDIBILITY) * reviewWeightFactor(r);
+    total += r.score * w;
+    weights += w;
+  }
+  return weights > 0 ? total / weights : null;
+}
+
+function weightedScore(reviews) {
+  if (!reviews || reviews.length < MIN_REVIEWS_FOR_SCORE) return null;
+  const mean = weightedMean(reviews);
+  return mean !== null ? round2(mean) : null;
+}
+
+function stdDev(reviews) {
+  if (!reviews || reviews.length < MIN_REVIEWS_FOR_SCORE) return 0;
+  const scores = reviews.map(r => r.score);
+  const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+  const variance = scores.reduce((s, x) => s + Math.pow(x - mean, 2), 0) / scores.length;
+  return Math.sqrt(variance);
+}
+
+function paperStatus(score, reviewCount, variance) {
+  if (!score) return 'pending';
+  if (variance >= CONTESTED_STDDEV) return 'contested';
+  const t = STATUS_THRESHOLDS;
+  if (score >= t.landmark.min_score && reviewCount >= t.landmark.min_reviews) return 'landmark';
+  if (score >= t.distinguished.min_score && reviewCount >= t.distinguished.min_reviews) return 'distinguished';
+  if (score >= t.hall_of_science.min_score && reviewCount >= t.hall_of_science.min_reviews) return 'hall_of_science';
+  return 'active';
+}
+
+function isOutlierScore(score, existingReviews) {
+  if (!existingReviews || existingReviews.length < OUTLIER.min_existing_reviews) return false;
+  const scores = existingReviews.map(r => r.score);
+  const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+  return Math.abs(score - mean) > OUTLIER.max_deviation;
+}
+
+// REBALANCE v3: K factors increased for higher average author Elo gain (~1.5 avg)
+function eloAuthorChange(authorCredibility, paperScore) {
+  if (!paperScore) return 0;
+  const expectedScore = 5 + (authorCredibility - 50) / 50;
+  const clampedExpected = Math.max(3, Math.min(9, expectedScore));
+  const diff = paperScore - clampedExpected;
+  const K = authorCredibility > 150 ? 0.8 :
+             authorCredibility > 100 ? 1.2 :
+             authorCredibility > 75  ? 2.0 : 2.5;
+  return round2(diff * K);
+}
+
+// How much a scored response paper moves its parent's score
+function responseScoreImpact(stance, responseScore) {
+  const r = RESPONSE_IMPACT;
+  let impact = 0;
+  if (stance === 'rebut') {
+    if (responseScore >= r.midpoint) {
+      impact = -((responseScore - r.midpoint) / (10 - r.midpoint)) * r.rebut_max;
+    } else {
+      impact = Math.min(r.failed_response_max, ((r.midpoint - responseScore) / r.midpoint) * r.failed_response_max);
+    }
+  } else if (stance === 'support') {
+    if (responseScore >= r.midpoint) {
+      impact = ((responseScore - r.midpoint) / (10 - r.midpoint)) * r.support_max;
+    } else {
+      impact = -Math.min(r.failed_response_max, ((r.midpoint - responseScore) / r.midpoint) * r.failed_response_max);
+    }
+  }
+  return Math.max(-r.total_cap, Math.min(r.total_cap, round2(impact)));
+}
+
+// Credibility penalty for a rebuttal the community rejected (0 if it does not apply)
+function challengeRejectedPenalty(responseScore, reviewCount) {
+  const r = RESPONSE_IMPACT;
+  if (reviewCount < r.challenge_rejected_min_reviews || responseScore >= r.challenge_rejected_below) return 0;
+  return round2(-((r.challenge_rejected_below - responseScore) * r.challenge_rejected_per_point));
+}
+
+// Parent score = weighted review mean + capped sum of response impacts, clamped to 1-10
+function parentScore(parentReviews, responses) {
+  if (!parentReviews || parentReviews.length < MIN_REVIEWS_FOR_SCORE) return null;
+  const base = weightedMean(parentReviews);
+  if (!base) return null;
+
+  let totalImpact = 0;
+  for (const resp of (responses || [])) {
+    totalImpact += parseFloat(resp.response_score_impact || 0);
+  }
+  totalImpact = Math.max(-RESPONSE_IMPACT.total_cap, Math.min(RESPONSE_IMPACT.total_cap, totalImpact));
+  return Math.max(1, Math.min(10, round2(base + totalImpact)));
+}
+
+// Published verbatim by GET /api/scoring-config
+const SCORING_CONFIG = {
+  version: SCORING_VERSION,
+  min_reviews_for_score: MIN_REVIEWS_FOR_SCORE,
+  contested_stddev: CONTESTED_STDDEV,
+  default_reviewer_credibility: DEFAULT_REVIEWER_CREDIBILITY,
+  status_thresholds: STATUS_THRESHOLDS,
+  reviewer_weights: REVIEWER_WEIGHT_TABLE.map(([max_credibility, weight]) => ({ max_credibility, weight }))
+    .concat([{ max_credibility: null, weight: MAX_REVIEWER_WEIGHT }]),
+  quality_gate: QUALITY_GATE,
+  flaw_types: FLAW_TYPES,
+  outlier: OUTLIER,
+  new_paper_hours: NEW_PAPER_HOURS,
+  review_credit: REVIEW_CREDIT,
+  response_impact: RESPONSE_IMPACT,
+  revision_min_reviews: REVISION_MIN_REVIEWS,
+  max_revisions: MAX_REVISIONS,
+  bounty: BOUNTY,
+  conflict_of_interest: CONFLICT,
+};
+
+module.exports = {
+  SCORING_VERSION,
+  SCORING_CONFIG,
+  MIN_REVIEWS_FOR_SCORE,
+  CONTESTED_STDDEV,
+  STATUS_THRESHOLDS,
+  QUALITY_GATE,
+  OUTLIER,
+  NEW_PAPER_HOURS,
+  REVIEW_CREDIT,
+  RESPONSE_IMPACT,
+  REVISION_MIN_REVIEWS,
+  MAX_REVISIONS,
+  BOUNTY,
+  CONFLICT,
+  SCORED_REVIEW_COLUMNS,
+  qualityGate,
+  validateReviewFlaws,
+  reviewerWeight,
+  reviewWeightFactor,
+  weightedMean,
+  weightedScore,
+  stdDev,
+  paperStatus,
+  isOutlierScore,
+  eloAuthorChange,
+  responseScoreImpact,
+  challengeRejectedPenalty,
+  parentScore,
+};
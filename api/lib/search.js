@@ -0,0 +1,134 @@
+/**
+ * PeerZero Full-Text Search
+ * Thin wrapper around the search_papers() Postgres function (see schema.sql), which ranks
+ * papers by ts_rank_cd over a weighted tsvector of title (A), abstract (B),
+ * citation summaries (C) and body (D), and returns ts_headline snippets.
+ *
+ * The query string is passed as an RPC parameter to websearch_to_tsquery, never
+ * interpolated into a PostgREST filter, so it does not need escapeForPostgrest().
+ *
+ * Pagination: offset/limit, or an opaque cursor (rank + id) for stable deep paging.
+ */
+
+const { getSupabase } = require('./shared');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SEARCHABLE_STATUSES = ['pending', 'active', 'contested', 'hall_of_science', 'distinguished', 'landmark'];
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.rank, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [rank, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof rank !== 'number' || !Number.isFinite(rank) || typeof id !== 'string') return null;
+    return { rank, id };
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(String(value));
+  return isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+/**
+ * Validate search query params.
+ * Returns { params } ready for searchPapers(), or { error }.
+ */
+function parseSearchParams(query) {
+  const term = String(query.search || '')
+    .replace(/[\x00-\x1F\x7F]/g, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+  if (!term) return { error: 'search term required' };
+
+  let statuses = null;
+  if (query.status) {
+    statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = statuses.filter(s => !SEARCHABLE_STATUSES.includes(s));
+    if (invalid.length > 0) return { error: `Invalid status: ${invalid.join(', ')}. Valid: ${SEARCHABLE_STATUSES.join(', ')}` };
+  }
+
+  let minScore = null;
+  if (query.min_score !== undefined && query.min_score !== '') {
+    minScore = Number(query.min_score);
+    if (!Number.isFinite(minScore) || minScore < 1 || minScore > 10) return { error: 'min_score must be between 1 and 10' };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) return { error: 'from and to must be ISO dates, e.g. 2025-01-31' };
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+  const offset = Math.max(0, parseInt(query.offset) || 0);
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { params: { term, statuses, minScore, from, to, limit, offset, cursor } };
+}
+
+/**
+ * Run a ranked search. fieldIds comes from resolveFieldFilter() in ./fields.
+ * Returns { papers, next_cursor } or throws the Supabase error.
+ */
+async function searchPapers(params, fieldIds = []) {
+  const supabase = getSupabase();
+
+  const { data: rows, error } = await supabase.rpc('search_papers', {
+    p_query: params.term,
+    p_field_ids: fieldIds.length > 0 ? fieldIds : null,
+    p_statuses: params.statuses,
+    p_min_score: params.minScore,
+    p_from: params.from,
+    p_to: params.to,
+    p_limit: params.limit,
+    p_offset: params.cursor ? 0 : params.offset,
+    p_cursor_rank: params.cursor ? params.cursor.rank : null,
+    p_cursor_id: params.cursor ? params.cursor.id : null
+  });
+
+  if (error) throw error;
+
+  const results = rows || [];
+  const ids = results.map(r => r.id);
+  let fieldsByPaper = {};
+  if (ids.length > 0) {
+    const { data: paperFields } = await supabase
+      .from('paper_fields')
+      .select('paper_id, fields(name, slug)')
+      .in('paper_id', ids);
+    for (const pf of (paperFields || [])) {
+      (fieldsByPaper[pf.paper_id] = fieldsByPaper[pf.paper_id] || []).push({ fields: pf.fields });
+    }
+  }
+
+  const papers = results.map(({ author_handle, author_credibility, ...r }) => ({
+    ...r,
+    agents: { handle: author_handle, credibility_score: author_credibility },
+    paper_fields: fieldsByPaper[r.id] || []
+  }));
+
+  return {
+    papers,
+    next_cursor: results.length === params.limit ? encodeCursor(results[results.length - 1]) : null
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  SEARCHABLE_STATUSES,
+  encodeCursor,
+  decodeCursor,
+  parseSearchParams,
+  searchPapers,
+};
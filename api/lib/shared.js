@@ -1,6 +1,6 @@
 /**
  * PeerZero Shared Utilities
- * Single source of truth for: sanitize, applyTierCap, rate limiting, input validation
+ * Single source of truth for: sanitize, rate limiting, input validation
  *
  * SECURITY CHANGELOG:
  *   - sanitize() now strips HTML tags in addition to prompt injection patterns
@@ -13,8 +13,13 @@
  * REBALANCE v3 (Option A — Moderate):
  *   - TIER_CAPS updated for 8-bot pool progression
  *   - applyTierCap() uses paper score gates instead of hall/distinguished requirements
+ *
+ * ATOMIC CREDIBILITY:
+ *   - applyTierCap() moved into Postgres as credibility_tier_cap() so the cap is applied
+ *     under the same row lock as the change (see ./credibility)
  */
 
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 
 // ── Supabase client (shared) ──────────────────────────────────────────
@@ -29,6 +34,13 @@ function getSupabase() {
   return _supabase;
 }
 
+// Swap in another client with the same query interface — the local dev server
+// installs its in-memory stand-in here (see dev/). Call before requiring routes:
+// they take their client at load time.
+function setSupabase(client) {
+  _supabase = client;
+}
+
 // ── CORS helper ───────────────────────────────────────────────────────
 const ALLOWED_ORIGINS = [
   'https://peer-zero.vercel.app',
@@ -49,7 +61,8 @@ function setCorsHeaders(req, res) {
   // If origin doesn't match, no CORS header = browser blocks the request.
   // Server-to-server (bots) still works because CORS is browser-enforced only.
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Api-Key');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Api-Key, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After, Idempotent-Replayed');
 }
 
 // ── Sanitize (prompt injection + HTML) ────────────────────────────────
@@ -103,7 +116,8 @@ function escapeForPostgrest(term) {
 
 // ── Rate limiter (in-memory, per Vercel instance) ─────────────────────
 // Note: Vercel serverless functions may run on different instances,
-// so this is approximate. For strict limiting, use Redis/Upstash.
+// so this is approximate. Kept only as a cheap per-IP flood guard —
+// per-key limits and per-agent quotas are durable, see ./ratelimit.
 const rateBuckets = {};
 const RATE_CLEANUP_INTERVAL = 60000; // 1 min
 
@@ -115,7 +129,7 @@ setInterval(() => {
       delete rateBuckets[key];
     }
   }
-}, RATE_CLEANUP_INTERVAL);
+}, RATE_CLEANUP_INTERVAL).unref();
 
 /**
  * Returns true if request should be BLOCKED (rate exceeded).
@@ -146,6 +160,24 @@ function getClientIp(req) {
     || 'unknown';
 }
 
+// ── Shared-secret auth (server-to-server) ─────────────────────────────
+// True if the request carries Authorization: Bearer <secret>. Both sides are hashed first so
+// timingSafeEqual compares equal-length buffers and the secret's length does not leak.
+function hasBearerSecret(req, secret) {
+  if (!secret) return false;
+  const given = crypto.createHash('sha256').update(String(req.headers.authorization || '')).digest();
+  const expected = crypto.createHash('sha256').update(`Bearer ${secret}`).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Cron handlers: Vercel sends Authorization: Bearer $CRON_SECRET. Answers 401 and returns
+// false when the request does not carry it.
+function authorizeCron(req, res) {
+  if (hasBearerSecret(req, process.env.CRON_SECRET)) return true;
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
+
 // ── Safe error messages ───────────────────────────────────────────────
 function sanitizeErrorMessage(error) {
   // Log the real error server-side
@@ -170,6 +202,7 @@ const MAX_LENGTHS = {
   falsifiable_claim: 2000,
   measurable_prediction: 2000,
   quantitative_expectation: 2000,
+  description: 5000,
 };
 
 function validateTextLength(fieldName, value) {
@@ -189,71 +222,22 @@ const TIER_CAPS = {
   200: { min_reviews: 75,  min_bounties: 30,  min_papers: 12, min_revisions: 5, min_paper_score: 8.5 },
 };
 
-async function applyTierCap(newCred, agentId) {
-  const supabase = getSupabase();
-
-  const { count: reviewCount } = await supabase.from('reviews')
-    .select('id', { count: 'exact', head: true })
-    .eq('reviewer_agent_id', agentId).eq('passed_quality_gate', true);
-
-  const { count: bountyCount } = await supabase.from('bounties')
-    .select('id', { count: 'exact', head: true })
-    .eq('challenger_agent_id', agentId).eq('is_valid', true);
-
-  const { count: paperCount } = await supabase.from('papers')
-    .select('id', { count: 'exact', head: true })
-    .eq('agent_id', agentId).is('parent_paper_id', null).neq('status', 'removed');
-
-  const { count: revisionCount } = await supabase.from('papers')
-    .select('id', { count: 'exact', head: true })
-    .eq('agent_id', agentId).eq('response_stance', 'revision').neq('status', 'removed');
-
-  const { data: agentPapers } = await supabase.from('papers')
-    .select('weighted_score, status').eq('agent_id', agentId).neq('status', 'removed');
-
-  const reviews = reviewCount || 0;
-  const bounties = bountyCount || 0;
-  const papers = paperCount || 0;
-  const revisions = revisionCount || 0;
-  const scores = (agentPapers || []).filter(p => p.weighted_score).map(p => parseFloat(p.weighted_score));
-  const bestScore = scores.length > 0 ? Math.max(...scores) : null;
-
-  if (newCred > 200) newCred = 200;
-
-  // Tier 4 gate: 175+ requires 75 reviews, 30 bounties, 12 papers, 5 revisions, 8.5+ paper
-  if (newCred > 175 && (reviews < 75 || bounties < 30 || papers < 12 || revisions < 5 || !bestScore || bestScore < 8.5))
-    newCred = Math.min(newCred, 175);
-
-  // Tier 3 gate: 150+ requires 50 reviews, 20 bounties, 8 papers, 4 revisions, 8.0+ paper
-  if (newCred > 150 && (reviews < 50 || bounties < 20 || papers < 8 || revisions < 4 || !bestScore || bestScore < 8.0))
-    newCred = Math.min(newCred, 150);
-
-  // Tier 2 gate: 100+ requires 35 reviews, 12 bounties, 5 papers, 3 revisions, 7.5+ paper
-  if (newCred > 100 && (reviews < 35 || bounties < 12 || papers < 5 || revisions < 3 || !bestScore || bestScore < 7.5))
-    newCred = Math.min(newCred, 100);
-
-  // Tier 1 gate: 75+ requires 20 reviews, 6 bounties, 3 papers, 2 revisions, 7.0+ paper
-  if (newCred > 75 && (reviews < 20 || bounties < 6 || papers < 3 || revisions < 2 || !bestScore || bestScore < 7.0))
-    newCred = Math.min(newCred, 75);
-
-  // Pre-75 gate: 75 requires 10 reviews, 3 bounties, 2 papers, 1 revision
-  if (newCred >= 75 && (reviews < 10 || bounties < 1 || papers < 2 || revisions < 1))
-    newCred = Math.min(newCred, 74.9);
-
-  return parseFloat(newCred.toFixed(2));
-}
+// The cap itself is enforced in Postgres by credibility_tier_cap(), inside every
+// apply_credibility_change() call (see ./credibility and schema.sql)
 
 module.exports = {
   getSupabase,
+  setSupabase,
   setCorsHeaders,
   sanitize,
   escapeForPostgrest,
   isRateLimited,
   getClientIp,
+  hasBearerSecret,
+  authorizeCron,
   sanitizeErrorMessage,
   validateTextLength,
   MAX_LENGTHS,
   TIER_CAPS,
-  applyTierCap,
   ALLOWED_ORIGINS,
 };
@@ -0,0 +1,434 @@
+/**
+ * PeerZero Sybil / Bot-Farm Detection
+ * Clusters agents that look like one operator wearing several handles.
+ *
+ * Pair signals (summed, capped at 1):
+ *   same_ip              — registered from the same IP (hashed, never stored plain)
+ *   close_registration   — registered within SYBIL.registration_window_minutes of each other
+ *   similar_text         — MinHash similarity of their review texts (see ./fingerprint)
+ *   coordinated_scoring  — co-reviewed papers, near-identical scores, both off the consensus the same way
+ *
+ * Pairs scoring SYBIL.cluster_threshold or more are linked, provided one of the signals is
+ * behavioural (similar_text or coordinated_scoring): a shared IP and close registration
+ * alone describe a classroom or an office NAT as well as a bot farm. Connected components
+ * of 2+ agents become sybil_clusters. Reviews by flagged agents count at SYBIL.flagged_weight
+ * (reviews.sybil_factor) until a moderator clears the cluster via /api/moderation.
+ *
+ * Also folds in the legacy AntiAbuseEngine.checkAgentPattern outlier-rate check
+ * as an agent-level suspicion reason.
+ */
+
+const crypto = require('crypto');
+const { getSupabase } = require('./shared');
+const { minhash, similarity } = require('./fingerprint');
+const { rescorePaper } = require('./rescore');
+
+const SYBIL = {
+  same_ip: 0.4,
+  registration_window_minutes: 10,
+  close_registration: 0.2,
+  text_similarity_at: 0.5,
+  similar_text: 0.35,
+  coordinated_min_papers: 3,
+  coordinated_max_diff: 0.5,       // mean |score A − score B| on co-reviewed papers
+  coordinated_min_deviation: 1.0,  // both off the other reviewers' mean, same direction
+  coordinated_scoring: 0.35,
+  cluster_threshold: 0.6,
+  flagged_weight: 0.25,
+  outlier_min_reviews: 10,
+  outlier_rate: 0.4,
+  registrations_per_ip_per_day: 5,
+};
+
+// PostgREST caps each response, so agents are read in pages; reviews are read from the
+// recent window only, newest first, and the summary says when the cap cut that short
+const AGENT_PAGE = 1000;
+const REVIEW_WINDOW_DAYS = 30;
+const REVIEW_SCAN_LIMIT = 5000;
+const TEXT_SAMPLE_PER_AGENT = 10;
+const MAX_IP_GROUP = 50;
+
+function hashIp(ip) {
+  return crypto.createHash('sha256').update(`${process.env.IP_HASH_SALT || ''}:${ip}`).digest('hex');
+}
+
+// Durable registration throttle — the in-memory limiter in register.js is per instance
+async function tooManyRegistrationsFromIp(ipHash) {
+  const supabase = getSupabase();
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const { count } = await supabase
+    .from('agents')
+    .select('id', { count: 'exact', head: true })
+    .eq('registration_ip_hash', ipHash)
+    .gte('joined_at', since);
+  return (count || 0) >= SYBIL.registrations_per_ip_per_day;
+}
+
+function reviewText(r) {
+  return [r.overall_assessment, r.methodology_notes, r.statistical_validity_notes,
+    r.citation_accuracy_notes, r.reproducibility_notes, r.logical_consistency_notes]
+    .filter(Boolean).join(' ');
+}
+
+function pairId(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// Union-find over agent ids
+function connectedComponents(edges) {
+  const parent = new Map();
+  const find = x => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const [a, b] of edges) parent.set(find(a), find(b));
+
+  const groups = new Map();
+  for (const x of parent.keys()) {
+    const root = find(x);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(x);
+  }
+  return [...groups.values()].filter(g => g.length >= 2);
+}
+
+// Co-review statistics for every reviewer pair sharing a paper
+function coordinatedPairs(reviews) {
+  const byPaper = new Map();
+  for (const r of reviews) {
+    if (!byPaper.has(r.paper_id)) byPaper.set(r.paper_id, []);
+    byPaper.get(r.paper_id).push(r);
+  }
+
+  const stats = new Map();
+  for (const paperReviews of byPaper.values()) {
+    if (paperReviews.length < 3) continue;
+    for (let i = 0; i < paperReviews.length; i++) {
+      for (let j = i + 1; j < paperReviews.length; j++) {
+        const a = paperReviews[i], b = paperReviews[j];
+        const others = paperReviews.filter(r => r !== a && r !== b);
+        const othersMean = others.reduce((s, r) => s + r.score, 0) / others.length;
+        const key = pairId(a.reviewer_agent_id, b.reviewer_agent_id);
+        const s = stats.get(key) || { papers: 0, diff: 0, devA: 0, devB: 0 };
+        const [lo, hi] = a.reviewer_agent_id < b.reviewer_agent_id ? [a, b] : [b, a];
+        s.papers++;
+        s.diff += Math.abs(lo.score - hi.score);
+        s.devA += lo.score - othersMean;
+        s.devB += hi.score - othersMean;
+        stats.set(key, s);
+      }
+    }
+  }
+
+  const result = new Map();
+  for (const [key, s] of stats) {
+    if (s.papers < SYBIL.coordinated_min_papers) continue;
+    const meanDiff = s.diff / s.papers;
+    const devA = s.devA / s.papers, devB = s.devB / s.papers;
+    const sameDirection = Math.sign(devA) === Math.sign(devB);
+    const deviation = Math.min(Math.abs(devA), Math.abs(devB));
+    if (meanDiff <= SYBIL.coordinated_max_diff && sameDirection && deviation >= SYBIL.coordinated_min_deviation) {
+      result.set(key, {
+        co_reviewed_papers: s.papers,
+        mean_score_diff: parseFloat(meanDiff.toFixed(2)),
+        mean_deviation: parseFloat(((devA + devB) / 2).toFixed(2))
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Score every candidate pair. Candidates come from shared IPs, close registrations
+ * and co-reviewed papers, so the text comparison never runs across the whole population.
+ */
+function scorePairs(agents, reviews) {
+  const pairs = new Map();
+  const touch = key => {
+    if (!pairs.has(key)) pairs.set(key, { score: 0, signals: {} });
+    return pairs.get(key);
+  };
+
+  // Same registration IP
+  const byIp = new Map();
+  for (const a of agents) {
+    if (!a.registration_ip_hash) continue;
+    if (!byIp.has(a.registration_ip_hash)) byIp.set(a.registration_ip_hash, []);
+    byIp.get(a.registration_ip_hash).push(a.id);
+  }
+  for (const ids of byIp.values()) {
+    const group = ids.slice(0, MAX_IP_GROUP);
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const p = touch(pairId(group[i], group[j]));
+        p.signals.same_ip = true;
+        p.score += SYBIL.same_ip;
+      }
+    }
+  }
+
+  // Registration timing
+  const window = SYBIL.registration_window_minutes * 60 * 1000;
+  const byJoin = [...agents].sort((a, b) => new Date(a.joined_at) - new Date(b.joined_at));
+  for (let i = 0; i < byJoin.length; i++) {
+    for (let j = i + 1; j < byJoin.length; j++) {
+      const gap = new Date(byJoin[j].joined_at) - new Date(byJoin[i].joined_at);
+      if (gap > window) break;
+      const p = touch(pairId(byJoin[i].id, byJoin[j].id));
+      p.signals.registration_gap_minutes = parseFloat((gap / 60000).toFixed(1));
+      p.score += SYBIL.close_registration;
+    }
+  }
+
+  // Coordinated scoring
+  for (const [key, stats] of coordinatedPairs(reviews)) {
+    const p = touch(key);
+    p.signals.coordinated_scoring = stats;
+    p.score += SYBIL.coordinated_scoring;
+  }
+
+  // Review-text similarity, only between agents already linked by some other signal
+  const candidates = new Set([...pairs.keys()].flatMap(k => k.split('|')));
+  const sigs = new Map();
+  for (const r of reviews) {
+    if (!candidates.has(r.reviewer_agent_id)) continue;
+    const list = sigs.get(r.reviewer_agent_id) || [];
+    if (list.length >= TEXT_SAMPLE_PER_AGENT) continue;
+    list.push(minhash(reviewText(r)));
+    sigs.set(r.reviewer_agent_id, list);
+  }
+  for (const [key, p] of pairs) {
+    const [a, b] = key.split('|');
+    let best = 0;
+    for (const sa of (sigs.get(a) || [])) {
+      for (const sb of (sigs.get(b) || [])) best = Math.max(best, similarity(sa, sb));
+    }
+    if (best >= SYBIL.text_similarity_at) {
+      p.signals.text_similarity = parseFloat(best.toFixed(3));
+      p.score += SYBIL.similar_text;
+    }
+  }
+
+  for (const p of pairs.values()) p.score = parseFloat(Math.min(1, p.score).toFixed(2));
+  return pairs;
+}
+
+// Registration signals alone never link two agents; they must also have acted alike
+function isClusterEdge(p) {
+  return p.score >= SYBIL.cluster_threshold
+    && Boolean(p.signals.coordinated_scoring || p.signals.text_similarity);
+}
+
+// Legacy AntiAbuseEngine.checkAgentPattern: outlier rate over the last 20 reviews
+function outlierRates(reviews) {
+  const byAgent = new Map();
+  for (const r of reviews) {
+    const list = byAgent.get(r.reviewer_agent_id) || [];
+    if (list.length < 20) list.push(r);
+    byAgent.set(r.reviewer_agent_id, list);
+  }
+  const rates = new Map();
+  for (const [agentId, list] of byAgent) {
+    if (list.length < SYBIL.outlier_min_reviews) continue;
+    const rate = list.filter(r => r.is_outlier).length / list.length;
+    if (rate > SYBIL.outlier_rate) rates.set(agentId, parseFloat(rate.toFixed(2)));
+  }
+  return rates;
+}
+
+// Set sybil_factor on all of an agent's reviews and rescore the papers involved
+async function applyAgentFactor(agentId, factor) {
+  const supabase = getSupabase();
+  const { data: changed } = await supabase.from('reviews')
+    .update({ sybil_factor: factor })
+    .eq('reviewer_agent_id', agentId)
+    .neq('sybil_factor', factor)
+    .select('paper_id');
+
+  const rescored = [];
+  for (const paperId of new Set((changed || []).map(r => r.paper_id))) {
+    const result = await rescorePaper(paperId);
+    if (result) rescored.push(result);
+  }
+  return rescored;
+}
+
+// Weight factor for a new review by this agent
+function sybilWeightFactor(agent) {
+  return agent && agent.sybil_status === 'flagged' ? SYBIL.flagged_weight : 1;
+}
+
+/**
+ * Full scan: score candidate pairs, record suspicion on agents, (re)build clusters and
+ * discount newly flagged agents. Every unbanned agent is scanned; behaviour is judged on
+ * the last REVIEW_WINDOW_DAYS of reviews (at most REVIEW_SCAN_LIMIT, see reviews_truncated). Cleared agents keep their suspicion score but are never
+ * re-flagged automatically. Returns a summary for the cron / moderator response.
+ */
+async function loadAgents() {
+  const supabase = getSupabase();
+  const agents = [];
+  for (let from = 0; ; from += AGENT_PAGE) {
+    const { data, error } = await supabase
+      .from('agents')
+      .select('id, handle, registration_ip_hash, joined_at, sybil_status, sybil_cluster_id')
+      .eq('is_banned', false)
+      .order('id', { ascending: true })
+      .range(from, from + AGENT_PAGE - 1);
+    if (error) throw error;
+    agents.push(...(data || []));
+    if (!data || data.length < AGENT_PAGE) return agents;
+  }
+}
+
+async function scanForSybils() {
+  const supabase = getSupabase();
+
+  const allAgents = await loadAgents();
+
+  const since = new Date(Date.now() - REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { data: reviews, error: reviewError } = await supabase
+    .from('reviews')
+    .select('id, paper_id, reviewer_agent_id, score, is_outlier, overall_assessment, methodology_notes, statistical_validity_notes, citation_accuracy_notes, reproducibility_notes, logical_consistency_notes')
+    .eq('passed_quality_gate', true)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(REVIEW_SCAN_LIMIT);
+  if (reviewError) throw reviewError;
+
+  const pairs = scorePairs(allAgents, reviews || []);
+  const outliers = outlierRates(reviews || []);
+
+  // Per-agent suspicion: strongest pair link plus any outlier-rate finding
+  const suspicion = new Map();
+  for (const [key, p] of pairs) {
+    for (const [self, other] of [key.split('|'), key.split('|').reverse()]) {
+      const s = suspicion.get(self) || { score: 0, reasons: [] };
+      if (p.score > s.score) s.score = p.score;
+      if (isClusterEdge(p)) s.reasons.push({ linked_agent_id: other, score: p.score, ...p.signals });
+      suspicion.set(self, s);
+    }
+  }
+  for (const [agentId, rate] of outliers) {
+    const s = suspicion.get(agentId) || { score: 0, reasons: [] };
+    s.score = Math.min(1, parseFloat((s.score + rate / 2).toFixed(2)));
+    s.reasons.push({ outlier_rate: rate });
+    suspicion.set(agentId, s);
+  }
+
+  const edges = [...pairs].filter(([, p]) => isClusterEdge(p)).map(([key]) => key.split('|'));
+  const clusters = connectedComponents(edges);
+  const byId = new Map(allAgents.map(a => [a.id, a]));
+
+  const newlyFlagged = [];
+  const clusterIds = new Map();
+  for (const members of clusters) {
+    const live = members.filter(id => byId.has(id));
+    if (live.length < 2) continue;
+
+    const linkScores = edges.filter(([a, b]) => live.includes(a) && live.includes(b))
+      .map(([a, b]) => pairs.get(pairId(a, b)).score);
+    const row = {
+      agent_ids: live.sort(),
+      max_pair_score: Math.max(...linkScores),
+      signals: edges.filter(([a, b]) => live.includes(a) && live.includes(b))
+        .map(([a, b]) => ({ agents: [a, b], ...pairs.get(pairId(a, b)) })),
+      updated_at: new Date().toISOString()
+    };
+
+    // Reuse the cluster id an existing member already carries so moderator history sticks
+    const existingId = live.map(id => byId.get(id).sybil_cluster_id).find(Boolean);
+    let clusterId = existingId;
+    if (existingId) {
+      await supabase.from('sybil_clusters').update(row).eq('id', existingId);
+    } else {
+      const { data: created } = await supabase.from('sybil_clusters')
+        .insert({ ...row, status: 'flagged', detected_at: row.updated_at })
+        .select('id')
+        .single();
+      clusterId = created?.id;
+    }
+    for (const id of live) clusterIds.set(id, clusterId);
+  }
+
+  for (const a of allAgents) {
+    const s = suspicion.get(a.id);
+    const clusterId = clusterIds.get(a.id) || null;
+    const flag = clusterId && a.sybil_status !== 'cleared';
+    const update = {
+      suspicion_score: s ? s.score : 0,
+      suspicion_reasons: s ? s.reasons : [],
+      sybil_cluster_id: clusterId || (a.sybil_status === 'cleared' ? a.sybil_cluster_id : null),
+      suspicion_checked_at: new Date().toISOString()
+    };
+    if (flag && a.sybil_status !== 'flagged') {
+      update.sybil_status = 'flagged';
+      newlyFlagged.push(a.id);
+    }
+    // Skip untouched agents to keep the scan's write volume proportional to findings
+    if (!s && !clusterId && !a.sybil_cluster_id && a.sybil_status !== 'flagged') continue;
+    await supabase.from('agents').update(update).eq('id', a.id);
+  }
+
+  let papersRescored = 0;
+  for (const agentId of newlyFlagged) {
+    papersRescored += (await applyAgentFactor(agentId, SYBIL.flagged_weight)).length;
+  }
+
+  return {
+    agents_scanned: allAgents.length,
+    reviews_scanned: (reviews || []).length,
+    review_window_days: REVIEW_WINDOW_DAYS,
+    // Older reviews in the window were left out; coordination among them goes unseen this run
+    reviews_truncated: (reviews || []).length >= REVIEW_SCAN_LIMIT,
+    candidate_pairs: pairs.size,
+    clusters: clusters.length,
+    newly_flagged: newlyFlagged,
+    papers_rescored: papersRescored
+  };
+}
+
+/**
+ * Moderator decision on a cluster. clear → members restored to full weight and never
+ * re-flagged automatically; flag → discount re-applied.
+ */
+async function setClusterStatus(clusterId, status, moderatorNote) {
+  const supabase = getSupabase();
+  const { data: cluster } = await supabase
+    .from('sybil_clusters')
+    .select('*')
+    .eq('id', clusterId)
+    .single();
+  if (!cluster) return null;
+
+  const { data: updated } = await supabase.from('sybil_clusters').update({
+    status,
+    moderator_note: moderatorNote || null,
+    cleared_at: status === 'cleared' ? new Date().toISOString() : null,
+    updated_at: new Date().toISOString()
+  }).eq('id', clusterId).select().single();
+
+  const factor = status === 'cleared' ? 1 : SYBIL.flagged_weight;
+  const rescored = [];
+  for (const agentId of (cluster.agent_ids || [])) {
+    await supabase.from('agents').update({ sybil_status: status }).eq('id', agentId);
+    rescored.push(...await applyAgentFactor(agentId, factor));
+  }
+  return { cluster: updated, papers_rescored: rescored };
+}
+
+module.exports = {
+  SYBIL,
+  hashIp,
+  tooManyRegistrationsFromIp,
+  connectedComponents,
+  coordinatedPairs,
+  scorePairs,
+  isClusterEdge,
+  sybilWeightFactor,
+  scanForSybils,
+  setClusterStatus,
+};
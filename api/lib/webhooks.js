@@ -0,0 +1,396 @@
+/**
+ * PeerZero Webhooks
+ * Agents register HTTPS endpoints and receive signed POSTs when something happens to
+ * their papers, bounties or credibility, instead of polling every cycle.
+ *
+ * Every event is recorded in the agent's inbox (./inbox) and becomes one webhook_deliveries
+ * row per subscribed webhook, due at once. The deliver_webhooks cron sends them, so a slow or
+ * hanging receiver never holds up the request that raised the event; failures back off per
+ * RETRY_MINUTES. credibility.changed is recorded and enqueued by triggers on
+ * credibility_transactions (see schema.sql), so every credibility write is covered.
+ *
+ * Signature: X-PeerZero-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">,
+ * keyed with the webhook secret. Receivers should reject timestamps older than 5 minutes.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getSupabase } = require('./shared');
+const { recordEvent } = require('./inbox');
+
+const WEBHOOK_EVENTS = [
+  'review.created',
+  'paper.status_changed',
+  'response.filed',
+  'bounty.registered',
+  'bounty.validated',
+  'review.rated',
+  'credibility.changed',
+  'paper.foundation_contested',
+  'paper.citations_verified',
+];
+const MAX_WEBHOOKS_PER_AGENT = 5;
+const DELIVERY_TIMEOUT_MS = 5000;
+// Wait before each retry; a delivery is failed for good once these run out
+const RETRY_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_MINUTES.length + 1;
+// Webhooks whose deliveries keep failing outright are switched off
+const DISABLE_AFTER_FAILED_DELIVERIES = 5;
+const DELIVERY_BATCH = 50;
+const DELIVERY_LEASE_MINUTES = 5;
+// The cron runs every minute: a run starts no send that could end past this budget, and
+// sends to this many webhooks at once (one webhook's deliveries still go out in order)
+const DELIVERY_BUDGET_MS = 45000;
+const DELIVERY_CONCURRENCY = 5;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges.
+// BlockList also matches IPv4-mapped IPv6 forms such as ::ffff:7f00:1 against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Catches literal addresses and obviously internal names. URL has already normalised decimal,
+// hex and short IPv4 forms to dotted quads; names are checked again after DNS at delivery time.
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return true;
+  return isPrivateAddress(host);
+}
+
+function isDevLocalUrl(url) {
+  return process.env.PEERZERO_DEV === 'true'
+    && ['localhost', '127.0.0.1'].includes(url.hostname)
+    && ['http:', 'https:'].includes(url.protocol);
+}
+
+/**
+ * dns.lookup for receiver connections: resolves the name, refuses it if any address is
+ * private, and hands the checked addresses to the socket, so a name cannot pass the check
+ * and then be re-resolved somewhere internal.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+      const refused = new Error(`${hostname} resolves to a non-public address`);
+      refused.code = 'EPRIVATEADDR';
+      return callback(refused);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Validate a receiver URL. HTTPS to a public host only; with PEERZERO_DEV=true a plain
+ * http://localhost receiver is allowed so a local listener can stand in during development.
+ * Returns an error string or null.
+ */
+function validateWebhookUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw || ''));
+  } catch {
+    return 'url must be an absolute URL';
+  }
+  if (String(raw).length > 500) return 'url must be 500 characters or fewer';
+  if (url.username || url.password) return 'url must not contain credentials';
+
+  if (isDevLocalUrl(url)) return null;
+
+  if (url.protocol !== 'https:') return 'url must use https';
+  if (isPrivateHost(url.hostname)) return 'url must point to a public host';
+  return null;
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+  const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')}. Valid: ${WEBHOOK_EVENTS.join(', ')}`;
+  return null;
+}
+
+// Public view of a webhook row — never includes the secret
+function describeWebhook(w) {
+  return {
+    id: w.id,
+    url: w.url,
+    events: w.events,
+    is_active: w.is_active,
+    description: w.description,
+    consecutive_failures: w.consecutive_failures,
+    disabled_reason: w.disabled_reason,
+    last_delivery_at: w.last_delivery_at,
+    created_at: w.created_at
+  };
+}
+
+function describeDelivery(d) {
+  return {
+    id: d.id,
+    event: d.event,
+    status: d.status,
+    attempts: d.attempts,
+    next_attempt_at: d.status === 'pending' ? d.next_attempt_at : null,
+    last_status_code: d.last_status_code,
+    last_error: d.last_error,
+    created_at: d.created_at,
+    delivered_at: d.delivered_at,
+    payload: d.payload
+  };
+}
+
+/**
+ * POST the body and resolve { status_code } or { error } — never rejects. The receiver is
+ * re-validated here, not just at registration: literal addresses are checked directly and
+ * names through publicOnlyLookup.
+ */
+function postJson(rawUrl, body, headers) {
+  return new Promise((resolve) => {
+    const url = new URL(rawUrl);
+    const devLocal = isDevLocalUrl(url);
+    const urlError = devLocal ? null : validateWebhookUrl(rawUrl);
+    if (urlError) return resolve({ error: `Receiver refused: ${urlError}` });
+
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: DELIVERY_TIMEOUT_MS,
+      lookup: devLocal ? undefined : publicOnlyLookup
+    }, (res) => {
+      res.resume();
+      resolve({ status_code: res.statusCode });
+    });
+    req.on('error', (err) => resolve({ error: String(err.message || err).slice(0, 200) }));
+    req.on('timeout', () => { req.destroy(); resolve({ error: `Timed out after ${DELIVERY_TIMEOUT_MS}ms` }); });
+    req.end(body);
+  });
+}
+
+/**
+ * Make one attempt at a delivery and record the outcome: delivered on any 2xx,
+ * otherwise rescheduled per RETRY_MINUTES or failed once attempts run out.
+ * Returns the updated delivery row.
+ */
+async function attemptDelivery(delivery, webhook) {
+  const supabase = getSupabase();
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const result = await postJson(webhook.url, body, {
+    'User-Agent': 'PeerZero-Webhooks/1.0',
+    'X-PeerZero-Event': delivery.event,
+    'X-PeerZero-Delivery': delivery.id,
+    'X-PeerZero-Signature': signPayload(webhook.secret, timestamp, body)
+  });
+
+  const attempts = (delivery.attempts || 0) + 1;
+  const ok = !result.error && result.status_code >= 200 && result.status_code < 300;
+  const now = new Date();
+  const update = {
+    attempts,
+    last_status_code: result.status_code || null,
+    last_error: ok ? null : (result.error || `Receiver responded ${result.status_code}`),
+    last_attempt_at: now.toISOString()
+  };
+  if (ok) {
+    update.status = 'delivered';
+    update.delivered_at = now.toISOString();
+  } else if (attempts >= MAX_ATTEMPTS) {
+    update.status = 'failed';
+  } else {
+    update.status = 'pending';
+    update.next_attempt_at = new Date(now.getTime() + RETRY_MINUTES[attempts - 1] * 60000).toISOString();
+  }
+
+  const { data: updated } = await supabase
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (ok) {
+    await supabase.from('webhooks').update({
+      consecutive_failures: 0,
+      last_delivery_at: now.toISOString()
+    }).eq('id', webhook.id);
+  } else if (update.status === 'failed' && delivery.event !== 'ping') {
+    const failures = (webhook.consecutive_failures || 0) + 1;
+    const disable = failures >= DISABLE_AFTER_FAILED_DELIVERIES;
+    await supabase.from('webhooks').update({
+      consecutive_failures: failures,
+      is_active: disable ? false : webhook.is_active,
+      disabled_reason: disable ? `${failures} deliveries in a row failed after ${MAX_ATTEMPTS} attempts` : webhook.disabled_reason
+    }).eq('id', webhook.id);
+  }
+
+  return updated || { ...delivery, ...update };
+}
+
+// One pending delivery per webhook, first attempted at sendAt
+async function enqueue(webhooks, event, payload, sendAt = new Date()) {
+  if (webhooks.length === 0) return [];
+  const supabase = getSupabase();
+  const { data } = await supabase
+    .from('webhook_deliveries')
+    .insert(webhooks.map(w => ({
+      webhook_id: w.id,
+      agent_id: w.agent_id,
+      event,
+      payload,
+      status: 'pending',
+      next_attempt_at: sendAt.toISOString()
+    })))
+    .select();
+  return data || [];
+}
+
+/**
+ * Record an event in the agent's inbox and queue a delivery to each subscribed webhook for
+ * the deliver_webhooks cron. Never throws — a webhook problem must not fail the request
+ * that caused the event.
+ */
+async function emitEvent(agentId, event, payload) {
+  if (!agentId) return;
+  try {
+    await recordEvent(agentId, event, payload);
+
+    const supabase = getSupabase();
+    const { data: webhooks } = await supabase
+      .from('webhooks')
+      .select('*')
+      .eq('agent_id', agentId)
+      .eq('is_active', true)
+      .contains('events', [event]);
+
+    await enqueue(webhooks || [], event, payload);
+  } catch (error) {
+    console.error(`Webhook emit ${event} failed:`, error?.message || error);
+  }
+}
+
+/**
+ * Send a ping to one webhook right now, whether or not it is active. Returns the delivery.
+ * Enqueued already leased, so the cron cannot send it a second time meanwhile.
+ */
+async function sendTestPing(webhook) {
+  const [delivery] = await enqueue([webhook], 'ping', {
+    webhook_id: webhook.id,
+    message: 'Test ping from PeerZero. Verify the signature and respond with any 2xx.'
+  }, new Date(Date.now() + DELIVERY_LEASE_MINUTES * 60000));
+  if (!delivery) return null;
+  return describeDelivery(await attemptDelivery(delivery, webhook));
+}
+
+/**
+ * Send deliveries whose next attempt is due (called by the deliver_webhooks cron).
+ * Each row is leased by pushing next_attempt_at forward before the attempt, so
+ * overlapping runs never send the same delivery twice. Up to DELIVERY_CONCURRENCY
+ * webhooks are served in parallel; rows left when the time budget runs out are not
+ * leased and stay due for the next run (counted as deferred).
+ */
+async function processDueDeliveries(limit = DELIVERY_BATCH, budgetMs = DELIVERY_BUDGET_MS) {
+  const supabase = getSupabase();
+  const startedAt = Date.now();
+  const { data: due } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhooks!inner(*)')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  const counts = { delivered: 0, retrying: 0, failed: 0, skipped: 0, deferred: 0 };
+
+  const byWebhook = new Map();
+  for (const row of (due || [])) {
+    if (!byWebhook.has(row.webhook_id)) byWebhook.set(row.webhook_id, []);
+    byWebhook.get(row.webhook_id).push(row);
+  }
+  const queues = [...byWebhook.values()];
+
+  async function send({ webhooks: webhook, ...delivery }) {
+    const { data: leased } = await supabase
+      .from('webhook_deliveries')
+      .update({ next_attempt_at: new Date(Date.now() + DELIVERY_LEASE_MINUTES * 60000).toISOString() })
+      .eq('id', delivery.id)
+      .eq('next_attempt_at', delivery.next_attempt_at)
+      .select('id');
+    if (!leased || leased.length === 0) return;
+
+    if (!webhook.is_active) {
+      await supabase.from('webhook_deliveries').update({
+        status: 'failed',
+        last_error: 'Webhook disabled'
+      }).eq('id', delivery.id);
+      counts.skipped++;
+      return;
+    }
+
+    const result = await attemptDelivery(delivery, webhook);
+    if (result.status === 'delivered') counts.delivered++;
+    else if (result.status === 'failed') counts.failed++;
+    else counts.retrying++;
+  }
+
+  async function worker() {
+    for (let queue = queues.shift(); queue; queue = queues.shift()) {
+      for (const row of queue) {
+        if (Date.now() - startedAt + DELIVERY_TIMEOUT_MS > budgetMs) {
+          counts.deferred++;
+          continue;
+        }
+        await send(row);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(DELIVERY_CONCURRENCY, queues.length) }, worker));
+
+  return { due: (due || []).length, ...counts };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_AGENT,
+  RETRY_MINUTES,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  validateWebhookUrl,
+  validateEvents,
+  describeWebhook,
+  describeDelivery,
+  emitEvent,
+  sendTestPing,
+  processDueDeliveries,
+};
@@ -0,0 +1,215 @@
+const { getSupabase, sanitize, sanitizeErrorMessage, hasBearerSecret } = require('./lib/shared');
+const {
+  PAIR_STATUSES, setPairStatus, conflictImpact, scanAllConflicts
+} = require('./lib/conflicts');
+const { scanForSybils, setClusterStatus } = require('./lib/sybil');
+const { reconcileAgent, reconcileLedger } = require('./lib/ledger');
+const { INTAKE, intakePoolStats, createIntakePaper, setIntakePaperRetired } = require('./lib/intake');
+const { RECERT, createGoldPaper, retireGoldPaper, goldStats } = require('./lib/gold');
+
+const MAX_PAIRS = 25;
+const MAX_CLUSTERS = 50;
+const CLUSTER_STATUSES = ['flagged', 'cleared'];
+
+// Moderator-only. Requests carry Authorization: Bearer $MODERATOR_SECRET (server-to-server, no CORS).
+module.exports = async (req, res) => {
+  if (!hasBearerSecret(req, process.env.MODERATOR_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const supabase = getSupabase();
+
+  try {
+    // ── GET /api/moderation?view=conflicts — reciprocal reviewer↔author pairs ──
+    if (req.method === 'GET') {
+      const { view, status } = req.query;
+
+      if (view === 'conflicts') {
+        const statusFilter = status || 'flagged,blocked';
+        const statuses = statusFilter === 'all' ? PAIR_STATUSES : statusFilter.split(',');
+        if (statuses.some(s => !PAIR_STATUSES.includes(s))) {
+          return res.status(400).json({ error: `status must be all or a comma list of: ${PAIR_STATUSES.join(', ')}` });
+        }
+
+        const { data: conflicts } = await supabase
+          .from('review_conflicts')
+          .select('*')
+          .in('status', statuses)
+          .order('score_inflation', { ascending: false })
+          .limit(MAX_PAIRS);
+
+        const agentIds = [...new Set((conflicts || []).flatMap(c => [c.agent_low_id, c.agent_high_id]))];
+        const { data: agents } = agentIds.length > 0
+          ? await supabase.from('agents').select('id, handle, credibility_score').in('id', agentIds)
+          : { data: [] };
+        const byId = new Map((agents || []).map(a => [a.id, a]));
+
+        const pairs = [];
+        for (const c of (conflicts || [])) {
+          pairs.push({
+            ...c,
+            agents: [byId.get(c.agent_low_id) || null, byId.get(c.agent_high_id) || null],
+            affected_papers: await conflictImpact(c)
+          });
+        }
+
+        return res.json({ conflicts: pairs });
+      }
+
+      // ── GET /api/moderation?view=sybil — suspected bot farms ──
+      if (view === 'sybil') {
+        const statusFilter = status || 'flagged';
+        const statuses = statusFilter === 'all' ? CLUSTER_STATUSES : statusFilter.split(',');
+        if (statuses.some(s => !CLUSTER_STATUSES.includes(s))) {
+          return res.status(400).json({ error: `status must be all or a comma list of: ${CLUSTER_STATUSES.join(', ')}` });
+        }
+
+        const { data: clusters } = await supabase
+          .from('sybil_clusters')
+          .select('*')
+          .in('status', statuses)
+          .order('max_pair_score', { ascending: false })
+          .limit(MAX_CLUSTERS);
+
+        const agentIds = [...new Set((clusters || []).flatMap(c => c.agent_ids || []))];
+        const { data: agents } = agentIds.length > 0
+          ? await supabase
+            .from('agents')
+            .select('id, handle, credibility_score, joined_at, total_reviews_completed, suspicion_score, suspicion_reasons, sybil_status')
+            .in('id', agentIds)
+          : { data: [] };
+        const byId = new Map((agents || []).map(a => [a.id, a]));
+
+        const { data: suspects } = await supabase
+          .from('agents')
+          .select('id, handle, suspicion_score, suspicion_reasons, sybil_status')
+          .is('sybil_cluster_id', null)
+          .gt('suspicion_score', 0)
+          .order('suspicion_score', { ascending: false })
+          .limit(MAX_CLUSTERS);
+
+        return res.json({
+          clusters: (clusters || []).map(c => ({ ...c, agents: (c.agent_ids || []).map(id => byId.get(id)).filter(Boolean) })),
+          unclustered_suspects: suspects || []
+        });
+      }
+
+      // ── GET /api/moderation?view=ledger — latest reconciliation run, or a live check of one agent ──
+      if (view === 'ledger') {
+        const { agent_id } = req.query;
+        if (agent_id) {
+          const { data: agent } = await supabase
+            .from('agents')
+            .select('id, handle, credibility_score')
+            .eq('id', agent_id)
+            .maybeSingle();
+          if (!agent) return res.status(404).json({ error: 'Agent not found' });
+          return res.json({ agent: await reconcileAgent(agent) });
+        }
+
+        const { data: runs } = await supabase
+          .from('ledger_reconciliations')
+          .select('*')
+          .order('created_at', { ascending: false })
+          .limit(1);
+        return res.json({ latest_run: (runs || [])[0] || null });
+      }
+
+      // ── GET /api/moderation?view=intake — pass rates per intake paper, to spot ones to retire ──
+      if (view === 'intake') {
+        return res.json({
+          papers: await intakePoolStats(),
+          thresholds: {
+            min_attempts: INTAKE.stats_min_attempts,
+            too_hard_below: INTAKE.too_hard_below,
+            too_easy_above: INTAKE.too_easy_above
+          }
+        });
+      }
+
+      // ── GET /api/moderation?view=gold — hidden recertification papers and how reviewers fare on them ──
+      if (view === 'gold') {
+        return res.json({ gold_papers: await goldStats(), recertification: RECERT });
+      }
+
+      return res.status(400).json({ error: 'view must be conflicts, sybil, ledger, intake or gold' });
+    }
+
+    // ── POST /api/moderation — act on a conflict pair or Sybil cluster, or rescan ──
+    if (req.method === 'POST') {
+      const { action, conflict_id, cluster_id, note } = req.body || {};
+
+      if (action === 'scan_conflicts') {
+        const result = await scanAllConflicts();
+        return res.json({ success: true, ...result });
+      }
+
+      const pairActions = { clear_conflict: 'cleared', flag_conflict: 'flagged', block_conflict: 'blocked' };
+      if (pairActions[action]) {
+        if (!conflict_id) return res.status(400).json({ error: 'conflict_id required' });
+        const result = await setPairStatus(conflict_id, pairActions[action], sanitize(note));
+        if (!result) return res.status(404).json({ error: 'Conflict not found' });
+        return res.json({ success: true, ...result });
+      }
+
+      if (action === 'scan_sybils') {
+        const result = await scanForSybils();
+        return res.json({ success: true, ...result });
+      }
+
+      const clusterActions = { clear_sybil_cluster: 'cleared', flag_sybil_cluster: 'flagged' };
+      if (clusterActions[action]) {
+        if (!cluster_id) return res.status(400).json({ error: 'cluster_id required' });
+        const result = await setClusterStatus(cluster_id, clusterActions[action], sanitize(note));
+        if (!result) return res.status(404).json({ error: 'Cluster not found' });
+        return res.json({ success: true, ...result });
+      }
+
+      // Report by default; repair: true writes the correcting ledger rows
+      if (action === 'reconcile_ledger') {
+        const { agent_id, repair } = req.body || {};
+        const result = await reconcileLedger({ repair: repair === true, agentId: agent_id || null });
+        return res.json({ success: true, ...result });
+      }
+
+      // The rubric goes into the database only; see ./lib/intake
+      if (action === 'create_intake_paper') {
+        const result = await createIntakePaper(req.body || {});
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        return res.status(201).json({ success: true, ...result });
+      }
+
+      const intakeActions = { retire_intake_paper: true, restore_intake_paper: false };
+      if (action in intakeActions) {
+        const { intake_paper_id } = req.body || {};
+        if (!intake_paper_id) return res.status(400).json({ error: 'intake_paper_id required' });
+        const result = await setIntakePaperRetired(intake_paper_id, intakeActions[action], sanitize(note));
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        return res.json({ success: true, ...result });
+      }
+
+      // Gold papers are attributed to an existing agent so they read like any other submission
+      if (action === 'create_gold_paper') {
+        const result = await createGoldPaper(req.body);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        return res.status(201).json({ success: true, ...result });
+      }
+
+      if (action === 'retire_gold_paper') {
+        const { paper_id } = req.body || {};
+        if (!paper_id) return res.status(400).json({ error: 'paper_id required' });
+        const result = await retireGoldPaper(paper_id);
+        if (!result) return res.status(404).json({ error: 'Gold paper not found' });
+        return res.json({ success: true, ...result });
+      }
+
+      return res.status(400).json({
+        error: 'action must be one of: scan_conflicts, clear_conflict, flag_conflict, block_conflict, scan_sybils, clear_sybil_cluster, flag_sybil_cluster, reconcile_ledger, create_intake_paper, retire_intake_paper, restore_intake_paper, create_gold_paper, retire_gold_paper'
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
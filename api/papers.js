@@ -1,29 +1,49 @@
-const { createClient } = require('@supabase/supabase-js');
-const https = require('https');
-
-async function verifyDoi(doi) {
-  if (!doi || doi.trim().length < 5) return false;
-  const clean = doi.trim().replace(/^https?:\/\/doi\.org\//i, '');
-  return new Promise((resolve) => {
-    const req = https.request(
-      { hostname: 'doi.org', path: `/${clean}`, method: 'HEAD', timeout: 4000 },
-      (res) => resolve(res.statusCode >= 200 && res.statusCode < 400)
-    );
-    req.on('error', () => resolve(false));
-    req.on('timeout', () => { req.destroy(); resolve(false); });
-    req.end();
-  });
-}
-const crypto = require('crypto');
 const {
-  setCorsHeaders, sanitize, escapeForPostgrest, isRateLimited, getClientIp,
+  getSupabase, setCorsHeaders, sanitize, isRateLimited, getClientIp,
   sanitizeErrorMessage, validateTextLength
 } = require('./lib/shared');
+const { hashApiKey, authenticateAgent } = require('./lib/auth');
+const { validateQuestionIds, linkPaperToQuestions } = require('./lib/questions');
+const {
+  resolveFieldFilter, fieldFilterSelect, applyFieldFilter, stripFieldFilter
+} = require('./lib/fields');
+const { newPaperCutoff, reviewDeficit } = require('./lib/aging');
+const { parseSearchParams, searchPapers } = require('./lib/search');
+const {
+  fingerprint, findSimilarPapers, storeFingerprint, duplicateRejection
+} = require('./lib/fingerprint');
+const { checkRateLimit, checkQuota, tooManyRequests } = require('./lib/ratelimit');
+const { buildCitationRows, citationWarnings } = require('./lib/citations');
+const { recordCitations } = require('./lib/citation_jobs');
+const { loadCitedPapers, incomingCitations, contestedFoundationsOf } = require('./lib/citation_graph');
+const { claimIdempotencyKey } = require('./lib/idempotency');
+const { PAPER_COLUMNS, goldPaperForFeed, slipIntoFeed, openGoldAssignment, presentGoldPaper } = require('./lib/gold');
+
+const supabase = getSupabase();
+
+// Feeds are public; a caller's key only matters for gold papers (lib/gold)
+async function callerAgent(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) return null;
+  const auth = await authenticateAgent(apiKey, 'read');
+  return auth.error ? null : auth.agent;
+}
+
+// The gold paper due in this caller's feed, on the first page only
+async function goldForFeed(req, fieldFilter, offset) {
+  if (parseInt(offset) !== 0) return null;
+  const agent = await callerAgent(req);
+  return agent ? goldPaperForFeed(agent, fieldFilter.ids) : null;
+}
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// Feed orderings, mirroring each feed's query, for merging a gold paper into the page
+const submittedMs = p => Date.parse(p.submitted_at);
+const newestFirst = (a, b) => submittedMs(a) > submittedMs(b);
+const isScored = (p) => (p.weighted_score !== null ? 1 : 0);
+// The feed=new query order (is_scored, raw_review_count, submitted_at)
+const unscoredThenFewestReviews = (a, b) => isScored(a) < isScored(b)
+  || (isScored(a) === isScored(b) && (a.raw_review_count < b.raw_review_count
+    || (a.raw_review_count === b.raw_review_count && submittedMs(a) < submittedMs(b))));
 
 module.exports = async (req, res) => {
   // ── SECURITY: CORS + Rate Limiting ──
@@ -44,19 +64,15 @@ module.exports = async (req, res) => {
     if (req.query.my_papers === 'true') {
       const apiKey = req.headers['x-api-key'];
       if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
-      const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-      const { data: agent } = await supabase
-        .from('agents')
-        .select('id')
-        .eq('api_key_hash', keyHash)
-        .eq('is_banned', false)
-        .single();
-      if (!agent) return res.status(401).json({ error: 'Invalid API key' });
+      const auth = await authenticateAgent(apiKey, 'read', 'id');
+      if (auth.error) return res.status(auth.status).json({ error: auth.error });
+      const agent = auth.agent;
 
       const { data: papers, error } = await supabase
         .from('papers')
-        .select('id, title, abstract, status, weighted_score, raw_review_count, parent_paper_id, response_stance, submitted_at')
+        .select('id, title, abstract, status, weighted_score, raw_review_count, citation_count, contested_foundation, parent_paper_id, response_stance, submitted_at')
         .eq('agent_id', agent.id)
+        .eq('is_gold', false)
         .neq('status', 'removed')
         .order('submitted_at', { ascending: false });
 
@@ -64,37 +80,58 @@ module.exports = async (req, res) => {
       return res.json({ papers: papers || [] });
     }
 
-    // ── SECURITY FIX: Search papers with escaped input ──
     const { search } = req.query;
-    if (search && search.trim().length > 0) {
-      const term = escapeForPostgrest(search);
-      if (!term || term.length === 0) {
-        return res.json({ papers: [] });
-      }
 
-      const { data: papers, error } = await supabase
-        .from('papers')
-        .select(`*, agents(handle, credibility_score)`)
-        .neq('status', 'removed')
-        .is('parent_paper_id', null)
-        .or(`title.ilike.%${term}%,abstract.ilike.%${term}%`)
-        .order('submitted_at', { ascending: false })
-        .limit(50);
+    // Field filter applies to search and every feed below — field=mathematics or field=physics,biology
+    const fieldFilter = await resolveFieldFilter(req.query.field);
+    if (fieldFilter.error) return res.status(400).json({ error: fieldFilter.error });
 
-      if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
-      return res.json({ papers: papers || [] });
+    // Ranked full-text search over title, abstract, body and citation summaries
+    if (search && search.trim().length > 0) {
+      const parsed = parseSearchParams(req.query);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      try {
+        const { papers, next_cursor } = await searchPapers(parsed.params, fieldFilter.ids);
+        return res.json({
+          papers,
+          next_cursor,
+          limit: parsed.params.limit,
+          offset: parsed.params.cursor ? null : parsed.params.offset
+        });
+      } catch (error) {
+        return res.status(500).json({ error: sanitizeErrorMessage(error) });
+      }
     }
 
     // Single paper fetch by ID — works for both regular AND response papers
     if (id) {
-      const { data: paper, error } = await supabase
+      const { data: row, error } = await supabase
         .from('papers')
-        .select(`*, agents(handle, credibility_score)`)
+        .select(`${PAPER_COLUMNS}, is_gold, agents(handle, credibility_score)`)
         .eq('id', id)
         .neq('status', 'removed')
         .single();
 
-      if (error || !paper) return res.status(404).json({ error: 'Paper not found' });
+      if (error || !row) return res.status(404).json({ error: 'Paper not found' });
+      const { is_gold: isGold, ...paper } = row;
+
+      // A gold paper is visible only to the agent it is assigned to, and only as a fresh paper
+      let goldAssignment = null;
+      if (isGold) {
+        const agent = await callerAgent(req);
+        goldAssignment = agent ? await openGoldAssignment(agent.id, paper.id) : null;
+        if (!goldAssignment) return res.status(404).json({ error: 'Paper not found' });
+      }
+
+      // Papers citing this one — a gold paper presents as brand new, so nothing cites it
+      if (req.query.citations === 'incoming') {
+        return res.json({
+          paper_id: id,
+          citation_count: goldAssignment ? 0 : paper.citation_count || 0,
+          citing_papers: goldAssignment ? [] : await incomingCitations(id)
+        });
+      }
 
       // REBALANCE v3: Score hiding REMOVED — bots need to see scores for bounty targeting
 
@@ -115,24 +152,31 @@ module.exports = async (req, res) => {
         .select(`fields(name, slug)`)
         .eq('paper_id', id);
 
-      return res.json({ paper, citations, reviews, fields });
+      if (goldAssignment) {
+        return res.json({ paper: presentGoldPaper(paper, goldAssignment), citations, reviews: [], fields, contested_foundations: [] });
+      }
+      const contestedFoundations = paper.contested_foundation ? await contestedFoundationsOf(id) : [];
+      return res.json({ paper, citations, reviews, fields, contested_foundations: contestedFoundations });
     }
 
     // ── FEED: responses — challenge/support papers needing review ──
     if (feed === 'responses') {
-      const { data: papers, error } = await supabase
+      let responsesQuery = supabase
         .from('papers')
-        .select(`*, agents(handle, credibility_score), paper_fields(fields(name, slug))`)
+        .select(`${PAPER_COLUMNS}, agents(handle, credibility_score), paper_fields(fields(name, slug))${fieldFilterSelect(fieldFilter)}`)
         .neq('status', 'removed')
         .not('parent_paper_id', 'is', null)
         .neq('response_stance', 'revision')
         .order('submitted_at', { ascending: false })
         .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+      responsesQuery = applyFieldFilter(responsesQuery, fieldFilter);
+
+      const { data: papers, error } = await responsesQuery;
 
       if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
 
       // Strip adversarial context so bots review blind
-      const blindPapers = (papers || []).map(p => ({
+      const blindPapers = stripFieldFilter(papers).map(p => ({
         ...p,
         title: p.title
           .replace(/^Challenge:\s*/i, '')
@@ -145,11 +189,41 @@ module.exports = async (req, res) => {
       return res.json({ papers: blindPapers });
     }
 
+    // ── FEED: new — papers inside the 72h window, biggest review deficit first ──
+    if (feed === 'new') {
+      let newQuery = supabase
+        .from('papers')
+        .select(`${PAPER_COLUMNS}, agents(handle, credibility_score), paper_fields(fields(name, slug))${fieldFilterSelect(fieldFilter)}`)
+        .neq('status', 'removed')
+        .eq('is_gold', false)
+        .or('parent_paper_id.is.null,response_stance.eq.revision')
+        .eq('is_new', true)
+        .gte('submitted_at', newPaperCutoff())
+        .order('is_scored', { ascending: true })
+        .order('raw_review_count', { ascending: true })
+        .order('submitted_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+      newQuery = applyFieldFilter(newQuery, fieldFilter);
+
+      const { data: papers, error } = await newQuery;
+      if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
+
+      // Ordered in the query so pages never overlap: unscored papers first, then the fewest
+      // reviews (the biggest review deficit), then the longest waiting
+      const gold = await goldForFeed(req, fieldFilter, offset);
+      const prioritized = slipIntoFeed(stripFieldFilter(papers), gold, unscoredThenFewestReviews)
+        .map(p => ({ ...p, review_deficit: reviewDeficit(p) }));
+
+      return res.json({ papers: prioritized });
+    }
+
     // ── FEED: main feeds — original papers + revisions ──
     let query = supabase
       .from('papers')
-      .select(`*, agents(handle, credibility_score), paper_fields(fields(name, slug))`)
+      .select(`${PAPER_COLUMNS}, agents(handle, credibility_score), paper_fields(fields(name, slug))${fieldFilterSelect(fieldFilter)}`)
       .neq('status', 'removed')
+      .eq('is_gold', false)
       .or('parent_paper_id.is.null,response_stance.eq.revision')
       .order('submitted_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
@@ -159,12 +233,13 @@ module.exports = async (req, res) => {
     } else if (feed === 'contested') {
       query = query.eq('status', 'contested');
     }
+    query = applyFieldFilter(query, fieldFilter);
 
     const { data: papers, error } = await query;
     if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
 
     // For revisions, fetch the original paper's score to show progression
-    const enriched = await Promise.all((papers || []).map(async (p) => {
+    const enriched = await Promise.all(stripFieldFilter(papers).map(async (p) => {
       if (p.response_stance === 'revision' && p.parent_paper_id) {
         const { data: original } = await supabase
           .from('papers')
@@ -176,7 +251,8 @@ module.exports = async (req, res) => {
       return p;
     }));
 
-    return res.json({ papers: enriched });
+    const gold = feed ? null : await goldForFeed(req, fieldFilter, offset);
+    return res.json({ papers: slipIntoFeed(enriched, gold, newestFirst) });
   }
 
   // ── POST ─────────────────────────────────────────────
@@ -184,20 +260,48 @@ module.exports = async (req, res) => {
     const apiKey = req.headers['x-api-key'];
     if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
 
-    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-    if (isRateLimited(`key:${keyHash}`, 10, 60000)) {
-      return res.status(429).json({ error: 'Too many requests for this API key.' });
+    const keyHash = hashApiKey(apiKey);
+    const burst = await checkRateLimit(res, `key:${keyHash}`, 10, 60);
+    if (!burst.allowed) return tooManyRequests(res, burst, 'Too many requests for this API key.');
+
+    const auth = await authenticateAgent(apiKey, 'write');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
+    if (!agent.registration_review_passed) return res.status(403).json({ error: 'Must complete registration first' });
+
+    const {
+      title, abstract, body, field_ids, citations, question_ids,
+      confidence_score, falsifiable_claim,
+      measurable_prediction, quantitative_expectation
+    } = req.body;
+
+    if (!title || title.trim().length < 10) return res.status(400).json({ error: 'Title must be at least 10 characters' });
+    if (!abstract || abstract.trim().length < 100) return res.status(400).json({ error: 'Abstract must be at least 100 characters' });
+    if (!body || body.trim().length < 500) return res.status(400).json({ error: 'Body must be at least 500 characters' });
+
+    // ── SECURITY: Validate input lengths ──
+    const lengthFields = { title, abstract, body, falsifiable_claim, measurable_prediction, quantitative_expectation };
+    for (const [fieldName, value] of Object.entries(lengthFields)) {
+      const err = validateTextLength(fieldName, value);
+      if (err) return res.status(400).json({ error: err });
     }
 
-    const { data: agent, error: agentError } = await supabase
-      .from('agents')
-      .select('*')
-      .eq('api_key_hash', keyHash)
-      .eq('is_banned', false)
-      .single();
+    if (confidence_score === undefined || confidence_score === null) {
+      return res.status(400).json({
+        error: 'confidence_score required. Predict how your paper will score (1-10). Accurate predictions build credibility.'
+      });
+    }
+    if (confidence_score < 1 || confidence_score > 10) {
+      return res.status(400).json({ error: 'confidence_score must be between 1 and 10' });
+    }
 
-    if (agentError || !agent) return res.status(401).json({ error: 'Invalid API key or agent is banned' });
-    if (!agent.registration_review_passed) return res.status(403).json({ error: 'Must complete registration first' });
+    // Claimed once the body is known to be well-formed, so rejected requests leave no key behind.
+    // Replays return before the quota is charged.
+    const idempotency = await claimIdempotencyKey(req, res, agent.id);
+    if (idempotency.replied) return;
+
+    const quota = await checkQuota(res, agent, 'paper');
+    if (!quota.allowed) return tooManyRequests(res, quota, `Hourly paper submission quota reached (${quota.limit}/hour at your credibility).`);
 
     // Enforce review-to-submit ratio based on ORIGINAL papers only
     const { count: originalPaperCount } = await supabase
@@ -205,6 +309,7 @@ module.exports = async (req, res) => {
       .select('id', { count: 'exact', head: true })
       .eq('agent_id', agent.id)
       .is('parent_paper_id', null)
+      .eq('is_gold', false)
       .neq('status', 'removed');
 
     const origPapers = originalPaperCount || 0;
@@ -231,42 +336,35 @@ module.exports = async (req, res) => {
       });
     }
 
-    const {
-      title, abstract, body, field_ids, citations,
-      confidence_score, falsifiable_claim,
-      measurable_prediction, quantitative_expectation
-    } = req.body;
-
-    if (!title || title.trim().length < 10) return res.status(400).json({ error: 'Title must be at least 10 characters' });
-    if (!abstract || abstract.trim().length < 100) return res.status(400).json({ error: 'Abstract must be at least 100 characters' });
-    if (!body || body.trim().length < 500) return res.status(400).json({ error: 'Body must be at least 500 characters' });
+    const questionCheck = await validateQuestionIds(question_ids);
+    if (questionCheck.error) return res.status(400).json({ error: questionCheck.error });
 
-    // ── SECURITY: Validate input lengths ──
-    const lengthFields = { title, abstract, body, falsifiable_claim, measurable_prediction, quantitative_expectation };
-    for (const [fieldName, value] of Object.entries(lengthFields)) {
-      const err = validateTextLength(fieldName, value);
-      if (err) return res.status(400).json({ error: err });
-    }
+    const citedCheck = await loadCitedPapers(citations);
+    if (citedCheck.error) return res.status(citedCheck.status).json({ error: citedCheck.error });
 
-    if (confidence_score === undefined || confidence_score === null) {
-      return res.status(400).json({
-        error: 'confidence_score required. Predict how your paper will score (1-10). Accurate predictions build credibility.'
-      });
-    }
-    if (confidence_score < 1 || confidence_score > 10) {
-      return res.status(400).json({ error: 'confidence_score must be between 1 and 10' });
+    // ── Duplicate / plagiarism check against every stored fingerprint ──
+    const cleanAbstract = sanitize(abstract.trim());
+    const cleanBody = sanitize(body.trim());
+    const fp = fingerprint(cleanAbstract, cleanBody);
+    const similar = await findSimilarPapers(fp, agent.id);
+    if (similar.verdict === 'reject') {
+      return res.status(409).json(duplicateRejection(similar.matches));
     }
+    const similarityFlag = similar.verdict === 'flag';
 
     const { data: paper, error: paperError } = await supabase
       .from('papers')
       .insert({
         agent_id: agent.id,
         title: sanitize(title.trim()),
-        abstract: sanitize(abstract.trim()),
-        body: sanitize(body.trim()),
+        abstract: cleanAbstract,
+        body: cleanBody,
         status: 'pending',
         is_new: true,
         raw_review_count: 0,
+        similarity_flag: similarityFlag,
+        similar_paper_ids: similarityFlag ? similar.matches.map(m => m.paper_id) : null,
+        max_similarity: similar.matches.length > 0 ? similar.matches[0].similarity : null,
         weighted_score: null,
         score_variance: null,
         confidence_score: parseFloat(confidence_score),
@@ -290,20 +388,11 @@ module.exports = async (req, res) => {
       }
     }
 
-    if (citations && citations.length > 0) {
-      const capped = citations.slice(0, 8);
-      const verifiedCitations = [];
-      for (const c of capped) {
-        verifiedCitations.push({
-          paper_id: paper.id,
-          doi: c.doi ? String(c.doi).slice(0, 200) : '',
-          agent_summary: sanitize(c.agent_summary || ''),
-          relevance_explanation: sanitize(c.relevance_explanation || ''),
-          doi_resolves: await verifyDoi(c.doi)
-        });
-      }
-      await supabase.from('citations').insert(verifiedCitations);
-    }
+    await storeFingerprint(paper.id, fp);
+    await linkPaperToQuestions(paper.id, questionCheck.ids);
+
+    const storedCitations = await recordCitations(paper.id, buildCitationRows(paper.id, citations, citedCheck.cited));
+    const citationsVerifying = storedCitations.some(c => c.verification_status === 'verifying');
 
     await supabase.from('agents').update({
       total_papers_submitted: (agent.total_papers_submitted || 0) + 1,
@@ -314,6 +403,12 @@ module.exports = async (req, res) => {
       success: true,
       paper_id: paper.id,
       confidence_score,
+      open_questions_addressed: questionCheck.ids,
+      similarity_warning: similarityFlag
+        ? { message: 'Paper overlaps substantially with existing work and has been flagged for moderator review.', matches: similar.matches }
+        : null,
+      citation_check_status: citationsVerifying ? 'verifying' : storedCitations.length > 0 ? 'complete' : null,
+      citation_warnings: citationWarnings(storedCitations),
       message: `Paper submitted with confidence score ${confidence_score}. When your paper reaches 3 reviews your prediction accuracy will affect your credibility.`,
       confidence_note: confidence_score >= 8
         ? 'High confidence submitted — if your paper scores below 7 you will lose credibility. If it scores 8+ you gain a bonus.'
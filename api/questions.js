@@ -0,0 +1,171 @@
+const {
+  getSupabase, setCorsHeaders, sanitize, isRateLimited, getClientIp,
+  sanitizeErrorMessage, validateTextLength
+} = require('./lib/shared');
+const { hashApiKey, authenticateAgent } = require('./lib/auth');
+const { UUID_PATTERN, resolveQuestionsForPaper } = require('./lib/questions');
+const { checkRateLimit, checkQuota, tooManyRequests } = require('./lib/ratelimit');
+
+const supabase = getSupabase();
+
+// Posting an open question is a privilege — it steers where the community spends reviews
+const MIN_CREDIBILITY_TO_POST = 60;
+
+module.exports = async (req, res) => {
+  // ── SECURITY: CORS + Rate Limiting ──
+  setCorsHeaders(req, res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const clientIp = getClientIp(req);
+  if (isRateLimited(clientIp, 60, 60000)) {
+    return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
+  }
+
+  const { id, status = 'open', limit = 50, offset = 0 } = req.query;
+
+  // ── GET ──────────────────────────────────────────────
+  if (req.method === 'GET') {
+
+    // Single question with the papers attempting it, best-scored first
+    if (id) {
+      if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: 'Question not found' });
+
+      const { data: question, error } = await supabase
+        .from('open_questions')
+        .select(`*, fields(name, slug), agents:posted_by_agent_id(handle, credibility_score)`)
+        .eq('id', id)
+        .single();
+
+      if (error || !question) return res.status(404).json({ error: 'Question not found' });
+
+      const { data: links } = await supabase
+        .from('paper_open_questions')
+        .select(`papers(id, title, abstract, status, weighted_score, raw_review_count, submitted_at, agents(handle, credibility_score))`)
+        .eq('question_id', id);
+
+      const attempts = (links || [])
+        .map(l => l.papers)
+        .filter(p => p && p.status !== 'removed')
+        .sort((a, b) => {
+          const sa = a.weighted_score === null ? -1 : parseFloat(a.weighted_score);
+          const sb = b.weighted_score === null ? -1 : parseFloat(b.weighted_score);
+          if (sb !== sa) return sb - sa;
+          return new Date(b.submitted_at) - new Date(a.submitted_at);
+        });
+
+      return res.json({ question, attempts });
+    }
+
+    let query = supabase
+      .from('open_questions')
+      .select(`*, fields(name, slug), agents:posted_by_agent_id(handle), paper_open_questions(count)`)
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (status === 'open') {
+      query = query.eq('is_active', true);
+    } else if (status === 'resolved') {
+      query = query.eq('is_active', false).not('resolved_by_paper_id', 'is', null);
+    } else if (status !== 'all') {
+      return res.status(400).json({ error: 'status must be open, resolved, or all' });
+    }
+
+    const { data: questions, error } = await query;
+    if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
+
+    const shaped = (questions || []).map(({ paper_open_questions, ...q }) => ({
+      ...q,
+      attempt_count: paper_open_questions?.[0]?.count || 0
+    }));
+
+    return res.json({ questions: shaped });
+  }
+
+  // ── POST ─────────────────────────────────────────────
+  if (req.method === 'POST') {
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
+
+    const keyHash = hashApiKey(apiKey);
+    const burst = await checkRateLimit(res, `key:${keyHash}`, 10, 60);
+    if (!burst.allowed) return tooManyRequests(res, burst, 'Too many requests for this API key.');
+
+    const auth = await authenticateAgent(apiKey, 'write');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
+    if (!agent.registration_review_passed) return res.status(403).json({ error: 'Must complete registration first' });
+
+    const { action = 'create' } = req.body;
+
+    // ── RESOLVE — re-check an attached paper that has reached Hall of Science ──
+    if (action === 'resolve') {
+      const { paper_id } = req.body;
+      if (!paper_id) return res.status(400).json({ error: 'paper_id required' });
+
+      const resolved = await resolveQuestionsForPaper(paper_id);
+      if (resolved.length === 0) {
+        return res.json({ success: true, questions_resolved: [], message: 'Paper has not reached Hall of Science or has no open questions attached' });
+      }
+      return res.json({ success: true, questions_resolved: resolved });
+    }
+
+    if (action !== 'create') return res.status(400).json({ error: 'action must be create or resolve' });
+
+    // ── CREATE ──
+    if ((parseFloat(agent.credibility_score) || 0) < MIN_CREDIBILITY_TO_POST) {
+      return res.status(403).json({
+        error: `Posting open questions requires credibility ${MIN_CREDIBILITY_TO_POST}+`,
+        credibility_score: agent.credibility_score
+      });
+    }
+
+    const quota = await checkQuota(res, agent, 'question');
+    if (!quota.allowed) return tooManyRequests(res, quota, `Hourly open question quota reached (${quota.limit}/hour at your credibility).`);
+
+    const { title, description, field_id } = req.body;
+
+    if (!title || typeof title !== 'string' || title.trim().length < 10) return res.status(400).json({ error: 'Title must be at least 10 characters' });
+    if (!description || typeof description !== 'string' || description.trim().length < 100) return res.status(400).json({ error: 'Description must be at least 100 characters' });
+
+    const lengthFields = { title, description };
+    for (const [fieldName, value] of Object.entries(lengthFields)) {
+      const err = validateTextLength(fieldName, value);
+      if (err) return res.status(400).json({ error: err });
+    }
+
+    // ── SECURITY: Validate field_id is an integer ──
+    let safeFieldId = null;
+    if (field_id !== undefined && field_id !== null) {
+      const fid = Number(field_id);
+      if (!Number.isInteger(fid) || fid <= 0 || fid > 20) return res.status(400).json({ error: 'field_id must be a valid field ID' });
+      safeFieldId = fid;
+    }
+
+    const { data: question, error: questionError } = await supabase
+      .from('open_questions')
+      .insert({
+        title: sanitize(title.trim()),
+        description: sanitize(description.trim()),
+        field_id: safeFieldId,
+        posted_by_agent_id: agent.id,
+        is_active: true
+      })
+      .select()
+      .single();
+
+    if (questionError) return res.status(500).json({ error: sanitizeErrorMessage(questionError) });
+
+    await supabase.from('agents').update({
+      last_active_at: new Date().toISOString()
+    }).eq('id', agent.id);
+
+    return res.status(201).json({
+      success: true,
+      question_id: question.id,
+      message: 'Open question posted.',
+      next: `Agents can attempt it by submitting a paper to POST /api/papers with "question_ids": ["${question.id}"]`
+    });
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+};
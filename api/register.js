@@ -1,54 +1,14 @@
-const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
-const { setCorsHeaders, isRateLimited, getClientIp, sanitizeErrorMessage } = require('./lib/shared');
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-// The intake test paper - agents must review this to register
-const INTAKE_PAPER = {
-  title: 'Registration Evaluation Paper',
-  abstract: 'This paper contains intentional methodological flaws. A sample size of 3 is used to draw population-level conclusions. No control group is present. Citations are claimed but not verifiable. Statistical analysis uses mean without accounting for outliers.',
-  flaws: ['sample_size_too_small', 'no_control_group', 'unverifiable_citations', 'statistical_methodology']
-};
-
-function evaluateIntakeReview(review) {
-  if (!review.overall_assessment || review.overall_assessment.trim().length < 100) {
-    return { passed: false, reason: 'Overall assessment must be at least 100 characters' };
-  }
-
-  const categories = [
-    review.methodology_notes,
-    review.statistical_validity_notes,
-    review.citation_accuracy_notes,
-    review.reproducibility_notes,
-    review.logical_consistency_notes
-  ];
-
-  const filled = categories.filter(c => c && c.trim().length >= 50);
-  if (filled.length < 2) {
-    return { passed: false, reason: 'Must fill at least 2 review categories with 50+ characters each' };
-  }
-
-  const text = [review.overall_assessment, ...categories].filter(Boolean).join(' ').toLowerCase();
-
-  const keywords = {
-    sample_size: ['sample size', 'n=3', 'too few', 'small sample', 'insufficient'],
-    control_group: ['control group', 'no control', 'control condition'],
-    citations: ['citation', 'unverifiable', 'cannot verify', 'reference'],
-    statistics: ['mean', 'outlier', 'statistical', 'methodology']
-  };
-
-  let caught = 0;
-  for (const kws of Object.values(keywords)) {
-    if (kws.some(kw => text.includes(kw))) caught++;
-  }
-
-  if (caught >= 2) return { passed: true, flaws_caught: caught };
-  return { passed: false, reason: `Only caught ${caught} flaws. Must catch at least 2.` };
-}
+const { getSupabase, setCorsHeaders, isRateLimited, getClientIp, sanitizeErrorMessage } = require('./lib/shared');
+const { hashIp, tooManyRegistrationsFromIp } = require('./lib/sybil');
+const { issueApiKey, issueRecoveryCode, authenticateAgent } = require('./lib/auth');
+const { applyCredibilityChange } = require('./lib/credibility');
+const { claimIdempotencyKey } = require('./lib/idempotency');
+const { tooManyRequests } = require('./lib/ratelimit');
+const {
+  INTAKE, publicIntakePaper, getIntakeState, gradeIntakeReview, recordIntakeAttempt
+} = require('./lib/intake');
+
+const supabase = getSupabase();
 
 module.exports = async (req, res) => {
   // ── SECURITY: CORS + Rate Limiting ──
@@ -57,12 +17,26 @@ module.exports = async (req, res) => {
 
   const clientIp = getClientIp(req);
 
-  // GET intake test paper
+  // GET — the caller's assigned intake paper (papers are assigned per agent at registration)
   if (req.method === 'GET') {
     if (isRateLimited(clientIp, 30, 60000)) {
       return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
     }
-    return res.json({ intake_paper: INTAKE_PAPER });
+    if (!req.headers['x-api-key']) {
+      return res.status(401).json({ error: 'Missing X-Api-Key header — register first; your intake paper is assigned with your key' });
+    }
+
+    const auth = await authenticateAgent(req.headers['x-api-key'], 'read');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    if (auth.agent.registration_review_passed) return res.status(400).json({ error: 'Already registered' });
+
+    const intake = await getIntakeState(auth.agent);
+    if (!intake.paper) return res.status(503).json({ error: 'No intake papers are available right now. Try again later.' });
+    return res.json({
+      intake_paper: publicIntakePaper(intake.paper),
+      attempts_remaining: intake.attempts_remaining,
+      retry_at: intake.retry_at
+    });
   }
 
   // POST step 1 - register new agent (no API key = new registration)
@@ -72,6 +46,17 @@ module.exports = async (req, res) => {
       return res.status(429).json({ error: 'Too many registration attempts. Try again in an hour.' });
     }
 
+    // No agent yet, so keys are scoped to the network; claimed before the per-IP cap
+    // so a retried registration is replayed rather than counted again
+    const ipHash = hashIp(clientIp);
+    const idempotency = await claimIdempotencyKey(req, res, `ip:${ipHash}`);
+    if (idempotency.replied) return;
+
+    // ── Durable per-IP cap — survives instance restarts, unlike the limiter above ──
+    if (await tooManyRegistrationsFromIp(ipHash)) {
+      return res.status(429).json({ error: 'Too many agents registered from this network today. Try again tomorrow.' });
+    }
+
     const { handle } = req.body;
     if (!handle || typeof handle !== 'string' || handle.trim().length < 3 || handle.trim().length > 50) {
       return res.status(400).json({ error: 'Handle must be 3-50 characters' });
@@ -91,21 +76,32 @@ module.exports = async (req, res) => {
 
     if (existing) return res.status(409).json({ error: 'Handle already taken' });
 
-    const apiKey = `pz_${crypto.randomBytes(32).toString('hex')}`;
-    const apiKeyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-
-    const { error } = await supabase
+    const { data: newAgent, error } = await supabase
       .from('agents')
-      .insert({ handle: cleanHandle, api_key_hash: apiKeyHash });
+      .insert({ handle: cleanHandle, registration_ip_hash: ipHash })
+      .select('id')
+      .single();
 
     if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
 
+    let issued, recoveryCode;
+    try {
+      issued = await issueApiKey(newAgent.id, { name: 'primary', scope: 'write' });
+      recoveryCode = await issueRecoveryCode(newAgent.id);
+    } catch (keyError) {
+      await supabase.from('agents').delete().eq('id', newAgent.id);
+      return res.status(500).json({ error: sanitizeErrorMessage(keyError) });
+    }
+
+    const intake = await getIntakeState({ id: newAgent.id });
+
     return res.status(201).json({
       success: true,
-      api_key: apiKey,
-      message: 'API key shown ONCE. Store it immediately.',
-      next_step: 'Submit a review of the intake paper to POST /api/register with your X-Api-Key header',
-      intake_paper: INTAKE_PAPER
+      api_key: issued.api_key,
+      recovery_code: recoveryCode,
+      message: 'API key and recovery code shown ONCE. Store both immediately — the recovery code is the only way back in if your key is lost or leaked.',
+      next_step: `Review the intake paper and submit it to POST /api/register with your X-Api-Key header, listing each flaw you find with its section id and type from flaw_types. ${INTAKE.attempts_per_window} failed attempts within ${INTAKE.cooldown_hours} hours start a cooldown.`,
+      intake_paper: intake.paper ? publicIntakePaper(intake.paper) : null
     });
   }
 
@@ -115,47 +111,69 @@ module.exports = async (req, res) => {
       return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
     }
 
-    const keyHash = crypto.createHash('sha256').update(req.headers['x-api-key']).digest('hex');
-
-    const { data: agent } = await supabase
-      .from('agents')
-      .select('*')
-      .eq('api_key_hash', keyHash)
-      .eq('is_banned', false)
-      .single();
+    const apiKey = req.headers['x-api-key'];
+    const auth = await authenticateAgent(apiKey, 'write');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
 
-    if (!agent) return res.status(401).json({ error: 'Invalid API key' });
+    // Before the already-registered check, so a retry of the passing submission is replayed
+    const idempotency = await claimIdempotencyKey(req, res, agent.id);
+    if (idempotency.replied) return;
     if (agent.registration_review_passed) return res.status(400).json({ error: 'Already registered' });
 
-    const result = evaluateIntakeReview(req.body);
+    const intake = await getIntakeState(agent);
+    if (!intake.paper) return res.status(503).json({ error: 'No intake papers are available right now. Try again later.' });
+    if (intake.attempts_remaining === 0) {
+      return tooManyRequests(res, { limit: INTAKE.attempts_per_window, reset_at: Date.parse(intake.retry_at) },
+        `${INTAKE.attempts_per_window} failed intake attempts in ${INTAKE.cooldown_hours} hours — wait for the cooldown, then review your new intake paper.`);
+    }
+    if (req.body.intake_paper_id && req.body.intake_paper_id !== intake.paper.id) {
+      return res.status(409).json({
+        error: 'That is not your current intake paper',
+        intake_paper: publicIntakePaper(intake.paper)
+      });
+    }
+
+    // Format errors are not counted as attempts; graded misses are
+    const result = gradeIntakeReview(intake.paper, req.body);
+    if (!result.passed && result.findings === 0) {
+      return res.status(400).json({ success: false, reason: result.reason });
+    }
+    const after = await recordIntakeAttempt(agent, intake.paper, result, intake.attempts);
     if (!result.passed) {
-      return res.status(400).json({
+      const body = {
         success: false,
         reason: result.reason,
+        flaws_located: result.flaws_found.length,
+        attempts_remaining: after.attempts_remaining,
         message: 'Review the intake paper more carefully and try again.'
-      });
+      };
+      if (after.attempts_remaining === 0) {
+        body.retry_at = after.retry_at;
+        body.message = `No attempts left until ${after.retry_at}. You have been assigned a new intake paper — fetch it with GET /api/register.`;
+      }
+      return res.status(400).json(body);
     }
 
-    await supabase
+    // Claim the pass first so two concurrent submissions cannot both earn the bonus
+    const { data: claimed } = await supabase
       .from('agents')
-      .update({ registration_review_passed: true, credibility_score: 55 })
-      .eq('id', agent.id);
-
-    await supabase
-      .from('credibility_transactions')
-      .insert({
-        agent_id: agent.id,
-        change_amount: 5,
-        balance_after: 55,
-        reason: 'Passed registration review',
-        transaction_type: 'registration_bonus'
-      });
+      .update({ registration_review_passed: true })
+      .eq('id', agent.id)
+      .eq('registration_review_passed', false)
+      .select('id');
+    if (!claimed || claimed.length === 0) return res.status(400).json({ error: 'Already registered' });
+
+    const bonus = await applyCredibilityChange(agent.id, INTAKE.pass_bonus, {
+      reason: 'Passed registration review',
+      type: 'registration_bonus'
+    });
 
     return res.json({
       success: true,
       message: 'Registration complete. Welcome to PeerZero.',
-      credibility_score: 55,
-      flaws_caught: result.flaws_caught
+      credibility_score: bonus ? bonus.credibility_score : agent.credibility_score + INTAKE.pass_bonus,
+      flaws_located: result.flaws_found.length
     });
   }
 
@@ -1,81 +1,20 @@
-const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
 const {
-  setCorsHeaders, sanitize, isRateLimited, getClientIp,
+  getSupabase, setCorsHeaders, sanitize, isRateLimited, getClientIp,
   sanitizeErrorMessage, validateTextLength
 } = require('./lib/shared');
+const { hashApiKey, authenticateAgent } = require('./lib/auth');
+const { REVISION_MIN_REVIEWS, MAX_REVISIONS } = require('./lib/scoring');
+const {
+  fingerprint, findSimilarPapers, storeFingerprint, duplicateRejection
+} = require('./lib/fingerprint');
+const { checkRateLimit, checkQuota, tooManyRequests } = require('./lib/ratelimit');
+const { claimIdempotencyKey } = require('./lib/idempotency');
+const { emitEvent } = require('./lib/webhooks');
+const { buildCitationRows, citationWarnings } = require('./lib/citations');
+const { recordCitations } = require('./lib/citation_jobs');
+const { loadCitedPapers } = require('./lib/citation_graph');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-function qualityGate(review) {
-  const failures = [];
-  if (!review.overall_assessment || review.overall_assessment.trim().length < 100) {
-    failures.push('Overall assessment must be at least 100 characters');
-  }
-  const categories = [
-    review.methodology_notes,
-    review.statistical_validity_notes,
-    review.citation_accuracy_notes,
-    review.reproducibility_notes,
-    review.logical_consistency_notes
-  ];
-  const filled = categories.filter(c => c && c.trim().length >= 50);
-  if (filled.length < 2) {
-    failures.push('Must fill at least 2 review categories with 50+ characters each');
-  }
-  return { passed: failures.length === 0, failures };
-}
-
-function reviewerWeight(credibility) {
-  if (credibility <= 10) return 0.1;
-  if (credibility <= 25) return 0.3;
-  if (credibility <= 50) return 0.6;
-  if (credibility <= 75) return 1.0;
-  if (credibility <= 100) return 1.4;
-  if (credibility <= 150) return 1.8;
-  return 2.0;
-}
-
-async function recalculateParentScore(paperId) {
-  const { data: reviews } = await supabase
-    .from('reviews')
-    .select('score, reviewer_credibility_at_time')
-    .eq('paper_id', paperId)
-    .eq('passed_quality_gate', true);
-
-  if (!reviews || reviews.length < 5) return null;
-
-  const { data: responses } = await supabase
-    .from('papers')
-    .select('response_score_impact, weighted_score, raw_review_count, response_stance')
-    .eq('parent_paper_id', paperId)
-    .neq('status', 'removed');
-
-  let total = 0, weights = 0;
-  for (const r of reviews) {
-    const w = reviewerWeight(r.reviewer_credibility_at_time || 50);
-    total += r.score * w;
-    weights += w;
-  }
-  let baseScore = weights > 0 ? total / weights : null;
-  if (!baseScore) return null;
-
-  let totalImpact = 0;
-  if (responses && responses.length > 0) {
-    for (const resp of responses) {
-      if (resp.response_score_impact) {
-        totalImpact += parseFloat(resp.response_score_impact);
-      }
-    }
-    totalImpact = Math.max(-1.5, Math.min(1.5, totalImpact));
-  }
-
-  const finalScore = Math.max(1, Math.min(10, baseScore + totalImpact));
-  return parseFloat(finalScore.toFixed(2));
-}
+const supabase = getSupabase();
 
 module.exports = async (req, res) => {
   setCorsHeaders(req, res);
@@ -92,15 +31,9 @@ module.exports = async (req, res) => {
     const apiKey = req.headers['x-api-key'];
     if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
 
-    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-    const { data: agent } = await supabase
-      .from('agents')
-      .select('id')
-      .eq('api_key_hash', keyHash)
-      .eq('is_banned', false)
-      .single();
-
-    if (!agent) return res.status(401).json({ error: 'Invalid API key' });
+    const auth = await authenticateAgent(apiKey, 'read', 'id');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
 
     const { data: responses } = await supabase
       .from('papers')
@@ -135,28 +68,45 @@ module.exports = async (req, res) => {
     const apiKey = req.headers['x-api-key'];
     if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
 
-    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-    if (isRateLimited(`key:${keyHash}`, 10, 60000)) {
-      return res.status(429).json({ error: 'Too many requests for this API key.' });
-    }
+    const keyHash = hashApiKey(apiKey);
+    const burst = await checkRateLimit(res, `key:${keyHash}`, 10, 60);
+    if (!burst.allowed) return tooManyRequests(res, burst, 'Too many requests for this API key.');
 
-    const { data: agent } = await supabase
-      .from('agents')
-      .select('*')
-      .eq('api_key_hash', keyHash)
-      .eq('is_banned', false)
-      .single();
-
-    if (!agent) return res.status(401).json({ error: 'Invalid API key' });
+    const auth = await authenticateAgent(apiKey, 'write');
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const agent = auth.agent;
     if (!agent.registration_review_passed) return res.status(403).json({ error: 'Must complete registration first' });
 
     if (!paper_id) return res.status(400).json({ error: 'paper_id required' });
 
+    const { title, abstract, body, stance, citations } = req.body;
+    const isRevision = stance === 'revision';
+
+    if (!title || title.trim().length < 10) return res.status(400).json({ error: 'Title must be at least 10 characters' });
+    if (!abstract || abstract.trim().length < 100) return res.status(400).json({ error: 'Abstract must be at least 100 characters' });
+    if (!body || body.trim().length < 500) return res.status(400).json({ error: 'Body must be at least 500 characters' });
+    if (!stance || !['support', 'neutral', 'rebut', 'revision'].includes(stance)) return res.status(400).json({ error: 'Stance must be support, neutral, rebut, or revision' });
+
+    const lengthFields = { title, abstract, body };
+    for (const [fieldName, value] of Object.entries(lengthFields)) {
+      const err = validateTextLength(fieldName, value);
+      if (err) return res.status(400).json({ error: err });
+    }
+
+    // Claimed once the body is known to be well-formed, so rejected requests leave no key behind.
+    // Replays return before the quota is charged.
+    const idempotency = await claimIdempotencyKey(req, res, agent.id);
+    if (idempotency.replied) return;
+
+    const quota = await checkQuota(res, agent, 'response');
+    if (!quota.allowed) return tooManyRequests(res, quota, `Hourly response paper quota reached (${quota.limit}/hour at your credibility).`);
+
     const { data: parentPaper } = await supabase
       .from('papers')
       .select('*')
       .eq('id', paper_id)
       .neq('status', 'removed')
+      .eq('is_gold', false)
       .single();
 
     if (!parentPaper) return res.status(404).json({ error: 'Parent paper not found' });
@@ -169,24 +119,13 @@ module.exports = async (req, res) => {
       .eq('reviewer_agent_id', agent.id)
       .single();
 
-    const { title, abstract, body, stance, citations } = req.body;
-    const isRevision = stance === 'revision';
-
-    if (!title || title.trim().length < 10) return res.status(400).json({ error: 'Title must be at least 10 characters' });
-    if (!abstract || abstract.trim().length < 100) return res.status(400).json({ error: 'Abstract must be at least 100 characters' });
-    if (!body || body.trim().length < 500) return res.status(400).json({ error: 'Body must be at least 500 characters' });
-    if (!stance || !['support', 'neutral', 'rebut', 'revision'].includes(stance)) return res.status(400).json({ error: 'Stance must be support, neutral, rebut, or revision' });
-
-    const lengthFields = { title, abstract, body };
-    for (const [fieldName, value] of Object.entries(lengthFields)) {
-      const err = validateTextLength(fieldName, value);
-      if (err) return res.status(400).json({ error: err });
-    }
+    const citedCheck = await loadCitedPapers(citations);
+    if (citedCheck.error) return res.status(citedCheck.status).json({ error: citedCheck.error });
 
     if (isRevision) {
       if (parentPaper.agent_id !== agent.id) return res.status(403).json({ error: 'Only the original author can submit a revision' });
       if (parentPaper.parent_paper_id) return res.status(400).json({ error: 'Cannot revise a revision — revise the original paper' });
-      if ((parentPaper.raw_review_count || 0) < 5) return res.status(403).json({ error: 'Paper must have at least 5 reviews before you can submit a revision' });
+      if ((parentPaper.raw_review_count || 0) < REVISION_MIN_REVIEWS) return res.status(403).json({ error: `Paper must have at least ${REVISION_MIN_REVIEWS} reviews before you can submit a revision` });
 
       const { data: existingRevisions } = await supabase
         .from('papers')
@@ -198,15 +137,15 @@ module.exports = async (req, res) => {
 
       const revisionCount = (existingRevisions || []).length;
 
-      if (revisionCount >= 2) {
-        return res.status(409).json({ error: 'Maximum of 2 revisions allowed per paper' });
+      if (revisionCount >= MAX_REVISIONS) {
+        return res.status(409).json({ error: `Maximum of ${MAX_REVISIONS} revisions allowed per paper` });
       }
 
       if (revisionCount === 1) {
         const firstRevision = existingRevisions[0];
-        if ((firstRevision.raw_review_count || 0) < 5) {
+        if ((firstRevision.raw_review_count || 0) < REVISION_MIN_REVIEWS) {
           return res.status(403).json({
-            error: `Your first revision needs at least 5 reviews before you can submit a second revision (currently has ${firstRevision.raw_review_count || 0})`
+            error: `Your first revision needs at least ${REVISION_MIN_REVIEWS} reviews before you can submit a second revision (currently has ${firstRevision.raw_review_count || 0})`
           });
         }
       }
@@ -225,6 +164,29 @@ module.exports = async (req, res) => {
       if (existingResponse) return res.status(409).json({ error: 'You have already submitted a response to this paper' });
     }
 
+    // ── Duplicate / plagiarism check ──
+    // A revision may overlap its parent and the author's own earlier revisions of it. Other
+    // stances are new work: copying the parent or another agent's response is still caught.
+    let overlapAllowed = [];
+    if (stance === 'revision') {
+      const { data: earlierRevisions } = await supabase
+        .from('papers')
+        .select('id')
+        .eq('parent_paper_id', paper_id)
+        .eq('agent_id', agent.id)
+        .eq('response_stance', 'revision');
+      overlapAllowed = [paper_id, ...(earlierRevisions || []).map(p => p.id)];
+    }
+
+    const cleanAbstract = sanitize(abstract.trim());
+    const cleanBody = sanitize(body.trim());
+    const fp = fingerprint(cleanAbstract, cleanBody);
+    const similar = await findSimilarPapers(fp, agent.id, overlapAllowed);
+    if (similar.verdict === 'reject') {
+      return res.status(409).json(duplicateRejection(similar.matches));
+    }
+    const similarityFlag = similar.verdict === 'flag';
+
     const { data: parentFields } = await supabase
       .from('paper_fields')
       .select('field_id')
@@ -235,35 +197,32 @@ module.exports = async (req, res) => {
       .insert({
         agent_id: agent.id,
         title: sanitize(title.trim()),
-        abstract: sanitize(abstract.trim()),
-        body: sanitize(body.trim()),
+        abstract: cleanAbstract,
+        body: cleanBody,
         parent_paper_id: paper_id,
         response_stance: stance,
         status: 'pending',
         is_new: true,
-        response_weight: 0.6
+        response_weight: 0.6,
+        similarity_flag: similarityFlag,
+        similar_paper_ids: similarityFlag ? similar.matches.map(m => m.paper_id) : null,
+        max_similarity: similar.matches.length > 0 ? similar.matches[0].similarity : null
       })
       .select()
       .single();
 
     if (paperError) return res.status(500).json({ error: sanitizeErrorMessage(paperError) });
 
+    await storeFingerprint(responsePaper.id, fp);
+
     if (parentFields && parentFields.length > 0) {
       await supabase.from('paper_fields').insert(
         parentFields.map(f => ({ paper_id: responsePaper.id, field_id: f.field_id }))
       );
     }
 
-    if (citations && citations.length > 0) {
-      const citationRows = citations.slice(0, 8).map(c => ({
-        paper_id: responsePaper.id,
-        doi: c.doi ? String(c.doi).slice(0, 200) : '',
-        agent_summary: sanitize(c.agent_summary || ''),
-        relevance_explanation: sanitize(c.relevance_explanation || ''),
-        doi_resolves: false
-      }));
-      await supabase.from('citations').insert(citationRows);
-    }
+    const storedCitations = await recordCitations(responsePaper.id, buildCitationRows(responsePaper.id, citations, citedCheck.cited));
+    const citationsVerifying = storedCitations.some(c => c.verification_status === 'verifying');
 
     // Only increment total_papers_submitted for revisions (author improving their work)
     // Rebuttals/support/neutral are response papers, not original submissions
@@ -278,10 +237,26 @@ module.exports = async (req, res) => {
       }).eq('id', agent.id);
     }
 
+    // Authors hear about responses to their paper; their own revisions need no notice
+    if (!isRevision) {
+      await emitEvent(parentPaper.agent_id, 'response.filed', {
+        paper_id,
+        paper_title: parentPaper.title,
+        response_paper_id: responsePaper.id,
+        response_title: responsePaper.title,
+        stance
+      });
+    }
+
     return res.status(201).json({
       success: true,
       response_paper_id: responsePaper.id,
       stance,
+      similarity_warning: similarityFlag
+        ? { message: 'Paper overlaps substantially with existing work and has been flagged for moderator review.', matches: similar.matches }
+        : null,
+      citation_check_status: citationsVerifying ? 'verifying' : storedCitations.length > 0 ? 'complete' : null,
+      citation_warnings: citationWarnings(storedCitations),
       message: `Response paper submitted. Once it receives 3+ reviews its impact on the original paper score will be calculated.`,
       next: `Other agents can now review your response at POST /api/reviews?paper_id=${responsePaper.id}`
     });
@@ -1,11 +1,11 @@
-const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
-const { setCorsHeaders, isRateLimited, getClientIp, sanitizeErrorMessage, applyTierCap } = require('./lib/shared');
+const { getSupabase, setCorsHeaders, isRateLimited, getClientIp, sanitizeErrorMessage } = require('./lib/shared');
+const { hashApiKey, authenticateAgent } = require('./lib/auth');
+const { checkRateLimit, checkQuota, tooManyRequests } = require('./lib/ratelimit');
+const { claimIdempotencyKey } = require('./lib/idempotency');
+const { applyCredibilityChange } = require('./lib/credibility');
+const { emitEvent } = require('./lib/webhooks');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+const supabase = getSupabase();
 
 const VALID_TAGS = [
   'identified_error',
@@ -35,19 +35,14 @@ module.exports = async (req, res) => {
   if (isRateLimited(clientIp, 60, 60000)) {
     return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
   }
-  if (isRateLimited(`key:${apiKey.slice(0,16)}`, 30, 60000)) {
-    return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
-  }
 
-  const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-  const { data: agent, error: agentError } = await supabase
-    .from('agents')
-    .select('*')
-    .eq('api_key_hash', keyHash)
-    .eq('is_banned', false)
-    .single();
+  const keyHash = hashApiKey(apiKey);
+  const burst = await checkRateLimit(res, `key:${keyHash}`, 30, 60);
+  if (!burst.allowed) return tooManyRequests(res, burst, 'Too many requests. Please wait a moment.');
 
-  if (!agent) return res.status(401).json({ error: 'Invalid API key' });
+  const auth = await authenticateAgent(apiKey, req.method === 'GET' ? 'read' : 'write');
+  if (auth.error) return res.status(auth.status).json({ error: auth.error });
+  const agent = auth.agent;
   if (!agent.registration_review_passed) return res.status(403).json({ error: 'Must complete registration first' });
 
   // GET — fetch ratings for a review or all ratings for a paper
@@ -131,6 +126,14 @@ module.exports = async (req, res) => {
       });
     }
 
+    // Claimed once the body is known to be well-formed, so rejected requests leave no key behind.
+    // Replays return before the quota is charged.
+    const idempotency = await claimIdempotencyKey(req, res, agent.id);
+    if (idempotency.replied) return;
+
+    const quota = await checkQuota(res, agent, 'review_rating');
+    if (!quota.allowed) return tooManyRequests(res, quota, `Hourly review rating quota reached (${quota.limit}/hour at your credibility).`);
+
     // Fetch the review being rated
     const { data: review, error: reviewError } = await supabase
       .from('reviews')
@@ -180,58 +183,35 @@ module.exports = async (req, res) => {
     if (insertError) return res.status(500).json({ error: sanitizeErrorMessage(insertError) });
 
     // Apply credibility change to the reviewer being rated
-    const { data: reviewer } = await supabase
-      .from('agents')
-      .select('credibility_score, total_reviews_completed, valid_bounties')
-      .eq('id', review.reviewer_agent_id)
-      .single();
-
-    if (reviewer) {
-      // Positive tags = reviewer identified something specific = reward
-      // Negative tags = reviewer was vague or herding = penalty
-      const positiveTags = tags.filter(t => POSITIVE_TAGS.includes(t)).length;
-      const negativeTags = tags.filter(t => NEGATIVE_TAGS.includes(t)).length;
-
-      let credChange = 0;
-      if (helpful && positiveTags > 0) credChange = 0.2 * positiveTags;
-      else if (helpful) credChange = 0.1;
-      else if (!helpful && negativeTags > 0) credChange = -0.15 * negativeTags;
-      else if (!helpful) credChange = -0.05;
-
-      if (credChange !== 0) {
-        let newCred = reviewer.credibility_score + credChange;
-        newCred = Math.max(0, Math.min(200, newCred));
-
-        // ── SECURITY: Apply tier cap (was missing in original!) ──
-        const { data: reviewerPapers } = await supabase
-          .from('papers')
-          .select('weighted_score, status')
-          .eq('agent_id', review.reviewer_agent_id)
-          .not('weighted_score', 'is', null);
-
-        newCred = applyTierCap(newCred, {
-          total_reviews_completed: reviewer.total_reviews_completed || 0,
-          valid_bounties: reviewer.valid_bounties || 0,
-          papers: reviewerPapers || []
-        });
-
-        await supabase.from('agents').update({
-          credibility_score: newCred
-        }).eq('id', review.reviewer_agent_id);
-
-        await supabase.from('credibility_transactions').insert({
-          agent_id: review.reviewer_agent_id,
-          change_amount: credChange,
-          balance_after: newCred,
-          reason: helpful ? 
-            `Review rated helpful: ${tags.join(', ') || 'general'}` : 
-            `Review rated unhelpful: ${tags.join(', ') || 'general'}`,
-          transaction_type: helpful ? 'review_rated_helpful' : 'review_rated_unhelpful',
-          related_review_id: review_id
-        });
-      }
+    // Positive tags = reviewer identified something specific = reward
+    // Negative tags = reviewer was vague or herding = penalty
+    const positiveTags = tags.filter(t => POSITIVE_TAGS.includes(t)).length;
+    const negativeTags = tags.filter(t => NEGATIVE_TAGS.includes(t)).length;
+
+    let credChange = 0;
+    if (helpful && positiveTags > 0) credChange = 0.2 * positiveTags;
+    else if (helpful) credChange = 0.1;
+    else if (!helpful && negativeTags > 0) credChange = -0.15 * negativeTags;
+    else if (!helpful) credChange = -0.05;
+
+    if (credChange !== 0) {
+      await applyCredibilityChange(review.reviewer_agent_id, credChange, {
+        reason: helpful ?
+          `Review rated helpful: ${tags.join(', ') || 'general'}` :
+          `Review rated unhelpful: ${tags.join(', ') || 'general'}`,
+        type: helpful ? 'review_rated_helpful' : 'review_rated_unhelpful',
+        reviewId: review_id
+      });
     }
 
+    // Raters stay anonymous to the reviewer
+    await emitEvent(review.reviewer_agent_id, 'review.rated', {
+      review_id,
+      paper_id: review.paper_id,
+      helpful,
+      tags
+    });
+
     return res.status(201).json({
       success: true,
       message: helpful ? 'Review rated as helpful' : 'Review rated as unhelpful',
@@ -1,172 +1,118 @@
-const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
 const {
-  setCorsHeaders, sanitize, isRateLimited, getClientIp,
-  sanitizeErrorMessage, validateTextLength, applyTierCap, TIER_CAPS
+  getSupabase, setCorsHeaders, sanitize, isRateLimited, getClientIp,
+  sanitizeErrorMessage, validateTextLength
 } = require('./lib/shared');
+const { hashApiKey, authenticateAgent } = require('./lib/auth');
+const { isPaperNew } = require('./lib/aging');
+const { qualityGate, validateReviewFlaws, reviewerWeight, isOutlierScore } = require('./lib/scoring');
+const { getAssignmentQueue, ASSIGNMENT_BONUS, ASSIGNMENT_LEASE_MINUTES } = require('./lib/assignments');
+const { resolveFieldFilter } = require('./lib/fields');
+const { getConflict, conflictWeightFactor } = require('./lib/conflicts');
+const { sybilWeightFactor } = require('./lib/sybil');
+const { checkRateLimit, checkQuota, tooManyRequests } = require('./lib/ratelimit');
+const { runReviewPipeline } = require('./lib/review_pipeline');
+const { claimIdempotencyKey } = require('./lib/idempotency');
+const { openGoldAssignment } = require('./lib/gold');
+
+const supabase = getSupabase();
+
+// Response body for a review POST: the pipeline outcome plus where the reviewer stands on tier requirements
+async function reviewResponse(agent, outcome, extra = {}) {
+  const { data: finalAgent } = await supabase
+    .from('agents')
+    .select('credibility_score, total_reviews_completed, valid_bounties')
+    .eq('id', agent.id)
+    .single();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-// Configurable thresholds
-const THRESHOLDS = {
-  hall_of_science:  { min_score: 8.5, min_reviews: 15 },
-  distinguished:    { min_score: 9.0, min_reviews: 25 },
-  landmark:         { min_score: 9.5, min_reviews: 40 }
-};
-
-function qualityGate(review) {
-  const failures = [];
-  if (!review.overall_assessment || review.overall_assessment.trim().length < 100) {
-    failures.push('Overall assessment must be at least 100 characters');
-  }
-
-  const categories = [
-    review.methodology_notes,
-    review.statistical_validity_notes,
-    review.citation_accuracy_notes,
-    review.reproducibility_notes,
-    review.logical_consistency_notes
-  ];
-  const filled = categories.filter(c => c && c.trim().length >= 50);
-  if (filled.length < 2) {
-    failures.push('Must fill at least 2 review categories with 50+ characters each');
-  }
-  return { passed: failures.length === 0, failures };
-}
-
-function reviewerWeight(credibility) {
-  if (credibility <= 10) return 0.1;
-  if (credibility <= 25) return 0.3;
-  if (credibility <= 50) return 0.6;
-  if (credibility <= 75) return 1.0;
-  if (credibility <= 100) return 1.4;
-  if (credibility <= 150) return 1.8;
-  return 2.0;
-}
-
-// REBALANCE v3: threshold lowered from 5 to 3
-function weightedScore(reviews) {
-  if (reviews.length < 3) return null;
-  let total = 0, weights = 0;
-  for (const r of reviews) {
-    const w = reviewerWeight(r.reviewer_credibility_at_time || 50);
-    total += r.score * w;
-    weights += w;
-  }
-  return weights > 0 ? parseFloat((total / weights).toFixed(2)) : null;
-}
-
-function stdDev(reviews) {
-  if (reviews.length < 3) return 0;
-  const scores = reviews.map(r => r.score);
-  const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
-  const variance = scores.reduce((s, x) => s + Math.pow(x - mean, 2), 0) / scores.length;
-  return Math.sqrt(variance);
-}
-
-function paperStatus(score, reviewCount, variance) {
-  if (!score) return 'pending';
-  if (variance >= 4) return 'contested';
-  if (score >= THRESHOLDS.landmark.min_score && reviewCount >= THRESHOLDS.landmark.min_reviews) return 'landmark';
-  if (score >= THRESHOLDS.distinguished.min_score && reviewCount >= THRESHOLDS.distinguished.min_reviews) return 'distinguished';
-  if (score >= THRESHOLDS.hall_of_science.min_score && reviewCount >= THRESHOLDS.hall_of_science.min_reviews) return 'hall_of_science';
-  return 'active';
-}
-
-// REBALANCE v3: K factors increased for higher average author Elo gain (~1.5 avg)
-function eloAuthorChange(authorCredibility, paperScore) {
-  if (!paperScore) return 0;
-  const expectedScore = 5 + (authorCredibility - 50) / 50;
-  const clampedExpected = Math.max(3, Math.min(9, expectedScore));
-  const diff = paperScore - clampedExpected;
-  const K = authorCredibility > 150 ? 0.8 :
-             authorCredibility > 100 ? 1.2 :
-             authorCredibility > 75  ? 2.0 : 2.5;
-  return parseFloat((diff * K).toFixed(2));
-}
-
-async function getReviewReputationMultiplier(agentId) {
-  const { data: reviews } = await supabase
-    .from('reviews')
-    .select('score, paper_id')
-    .eq('reviewer_agent_id', agentId)
-    .eq('passed_quality_gate', true)
-    .limit(20);
-
-  if (!reviews || reviews.length < 3) return 1.0;
-
-  let totalDeviation = 0;
-  let counted = 0;
-
-  for (const review of reviews) {
-    const { data: allReviews } = await supabase
-      .from('reviews')
-      .select('score')
-      .eq('paper_id', review.paper_id)
-      .eq('passed_quality_gate', true);
-
-    if (allReviews && allReviews.length >= 3) {
-      const scores = allReviews.map(r => r.score);
-      const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
-      totalDeviation += Math.abs(review.score - mean);
-      counted++;
-    }
-  }
-
-  if (counted === 0) return 1.0;
-  const avgDeviation = totalDeviation / counted;
-  if (avgDeviation < 1.0) return 1.3;
-  if (avgDeviation < 1.5) return 1.1;
-  if (avgDeviation < 2.0) return 1.0;
-  if (avgDeviation < 3.0) return 0.85;
-  return 0.7;
-}
-
-async function retroactiveAccuracyUpdate(paperId, finalScore) {
-  const { data: reviews } = await supabase
+  const trueCred = finalAgent?.credibility_score || outcome.finalCred || agent.credibility_score;
+  const { count: liveReviewCount } = await supabase
     .from('reviews')
-    .select('id, reviewer_agent_id, score')
-    .eq('paper_id', paperId)
+    .select('id', { count: 'exact', head: true })
+    .eq('reviewer_agent_id', agent.id)
     .eq('passed_quality_gate', true);
-
-  if (!reviews || reviews.length < 15) return;
-
-  for (const review of reviews) {
-    const deviation = Math.abs(review.score - finalScore);
-    let credChange = 0;
-    if (deviation <= 1.0) credChange = 0.2;
-    else if (deviation > 3.0) credChange = -0.3;
-    if (credChange === 0) continue;
-
-    const { data: reviewer } = await supabase
-      .from('agents')
-      .select('credibility_score')
-      .eq('id', review.reviewer_agent_id)
-      .single();
-
-    if (reviewer) {
-      let newCred = reviewer.credibility_score + credChange;
-      newCred = Math.max(0, Math.min(200, newCred));
-      newCred = await applyTierCap(newCred, review.reviewer_agent_id);
-
-      await supabase.from('agents').update({
-        credibility_score: newCred
-      }).eq('id', review.reviewer_agent_id);
-
-      await supabase.from('credibility_transactions').insert({
-        agent_id: review.reviewer_agent_id,
-        change_amount: credChange,
-        balance_after: newCred,
-        reason: credChange > 0 ? `Retroactive: accurate review (deviation ${deviation.toFixed(1)})` : `Retroactive: inaccurate review (deviation ${deviation.toFixed(1)})`,
-        transaction_type: credChange > 0 ? 'retroactive_accurate' : 'retroactive_inaccurate',
-        related_paper_id: paperId,
-        related_review_id: review.id
-      });
-    }
-  }
+  const trueReviews = liveReviewCount || 0;
+  const trueBounties = finalAgent?.valid_bounties || 0;
+
+  const { data: agentPapersForTier } = await supabase
+    .from('papers')
+    .select('id, response_stance, parent_paper_id')
+    .eq('agent_id', agent.id)
+    .eq('is_gold', false)
+    .neq('status', 'removed');
+  const originalPapersCount = (agentPapersForTier || []).filter(p => !p.parent_paper_id).length;
+  const revisionsCount = (agentPapersForTier || []).filter(p => p.response_stance === 'revision').length;
+
+  // REBALANCE v3: Pre-75 requirements — 10 reviews, 3 bounties, 2 papers, 1 revision
+  const needsForT75 = [];
+  if (trueReviews < 10) needsForT75.push(`${10 - trueReviews} more reviews`);
+  if (trueBounties < 3) needsForT75.push(`${3 - trueBounties} more bounties`);
+  if (originalPapersCount < 2) needsForT75.push(`${2 - originalPapersCount} more original papers`);
+  if (revisionsCount < 1) needsForT75.push(`${1 - revisionsCount} more revisions`);
+
+  // REBALANCE v3.1: Review ratio — 0 for 1st, 3 for 2nd, 7 for 3rd, then N²
+  const reviewsForNextPaper = originalPapersCount === 0 ? 0 :
+    originalPapersCount === 1 ? 3 :
+    originalPapersCount === 2 ? 7 :
+    originalPapersCount * originalPapersCount;
+  const canSubmitPaper = trueReviews >= reviewsForNextPaper;
+  const reviewsStillNeeded = Math.max(0, reviewsForNextPaper - trueReviews);
+
+  const nextAction = trueReviews < 3 ? 'review' :
+                     originalPapersCount < 2 && canSubmitPaper ? 'submit_paper' :
+                     originalPapersCount < 2 && !canSubmitPaper ? 'review' :
+                     trueReviews < 10 ? 'review' :
+                     trueBounties < 3 ? 'file_bounty' :
+                     revisionsCount < 1 ? 'revise' : 'review';
+
+  const submitStatus = canSubmitPaper
+    ? 'You CAN submit a paper now.'
+    : `Need ${reviewsStillNeeded} more reviews before next paper submission.`;
+
+  // REBALANCE v3: Tier info strings updated for Option A requirements
+  const tierInfo = trueCred >= 175 ?
+    `TIER 4 (175+) — next_action: ${nextAction} — ${submitStatus} Max tier reached. Need 75 reviews + 30 bounties + 12 papers + 5 revisions + paper 8.5+ to pass 200.` :
+    trueCred >= 150 ?
+    `TIER 3 (150+) — next_action: ${nextAction} — ${submitStatus} Need 50 reviews + 20 bounties + 8 papers + 4 revisions + paper 8.0+ to reach Tier 4.` :
+    trueCred >= 100 ?
+    `TIER 2 (100+) — next_action: ${nextAction} — ${submitStatus} Need 35 reviews + 12 bounties + 5 papers + 3 revisions + paper 7.5+ to reach Tier 3.` :
+    trueCred >= 75 ?
+    `TIER 1 (75+) — next_action: ${nextAction} — ${submitStatus} Need 20 reviews + 6 bounties + 3 papers + 2 revisions + paper 7.0+ to reach Tier 2.` :
+    needsForT75.length === 0 ?
+    `TIER CAP CLEARED — next_action: ${nextAction} — ${submitStatus} All requirements met, credibility will pass 75 on next review.` :
+    trueCred >= 74 ?
+    `BLOCKED AT TIER CAP (max 74.9) — next_action: ${nextAction} — ${submitStatus} MORE REVIEWS WILL NOT HELP. You MUST complete: ${needsForT75.join(', ')}. Stop reviewing and do these actions instead.` :
+    `Building credibility (${trueCred.toFixed(1)}/74.9) — next_action: ${nextAction} — ${submitStatus} Still need: ${needsForT75.join(', ')}. Keep reviewing AND work on the other requirements.`;
+
+  const isCapped = trueCred >= 74 && trueCred < 75 && needsForT75.length > 0;
+
+  return {
+    ...extra,
+    success: true,
+    your_new_credibility: trueCred,
+    credibility_change: isCapped ? 0 : outcome.credChange,
+    capped: isCapped,
+    cap_maximum: isCapped ? 74.9 : null,
+    reviews_will_not_help: isCapped ? true : false,
+    next_required_action: nextAction,
+    can_submit_paper: canSubmitPaper,
+    reviews_until_next_paper: reviewsStillNeeded,
+    still_needed_for_tier_1: needsForT75,
+    reputation_multiplier: outcome.reputationMultiplier,
+    assignment_completed: outcome.wasAssigned,
+    paper_score_now: outcome.newScore || 'pending',
+    paper_status: outcome.newStatus,
+    is_outlier: outcome.review.is_outlier,
+    conflict_of_interest: outcome.conflictResult.status === 'none' || outcome.conflictResult.status === 'cleared' ? null : {
+      status: outcome.conflictResult.status,
+      weight_factor: outcome.conflictResult.weight_factor,
+      message: 'You and this author have a reciprocal review pattern. Your reviews of each other count at reduced weight.'
+    },
+    author_prediction_resolved: outcome.predictionResult ? outcome.predictionResult.outcome : null,
+    open_questions_resolved: outcome.questionsResolved,
+    tier_info: tierInfo,
+    reviews_completed: trueReviews,
+    bounties_needed: Math.max(0, 3 - trueBounties)
+  };
 }
 
 module.exports = async (req, res) => {
@@ -183,25 +129,68 @@ module.exports = async (req, res) => {
   if (!apiKey) return res.status(401).json({ error: 'Missing X-Api-Key header' });
 
   // ── SECURITY: Rate limit per API key too ──
-  const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-  if (isRateLimited(`key:${keyHash}`, 20, 60000)) {
-    return res.status(429).json({ error: 'Too many requests for this API key.' });
-  }
-
-  const { data: agent } = await supabase
-    .from('agents')
-    .select('*')
-    .eq('api_key_hash', keyHash)
-    .eq('is_banned', false)
-    .single();
+  const keyHash = hashApiKey(apiKey);
+  const burst = await checkRateLimit(res, `key:${keyHash}`, 20, 60);
+  if (!burst.allowed) return tooManyRequests(res, burst, 'Too many requests for this API key.');
 
-  if (!agent) return res.status(401).json({ error: 'Invalid API key or agent is banned' });
+  const auth = await authenticateAgent(apiKey, req.method === 'GET' ? 'read' : 'write');
+  if (auth.error) return res.status(auth.status).json({ error: auth.error });
+  const agent = auth.agent;
   if (!agent.registration_review_passed) return res.status(403).json({ error: 'Must complete registration first' });
 
+  // ── GET /api/reviews/assignments — leased queue of papers this agent should review ──
+  const path = (req.url || '').split('?')[0];
+  if (req.method === 'GET' && (path.endsWith('/assignments') || req.query.assignments === 'true')) {
+    const fieldFilter = await resolveFieldFilter(req.query.field);
+    if (fieldFilter.error) return res.status(400).json({ error: fieldFilter.error });
+
+    const queue = await getAssignmentQueue(agent, fieldFilter.ids);
+    return res.json({
+      assignments: queue,
+      lease_minutes: ASSIGNMENT_LEASE_MINUTES,
+      assignment_bonus: ASSIGNMENT_BONUS,
+      message: queue.length > 0
+        ? `Review these before their leases expire to earn +${ASSIGNMENT_BONUS} per review on top of normal review credit.`
+        : 'No eligible papers right now — check back later.'
+    });
+  }
+
   const { paper_id } = req.query;
   if (!paper_id) return res.status(400).json({ error: 'paper_id required' });
 
   if (req.method === 'POST') {
+    const { score, methodology_notes, statistical_validity_notes,
+            citation_accuracy_notes, reproducibility_notes,
+            logical_consistency_notes, overall_assessment } = req.body;
+
+    if (!score || isNaN(Number(score)) || Number(score) < 1 || Number(score) > 10) {
+      return res.status(400).json({ error: 'Score must be 1.0-10.0' });
+    }
+
+    // ── SECURITY: Validate input lengths ──
+    const lengthFields = { methodology_notes, statistical_validity_notes, citation_accuracy_notes, reproducibility_notes, logical_consistency_notes, overall_assessment };
+    for (const [fieldName, value] of Object.entries(lengthFields)) {
+      const err = validateTextLength(fieldName, value);
+      if (err) return res.status(400).json({ error: err });
+    }
+
+    const gate = qualityGate({ score, methodology_notes, statistical_validity_notes,
+      citation_accuracy_notes, reproducibility_notes, logical_consistency_notes, overall_assessment });
+    if (!gate.passed) {
+      return res.status(400).json({ error: 'Review failed quality gate', failures: gate.failures });
+    }
+
+    const findings = validateReviewFlaws(req.body.flaws);
+    if (findings.error) return res.status(400).json({ error: findings.error });
+
+    // Claimed once the body is known to be well-formed, so rejected requests leave no key behind.
+    // Replays return before the quota is charged.
+    const idempotency = await claimIdempotencyKey(req, res, agent.id);
+    if (idempotency.replied) return;
+
+    const quota = await checkQuota(res, agent, 'review');
+    if (!quota.allowed) return tooManyRequests(res, quota, `Hourly review quota reached (${quota.limit}/hour at your credibility).`);
+
     const { data: paper } = await supabase
       .from('papers')
       .select('*')
@@ -214,32 +203,33 @@ module.exports = async (req, res) => {
 
     const { data: existing } = await supabase
       .from('reviews')
-      .select('id')
+      .select('id, pipeline_completed_at')
       .eq('paper_id', paper_id)
       .eq('reviewer_agent_id', agent.id)
-      .single();
-
-    if (existing) return res.status(409).json({ error: 'Already reviewed this paper' });
+      .maybeSingle();
 
-    const { score, methodology_notes, statistical_validity_notes,
-            citation_accuracy_notes, reproducibility_notes,
-            logical_consistency_notes, overall_assessment } = req.body;
+    if (existing && existing.pipeline_completed_at) return res.status(409).json({ error: 'Already reviewed this paper' });
 
-    if (!score || isNaN(Number(score)) || Number(score) < 1 || Number(score) > 10) {
-      return res.status(400).json({ error: 'Score must be 1.0-10.0' });
+    // A retry of a review whose first attempt stopped partway finishes it instead
+    if (existing) {
+      const outcome = await runReviewPipeline(existing.id);
+      if (!outcome) return res.status(404).json({ error: 'Paper not found' });
+      return res.status(200).json(await reviewResponse(agent, outcome, { resumed: true }));
     }
 
-    // ── SECURITY: Validate input lengths ──
-    const lengthFields = { methodology_notes, statistical_validity_notes, citation_accuracy_notes, reproducibility_notes, logical_consistency_notes, overall_assessment };
-    for (const [fieldName, value] of Object.entries(lengthFields)) {
-      const err = validateTextLength(fieldName, value);
-      if (err) return res.status(400).json({ error: err });
+    // Gold papers exist only for the agents they are assigned to
+    if (paper.is_gold && !(await openGoldAssignment(agent.id, paper.id))) {
+      return res.status(404).json({ error: 'Paper not found' });
     }
 
-    const gate = qualityGate({ score, methodology_notes, statistical_validity_notes,
-      citation_accuracy_notes, reproducibility_notes, logical_consistency_notes, overall_assessment });
-    if (!gate.passed) {
-      return res.status(400).json({ error: 'Review failed quality gate', failures: gate.failures });
+    // ── Conflict of interest: reciprocal review rings ──
+    const conflict = await getConflict(agent.id, paper.agent_id);
+    if (conflict && conflict.status === 'blocked') {
+      return res.status(403).json({
+        error: 'Conflict of interest: you and this author review each other\'s papers too generously. Reviews between you are blocked pending moderator review.',
+        mutual_reviews: conflict.mutual_reviews,
+        score_inflation: conflict.score_inflation
+      });
     }
 
     const { data: existing_reviews } = await supabase
@@ -248,12 +238,7 @@ module.exports = async (req, res) => {
       .eq('paper_id', paper_id)
       .eq('passed_quality_gate', true);
 
-    let isOutlier = false;
-    if (existing_reviews && existing_reviews.length >= 4) {
-      const scores = existing_reviews.map(r => r.score);
-      const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
-      isOutlier = Math.abs(score - mean) > 3.5;
-    }
+    const isOutlier = isOutlierScore(score, existing_reviews);
 
     const weight = reviewerWeight(agent.credibility_score);
 
@@ -269,273 +254,28 @@ module.exports = async (req, res) => {
         reproducibility_notes: sanitize(reproducibility_notes),
         logical_consistency_notes: sanitize(logical_consistency_notes),
         overall_assessment: sanitize(overall_assessment),
+        flaws: findings.flaws.map(f => ({ ...f, section: sanitize(f.section), description: sanitize(f.description) })),
         reviewer_credibility_at_time: agent.credibility_score,
         credibility_weight: weight,
         passed_quality_gate: true,
-        is_outlier: isOutlier
+        is_outlier: isOutlier,
+        coi_factor: conflictWeightFactor(conflict),
+        sybil_factor: sybilWeightFactor(agent),
+        // is_new is expired by the aging cron; isPaperNew also checks age in case the cron lags.
+        // A gold paper is presented as new, so it pays as one
+        paper_was_new: paper.is_gold || isPaperNew(paper)
       })
       .select()
       .single();
 
-    if (reviewError) return res.status(500).json({ error: sanitizeErrorMessage(reviewError) });
-
-    const reputationMultiplier = await getReviewReputationMultiplier(agent.id);
-
-    // REBALANCE v3: established paper review cred 0.10 → 0.15
-    let credChange = paper.is_new ? 0.3 : 0.15;
-    if (isOutlier) credChange -= 8;
-    credChange = parseFloat((credChange * reputationMultiplier).toFixed(2));
-
-    const { data: currentAgent } = await supabase
-      .from('agents')
-      .select('credibility_score, total_reviews_completed, valid_bounties')
-      .eq('id', agent.id)
-      .single();
-
-    const currentCred = currentAgent?.credibility_score || agent.credibility_score;
-    let newCred = currentCred + credChange;
-    newCred = Math.max(0, Math.min(200, newCred));
-
-    const finalCred = await applyTierCap(newCred, agent.id);
-
-    await supabase.from('agents').update({
-      credibility_score: finalCred,
-      total_reviews_completed: (currentAgent?.total_reviews_completed || 0) + 1,
-      last_active_at: new Date().toISOString()
-    }).eq('id', agent.id);
-
-    await supabase.from('credibility_transactions').insert({
-      agent_id: agent.id,
-      change_amount: credChange,
-      balance_after: finalCred,
-      reason: paper.is_new ? 'Reviewed new paper (+0.30)' : 'Reviewed established paper (+0.15)',
-      transaction_type: paper.is_new ? 'review_new' : 'review_established',
-      related_paper_id: paper_id,
-      related_review_id: newReview.id
-    });
-
-    const { data: all_reviews } = await supabase
-      .from('reviews')
-      .select('score, reviewer_credibility_at_time')
-      .eq('paper_id', paper_id)
-      .eq('passed_quality_gate', true);
-
-    const newScore = weightedScore(all_reviews);
-    const variance = stdDev(all_reviews);
-    let newStatus = paperStatus(newScore, all_reviews.length, variance);
-
-    if (paper.parent_paper_id && paper.response_stance !== 'revision' && ['hall_of_science', 'distinguished', 'landmark'].includes(newStatus)) {
-      newStatus = 'active';
+    if (reviewError) {
+      // Unique (paper_id, reviewer_agent_id): a concurrent duplicate POST got there first
+      if (reviewError.code === '23505') return res.status(409).json({ error: 'Already reviewed this paper' });
+      return res.status(500).json({ error: sanitizeErrorMessage(reviewError) });
     }
 
-    await supabase.from('papers').update({
-      weighted_score: newScore,
-      raw_review_count: all_reviews.length,
-      status: newStatus,
-      score_variance: variance,
-      last_reviewed_at: new Date().toISOString()
-    }).eq('id', paper_id);
-
-    if (newScore && all_reviews.length === 15) {
-      await retroactiveAccuracyUpdate(paper_id, newScore);
-    }
-
-    if (paper.parent_paper_id && paper.response_stance !== 'revision' && newScore && all_reviews.length >= 3) {
-      const midpoint = 5.5;
-      const deviation = newScore - midpoint;
-      let impact = 0;
-      if (paper.response_stance === 'rebut') {
-        if (newScore >= 5.5) {
-          impact = -((newScore - 5.5) / 4.5) * 1.5;
-        } else {
-          impact = Math.min(0.2, ((5.5 - newScore) / 5.5) * 0.2);
-        }
-      } else if (paper.response_stance === 'support') {
-        if (newScore >= 5.5) {
-          impact = ((newScore - 5.5) / 4.5) * 1.0;
-        } else {
-          impact = -Math.min(0.2, ((5.5 - newScore) / 5.5) * 0.2);
-        }
-      }
-      impact = Math.max(-1.5, Math.min(1.5, parseFloat(impact.toFixed(2))));
-
-      await supabase.from('papers').update({
-        response_score_impact: impact
-      }).eq('id', paper_id);
-
-      if (paper.response_stance === 'rebut' && all_reviews.length >= 5 && newScore < 4) {
-        const { data: rebutAuthor } = await supabase
-          .from('agents')
-          .select('credibility_score')
-          .eq('id', paper.agent_id)
-          .single();
-
-        if (rebutAuthor) {
-          const penalty = parseFloat(-((4 - newScore) * 0.3).toFixed(2));
-          const newRebutCred = Math.max(0, parseFloat((rebutAuthor.credibility_score + penalty).toFixed(2)));
-          await supabase.from('agents').update({ credibility_score: newRebutCred }).eq('id', paper.agent_id);
-          await supabase.from('credibility_transactions').insert({
-            agent_id: paper.agent_id,
-            change_amount: penalty,
-            balance_after: newRebutCred,
-            reason: `Community rejected challenge paper (scored ${newScore.toFixed(1)}/10)`,
-            transaction_type: 'challenge_rejected',
-            related_paper_id: paper_id
-          });
-        }
-      }
-
-      const { data: parentReviews } = await supabase
-        .from('reviews')
-        .select('score, reviewer_credibility_at_time')
-        .eq('paper_id', paper.parent_paper_id)
-        .eq('passed_quality_gate', true);
-
-      if (parentReviews && parentReviews.length >= 3) {
-        const { data: allResponses } = await supabase
-          .from('papers')
-          .select('response_score_impact')
-          .eq('parent_paper_id', paper.parent_paper_id)
-          .neq('status', 'removed')
-          .not('response_score_impact', 'is', null);
-
-        let baseTotal = 0, baseWeights = 0;
-        for (const r of parentReviews) {
-          const w = r.reviewer_credibility_at_time <= 50 ? 0.6 : r.reviewer_credibility_at_time <= 75 ? 1.0 : 1.4;
-          baseTotal += r.score * w;
-          baseWeights += w;
-        }
-        const baseScore = baseWeights > 0 ? baseTotal / baseWeights : null;
-
-        if (baseScore) {
-          let totalImpact = 0;
-          for (const resp of (allResponses || [])) {
-            totalImpact += parseFloat(resp.response_score_impact || 0);
-          }
-          totalImpact = Math.max(-1.5, Math.min(1.5, totalImpact));
-          const newParentScore = Math.max(1, Math.min(10, parseFloat((baseScore + totalImpact).toFixed(2))));
-
-          await supabase.from('papers').update({
-            weighted_score: newParentScore
-          }).eq('id', paper.parent_paper_id);
-        }
-      }
-    }
-
-    // REBALANCE v3: Author Elo triggers at 3 reviews (was 5)
-    if (newScore && all_reviews.length === 3) {
-      const { data: author } = await supabase
-        .from('agents')
-        .select('credibility_score')
-        .eq('id', paper.agent_id)
-        .single();
-
-      if (author) {
-        const authorChange = eloAuthorChange(author.credibility_score, newScore);
-        let rawAuthorCred = author.credibility_score + authorChange;
-        rawAuthorCred = Math.max(0, Math.min(200, rawAuthorCred));
-        const newAuthorCred = await applyTierCap(rawAuthorCred, paper.agent_id);
-
-        await supabase.from('agents').update({
-          credibility_score: newAuthorCred
-        }).eq('id', paper.agent_id);
-
-        await supabase.from('credibility_transactions').insert({
-          agent_id: paper.agent_id,
-          change_amount: authorChange,
-          balance_after: newAuthorCred,
-          reason: `Paper scored ${newScore} (Elo-adjusted)`,
-          transaction_type: authorChange > 0 ? 'paper_scored_high' : 'paper_scored_low',
-          related_paper_id: paper_id
-        });
-      }
-    }
-
-    const { data: finalAgent } = await supabase
-      .from('agents')
-      .select('credibility_score, total_reviews_completed, valid_bounties')
-      .eq('id', agent.id)
-      .single();
-
-    const trueCred = finalAgent?.credibility_score || finalCred;
-    const { count: liveReviewCount } = await supabase
-      .from('reviews')
-      .select('id', { count: 'exact', head: true })
-      .eq('reviewer_agent_id', agent.id)
-      .eq('passed_quality_gate', true);
-    const trueReviews = liveReviewCount || 0;
-    const trueBounties = finalAgent?.valid_bounties || 0;
-
-    const { data: agentPapersForTier } = await supabase
-      .from('papers')
-      .select('id, response_stance, parent_paper_id')
-      .eq('agent_id', agent.id)
-      .neq('status', 'removed');
-    const originalPapersCount = (agentPapersForTier || []).filter(p => !p.parent_paper_id).length;
-    const revisionsCount = (agentPapersForTier || []).filter(p => p.response_stance === 'revision').length;
-
-    // REBALANCE v3: Pre-75 requirements — 10 reviews, 3 bounties, 2 papers, 1 revision
-    const needsForT75 = [];
-    if (trueReviews < 10) needsForT75.push(`${10 - trueReviews} more reviews`);
-    if (trueBounties < 3) needsForT75.push(`${3 - trueBounties} more bounties`);
-    if (originalPapersCount < 2) needsForT75.push(`${2 - originalPapersCount} more original papers`);
-    if (revisionsCount < 1) needsForT75.push(`${1 - revisionsCount} more revisions`);
-
-    // REBALANCE v3.1: Review ratio — 0 for 1st, 3 for 2nd, 7 for 3rd, then N²
-    const reviewsForNextPaper = originalPapersCount === 0 ? 0 :
-      originalPapersCount === 1 ? 3 :
-      originalPapersCount === 2 ? 7 :
-      originalPapersCount * originalPapersCount;
-    const canSubmitPaper = trueReviews >= reviewsForNextPaper;
-    const reviewsStillNeeded = Math.max(0, reviewsForNextPaper - trueReviews);
-
-    const nextAction = trueReviews < 3 ? 'review' :
-                       originalPapersCount < 2 && canSubmitPaper ? 'submit_paper' :
-                       originalPapersCount < 2 && !canSubmitPaper ? 'review' :
-                       trueReviews < 10 ? 'review' :
-                       trueBounties < 3 ? 'file_bounty' :
-                       revisionsCount < 1 ? 'revise' : 'review';
-
-    const submitStatus = canSubmitPaper
-      ? 'You CAN submit a paper now.'
-      : `Need ${reviewsStillNeeded} more reviews before next paper submission.`;
-
-    // REBALANCE v3: Tier info strings updated for Option A requirements
-    const tierInfo = trueCred >= 175 ?
-      `TIER 4 (175+) — next_action: ${nextAction} — ${submitStatus} Max tier reached. Need 75 reviews + 30 bounties + 12 papers + 5 revisions + paper 8.5+ to pass 200.` :
-      trueCred >= 150 ?
-      `TIER 3 (150+) — next_action: ${nextAction} — ${submitStatus} Need 50 reviews + 20 bounties + 8 papers + 4 revisions + paper 8.0+ to reach Tier 4.` :
-      trueCred >= 100 ?
-      `TIER 2 (100+) — next_action: ${nextAction} — ${submitStatus} Need 35 reviews + 12 bounties + 5 papers + 3 revisions + paper 7.5+ to reach Tier 3.` :
-      trueCred >= 75 ?
-      `TIER 1 (75+) — next_action: ${nextAction} — ${submitStatus} Need 20 reviews + 6 bounties + 3 papers + 2 revisions + paper 7.0+ to reach Tier 2.` :
-      needsForT75.length === 0 ?
-      `TIER CAP CLEARED — next_action: ${nextAction} — ${submitStatus} All requirements met, credibility will pass 75 on next review.` :
-      trueCred >= 74 ?
-      `BLOCKED AT TIER CAP (max 74.9) — next_action: ${nextAction} — ${submitStatus} MORE REVIEWS WILL NOT HELP. You MUST complete: ${needsForT75.join(', ')}. Stop reviewing and do these actions instead.` :
-      `Building credibility (${trueCred.toFixed(1)}/74.9) — next_action: ${nextAction} — ${submitStatus} Still need: ${needsForT75.join(', ')}. Keep reviewing AND work on the other requirements.`;
-
-    const isCapped = trueCred >= 74 && trueCred < 75 && needsForT75.length > 0;
-
-    return res.status(201).json({
-      success: true,
-      your_new_credibility: trueCred,
-      credibility_change: isCapped ? 0 : credChange,
-      capped: isCapped,
-      cap_maximum: isCapped ? 74.9 : null,
-      reviews_will_not_help: isCapped ? true : false,
-      next_required_action: nextAction,
-      can_submit_paper: canSubmitPaper,
-      reviews_until_next_paper: reviewsStillNeeded,
-      still_needed_for_tier_1: needsForT75,
-      reputation_multiplier: reputationMultiplier,
-      paper_score_now: newScore || 'pending',
-      paper_status: newStatus,
-      is_outlier: isOutlier,
-      tier_info: tierInfo,
-      reviews_completed: trueReviews,
-      bounties_needed: Math.max(0, 3 - trueBounties)
-    });
+    const outcome = await runReviewPipeline(newReview.id);
+    return res.status(201).json(await reviewResponse(agent, outcome));
   }
 
   return res.status(405).json({ error: 'Method not allowed' });
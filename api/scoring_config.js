@@ -0,0 +1,18 @@
+const { setCorsHeaders, isRateLimited, getClientIp } = require('./lib/shared');
+const { SCORING_CONFIG } = require('./lib/scoring');
+
+module.exports = async (req, res) => {
+  // ── SECURITY: CORS + Rate Limiting ──
+  setCorsHeaders(req, res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const clientIp = getClientIp(req);
+  if (isRateLimited(clientIp, 60, 60000)) {
+    return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
+  }
+
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.json({ scoring: SCORING_CONFIG });
+};
@@ -0,0 +1,194 @@
+const { getSupabase, setCorsHeaders, sanitize, isRateLimited, getClientIp, sanitizeErrorMessage } = require('./lib/shared');
+const { authenticateAgent } = require('./lib/auth');
+const {
+  WEBHOOK_EVENTS, MAX_WEBHOOKS_PER_AGENT, RETRY_MINUTES,
+  generateSecret, validateWebhookUrl, validateEvents, describeWebhook, describeDelivery, sendTestPing
+} = require('./lib/webhooks');
+const { checkRateLimit, tooManyRequests } = require('./lib/ratelimit');
+
+const supabase = getSupabase();
+
+const DELIVERY_LOG_LIMIT = 50;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+module.exports = async (req, res) => {
+  setCorsHeaders(req, res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const clientIp = getClientIp(req);
+  if (isRateLimited(clientIp, 60, 60000)) {
+    return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
+  }
+
+  const auth = await authenticateAgent(req.headers['x-api-key'], req.method === 'GET' ? 'read' : 'write', 'id, handle');
+  if (auth.error) return res.status(auth.status).json({ error: auth.error });
+  const agent = auth.agent;
+
+  try {
+    // ── GET /api/webhooks — list; ?id= adds that webhook's delivery log ──
+    if (req.method === 'GET') {
+      const { id, status } = req.query;
+
+      if (id) {
+        const { data: webhook } = await supabase
+          .from('webhooks')
+          .select('*')
+          .eq('id', id)
+          .eq('agent_id', agent.id)
+          .maybeSingle();
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+        }
+        let query = supabase
+          .from('webhook_deliveries')
+          .select('*')
+          .eq('webhook_id', id)
+          .order('created_at', { ascending: false })
+          .limit(DELIVERY_LOG_LIMIT);
+        if (status) query = query.eq('status', status);
+        const { data: deliveries } = await query;
+
+        return res.json({
+          webhook: describeWebhook(webhook),
+          deliveries: (deliveries || []).map(describeDelivery)
+        });
+      }
+
+      const { data: webhooks } = await supabase
+        .from('webhooks')
+        .select('*')
+        .eq('agent_id', agent.id)
+        .order('created_at', { ascending: true });
+
+      return res.json({
+        webhooks: (webhooks || []).map(describeWebhook),
+        available_events: WEBHOOK_EVENTS,
+        retry_schedule_minutes: RETRY_MINUTES
+      });
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const burst = await checkRateLimit(res, `webhooks:${agent.id}`, 20, 60);
+    if (!burst.allowed) return tooManyRequests(res, burst, 'Too many webhook requests. Please wait a moment.');
+
+    const { action, webhook_id, url, events, description, is_active } = req.body || {};
+
+    // ── Create — the signing secret is shown once ──
+    if (action === 'create') {
+      const urlError = validateWebhookUrl(url);
+      if (urlError) return res.status(400).json({ error: urlError });
+      const eventsError = validateEvents(events);
+      if (eventsError) return res.status(400).json({ error: eventsError });
+
+      const { count } = await supabase
+        .from('webhooks')
+        .select('id', { count: 'exact', head: true })
+        .eq('agent_id', agent.id);
+      if ((count || 0) >= MAX_WEBHOOKS_PER_AGENT) {
+        return res.status(400).json({ error: `Maximum ${MAX_WEBHOOKS_PER_AGENT} webhooks — delete one first` });
+      }
+
+      const secret = generateSecret();
+      const { data: webhook, error } = await supabase
+        .from('webhooks')
+        .insert({
+          agent_id: agent.id,
+          url: String(url),
+          events: [...new Set(events)],
+          description: description ? sanitize(String(description)).slice(0, 200) : null,
+          secret
+        })
+        .select()
+        .single();
+      if (error) return res.status(500).json({ error: sanitizeErrorMessage(error) });
+
+      return res.status(201).json({
+        success: true,
+        webhook: describeWebhook(webhook),
+        secret,
+        message: 'Signing secret shown ONCE. Store it and verify X-PeerZero-Signature on every delivery.',
+        next: `Send a test ping: POST /api/webhooks {"action":"test","webhook_id":"${webhook.id}"}`
+      });
+    }
+
+    if (!['update', 'rotate_secret', 'delete', 'test'].includes(action)) {
+      return res.status(400).json({ error: 'action must be create, update, rotate_secret, delete or test' });
+    }
+    if (!webhook_id) return res.status(400).json({ error: 'webhook_id required' });
+
+    const { data: webhook } = await supabase
+      .from('webhooks')
+      .select('*')
+      .eq('id', webhook_id)
+      .eq('agent_id', agent.id)
+      .maybeSingle();
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    // ── Update url / events / description, or re-enable a disabled webhook ──
+    if (action === 'update') {
+      const changes = {};
+      if (url !== undefined) {
+        const urlError = validateWebhookUrl(url);
+        if (urlError) return res.status(400).json({ error: urlError });
+        changes.url = String(url);
+      }
+      if (events !== undefined) {
+        const eventsError = validateEvents(events);
+        if (eventsError) return res.status(400).json({ error: eventsError });
+        changes.events = [...new Set(events)];
+      }
+      if (description !== undefined) {
+        changes.description = description ? sanitize(String(description)).slice(0, 200) : null;
+      }
+      if (is_active !== undefined) {
+        changes.is_active = Boolean(is_active);
+        if (changes.is_active) {
+          changes.consecutive_failures = 0;
+          changes.disabled_reason = null;
+        }
+      }
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update — pass url, events, description or is_active' });
+      }
+
+      const { data: updated } = await supabase
+        .from('webhooks')
+        .update(changes)
+        .eq('id', webhook.id)
+        .select()
+        .single();
+      return res.json({ success: true, webhook: describeWebhook(updated) });
+    }
+
+    if (action === 'rotate_secret') {
+      const secret = generateSecret();
+      await supabase.from('webhooks').update({ secret }).eq('id', webhook.id);
+      return res.json({
+        success: true,
+        secret,
+        message: 'Old secret stops signing immediately. New secret shown ONCE — store it now.'
+      });
+    }
+
+    if (action === 'delete') {
+      await supabase.from('webhooks').delete().eq('id', webhook.id);
+      return res.json({ success: true, deleted_webhook_id: webhook.id });
+    }
+
+    // ── Test ping — sent synchronously so the caller sees the receiver's answer ──
+    const delivery = await sendTestPing(webhook);
+    if (!delivery) return res.status(500).json({ error: 'Could not record test delivery' });
+    return res.json({
+      success: delivery.status === 'delivered',
+      delivery,
+      message: delivery.status === 'delivered'
+        ? 'Receiver accepted the ping.'
+        : `Receiver did not accept the ping (${delivery.last_error}). It will be retried like any other delivery.`
+    });
+  } catch (error) {
+    return res.status(500).json({ error: sanitizeErrorMessage(error) });
+  }
+};
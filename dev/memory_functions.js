@@ -0,0 +1,308 @@
+/**
+ * PeerZero Dev — JS ports of schema.sql functions, triggers and views
+ * The in-memory stand-in (./memory_supabase) calls these where Postgres would:
+ *   FUNCTIONS  supabase.rpc() targets — apply_credibility_change (with credibility_tier_cap),
+ *              rate_limit_hit, rate_limit_peek, search_papers
+ *   TRIGGERS   credibility_transactions → agent_events + webhook_deliveries,
+ *              citations → papers.citation_text, papers.citation_count,
+ *              papers → papers.is_scored (a generated column in Postgres)
+ *   VIEWS      credibility_ledger
+ *
+ * Keep these in step with schema.sql when a function there changes. search_papers is an
+ * approximation: websearch syntax (quotes, -exclusions, or) and A/B/C/D weights are honoured,
+ * but stemming is a crude suffix strip and highlighting is word-level.
+ */
+
+const isNull = (v) => v === null || v === undefined;
+const round2 = (n) => Math.round(n * 100) / 100;
+const num = (v) => (isNull(v) ? null : parseFloat(v));
+
+function rowsOf(db, table, predicate = () => true) {
+  return db.rows[table].filter(predicate);
+}
+
+// ── Credibility ───────────────────────────────────────────────────────
+
+// credibility_tier_cap(): REBALANCE v3 caps, gated on reviews, bounties, papers, revisions, best score
+function credibilityTierCap(db, agentId, cred) {
+  let v = Math.min(cred, 200);
+  const mine = (r) => r.agent_id === agentId && r.status !== 'removed';
+  const reviews = rowsOf(db, 'reviews', r => r.reviewer_agent_id === agentId && r.passed_quality_gate === true).length;
+  const bounties = rowsOf(db, 'bounties', b => b.challenger_agent_id === agentId && b.is_valid === true).length;
+  const papers = rowsOf(db, 'papers', p => mine(p) && isNull(p.parent_paper_id) && !p.is_gold).length;
+  const revisions = rowsOf(db, 'papers', p => mine(p) && p.response_stance === 'revision').length;
+  const scores = rowsOf(db, 'papers', p => mine(p) && num(p.weighted_score) > 0).map(p => num(p.weighted_score));
+  const best = scores.length > 0 ? Math.max(...scores) : null;
+  const below = (min) => best === null || best < min;
+
+  if (v > 175 && (reviews < 75 || bounties < 30 || papers < 12 || revisions < 5 || below(8.5))) v = Math.min(v, 175);
+  if (v > 150 && (reviews < 50 || bounties < 20 || papers < 8 || revisions < 4 || below(8.0))) v = Math.min(v, 150);
+  if (v > 100 && (reviews < 35 || bounties < 12 || papers < 5 || revisions < 3 || below(7.5))) v = Math.min(v, 100);
+  if (v > 75 && (reviews < 20 || bounties < 6 || papers < 3 || revisions < 2 || below(7.0))) v = Math.min(v, 75);
+  if (v >= 75 && (reviews < 10 || bounties < 1 || papers < 2 || revisions < 1)) v = Math.min(v, 74.9);
+  return round2(v);
+}
+
+function applyCredibilityChange(db, p) {
+  const agent = db.rows.agents.find(a => a.id === p.p_agent_id);
+  if (!agent) return [];
+  const previous = num(agent.credibility_score) || 0;
+
+  if (!isNull(p.p_idempotency_key)) {
+    const earlier = db.rows.credibility_transactions.find(t => t.idempotency_key === p.p_idempotency_key);
+    if (earlier) return [{ previous_score: previous, new_score: previous, transaction_id: earlier.id, applied: false }];
+  }
+
+  const change = Number(p.p_change);
+  const next = credibilityTierCap(db, agent.id, Math.max(0, Math.min(200, previous + change)));
+  const { error: updateError } = db.update('agents', [agent], {
+    credibility_score: next,
+    total_reviews_completed: (agent.total_reviews_completed || 0) + (p.p_reviews_completed_delta || 0),
+    valid_bounties: (agent.valid_bounties || 0) + (p.p_valid_bounties_delta || 0)
+  });
+  if (updateError) throw Object.assign(new Error(updateError.message), { code: updateError.code });
+
+  const { data, error } = db.insert('credibility_transactions', [{
+    agent_id: agent.id,
+    change_amount: round2(next - previous),
+    requested_change: change,
+    balance_after: next,
+    reason: p.p_reason,
+    transaction_type: p.p_transaction_type,
+    related_paper_id: p.p_related_paper_id || null,
+    related_review_id: p.p_related_review_id || null,
+    idempotency_key: p.p_idempotency_key || null
+  }]);
+  if (error) throw Object.assign(new Error(error.message), { code: error.code });
+  return [{ previous_score: previous, new_score: next, transaction_id: data[0].id, applied: true }];
+}
+
+// ── Rate limiting ─────────────────────────────────────────────────────
+
+function windowHits(db, key, windowSeconds) {
+  const since = Date.now() - windowSeconds * 1000;
+  return rowsOf(db, 'rate_limit_log', l => l.bucket_key === key && Date.parse(l.created_at) > since);
+}
+
+function rateLimitHit(db, p) {
+  const hits = windowHits(db, p.p_key, p.p_window_seconds);
+  let count = hits.length;
+  let oldest = count > 0 ? Math.min(...hits.map(l => Date.parse(l.created_at))) : null;
+  let allowed = false;
+  if (count < p.p_limit) {
+    db.insert('rate_limit_log', [{
+      agent_id: p.p_agent_id || null,
+      action: p.p_action || String(p.p_key).split(':')[0],
+      bucket_key: p.p_key
+    }]);
+    count += 1;
+    oldest = oldest === null ? Date.now() : oldest;
+    allowed = true;
+  }
+  const resetAt = oldest === null ? null : new Date(oldest + p.p_window_seconds * 1000).toISOString();
+  return [{ allowed, hits: count, reset_at: resetAt }];
+}
+
+function rateLimitPeek(db, p) {
+  const hits = windowHits(db, p.p_key, p.p_window_seconds);
+  const oldest = hits.length > 0 ? Math.min(...hits.map(l => Date.parse(l.created_at))) : Date.now();
+  return [{ hits: hits.length, reset_at: new Date(oldest + p.p_window_seconds * 1000).toISOString() }];
+}
+
+// ── Search ────────────────────────────────────────────────────────────
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'that', 'the', 'to', 'with']);
+const WEIGHTS = { title: 1.0, abstract: 0.4, citation_text: 0.2, body: 0.1 };
+
+const stem = (word) => word.replace(/(ies|ing|ed|es|s)$/, '').slice(0, 12) || word;
+const words = (text) => String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// websearch_to_tsquery, roughly: groups of AND-ed terms, OR-ed together; "phrases"; -exclusions
+function parseWebsearch(query) {
+  const groups = [[]];
+  const exclude = [];
+  const tokens = String(query || '').match(/-?"[^"]*"|\S+/g) || [];
+  for (const token of tokens) {
+    if (token.toLowerCase() === 'or') {
+      groups.push([]);
+      continue;
+    }
+    const negative = token.startsWith('-');
+    const stems = words(token).filter(w => !STOPWORDS.has(w)).map(stem);
+    if (stems.length === 0) continue;
+    if (negative) exclude.push(stems);
+    else groups[groups.length - 1].push(stems);
+  }
+  return { groups: groups.filter(g => g.length > 0), exclude };
+}
+
+function containsPhrase(docStems, phrase) {
+  for (let i = 0; i + phrase.length <= docStems.length; i++) {
+    if (phrase.every((s, j) => docStems[i + j] === s)) return true;
+  }
+  return false;
+}
+
+function highlight(text, termStems) {
+  return String(text || '').replace(/[A-Za-z0-9]+/g, w => (termStems.has(stem(w.toLowerCase())) ? `<mark>${w}</mark>` : w));
+}
+
+function snippet(text, termStems) {
+  const tokens = String(text || '').split(/\s+/).filter(Boolean);
+  const hit = tokens.findIndex(t => words(t).some(w => termStems.has(stem(w))));
+  const start = Math.max(0, (hit < 0 ? 0 : hit) - 10);
+  return highlight(tokens.slice(start, start + 30).join(' '), termStems);
+}
+
+function searchPapers(db, p) {
+  const { groups, exclude } = parseWebsearch(p.p_query);
+  if (groups.length === 0) return [];
+  const termStems = new Set(groups.flat(2));
+  const agents = new Map(db.rows.agents.map(a => [a.id, a]));
+  const fieldIds = p.p_field_ids ? p.p_field_ids.map(Number) : null;
+
+  const matches = [];
+  for (const paper of db.rows.papers) {
+    if (paper.status === 'removed' || paper.is_gold) continue;
+    if (!isNull(paper.parent_paper_id) && paper.response_stance !== 'revision') continue;
+    if (p.p_statuses && !p.p_statuses.includes(paper.status)) continue;
+    if (!isNull(p.p_min_score) && !(num(paper.weighted_score) >= Number(p.p_min_score))) continue;
+    if (p.p_from && !(Date.parse(paper.submitted_at) >= Date.parse(p.p_from))) continue;
+    if (p.p_to && !(Date.parse(paper.submitted_at) < Date.parse(p.p_to))) continue;
+    if (fieldIds && !db.rows.paper_fields.some(pf => pf.paper_id === paper.id && fieldIds.includes(Number(pf.field_id)))) continue;
+    if (!agents.has(paper.agent_id)) continue;
+
+    const docs = Object.fromEntries(Object.keys(WEIGHTS).map(f => [f, words(paper[f]).map(stem)]));
+    const all = Object.values(docs).flat();
+    const found = (phrase) => containsPhrase(all, phrase);
+    if (!groups.some(group => group.every(found)) || exclude.some(found)) continue;
+
+    let rank = 0;
+    for (const [field, weight] of Object.entries(WEIGHTS)) {
+      rank += weight * docs[field].filter(s => termStems.has(s)).length;
+    }
+    matches.push({ paper, rank: rank / 10 });
+  }
+
+  const cursor = isNull(p.p_cursor_rank) ? null : { rank: Number(p.p_cursor_rank), id: p.p_cursor_id };
+  const limit = Math.min(p.p_limit || 20, 50);
+  return matches
+    .filter(({ paper, rank }) => !cursor || rank < cursor.rank || (rank === cursor.rank && paper.id < cursor.id))
+    .sort((a, b) => b.rank - a.rank || (a.paper.id < b.paper.id ? 1 : -1))
+    .slice(p.p_offset || 0, (p.p_offset || 0) + limit)
+    .map(({ paper, rank }) => {
+      const author = agents.get(paper.agent_id);
+      return {
+        id: paper.id,
+        agent_id: paper.agent_id,
+        title: paper.title,
+        abstract: paper.abstract,
+        status: paper.status,
+        weighted_score: paper.weighted_score,
+        raw_review_count: paper.raw_review_count,
+        parent_paper_id: paper.parent_paper_id,
+        response_stance: paper.response_stance,
+        submitted_at: paper.submitted_at,
+        author_handle: author.handle,
+        author_credibility: author.credibility_score,
+        rank,
+        title_highlight: highlight(paper.title, termStems),
+        snippet: snippet(`${paper.abstract || ''} ${paper.body || ''}`, termStems)
+      };
+    });
+}
+
+// ── Triggers ──────────────────────────────────────────────────────────
+
+function credibilityPayload(t) {
+  return {
+    transaction_id: t.id,
+    change_amount: t.change_amount,
+    balance_after: t.balance_after,
+    reason: t.reason,
+    transaction_type: t.transaction_type,
+    related_paper_id: t.related_paper_id,
+    related_review_id: t.related_review_id
+  };
+}
+
+// record_credibility_event()
+function recordCredibilityEvent(db, t) {
+  db.insert('agent_events', [{ agent_id: t.agent_id, event: 'credibility.changed', payload: credibilityPayload(t), created_at: t.created_at }]);
+}
+
+// enqueue_credibility_webhooks()
+function enqueueCredibilityWebhooks(db, t) {
+  const hooks = rowsOf(db, 'webhooks', w => w.agent_id === t.agent_id && w.is_active && (w.events || []).includes('credibility.changed'));
+  if (hooks.length === 0) return;
+  db.insert('webhook_deliveries', hooks.map(w => ({ webhook_id: w.id, agent_id: w.agent_id, event: 'credibility.changed', payload: credibilityPayload(t) })));
+}
+
+// citations_rollup_search_text()
+function rollupCitationText(db, citation) {
+  const paper = db.rows.papers.find(p => p.id === citation.paper_id);
+  if (!paper) return;
+  paper.citation_text = rowsOf(db, 'citations', c => c.paper_id === paper.id)
+    .map(c => `${c.cited_title || ''} ${c.agent_summary || ''}`)
+    .join(' ');
+}
+
+// citations_count_incoming()
+function countIncomingCitations(db, citation, before = null) {
+  const targets = new Set([citation.cited_paper_id, before && before.cited_paper_id].filter(id => !isNull(id)));
+  for (const target of targets) {
+    const paper = db.rows.papers.find(p => p.id === target);
+    if (!paper) continue;
+    paper.citation_count = new Set(rowsOf(db, 'citations', c => c.cited_paper_id === target).map(c => c.paper_id)).size;
+  }
+}
+
+// ── Views ─────────────────────────────────────────────────────────────
+
+// credibility_ledger: running_balance = the last ledger_reconciliation's balance_after (50
+// before any) + cumulative change since, ordered by (created_at, id)
+function credibilityLedger(db) {
+  const ordered = [...db.rows.credibility_transactions].sort((a, b) =>
+    Date.parse(a.created_at) - Date.parse(b.created_at) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const balances = new Map();
+  return ordered.map((t) => {
+    const balance = t.transaction_type === 'ledger_reconciliation'
+      ? num(t.balance_after)
+      : (balances.has(t.agent_id) ? balances.get(t.agent_id) : 50) + (num(t.change_amount) || 0);
+    balances.set(t.agent_id, balance);
+    return { ...t, running_balance: round2(balance) };
+  });
+}
+
+// papers.is_scored: GENERATED ALWAYS AS (weighted_score IS NOT NULL) STORED
+function generateIsScored(db, paper) {
+  paper.is_scored = !isNull(paper.weighted_score);
+}
+
+const FUNCTIONS = {
+  apply_credibility_change: applyCredibilityChange,
+  rate_limit_hit: rateLimitHit,
+  rate_limit_peek: rateLimitPeek,
+  search_papers: searchPapers,
+};
+
+const TRIGGERS = {
+  papers: { afterInsert: [generateIsScored], afterUpdate: [generateIsScored] },
+  credibility_transactions: { afterInsert: [recordCredibilityEvent, enqueueCredibilityWebhooks] },
+  citations: {
+    afterInsert: [rollupCitationText, countIncomingCitations],
+    afterUpdate: [rollupCitationText, countIncomingCitations],
+    afterDelete: [rollupCitationText, countIncomingCitations]
+  },
+};
+
+const VIEWS = {
+  credibility_ledger: credibilityLedger,
+};
+
+module.exports = {
+  FUNCTIONS,
+  TRIGGERS,
+  VIEWS,
+  credibilityTierCap,
+};
@@ -0,0 +1,718 @@
+/**
+ * PeerZero Dev — in-memory Supabase stand-in
+ * A drop-in for the supabase-js client the routes use, backed by plain arrays built from
+ * schema.sql (see ./schema). Covers the query surface the codebase uses: select with
+ * embeds (alias:fk(cols), !inner, nested, (count)), insert / update / delete with
+ * .select(), the eq/neq/gt/gte/lt/lte/in/is/not/or/contains filters (including dotted
+ * filters on embeds), order / limit / range, single / maybeSingle, count + head, and
+ * rpc() for the functions ported in ./memory_functions.
+ *
+ * Postgres behaviour that the routes rely on is kept: column defaults, serial ids,
+ * unique constraints (23505), ON DELETE CASCADE / SET NULL, NUMERIC(p,s) rounding,
+ * NULL never matching a comparison, and PGRST116 from .single(). Writes are
+ * synchronous, so every call is its own transaction.
+ *
+ *   const { createMemoryClient } = require('./memory_supabase');
+ *   setSupabase(createMemoryClient());
+ */
+
+const crypto = require('crypto');
+const { loadSchema } = require('./schema');
+const { FUNCTIONS, TRIGGERS, VIEWS } = require('./memory_functions');
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+function pgError(code, message, details = null) {
+  return { code, message, details, hint: null };
+}
+
+// ── Values ────────────────────────────────────────────────────────────
+
+function numericScale(type) {
+  const m = /^(NUMERIC|DECIMAL)\(\s*\d+\s*,\s*(\d+)\s*\)/.exec(type || '');
+  return m ? parseInt(m[2]) : null;
+}
+
+// Integer columns are not truncated: several base-schema types (credibility, review scores)
+// predate the live database, where those columns hold fractions
+function coerce(column, value) {
+  if (value === null || value === undefined) return null;
+  switch (column.kind) {
+    case 'integer':
+    case 'numeric': {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return value;
+      const scale = numericScale(column.type);
+      return scale === null ? n : Number(n.toFixed(scale));
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return Boolean(value);
+    case 'timestamp': {
+      const d = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(d.getTime()) ? value : d.toISOString();
+    }
+    case 'json':
+    case 'array':
+      return clone(value);
+    default:
+      return typeof value === 'object' ? value : String(value);
+  }
+}
+
+function comparable(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const t = Date.parse(value);
+    if (!Number.isNaN(t)) return t;
+  }
+  return value;
+}
+
+// Compare a stored value with a filter value the way Postgres would after casting
+function compare(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    const x = Number(a);
+    const y = Number(b);
+    if (!Number.isNaN(x) && !Number.isNaN(y)) return x === y ? 0 : x < y ? -1 : 1;
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    const x = String(a) === 'true';
+    const y = String(b) === 'true';
+    return x === y ? 0 : x ? 1 : -1;
+  }
+  const x = comparable(a);
+  const y = comparable(b);
+  if (typeof x === 'number' && typeof y === 'number') return x === y ? 0 : x < y ? -1 : 1;
+  const s = String(a);
+  const t = String(b);
+  return s === t ? 0 : s < t ? -1 : 1;
+}
+
+const isNull = (v) => v === null || v === undefined;
+
+// ── Filters ───────────────────────────────────────────────────────────
+
+function listValues(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+}
+
+const OPERATORS = {
+  eq: (v, x) => compare(v, x) === 0,
+  neq: (v, x) => compare(v, x) !== 0,
+  gt: (v, x) => compare(v, x) > 0,
+  gte: (v, x) => compare(v, x) >= 0,
+  lt: (v, x) => compare(v, x) < 0,
+  lte: (v, x) => compare(v, x) <= 0,
+  in: (v, x) => listValues(x).some(item => compare(v, item) === 0),
+  contains: (v, x) => Array.isArray(v) && listValues(x).every(item => v.some(e => compare(e, item) === 0)),
+};
+
+function isValue(value, target) {
+  if (target === null || target === 'null') return isNull(value);
+  if (target === true || target === 'true') return value === true;
+  if (target === false || target === 'false') return value === false;
+  return false;
+}
+
+// SQL three-valued logic collapsed to "matches": a comparison with NULL never matches
+function testCondition(row, { column, op, value, negate }) {
+  const v = row[column];
+  if (op === 'is') return negate ? !isValue(v, value) : isValue(v, value);
+  if (isNull(v)) return false;
+  const result = OPERATORS[op](v, value);
+  return negate ? !result : result;
+}
+
+// PostgREST logic trees: "a.eq.1,and(b.lt.2,c.is.null)"
+function splitLogic(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (ch === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function parseLogic(text) {
+  return splitLogic(text).map((part) => {
+    const group = /^(not\.)?(and|or)\((.*)\)$/s.exec(part);
+    if (group) return { logic: group[2], negate: Boolean(group[1]), children: parseLogic(group[3]) };
+    const m = /^([\w.]+?)\.(not\.)?(eq|neq|gt|gte|lt|lte|in|is|cs)\.(.*)$/s.exec(part);
+    if (!m) throw new Error(`Unsupported filter in or(): ${part}`);
+    const op = m[3] === 'cs' ? 'contains' : m[3];
+    let value = m[4];
+    if (/^".*"$/s.test(value)) value = value.slice(1, -1);
+    if (op === 'contains') value = value.replace(/^\{|\}$/g, '').split(',');
+    return { column: m[1], op, value, negate: Boolean(m[2]) };
+  });
+}
+
+function testLogic(row, node) {
+  if (node.logic) {
+    const results = node.children.map(child => testLogic(row, child));
+    const result = node.logic === 'and' ? results.every(Boolean) : results.some(Boolean);
+    return node.negate ? !result : result;
+  }
+  return testCondition(row, node);
+}
+
+// ── Select strings ────────────────────────────────────────────────────
+
+// "*, agents:posted_by_agent_id(handle), papers!inner(id, fields(name))"
+function parseSelect(text) {
+  const nodes = [];
+  for (const raw of splitLogic((text || '*').replace(/\s+/g, ' '))) {
+    const part = raw.trim();
+    if (!part) continue;
+    const embed = /^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/s.exec(part);
+    if (embed) {
+      const [, alias, target, hint, inner] = embed;
+      if (inner.trim() === 'count') {
+        nodes.push({ type: 'embedCount', alias: alias || target, target });
+      } else {
+        nodes.push({
+          type: 'embed',
+          alias: alias || target,
+          target,
+          inner: hint === 'inner',
+          children: parseSelect(inner)
+        });
+      }
+      continue;
+    }
+    if (part === '*') {
+      nodes.push({ type: 'star' });
+      continue;
+    }
+    const column = /^(?:(\w+):)?(\w+)$/.exec(part);
+    if (!column) throw new Error(`Unsupported select item: ${part}`);
+    nodes.push({ type: 'column', alias: column[1] || column[2], name: column[2] });
+  }
+  return nodes;
+}
+
+// ── Database ──────────────────────────────────────────────────────────
+
+class MemoryDatabase {
+  constructor(schema) {
+    this.schema = schema;
+    this.reset();
+  }
+
+  /** Drop every row and re-apply the schema's seed INSERTs. */
+  reset() {
+    this.rows = {};
+    this.sequences = {};
+    for (const name of Object.keys(this.schema.tables)) this.rows[name] = [];
+    for (const seed of this.schema.seeds) {
+      const result = this.insert(seed.table, [seed.row], { onConflictDoNothing: Boolean(seed.onConflict) });
+      if (result.error) throw new Error(`Seed ${seed.table}: ${result.error.message}`);
+    }
+  }
+
+  table(name) {
+    const def = this.schema.tables[name];
+    if (!def) return null;
+    return def;
+  }
+
+  // Rows of a table or a view, as stored (callers clone before handing them out)
+  source(name) {
+    if (VIEWS[name]) return VIEWS[name](this);
+    return this.rows[name] || null;
+  }
+
+  // NOW() for defaults. Postgres timestamps are microseconds apart; at millisecond resolution
+  // two writes can tie and ledger order ("created_at, id") would fall back to random ids
+  now() {
+    this.lastNow = Math.max(Date.now(), (this.lastNow || 0) + 1);
+    return new Date(this.lastNow).toISOString();
+  }
+
+  nextSerial(table, column) {
+    const key = `${table}.${column}`;
+    this.sequences[key] = (this.sequences[key] || 0) + 1;
+    return this.sequences[key];
+  }
+
+  buildRow(tableName, values) {
+    const def = this.table(tableName);
+    const row = {};
+    for (const key of Object.keys(values)) {
+      if (values[key] === undefined) continue;
+      if (!def.columns[key]) {
+        return { error: pgError('PGRST204', `Could not find the '${key}' column of '${tableName}' in the schema cache`) };
+      }
+    }
+    for (const column of Object.values(def.columns)) {
+      if (values[column.name] !== undefined) {
+        row[column.name] = coerce(column, values[column.name]);
+      } else if (column.serial) {
+        row[column.name] = this.nextSerial(tableName, column.name);
+      } else if (column.default && column.default.fn === 'uuid') {
+        row[column.name] = crypto.randomUUID();
+      } else if (column.default && column.default.fn === 'now') {
+        row[column.name] = this.now();
+      } else if (column.default) {
+        row[column.name] = clone(column.default.value);
+      } else {
+        row[column.name] = null;
+      }
+    }
+    return { row };
+  }
+
+  uniqueConstraints(def) {
+    const constraints = [...def.uniques];
+    if (def.primaryKey) constraints.unshift({ columns: def.primaryKey });
+    return constraints;
+  }
+
+  // Returns the violated constraint, if any, for row against the other rows
+  findConflict(tableName, row, others) {
+    const def = this.table(tableName);
+    for (const unique of this.uniqueConstraints(def)) {
+      if (unique.where) {
+        const v = row[unique.where.column];
+        if (unique.where.notNull ? isNull(v) : v !== unique.where.equals) continue;
+      }
+      if (unique.columns.some(c => isNull(row[c]))) continue;
+      const clash = others.find((other) => {
+        if (other === row) return false;
+        if (unique.where) {
+          const v = other[unique.where.column];
+          if (unique.where.notNull ? isNull(v) : v !== unique.where.equals) return false;
+        }
+        return unique.columns.every(c => !isNull(other[c]) && compare(other[c], row[c]) === 0);
+      });
+      if (clash) return unique;
+    }
+    return null;
+  }
+
+  uniqueViolation(tableName, unique) {
+    return pgError('23505', `duplicate key value violates unique constraint "${tableName}_${unique.columns.join('_')}_key"`);
+  }
+
+  insert(tableName, values, { onConflictDoNothing = false } = {}) {
+    if (!this.table(tableName)) return { error: pgError('42P01', `relation "public.${tableName}" does not exist`) };
+    const rows = [];
+    for (const value of values) {
+      const built = this.buildRow(tableName, value);
+      if (built.error) return { error: built.error };
+      const conflict = this.findConflict(tableName, built.row, [...this.rows[tableName], ...rows]);
+      if (conflict) {
+        if (onConflictDoNothing) continue;
+        return { error: this.uniqueViolation(tableName, conflict) };
+      }
+      rows.push(built.row);
+    }
+    this.rows[tableName].push(...rows);
+    for (const row of rows) {
+      for (const trigger of (TRIGGERS[tableName] && TRIGGERS[tableName].afterInsert) || []) trigger(this, row);
+    }
+    return { data: rows };
+  }
+
+  update(tableName, rows, values) {
+    const def = this.table(tableName);
+    const changes = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (value === undefined) continue;
+      if (!def.columns[key]) {
+        return { error: pgError('PGRST204', `Could not find the '${key}' column of '${tableName}' in the schema cache`) };
+      }
+      changes[key] = coerce(def.columns[key], value);
+    }
+    const updated = rows.map(row => ({ ...row, ...clone(changes) }));
+    const untouched = this.rows[tableName].filter(r => !rows.includes(r));
+    for (let i = 0; i < updated.length; i++) {
+      const conflict = this.findConflict(tableName, updated[i], [...untouched, ...updated.slice(0, i)]);
+      if (conflict) return { error: this.uniqueViolation(tableName, conflict) };
+    }
+    rows.forEach((row, i) => {
+      const before = { ...row };
+      Object.assign(row, updated[i]);
+      for (const trigger of (TRIGGERS[tableName] && TRIGGERS[tableName].afterUpdate) || []) trigger(this, row, before);
+    });
+    return { data: rows };
+  }
+
+  // Foreign keys pointing at tableName: [{ table, column, onDelete, references }]
+  referencing(tableName) {
+    const refs = [];
+    for (const def of Object.values(this.schema.tables)) {
+      for (const column of Object.values(def.columns)) {
+        if (column.references && column.references.table === tableName) {
+          refs.push({ table: def.name, column: column.name, onDelete: column.references.onDelete, references: column.references.column });
+        }
+      }
+    }
+    return refs;
+  }
+
+  delete(tableName, rows) {
+    // Collect the whole cascade first, then check NO ACTION keys against what survives
+    const doomed = new Map();
+    const nulls = [];
+    const visit = (table, victims) => {
+      const fresh = victims.filter(r => !(doomed.get(table) || new Set()).has(r));
+      if (fresh.length === 0) return;
+      if (!doomed.has(table)) doomed.set(table, new Set());
+      fresh.forEach(r => doomed.get(table).add(r));
+      for (const ref of this.referencing(table)) {
+        const keys = new Set(fresh.map(r => String(r[ref.references])));
+        const children = this.rows[ref.table].filter(r => !isNull(r[ref.column]) && keys.has(String(r[ref.column])));
+        if (children.length === 0) continue;
+        if (ref.onDelete === 'CASCADE') visit(ref.table, children);
+        else nulls.push({ ref, children });
+      }
+    };
+    visit(tableName, rows);
+
+    for (const { ref, children } of nulls) {
+      const survivors = children.filter(r => !(doomed.get(ref.table) || new Set()).has(r));
+      if (survivors.length === 0) continue;
+      if (ref.onDelete !== 'SET NULL') {
+        return {
+          error: pgError('23503', `update or delete on table "${tableName}" violates foreign key constraint "${ref.table}_${ref.column}_fkey" on table "${ref.table}"`)
+        };
+      }
+    }
+    for (const { ref, children } of nulls) {
+      if (ref.onDelete === 'SET NULL') children.forEach((r) => { r[ref.column] = null; });
+    }
+    for (const [table, victims] of doomed) {
+      this.rows[table] = this.rows[table].filter(r => !victims.has(r));
+      for (const trigger of (TRIGGERS[table] && TRIGGERS[table].afterDelete) || []) victims.forEach(r => trigger(this, r));
+    }
+    return { data: rows };
+  }
+
+  // How `target` embeds under `tableName`: many-to-one through a local FK, or one-to-many
+  relation(tableName, target) {
+    const def = this.table(tableName);
+    const local = def && def.columns[target];
+    if (local && local.references) {
+      return { kind: 'one', table: local.references.table, local: target, remote: local.references.column };
+    }
+    if (def) {
+      const fk = Object.values(def.columns).find(c => c.references && c.references.table === target);
+      if (fk) return { kind: 'one', table: target, local: fk.name, remote: fk.references.column };
+    }
+    const targetDef = this.table(target);
+    if (targetDef) {
+      const back = Object.values(targetDef.columns).find(c => c.references && c.references.table === tableName);
+      if (back) return { kind: 'many', table: target, local: back.references.column, remote: back.name };
+    }
+    throw new Error(`Could not find a relationship between '${tableName}' and '${target}'`);
+  }
+}
+
+// ── Query builder ─────────────────────────────────────────────────────
+
+class MemoryQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.tableName = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.columns = columns;
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  addFilter(column, op, value, negate = false) {
+    this.filters.push({ column, op, value, negate });
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  contains(column, values) { return this.addFilter(column, 'contains', values); }
+
+  not(column, op, value) {
+    return this.addFilter(column, op === 'cs' ? 'contains' : op, value, true);
+  }
+
+  or(expression, { foreignTable = null, referencedTable = null } = {}) {
+    this.filters.push({ logic: 'or', children: parseLogic(expression), embed: foreignTable || referencedTable });
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      result = { data: null, error: pgError('PGRST000', error.message), count: null, status: 400 };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  // Filters on the base row, and filters addressed to an embed ("papers.status", foreignTable)
+  splitFilters() {
+    const base = [];
+    const embeds = {};
+    for (const filter of this.filters) {
+      const dotted = !filter.logic && filter.column.includes('.') ? filter.column.split('.') : null;
+      const embed = filter.embed || (dotted && dotted[0]);
+      if (!embed) {
+        base.push(filter);
+        continue;
+      }
+      if (!embeds[embed]) embeds[embed] = [];
+      embeds[embed].push(dotted ? { ...filter, column: dotted.slice(1).join('.') } : filter);
+    }
+    return { base, embeds };
+  }
+
+  matching(rows, filters) {
+    return rows.filter(row => filters.every(f => (f.logic ? testLogic(row, f) : testCondition(row, f))));
+  }
+
+  // Attach embeds to each row; returns null for rows an !inner embed drops
+  resolve(tableName, row, nodes, embedFilters = {}) {
+    const out = {};
+    for (const node of nodes) {
+      if (node.type === 'star') {
+        Object.assign(out, clone(row));
+      } else if (node.type === 'column') {
+        out[node.alias] = clone(row[node.name] === undefined ? null : row[node.name]);
+      } else if (node.type === 'embedCount') {
+        const rel = this.db.relation(tableName, node.target);
+        const children = this.db.source(rel.table).filter(c => !isNull(c[rel.remote]) && compare(c[rel.remote], row[rel.local]) === 0);
+        out[node.alias] = [{ count: rel.kind === 'one' ? Math.min(children.length, 1) : children.length }];
+      } else if (node.type === 'embed') {
+        const rel = this.db.relation(tableName, node.target);
+        const filters = embedFilters[node.alias] || [];
+        const candidates = isNull(row[rel.local])
+          ? []
+          : this.db.source(rel.table).filter(c => !isNull(c[rel.remote]) && compare(c[rel.remote], row[rel.local]) === 0);
+        const kept = this.matching(candidates, filters)
+          .map(child => this.resolve(rel.table, child, node.children))
+          .filter(Boolean);
+        if (node.inner && kept.length === 0) return null;
+        out[node.alias] = rel.kind === 'one' ? (kept[0] || null) : kept;
+      }
+    }
+    return out;
+  }
+
+  sort(rows) {
+    if (this.orders.length === 0) return rows;
+    return rows
+      .map((row, index) => ({ row, index }))
+      .sort((a, b) => {
+        for (const { column, ascending, nullsFirst } of this.orders) {
+          const x = a.row[column];
+          const y = b.row[column];
+          if (isNull(x) && isNull(y)) continue;
+          if (isNull(x)) return nullsFirst ? -1 : 1;
+          if (isNull(y)) return nullsFirst ? 1 : -1;
+          const c = compare(x, y);
+          if (c !== 0) return ascending ? c : -c;
+        }
+        return a.index - b.index;
+      })
+      .map(({ row }) => row);
+  }
+
+  page(rows) {
+    let out = rows;
+    if (this.rangeFrom !== null) out = out.slice(this.rangeFrom, this.rangeTo + 1);
+    if (this.limitCount !== null) out = out.slice(0, this.limitCount);
+    return out;
+  }
+
+  finish(rows, count = null, status = 200) {
+    if (this.singleMode) {
+      if (rows.length === 1) return { data: rows[0], error: null, count, status };
+      if (rows.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count, status };
+      return {
+        data: null,
+        error: pgError('PGRST116', 'JSON object requested, multiple (or no) rows returned', `The result contains ${rows.length} rows`),
+        count,
+        status: 406
+      };
+    }
+    return { data: rows, error: null, count, status };
+  }
+
+  project(rows, embeds = {}) {
+    const nodes = parseSelect(this.columns);
+    return rows.map(row => this.resolve(this.tableName, row, nodes, embeds)).filter(Boolean);
+  }
+
+  execute() {
+    const source = this.db.source(this.tableName);
+    if (!source) {
+      return { data: null, error: pgError('42P01', `relation "public.${this.tableName}" does not exist`), count: null, status: 404 };
+    }
+    const { base, embeds } = this.splitFilters();
+
+    if (this.action === 'insert') {
+      const { data, error } = this.db.insert(this.tableName, this.values);
+      if (error) return { data: null, error, count: null, status: 409 };
+      return this.returning ? this.finish(this.project(data), null, 201) : { data: null, error: null, count: null, status: 201 };
+    }
+
+    const targets = this.matching(source, base);
+
+    if (this.action === 'update' || this.action === 'delete') {
+      const { data, error } = this.action === 'update'
+        ? this.db.update(this.tableName, targets, this.values)
+        : this.db.delete(this.tableName, targets);
+      if (error) return { data: null, error, count: null, status: 409 };
+      return this.returning ? this.finish(this.project(data)) : { data: null, error: null, count: null, status: 204 };
+    }
+
+    const rows = this.project(this.sort(targets), embeds);
+    const count = this.countMode ? rows.length : null;
+    if (this.head) return { data: null, error: null, count, status: 200 };
+    return this.finish(this.page(rows), count);
+  }
+}
+
+class MemoryRpc {
+  constructor(db, name, params) {
+    this.db = db;
+    this.name = name;
+    this.params = params || {};
+    this.singleMode = null;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    const fn = FUNCTIONS[this.name];
+    if (!fn) {
+      result = { data: null, error: pgError('PGRST202', `Could not find the function public.${this.name} in the schema cache`) };
+    } else {
+      try {
+        const data = clone(fn(this.db, this.params));
+        if (this.singleMode && Array.isArray(data)) {
+          result = data.length === 1 || (data.length === 0 && this.singleMode === 'maybe')
+            ? { data: data[0] || null, error: null }
+            : { data: null, error: pgError('PGRST116', 'JSON object requested, multiple (or no) rows returned') };
+        } else {
+          result = { data, error: null };
+        }
+      } catch (error) {
+        result = { data: null, error: pgError(error.code || 'P0001', error.message) };
+      }
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+}
+
+/**
+ * Build a client over a fresh in-memory database.
+ * options.schema: the output of loadSchema(), parsed from schema.sql by default.
+ * Returns { from, rpc, db, reset } — from/rpc match supabase-js; db exposes the rows
+ * for tests and reset() empties every table back to the schema's seed data.
+ */
+function createMemoryClient({ schema = loadSchema() } = {}) {
+  const db = new MemoryDatabase(schema);
+  return {
+    from: (table) => new MemoryQuery(db, table),
+    rpc: (name, params) => new MemoryRpc(db, name, params),
+    db,
+    reset: () => db.reset(),
+  };
+}
+
+module.exports = {
+  createMemoryClient,
+  parseSelect,
+  parseLogic,
+};
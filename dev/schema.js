@@ -0,0 +1,243 @@
+/**
+ * PeerZero Dev — schema.sql loader
+ * Reads schema.sql into the table definitions the in-memory stand-in needs: columns with
+ * their types and defaults, primary keys, unique constraints (including partial unique
+ * indexes), foreign keys with their ON DELETE action, and the seed rows from plain
+ * INSERT ... VALUES statements.
+ *
+ * Functions, triggers and views are not interpreted here; their JS ports live in
+ * ./memory_functions. Backfill UPDATEs and INSERT ... SELECTs only matter for existing
+ * data, so they are skipped. CHECK and NOT NULL constraints are not enforced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schema.sql');
+
+// The oldest sections were pasted through a word processor: curly quotes, en-dash comments
+function normalize(sql) {
+  return sql
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/^–/gm, '--')
+    .replace(/\s–\s/g, ' -- ');
+}
+
+function stripComments(sql) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+    if (ch === "'") inString = !inString;
+    if (!inString && ch === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      out += '\n';
+      continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+// Split on top-level semicolons, keeping $$ function bodies and quoted strings intact
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let inString = false;
+  let inDollar = false;
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+    if (!inString && sql.startsWith('$$', i)) {
+      inDollar = !inDollar;
+      current += '$$';
+      i++;
+      continue;
+    }
+    if (!inDollar && ch === "'") inString = !inString;
+    if (ch === ';' && !inString && !inDollar) {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+// Split "a, b(c, d), e" on top-level commas
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+  for (const ch of text) {
+    if (ch === "'") inString = !inString;
+    if (!inString && ch === '(') depth++;
+    if (!inString && ch === ')') depth--;
+    if (ch === separator && depth === 0 && !inString) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function columnKind(type) {
+  const t = type.toUpperCase();
+  if (t.endsWith('[]')) return 'array';
+  if (/^(BIG)?SERIAL/.test(t) || /^(INTEGER|INT|BIGINT|SMALLINT)/.test(t)) return 'integer';
+  if (/^(NUMERIC|DECIMAL|REAL|DOUBLE|FLOAT)/.test(t)) return 'numeric';
+  if (t.startsWith('BOOLEAN')) return 'boolean';
+  if (t.startsWith('TIMESTAMP') || t === 'DATE') return 'timestamp';
+  if (t.startsWith('JSON')) return 'json';
+  if (t.startsWith('UUID')) return 'uuid';
+  if (t.startsWith('TSVECTOR')) return 'tsvector';
+  return 'text';
+}
+
+// A DEFAULT expression as a descriptor the store can evaluate per insert
+function parseDefault(expr, kind) {
+  const e = expr.trim();
+  if (/^uuid_generate_v4\(\)$/i.test(e) || /^gen_random_uuid\(\)$/i.test(e)) return { fn: 'uuid' };
+  if (/^now\(\)$/i.test(e)) return { fn: 'now' };
+  if (/^true$/i.test(e)) return { value: true };
+  if (/^false$/i.test(e)) return { value: false };
+  if (/^null$/i.test(e)) return { value: null };
+  if (/^-?\d+(\.\d+)?$/.test(e)) return { value: Number(e) };
+  const quoted = e.match(/^'(.*)'$/s);
+  if (quoted) {
+    const text = quoted[1].replace(/''/g, "'");
+    if (kind === 'json') return { value: JSON.parse(text) };
+    if (kind === 'array') return { value: text === '{}' ? [] : text.replace(/^\{|\}$/g, '').split(',') };
+    return { value: text };
+  }
+  return { value: null };
+}
+
+function parseColumn(def) {
+  const m = def.match(/^(\w+)\s+([A-Za-z]+(?:\s+PRECISION)?(?:\([\d,\s]+\))?(?:\[\])?)(.*)$/s);
+  if (!m) return null;
+  const [, name, type, rest] = m;
+  const kind = columnKind(type);
+  const column = { name, type: type.toUpperCase(), kind };
+  if (/^(BIG)?SERIAL/i.test(type)) column.serial = true;
+
+  const defaultMatch = rest.match(/DEFAULT\s+('(?:[^']|'')*'|[\w.]+\(\)|[\w.-]+)/i);
+  if (defaultMatch) column.default = parseDefault(defaultMatch[1], kind);
+
+  const ref = rest.match(/REFERENCES\s+(\w+)\s*\((\w+)\)(?:\s+ON DELETE\s+(CASCADE|SET NULL))?/i);
+  if (ref) column.references = { table: ref[1], column: ref[2], onDelete: ref[3] ? ref[3].toUpperCase() : null };
+
+  return {
+    column,
+    primaryKey: /PRIMARY KEY/i.test(rest),
+    unique: /\bUNIQUE\b/i.test(rest)
+  };
+}
+
+function ensureTable(tables, name) {
+  if (!tables[name]) tables[name] = { name, columns: {}, primaryKey: null, uniques: [] };
+  return tables[name];
+}
+
+function addColumn(table, parsed) {
+  table.columns[parsed.column.name] = parsed.column;
+  if (parsed.primaryKey) table.primaryKey = [parsed.column.name];
+  if (parsed.unique) table.uniques.push({ columns: [parsed.column.name] });
+}
+
+function parseCreateTable(tables, stmt) {
+  const m = stmt.match(/^CREATE TABLE (?:IF NOT EXISTS )?(\w+)\s*\(([\s\S]*)\)$/i);
+  if (!m) return;
+  if (tables[m[1]]) return;  // IF NOT EXISTS
+  const table = ensureTable(tables, m[1]);
+  for (const def of splitTopLevel(m[2])) {
+    const keyed = def.match(/^(PRIMARY KEY|UNIQUE)\s*\(([^)]+)\)/i);
+    if (keyed) {
+      const columns = keyed[2].split(',').map(c => c.trim());
+      if (/^PRIMARY/i.test(keyed[1])) table.primaryKey = columns;
+      else table.uniques.push({ columns });
+      continue;
+    }
+    if (/^(CONSTRAINT|CHECK)\b/i.test(def)) continue;
+    const parsed = parseColumn(def);
+    if (parsed) addColumn(table, parsed);
+  }
+}
+
+function parseAlterTable(tables, stmt) {
+  const dropDefault = stmt.match(/^ALTER TABLE (\w+) ALTER COLUMN (\w+) DROP DEFAULT$/i);
+  if (dropDefault) {
+    const column = tables[dropDefault[1]] && tables[dropDefault[1]].columns[dropDefault[2]];
+    if (column) delete column.default;
+    return;
+  }
+  const m = stmt.match(/^ALTER TABLE (\w+) ADD COLUMN (?:IF NOT EXISTS )?([\s\S]+)$/i);
+  if (!m) return;
+  const table = ensureTable(tables, m[1]);
+  const parsed = parseColumn(m[2].trim());
+  if (parsed && !table.columns[parsed.column.name]) addColumn(table, parsed);
+}
+
+// Partial unique indexes: only "col = 'value'" and "col IS NOT NULL" predicates occur
+function parseUniqueIndex(tables, stmt) {
+  const m = stmt.match(/^CREATE UNIQUE INDEX (?:IF NOT EXISTS )?\w+\s+ON (\w+)\s*\(([^)]+)\)(?:\s+WHERE\s+([\s\S]+))?$/i);
+  if (!m) return;
+  const unique = { columns: m[2].split(',').map(c => c.trim().split(/\s+/)[0]) };
+  if (m[3]) {
+    const eq = m[3].match(/^(\w+)\s*=\s*'([^']*)'$/);
+    const notNull = m[3].match(/^(\w+)\s+IS NOT NULL$/i);
+    if (eq) unique.where = { column: eq[1], equals: eq[2] };
+    else if (notNull) unique.where = { column: notNull[1], notNull: true };
+  }
+  ensureTable(tables, m[1]).uniques.push(unique);
+}
+
+function parseLiteral(text) {
+  const t = text.trim();
+  if (/^null$/i.test(t)) return null;
+  if (/^true$/i.test(t)) return true;
+  if (/^false$/i.test(t)) return false;
+  if (/^-?\d+(\.\d+)?$/.test(t)) return Number(t);
+  const quoted = t.match(/^'(.*)'$/s);
+  return quoted ? quoted[1].replace(/''/g, "'") : t;
+}
+
+function parseInsertValues(seeds, stmt) {
+  const m = stmt.match(/^INSERT INTO (\w+)\s*\(([^)]+)\)\s*VALUES\s*([\s\S]+?)(?:\s+ON CONFLICT\s*\((\w+)\)\s*DO NOTHING)?$/i);
+  if (!m) return;
+  const columns = m[2].split(',').map(c => c.trim());
+  for (const tuple of splitTopLevel(m[3])) {
+    const values = splitTopLevel(tuple.replace(/^\(|\)$/g, '')).map(parseLiteral);
+    const row = {};
+    columns.forEach((c, i) => { row[c] = values[i]; });
+    seeds.push({ table: m[1], row, onConflict: m[4] || null });
+  }
+}
+
+/**
+ * Parse schema.sql (or the given SQL). Returns { tables, seeds } where tables maps
+ * name → { columns, primaryKey, uniques } and seeds lists { table, row, onConflict }.
+ */
+function loadSchema(sql = fs.readFileSync(SCHEMA_PATH, 'utf8')) {
+  const tables = {};
+  const seeds = [];
+  for (const raw of splitStatements(stripComments(normalize(sql)))) {
+    const stmt = raw.replace(/\s+/g, ' ').trim();
+    if (/^CREATE TABLE/i.test(stmt)) parseCreateTable(tables, raw.trim());
+    else if (/^ALTER TABLE/i.test(stmt)) parseAlterTable(tables, stmt);
+    else if (/^CREATE UNIQUE INDEX/i.test(stmt)) parseUniqueIndex(tables, stmt);
+    else if (/^INSERT INTO \w+\s*\([^)]*\)\s*VALUES/i.test(stmt)) parseInsertValues(seeds, stmt);
+  }
+  return { tables, seeds };
+}
+
+module.exports = {
+  SCHEMA_PATH,
+  loadSchema,
+};
@@ -0,0 +1,180 @@
+/**
+ * PeerZero Dev — local server
+ * Serves the API and static pages the way Vercel does, from vercel.json's routes, so the
+ * whole register → review → response → bounty lifecycle runs on a laptop or in CI:
+ *
+ *   npm run dev                         # in-memory data, seeded from schema.sql
+ *   PORT=4000 npm run dev
+ *   PEERZERO_DATA=supabase npm run dev  # real project from SUPABASE_URL / SUPABASE_SERVICE_KEY
+ *
+ * In-memory data starts empty apart from schema.sql's seed rows (fields) and the practice
+ * intake pool in dev/intake_papers.json, and is lost on exit. Citation DOIs are then looked
+ * up in dev/citation_fixtures.json rather than CrossRef (CITATION_PROVIDER=crossref to go
+ * online). PEERZERO_DEV is set, so localhost origins pass CORS and webhooks may point at a
+ * plain-http local receiver. Crons are not scheduled; call them with the CRON_SECRET
+ * printed at startup, e.g.
+ *   curl -H "Authorization: Bearer dev-cron-secret" localhost:3000/api/cron/age_papers
+ *
+ * startServer() can also be called in-process by scripts that drive the API over HTTP.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { setSupabase } = require('../api/lib/shared');
+const { createMemoryClient } = require('./memory_supabase');
+const { loadSchema } = require('./schema');
+
+const ROOT = path.join(__dirname, '..');
+const INTAKE_POOL = path.join(__dirname, 'intake_papers.json');
+const STATIC_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'application/javascript; charset=utf-8' };
+
+function loadRoutes() {
+  const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+  const staticFiles = new Set((config.builds || []).filter(b => b.use === '@vercel/static').map(b => `/${b.src}`));
+  return config.routes.map(route => ({
+    pattern: new RegExp(`^${route.src}$`),
+    dest: route.dest,
+    isStatic: staticFiles.has(route.dest)
+  }));
+}
+
+// schema.sql plus the practice intake pool as seed rows, so reset() restores both.
+// The pool's rubrics are public; a real deployment adds its own with create_intake_paper
+function memorySchema() {
+  const schema = loadSchema();
+  for (const paper of JSON.parse(fs.readFileSync(INTAKE_POOL, 'utf8'))) {
+    schema.seeds.push({ table: 'intake_papers', row: paper, onConflict: null });
+  }
+  return schema;
+}
+
+// Query values as Vercel gives them: a string, or an array when the key repeats
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (key in query) query[key] = [].concat(query[key], value);
+    else query[key] = value;
+  }
+  return query;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(raw, contentType = '') {
+  if (!raw) return {};
+  if (contentType.includes('application/json')) return JSON.parse(raw);
+  if (contentType.includes('application/x-www-form-urlencoded')) return parseQuery(new URLSearchParams(raw));
+  return raw;
+}
+
+// The helpers @vercel/node adds to the response
+function decorate(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+function createHandler(routes) {
+  const handlers = new Map();
+  const load = (dest) => {
+    if (!handlers.has(dest)) handlers.set(dest, require(path.join(ROOT, dest)));
+    return handlers.get(dest);
+  };
+
+  return async (req, res) => {
+    const started = Date.now();
+    decorate(res);
+    res.on('finish', () => {
+      if (!process.env.PEERZERO_DEV_QUIET) console.log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - started}ms`);
+    });
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(r => r.pattern.test(url.pathname));
+    if (!route) return res.status(404).json({ error: 'Not found' });
+
+    if (route.isStatic) {
+      const file = path.join(ROOT, route.dest);
+      res.setHeader('Content-Type', STATIC_TYPES[path.extname(file)] || 'application/octet-stream');
+      return res.end(fs.readFileSync(file));
+    }
+
+    try {
+      req.query = parseQuery(url.searchParams);
+      req.body = parseBody(await readBody(req), req.headers['content-type']);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid request body' });
+    }
+
+    try {
+      await load(route.dest)(req, res);
+    } catch (error) {
+      console.error(error);
+      if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Start the server. options: port (0 picks a free one), data ('memory' | 'supabase').
+ * Resolves to { server, port, client } — client is the in-memory client when data is
+ * 'memory' (null otherwise), so callers can inspect or reset() the data.
+ */
+function startServer({ port = 3000, data = 'memory' } = {}) {
+  process.env.PEERZERO_DEV = 'true';
+  process.env.CRON_SECRET = process.env.CRON_SECRET || 'dev-cron-secret';
+  process.env.MODERATOR_SECRET = process.env.MODERATOR_SECRET || 'dev-moderator-secret';
+  process.env.IP_HASH_SALT = process.env.IP_HASH_SALT || 'dev-ip-salt';
+  if (data === 'memory') process.env.CITATION_PROVIDER = process.env.CITATION_PROVIDER || 'fixture';
+
+  // Must happen before any route is required: routes take their client at load time
+  const client = data === 'memory' ? createMemoryClient({ schema: memorySchema() }) : null;
+  if (client) setSupabase(client);
+
+  const server = http.createServer(createHandler(loadRoutes()));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve({ server, port: server.address().port, client }));
+  });
+}
+
+if (require.main === module) {
+  const data = process.env.PEERZERO_DATA === 'supabase' ? 'supabase' : 'memory';
+  if (data === 'supabase' && (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY)) {
+    console.error('PEERZERO_DATA=supabase needs SUPABASE_URL and SUPABASE_SERVICE_KEY');
+    process.exit(1);
+  }
+  startServer({ port: parseInt(process.env.PORT) || 3000, data })
+    .then(({ port }) => {
+      console.log(`PeerZero dev server on http://localhost:${port} (${data === 'memory' ? 'in-memory data from schema.sql' : process.env.SUPABASE_URL})`);
+      console.log(`CRON_SECRET=${process.env.CRON_SECRET}  MODERATOR_SECRET=${process.env.MODERATOR_SECRET}`);
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  startServer,
+};
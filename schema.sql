@@ -265,3 +265,980 @@ FROM agents
 WHERE is_banned = FALSE
 AND registration_review_passed = TRUE
 ORDER BY credibility_score DESC;
+
+-- ============================================================
+-- PREDICTION CALIBRATION
+-- Resolves the author's confidence_score against the final score
+-- ============================================================
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS confidence_score NUMERIC(4,2);
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS prediction_status TEXT DEFAULT 'unvalidated';  -- unvalidated | accurate | overconfident | underconfident | neutral
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS prediction_actual_score NUMERIC(4,2);          -- weighted_score at resolution time
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS prediction_error NUMERIC(6,4);                 -- ((predicted - actual) / 9)^2
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS prediction_resolved_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_papers_prediction_resolved ON papers(agent_id, prediction_resolved_at);
+
+-- transaction_type values written by the calibration subsystem:
+--   prediction_accurate | prediction_inaccurate
+
+-- ============================================================
+-- OPEN QUESTION RESOLUTION
+-- A question closes when an attached paper reaches Hall of Science
+-- ============================================================
+ALTER TABLE open_questions ADD COLUMN IF NOT EXISTS resolved_by_paper_id UUID REFERENCES papers(id);
+ALTER TABLE open_questions ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_paper_open_questions_question ON paper_open_questions(question_id);
+CREATE INDEX IF NOT EXISTS idx_open_questions_active ON open_questions(is_active, created_at DESC);
+
+-- ============================================================
+-- NEW PAPER AGING
+-- /api/cron/age_papers flips is_new after 72 hours (hourly)
+-- ============================================================
+CREATE INDEX IF NOT EXISTS idx_papers_new_submitted ON papers(is_new, submitted_at) WHERE is_new = TRUE;
+
+-- ============================================================
+-- FULL-TEXT SEARCH
+-- Weighted tsvector: title (A), abstract (B), citation summaries (C), body (D)
+-- Queried through search_papers() via supabase.rpc()
+-- ============================================================
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS citation_text TEXT DEFAULT '';   -- rolled up from citations by trigger
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION papers_search_vector_refresh() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(NEW.abstract, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(NEW.citation_text, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(NEW.body, '')), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS papers_search_vector_trg ON papers;
+CREATE TRIGGER papers_search_vector_trg
+BEFORE INSERT OR UPDATE OF title, abstract, body, citation_text ON papers
+FOR EACH ROW EXECUTE FUNCTION papers_search_vector_refresh();
+
+CREATE OR REPLACE FUNCTION citations_rollup_search_text() RETURNS TRIGGER AS $$
+DECLARE
+  target UUID := COALESCE(NEW.paper_id, OLD.paper_id);
+BEGIN
+  UPDATE papers SET citation_text = coalesce((
+    SELECT string_agg(coalesce(c.cited_title, '') || ' ' || coalesce(c.agent_summary, ''), ' ')
+    FROM citations c WHERE c.paper_id = target
+  ), '')
+  WHERE id = target;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS citations_rollup_search_text_trg ON citations;
+CREATE TRIGGER citations_rollup_search_text_trg
+AFTER INSERT OR UPDATE OR DELETE ON citations
+FOR EACH ROW EXECUTE FUNCTION citations_rollup_search_text();
+
+CREATE INDEX IF NOT EXISTS idx_papers_search_vector ON papers USING GIN(search_vector);
+
+-- Backfill existing rows (the citation_text update fires the vector trigger)
+UPDATE papers p SET citation_text = coalesce((
+  SELECT string_agg(coalesce(c.cited_title, '') || ' ' || coalesce(c.agent_summary, ''), ' ')
+  FROM citations c WHERE c.paper_id = p.id
+), '');
+
+-- Gold papers (see GOLD PAPERS) are never searchable; the column is added here because
+-- search_papers() filters on it
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS is_gold BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE OR REPLACE FUNCTION search_papers(
+  p_query TEXT,
+  p_field_ids INTEGER[] DEFAULT NULL,
+  p_statuses TEXT[] DEFAULT NULL,
+  p_min_score NUMERIC DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_cursor_rank DOUBLE PRECISION DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  agent_id UUID,
+  title TEXT,
+  abstract TEXT,
+  status TEXT,
+  weighted_score NUMERIC,
+  raw_review_count INTEGER,
+  parent_paper_id UUID,
+  response_stance TEXT,
+  submitted_at TIMESTAMPTZ,
+  author_handle TEXT,
+  author_credibility NUMERIC,
+  rank DOUBLE PRECISION,
+  title_highlight TEXT,
+  snippet TEXT
+)
+LANGUAGE sql STABLE AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq
+  ),
+  matches AS (
+    SELECT p.*, ts_rank_cd(p.search_vector, q.tsq)::DOUBLE PRECISION AS rank, q.tsq
+    FROM papers p, q
+    WHERE p.search_vector @@ q.tsq
+      AND p.status <> 'removed'
+      AND NOT p.is_gold
+      AND (p.parent_paper_id IS NULL OR p.response_stance = 'revision')
+      AND (p_statuses IS NULL OR p.status = ANY(p_statuses))
+      AND (p_min_score IS NULL OR p.weighted_score >= p_min_score)
+      AND (p_from IS NULL OR p.submitted_at >= p_from)
+      AND (p_to IS NULL OR p.submitted_at < p_to)
+      AND (p_field_ids IS NULL OR EXISTS (
+        SELECT 1 FROM paper_fields pf WHERE pf.paper_id = p.id AND pf.field_id = ANY(p_field_ids)
+      ))
+  )
+  SELECT
+    m.id, m.agent_id, m.title, m.abstract, m.status, m.weighted_score, m.raw_review_count,
+    m.parent_paper_id, m.response_stance, m.submitted_at,
+    a.handle, a.credibility_score::NUMERIC,
+    m.rank,
+    ts_headline('english', m.title, m.tsq, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>'),
+    ts_headline('english', m.abstract || ' ' || m.body, m.tsq,
+      'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "')
+  FROM matches m
+  JOIN agents a ON a.id = m.agent_id
+  WHERE p_cursor_rank IS NULL OR (m.rank, m.id) < (p_cursor_rank, p_cursor_id)
+  ORDER BY m.rank DESC, m.id DESC
+  OFFSET p_offset
+  LIMIT LEAST(p_limit, 50);
+$$;
+
+-- ============================================================
+-- DUPLICATE DETECTION
+-- MinHash signatures (128 × uint32, stored as JSONB) plus LSH band keys
+-- Papers from before these tables: npm run backfill:fingerprints (scripts/backfill_fingerprints.js)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS paper_fingerprints (
+paper_id UUID PRIMARY KEY REFERENCES papers(id) ON DELETE CASCADE,
+abstract_sig JSONB NOT NULL,
+body_sig JSONB NOT NULL,
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS paper_fingerprint_bands (
+paper_id UUID REFERENCES papers(id) ON DELETE CASCADE,
+band_key TEXT NOT NULL,                    -- "<section>:<band>:<hash>", section a = abstract, b = body
+PRIMARY KEY (paper_id, band_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fingerprint_bands_key ON paper_fingerprint_bands(band_key);
+
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS similarity_flag BOOLEAN DEFAULT FALSE;  -- 0.5+ overlap, moderator review
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS similar_paper_ids UUID[];
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS max_similarity NUMERIC(4,3);
+
+-- ============================================================
+-- REVIEW ASSIGNMENTS
+-- Leased review queue served by GET /api/reviews/assignments
+-- ============================================================
+CREATE TABLE IF NOT EXISTS review_assignments (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+paper_id UUID REFERENCES papers(id) ON DELETE CASCADE,
+status TEXT NOT NULL DEFAULT 'active'      -- active | completed | expired
+CHECK (status IN ('active','completed','expired')),
+assigned_at TIMESTAMPTZ DEFAULT NOW(),
+expires_at TIMESTAMPTZ NOT NULL,
+completed_at TIMESTAMPTZ
+);
+
+-- One live lease per agent per paper
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_assignments_active
+ON review_assignments(agent_id, paper_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_review_assignments_paper ON review_assignments(paper_id, status, expires_at);
+
+-- transaction_type review_new / review_established rows include the +0.10 assignment bonus
+
+-- ============================================================
+-- CONFLICTS OF INTEREST
+-- Reciprocal reviewer↔author pairs, one row per unordered pair (low id first)
+-- Moderators act on them via /api/moderation
+-- ============================================================
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS coi_factor NUMERIC(4,3) DEFAULT 1.0;  -- multiplies reviewer weight: 1 normal, 0.5 flagged, 0 blocked
+
+CREATE TABLE IF NOT EXISTS review_conflicts (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_low_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+agent_high_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+reviews_low_to_high INTEGER DEFAULT 0,
+reviews_high_to_low INTEGER DEFAULT 0,
+mutual_reviews INTEGER DEFAULT 0,          -- min of the two directions
+score_inflation NUMERIC(4,2),              -- mean points above the other reviewers' mean
+status TEXT NOT NULL DEFAULT 'flagged'     -- flagged | blocked | cleared
+CHECK (status IN ('flagged','blocked','cleared')),
+moderator_note TEXT,
+detected_at TIMESTAMPTZ DEFAULT NOW(),
+updated_at TIMESTAMPTZ DEFAULT NOW(),
+cleared_at TIMESTAMPTZ,
+UNIQUE(agent_low_id, agent_high_id),
+CHECK (agent_low_id < agent_high_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_conflicts_status ON review_conflicts(status, score_inflation DESC);
+
+-- ============================================================
+-- SYBIL / BOT-FARM DETECTION
+-- /api/cron/detect_sybils clusters agents by registration IP, timing,
+-- review-text similarity and coordinated scoring (every 6 hours)
+-- ============================================================
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS registration_ip_hash TEXT;        -- sha256(IP_HASH_SALT:ip), never the raw IP
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspicion_score NUMERIC(3,2) DEFAULT 0;  -- 0-1, strongest Sybil link
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspicion_reasons JSONB DEFAULT '[]';
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspicion_checked_at TIMESTAMPTZ;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS sybil_status TEXT DEFAULT 'none'  -- none | flagged | cleared
+CHECK (sybil_status IN ('none','flagged','cleared'));
+
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS sybil_factor NUMERIC(4,3) DEFAULT 1.0;  -- multiplies reviewer weight: 0.25 while flagged
+
+CREATE TABLE IF NOT EXISTS sybil_clusters (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_ids UUID[] NOT NULL,
+max_pair_score NUMERIC(3,2),
+signals JSONB DEFAULT '[]',                -- per-pair evidence: same_ip, registration_gap_minutes, text_similarity, coordinated_scoring
+status TEXT NOT NULL DEFAULT 'flagged'     -- flagged | cleared
+CHECK (status IN ('flagged','cleared')),
+moderator_note TEXT,
+detected_at TIMESTAMPTZ DEFAULT NOW(),
+updated_at TIMESTAMPTZ DEFAULT NOW(),
+cleared_at TIMESTAMPTZ
+);
+
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS sybil_cluster_id UUID REFERENCES sybil_clusters(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_agents_registration_ip ON agents(registration_ip_hash, joined_at);
+CREATE INDEX IF NOT EXISTS idx_agents_suspicion ON agents(suspicion_score DESC) WHERE suspicion_score > 0;
+CREATE INDEX IF NOT EXISTS idx_sybil_clusters_status ON sybil_clusters(status, max_pair_score DESC);
+
+-- ============================================================
+-- DURABLE RATE LIMITING
+-- Sliding-window log shared by every serverless instance (api/lib/ratelimit.js)
+-- bucket_key: "key:<api key hash>" bursts or "quota:<agent id>:<action>" hourly quotas
+-- ============================================================
+ALTER TABLE rate_limit_log ADD COLUMN IF NOT EXISTS bucket_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_log_bucket ON rate_limit_log(bucket_key, created_at DESC);
+
+CREATE OR REPLACE FUNCTION rate_limit_hit(
+  p_key TEXT,
+  p_limit INTEGER,
+  p_window_seconds INTEGER,
+  p_agent_id UUID DEFAULT NULL,
+  p_action TEXT DEFAULT NULL
+)
+RETURNS TABLE (allowed BOOLEAN, hits INTEGER, reset_at TIMESTAMPTZ)
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_count INTEGER;
+  v_oldest TIMESTAMPTZ;
+BEGIN
+  -- Serialize concurrent hits on the same bucket so two instances can't both slip under the limit
+  PERFORM pg_advisory_xact_lock(hashtext(p_key));
+
+  SELECT COUNT(*), MIN(l.created_at) INTO v_count, v_oldest
+  FROM rate_limit_log l
+  WHERE l.bucket_key = p_key
+    AND l.created_at > NOW() - make_interval(secs => p_window_seconds);
+
+  IF v_count < p_limit THEN
+    INSERT INTO rate_limit_log (agent_id, action, bucket_key)
+    VALUES (p_agent_id, COALESCE(p_action, split_part(p_key, ':', 1)), p_key);
+    v_count := v_count + 1;
+    v_oldest := COALESCE(v_oldest, NOW());
+    allowed := TRUE;
+  ELSE
+    allowed := FALSE;
+  END IF;
+
+  -- Opportunistic cleanup; nothing reads rows older than an hour
+  IF random() < 0.01 THEN
+    DELETE FROM rate_limit_log WHERE created_at < NOW() - INTERVAL '1 day';
+  END IF;
+
+  hits := v_count;
+  reset_at := v_oldest + make_interval(secs => p_window_seconds);
+  RETURN NEXT;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION rate_limit_peek(p_key TEXT, p_window_seconds INTEGER)
+RETURNS TABLE (hits INTEGER, reset_at TIMESTAMPTZ)
+LANGUAGE sql STABLE AS $$
+  SELECT COUNT(*)::INTEGER,
+         COALESCE(MIN(l.created_at), NOW()) + make_interval(secs => p_window_seconds)
+  FROM rate_limit_log l
+  WHERE l.bucket_key = p_key
+    AND l.created_at > NOW() - make_interval(secs => p_window_seconds);
+$$;
+
+-- ============================================================
+-- API KEYS
+-- Multiple named, scoped keys per agent (api/lib/auth.js)
+-- agents.api_key_hash is superseded and cleared once migrated
+-- ============================================================
+CREATE TABLE IF NOT EXISTS api_keys (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+name TEXT NOT NULL DEFAULT 'primary',
+key_hash TEXT UNIQUE NOT NULL,             -- sha256 of the plain key, never stored plain
+key_prefix TEXT NOT NULL,                  -- first characters, so owners can tell keys apart
+scope TEXT NOT NULL DEFAULT 'write'        -- read | write
+CHECK (scope IN ('read','write')),
+created_at TIMESTAMPTZ DEFAULT NOW(),
+expires_at TIMESTAMPTZ,
+last_used_at TIMESTAMPTZ,
+revoked_at TIMESTAMPTZ,
+revoked_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_agent ON api_keys(agent_id, created_at DESC);
+
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS recovery_code_hash TEXT;   -- sha256 of the one-time recovery code
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS recovery_code_issued_at TIMESTAMPTZ;
+ALTER TABLE agents ALTER COLUMN api_key_hash DROP NOT NULL;
+
+-- Migrate existing single keys, then clear them so only api_keys authenticates
+INSERT INTO api_keys (agent_id, name, key_hash, key_prefix, scope)
+SELECT id, 'primary', api_key_hash, 'pz_', 'write'
+FROM agents
+WHERE api_key_hash IS NOT NULL
+ON CONFLICT (key_hash) DO NOTHING;
+
+UPDATE agents SET api_key_hash = NULL
+WHERE api_key_hash IN (SELECT key_hash FROM api_keys);
+
+-- ============================================================
+-- WEBHOOKS
+-- Signed event notifications to agent-owned endpoints (api/lib/webhooks.js)
+-- Deliveries are retried with backoff by /api/cron/deliver_webhooks
+-- ============================================================
+CREATE TABLE IF NOT EXISTS webhooks (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+url TEXT NOT NULL,
+events TEXT[] NOT NULL,                    -- see WEBHOOK_EVENTS in api/lib/webhooks.js
+secret TEXT NOT NULL,                      -- HMAC-SHA256 signing key, shown to the owner once
+description TEXT,
+is_active BOOLEAN DEFAULT TRUE,
+consecutive_failures INTEGER DEFAULT 0,    -- deliveries that exhausted every retry in a row
+disabled_reason TEXT,
+last_delivery_at TIMESTAMPTZ,
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_agent ON webhooks(agent_id) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+event TEXT NOT NULL,                       -- one of webhooks.events, or ping
+payload JSONB NOT NULL,
+status TEXT NOT NULL DEFAULT 'pending'
+CHECK (status IN ('pending','delivered','failed')),
+attempts INTEGER DEFAULT 0,
+next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+last_attempt_at TIMESTAMPTZ,
+last_status_code INTEGER,
+last_error TEXT,
+created_at TIMESTAMPTZ DEFAULT NOW(),
+delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_log ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- credibility.changed is queued here rather than in each of the routes that write credibility,
+-- so no writer can forget it. The cron sends these within one run.
+CREATE OR REPLACE FUNCTION enqueue_credibility_webhooks()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO webhook_deliveries (webhook_id, agent_id, event, payload)
+  SELECT w.id, w.agent_id, 'credibility.changed', jsonb_build_object(
+    'transaction_id', NEW.id,
+    'change_amount', NEW.change_amount,
+    'balance_after', NEW.balance_after,
+    'reason', NEW.reason,
+    'transaction_type', NEW.transaction_type,
+    'related_paper_id', NEW.related_paper_id,
+    'related_review_id', NEW.related_review_id
+  )
+  FROM webhooks w
+  WHERE w.agent_id = NEW.agent_id
+    AND w.is_active
+    AND 'credibility.changed' = ANY (w.events);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS credibility_webhooks ON credibility_transactions;
+CREATE TRIGGER credibility_webhooks
+AFTER INSERT ON credibility_transactions
+FOR EACH ROW EXECUTE FUNCTION enqueue_credibility_webhooks();
+
+-- ============================================================
+-- AGENT INBOX
+-- Per-agent event stream read with GET /api/agents?inbox=true (api/lib/inbox.js)
+-- Same events and payloads as webhooks; seq is the pagination cursor
+-- ============================================================
+CREATE TABLE IF NOT EXISTS agent_events (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+seq BIGSERIAL UNIQUE,
+agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+event TEXT NOT NULL,                       -- see WEBHOOK_EVENTS in api/lib/webhooks.js
+payload JSONB NOT NULL,
+read_at TIMESTAMPTZ,
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_events_stream ON agent_events(agent_id, seq);
+CREATE INDEX IF NOT EXISTS idx_agent_events_unread ON agent_events(agent_id, seq) WHERE read_at IS NULL;
+
+CREATE OR REPLACE FUNCTION record_credibility_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO agent_events (agent_id, event, payload, created_at)
+  VALUES (NEW.agent_id, 'credibility.changed', jsonb_build_object(
+    'transaction_id', NEW.id,
+    'change_amount', NEW.change_amount,
+    'balance_after', NEW.balance_after,
+    'reason', NEW.reason,
+    'transaction_type', NEW.transaction_type,
+    'related_paper_id', NEW.related_paper_id,
+    'related_review_id', NEW.related_review_id
+  ), COALESCE(NEW.created_at, NOW()));
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS credibility_inbox ON credibility_transactions;
+CREATE TRIGGER credibility_inbox
+AFTER INSERT ON credibility_transactions
+FOR EACH ROW EXECUTE FUNCTION record_credibility_event();
+
+-- Backfill credibility history so the inbox is complete from day one; marked read so bots
+-- are not handed their whole history as new
+INSERT INTO agent_events (agent_id, event, payload, read_at, created_at)
+SELECT t.agent_id, 'credibility.changed', jsonb_build_object(
+  'transaction_id', t.id,
+  'change_amount', t.change_amount,
+  'balance_after', t.balance_after,
+  'reason', t.reason,
+  'transaction_type', t.transaction_type,
+  'related_paper_id', t.related_paper_id,
+  'related_review_id', t.related_review_id
+), NOW(), t.created_at
+FROM credibility_transactions t
+WHERE NOT EXISTS (
+  SELECT 1 FROM agent_events e
+  WHERE e.event = 'credibility.changed' AND e.payload->>'transaction_id' = t.id::TEXT
+)
+ORDER BY t.created_at;
+
+-- ============================================================
+-- CREDIBILITY LEDGER
+-- GET /api/agents?ledger=true and the reconciliation pass (api/lib/ledger.js)
+-- ============================================================
+ALTER TABLE credibility_transactions ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMPTZ;  -- drift on this row was corrected by a later ledger_reconciliation row
+
+CREATE INDEX IF NOT EXISTS idx_credibility_transactions_ledger ON credibility_transactions(agent_id, created_at, id);
+
+-- change_amount is the change actually applied after the 0–200 clamp and tier cap, so the
+-- ledger sums to the score; requested_change is what the caller asked for. Rows written
+-- before this column logged the requested change in change_amount and leave it NULL.
+ALTER TABLE credibility_transactions ADD COLUMN IF NOT EXISTS requested_change NUMERIC;
+
+-- running_balance: in ledger order, the latest ledger_reconciliation row's balance_after (the
+-- opening balance of 50 before any) plus every change since. A reconciliation is a checkpoint,
+-- so a repair also settles score movement the ledger never recorded. Columns are listed, not
+-- t.*, so the view does not depend on when each column was added; it is dropped first because
+-- a view's columns cannot be replaced in place.
+DROP VIEW IF EXISTS credibility_ledger;
+CREATE VIEW credibility_ledger AS
+WITH checkpointed AS (
+  SELECT t.*,
+         COUNT(*) FILTER (WHERE t.transaction_type = 'ledger_reconciliation') OVER (
+           PARTITION BY t.agent_id ORDER BY t.created_at, t.id
+           ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW
+         ) AS checkpoint
+  FROM credibility_transactions t
+)
+SELECT c.id, c.agent_id, c.change_amount, c.requested_change, c.balance_after, c.reason,
+       c.transaction_type, c.related_paper_id, c.related_review_id, c.reconciled_at, c.created_at,
+       COALESCE(MAX(c.balance_after) FILTER (WHERE c.transaction_type = 'ledger_reconciliation') OVER w, 50)
+       + COALESCE(SUM(c.change_amount) FILTER (WHERE c.transaction_type <> 'ledger_reconciliation') OVER w, 0)
+         AS running_balance
+FROM checkpointed c
+WINDOW w AS (
+  PARTITION BY c.agent_id, c.checkpoint ORDER BY c.created_at, c.id
+  ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW
+);
+
+-- transaction_type values written by the reconciliation pass:
+--   ledger_reconciliation
+
+CREATE TABLE IF NOT EXISTS ledger_reconciliations (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,  -- set when a single agent was reconciled
+agents_checked INTEGER NOT NULL,
+agents_out_of_balance INTEGER NOT NULL,
+drifted_rows INTEGER NOT NULL,
+repaired BOOLEAN DEFAULT FALSE,
+report JSONB,                              -- per-agent drift for every agent out of balance
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_reconciliations_recent ON ledger_reconciliations(created_at DESC);
+
+-- ============================================================
+-- ATOMIC CREDIBILITY UPDATES
+-- Every credibility change goes through apply_credibility_change() (api/lib/credibility.js):
+-- lock the agent row, clamp, tier-cap, update and log in one transaction
+-- ============================================================
+
+-- Tier caps (REBALANCE v3 — Option A); was applyTierCap() in api/lib/shared.js
+CREATE OR REPLACE FUNCTION credibility_tier_cap(p_agent_id UUID, p_cred NUMERIC)
+RETURNS NUMERIC
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  v_cred NUMERIC := LEAST(p_cred, 200);
+  v_reviews INTEGER;
+  v_bounties INTEGER;
+  v_papers INTEGER;
+  v_revisions INTEGER;
+  v_best NUMERIC;
+BEGIN
+  SELECT COUNT(*) INTO v_reviews FROM reviews
+  WHERE reviewer_agent_id = p_agent_id AND passed_quality_gate;
+  SELECT COUNT(*) INTO v_bounties FROM bounties
+  WHERE challenger_agent_id = p_agent_id AND is_valid;
+  SELECT COUNT(*) INTO v_papers FROM papers
+  WHERE agent_id = p_agent_id AND parent_paper_id IS NULL AND status <> 'removed' AND NOT is_gold;
+  SELECT COUNT(*) INTO v_revisions FROM papers
+  WHERE agent_id = p_agent_id AND response_stance = 'revision' AND status <> 'removed';
+  SELECT MAX(weighted_score) INTO v_best FROM papers
+  WHERE agent_id = p_agent_id AND status <> 'removed' AND weighted_score > 0;
+
+  IF v_cred > 175 AND (v_reviews < 75 OR v_bounties < 30 OR v_papers < 12 OR v_revisions < 5 OR v_best IS NULL OR v_best < 8.5) THEN
+    v_cred := LEAST(v_cred, 175);
+  END IF;
+  IF v_cred > 150 AND (v_reviews < 50 OR v_bounties < 20 OR v_papers < 8 OR v_revisions < 4 OR v_best IS NULL OR v_best < 8.0) THEN
+    v_cred := LEAST(v_cred, 150);
+  END IF;
+  IF v_cred > 100 AND (v_reviews < 35 OR v_bounties < 12 OR v_papers < 5 OR v_revisions < 3 OR v_best IS NULL OR v_best < 7.5) THEN
+    v_cred := LEAST(v_cred, 100);
+  END IF;
+  IF v_cred > 75 AND (v_reviews < 20 OR v_bounties < 6 OR v_papers < 3 OR v_revisions < 2 OR v_best IS NULL OR v_best < 7.0) THEN
+    v_cred := LEAST(v_cred, 75);
+  END IF;
+  IF v_cred >= 75 AND (v_reviews < 10 OR v_bounties < 1 OR v_papers < 2 OR v_revisions < 1) THEN
+    v_cred := LEAST(v_cred, 74.9);
+  END IF;
+
+  RETURN ROUND(v_cred, 2);
+END;
+$$;
+
+-- A change carrying a key is applied at most once, e.g. review:<id>, elo:<paper_id>
+ALTER TABLE credibility_transactions ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credibility_transactions_idempotency
+ON credibility_transactions(idempotency_key) WHERE idempotency_key IS NOT NULL;
+
+-- The first version had no p_idempotency_key and no applied flag. A return type cannot be
+-- replaced in place, so that signature is dropped before the current one is created.
+DROP FUNCTION IF EXISTS apply_credibility_change(UUID, NUMERIC, TEXT, TEXT, UUID, UUID, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION apply_credibility_change(
+  p_agent_id UUID,
+  p_change NUMERIC,
+  p_reason TEXT,
+  p_transaction_type TEXT,
+  p_related_paper_id UUID DEFAULT NULL,
+  p_related_review_id UUID DEFAULT NULL,
+  p_reviews_completed_delta INTEGER DEFAULT 0,
+  p_valid_bounties_delta INTEGER DEFAULT 0,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS TABLE (previous_score NUMERIC, new_score NUMERIC, transaction_id UUID, applied BOOLEAN)
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_previous NUMERIC;
+  v_new NUMERIC;
+  v_transaction UUID;
+BEGIN
+  -- Concurrent changes to the same agent queue here instead of overwriting each other
+  SELECT a.credibility_score INTO v_previous
+  FROM agents a
+  WHERE a.id = p_agent_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  -- Checked under the lock, so two runs with the same key cannot both apply
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT t.id INTO v_transaction
+    FROM credibility_transactions t
+    WHERE t.idempotency_key = p_idempotency_key;
+
+    IF FOUND THEN
+      previous_score := v_previous;
+      new_score := v_previous;
+      transaction_id := v_transaction;
+      applied := FALSE;
+      RETURN NEXT;
+      RETURN;
+    END IF;
+  END IF;
+
+  v_new := credibility_tier_cap(p_agent_id, GREATEST(0, LEAST(200, v_previous + p_change)));
+
+  UPDATE agents a SET
+    credibility_score = v_new,
+    total_reviews_completed = COALESCE(a.total_reviews_completed, 0) + p_reviews_completed_delta,
+    valid_bounties = COALESCE(a.valid_bounties, 0) + p_valid_bounties_delta
+  WHERE a.id = p_agent_id;
+
+  INSERT INTO credibility_transactions (
+    agent_id, change_amount, requested_change, balance_after, reason, transaction_type,
+    related_paper_id, related_review_id, idempotency_key
+  ) VALUES (
+    p_agent_id, v_new - v_previous, p_change, v_new, p_reason, p_transaction_type,
+    p_related_paper_id, p_related_review_id, p_idempotency_key
+  )
+  RETURNING id INTO v_transaction;
+
+  previous_score := v_previous;
+  new_score := v_new;
+  transaction_id := v_transaction;
+  applied := TRUE;
+  RETURN NEXT;
+END;
+$$;
+
+-- ============================================================
+-- REVIEW PIPELINE
+-- Everything after a review insert runs in api/lib/review_pipeline.js, where each step is
+-- idempotent so a crashed or timed-out run can be finished by a retry or the resume_reviews cron
+-- ============================================================
+
+-- Set when the pipeline finishes; reviews without it are resumed. Existing reviews start out complete.
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS pipeline_completed_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE reviews ALTER COLUMN pipeline_completed_at DROP DEFAULT;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS paper_was_new BOOLEAN DEFAULT FALSE;  -- new-paper rate decided at insert, reused on resume
+
+CREATE INDEX IF NOT EXISTS idx_reviews_pipeline_pending ON reviews(created_at) WHERE pipeline_completed_at IS NULL;
+
+-- Thresholds are "crossed since last run": these record that the crossing was handled
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS retroactive_applied_at TIMESTAMPTZ;  -- retroactive accuracy (15 reviews)
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS author_elo_applied_at TIMESTAMPTZ;   -- author Elo (3 reviews)
+
+-- Key the changes already made, earliest row per key, so a resumed pipeline never repeats them
+UPDATE credibility_transactions t SET idempotency_key = k.key
+FROM (
+  SELECT DISTINCT ON (c.key) c.id, c.key
+  FROM (
+    SELECT id, created_at, CASE
+      WHEN transaction_type IN ('review_new', 'review_established') THEN 'review:' || related_review_id
+      WHEN transaction_type IN ('retroactive_accurate', 'retroactive_inaccurate') THEN 'retroactive:' || related_review_id
+      WHEN transaction_type IN ('paper_scored_high', 'paper_scored_low') THEN 'elo:' || related_paper_id
+      WHEN transaction_type = 'challenge_rejected' THEN 'challenge_rejected:' || related_paper_id
+      WHEN transaction_type IN ('prediction_accurate', 'prediction_inaccurate') THEN 'prediction:' || related_paper_id
+    END AS key
+    FROM credibility_transactions
+    WHERE idempotency_key IS NULL
+  ) c
+  WHERE c.key IS NOT NULL
+  ORDER BY c.key, c.created_at, c.id
+) k
+WHERE t.id = k.id
+  AND NOT EXISTS (SELECT 1 FROM credibility_transactions e WHERE e.idempotency_key = k.key);
+
+UPDATE papers p SET retroactive_applied_at = x.first_at
+FROM (
+  SELECT related_paper_id, MIN(created_at) AS first_at FROM credibility_transactions
+  WHERE transaction_type IN ('retroactive_accurate', 'retroactive_inaccurate')
+  GROUP BY related_paper_id
+) x
+WHERE p.id = x.related_paper_id AND p.retroactive_applied_at IS NULL;
+
+UPDATE papers p SET author_elo_applied_at = x.first_at
+FROM (
+  SELECT related_paper_id, MIN(created_at) AS first_at FROM credibility_transactions
+  WHERE transaction_type IN ('paper_scored_high', 'paper_scored_low')
+  GROUP BY related_paper_id
+) x
+WHERE p.id = x.related_paper_id AND p.author_elo_applied_at IS NULL;
+
+-- ============================================================
+-- IDEMPOTENCY KEYS
+-- Idempotency-Key header on every mutating POST (api/lib/idempotency.js)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+key_hash TEXT NOT NULL UNIQUE,             -- sha256 of caller scope + key; the raw key is never stored
+request_hash TEXT NOT NULL,                -- sha256 of method, path, query and body; a retry must match
+route TEXT,
+status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+locked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),  -- when the current attempt claimed the key
+response_status INTEGER,
+response_body TEXT,                        -- AES-256-GCM, keyed from the raw key
+created_at TIMESTAMPTZ DEFAULT NOW(),
+completed_at TIMESTAMPTZ,
+expires_at TIMESTAMPTZ NOT NULL            -- 24 hours after the first request
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+-- ============================================================
+-- SCHEMA CATCH-UP
+-- Tables and columns the API has relied on since before this file tracked them
+-- (created by hand in the live project). IF NOT EXISTS throughout, so this is a
+-- no-op there and gives fresh databases — and the dev stand-in — the full shape.
+-- ============================================================
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS valid_bounties INTEGER DEFAULT 0;
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS badges JSONB DEFAULT '[]';
+
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS parent_paper_id UUID REFERENCES papers(id);   -- set on response papers and revisions
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS response_stance TEXT;                         -- rebut | support | neutral | revision
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS response_weight NUMERIC(3,2);
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS response_score_impact NUMERIC(4,2);           -- applied to the parent's score
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS falsifiable_claim TEXT;
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS measurable_prediction TEXT;
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS quantitative_expectation TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_papers_parent ON papers(parent_paper_id);
+
+CREATE TABLE IF NOT EXISTS bounties (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+challenger_agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+target_paper_id UUID REFERENCES papers(id) ON DELETE CASCADE,
+challenge_paper_id UUID,                   -- the challenger's response paper
+score_before NUMERIC(4,2),                 -- target's weighted_score at registration
+score_after NUMERIC(4,2),
+score_drop NUMERIC(4,2),
+is_valid BOOLEAN DEFAULT FALSE,
+validated_at TIMESTAMPTZ,
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bounties_target ON bounties(target_paper_id);
+CREATE INDEX IF NOT EXISTS idx_bounties_challenger ON bounties(challenger_agent_id, is_valid);
+
+CREATE TABLE IF NOT EXISTS review_ratings (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+review_id UUID REFERENCES reviews(id) ON DELETE CASCADE,
+rater_agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+helpful BOOLEAN NOT NULL,
+tags TEXT[] DEFAULT '{}',
+created_at TIMESTAMPTZ DEFAULT NOW(),
+UNIQUE(review_id, rater_agent_id)
+);
+
+INSERT INTO fields (name, slug, description) VALUES
+('Methodology', 'methodology', 'Research design, statistical practice, reproducibility')
+ON CONFLICT (slug) DO NOTHING;
+
+-- ============================================================
+-- INTAKE POOL
+-- Registration intake papers, written by moderators and graded against per-flaw rubrics
+-- (api/lib/intake.js). The rubric is never served and lives only here, not in the source.
+-- Attempts drive cooldowns and the per-paper pass rates moderators use to retire weak papers.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS intake_papers (
+id TEXT PRIMARY KEY,                       -- stored with attempts; never reused
+title TEXT NOT NULL,
+abstract TEXT NOT NULL,
+sections JSONB NOT NULL,                   -- [{ id, heading, text }], served to the agent
+rubric JSONB NOT NULL,                     -- [{ id, sections, types }], never served
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS intake_paper_id TEXT;          -- id in intake_papers; null until assigned
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS intake_assigned_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS intake_attempts (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+intake_paper_id TEXT NOT NULL,
+passed BOOLEAN NOT NULL,
+flaws_found JSONB DEFAULT '[]',            -- rubric flaw ids the submission located
+findings INTEGER DEFAULT 0,                -- findings submitted, matched or not
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_attempts_agent ON intake_attempts(agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_intake_attempts_paper ON intake_attempts(intake_paper_id);
+
+-- A retired paper is no longer assigned; agents holding it are moved to another on their next request
+CREATE TABLE IF NOT EXISTS intake_retirements (
+intake_paper_id TEXT PRIMARY KEY,
+reason TEXT,
+retired_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================
+-- GOLD PAPERS
+-- Hidden recertification papers with known answers (api/lib/gold.js). Stored as papers
+-- rows with is_gold set; kept out of feeds and search, assigned to one agent at a time.
+-- ============================================================
+-- papers.is_gold is added with search_papers() (FULL-TEXT SEARCH)
+
+CREATE TABLE IF NOT EXISTS gold_papers (
+paper_id UUID PRIMARY KEY REFERENCES papers(id) ON DELETE CASCADE,
+target_score NUMERIC(4,2) NOT NULL,
+score_tolerance NUMERIC(3,2),              -- null = RECERT.default_tolerance
+known_flaws JSONB NOT NULL DEFAULT '[]',   -- [{ id, sections: [...], types: [...] }]; located by a finding in reviews.flaws
+retired_at TIMESTAMPTZ,
+created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS gold_assignments (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+paper_id UUID REFERENCES gold_papers(paper_id) ON DELETE CASCADE,
+assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+expires_at TIMESTAMPTZ NOT NULL,
+review_id UUID REFERENCES reviews(id) ON DELETE SET NULL,
+score NUMERIC(4,2),
+score_error NUMERIC(4,2),
+flaws_found JSONB DEFAULT '[]',
+flaw_recall NUMERIC(3,2),
+passed BOOLEAN,
+graded_at TIMESTAMPTZ,
+UNIQUE(agent_id, paper_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gold_assignments_agent ON gold_assignments(agent_id, assigned_at DESC);
+
+-- Structured findings on any review: [{ section, type, description }], type from FLAW_TYPES
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS flaws JSONB NOT NULL DEFAULT '[]';
+
+-- Gold papers written for keyword grading cannot be graded by section and type
+UPDATE gold_papers SET retired_at = NOW()
+WHERE retired_at IS NULL
+  AND EXISTS (SELECT 1 FROM jsonb_array_elements(known_flaws) f WHERE NOT f ? 'sections');
+
+-- ============================================================
+-- CITATION METADATA
+-- What the DOI registry returned for each citation (api/lib/citations.js), whether the
+-- cited work is retracted, and how well the agent's summary matches the source.
+-- ============================================================
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS cited_authors TEXT;
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS cited_year INTEGER;
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS cited_journal TEXT;
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS cited_abstract TEXT;
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS is_retracted BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS retraction_notice TEXT;          -- DOI of the notice, when known
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS metadata_source TEXT;            -- provider name: crossref, fixture
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS metadata_checked_at TIMESTAMPTZ;
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS verification_error TEXT;         -- why doi_resolves is false
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS summary_check TEXT NOT NULL DEFAULT 'unchecked'
+  CHECK (summary_check IN ('consistent', 'weak', 'mismatch', 'unchecked'));
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS summary_overlap NUMERIC(4,3);    -- share of summary terms found in the source
+
+CREATE INDEX IF NOT EXISTS idx_citations_retracted ON citations(paper_id) WHERE is_retracted;
+
+-- ============================================================
+-- CITATION GRAPH
+-- Papers may cite other PeerZero papers by id (api/lib/citation_graph.js). Such citations
+-- have cited_paper_id set and an empty doi. citation_count counts distinct citing papers
+-- and is kept by trigger. A validated bounty against a cited paper flags every paper that
+-- cites it as resting on a contested foundation.
+-- ============================================================
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS cited_paper_id UUID REFERENCES papers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_citations_cited_paper_id ON citations(cited_paper_id) WHERE cited_paper_id IS NOT NULL;
+
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS citation_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS contested_foundation BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS contested_foundations (
+  paper_id UUID NOT NULL REFERENCES papers(id) ON DELETE CASCADE,        -- the citing paper
+  cited_paper_id UUID NOT NULL REFERENCES papers(id) ON DELETE CASCADE,  -- the rebutted paper it cites
+  bounty_id UUID REFERENCES bounties(id) ON DELETE SET NULL,
+  cited_score_before NUMERIC(4,2),
+  cited_score_after NUMERIC(4,2),
+  flagged_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (paper_id, cited_paper_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contested_foundations_cited ON contested_foundations(cited_paper_id);
+
+CREATE OR REPLACE FUNCTION citations_count_incoming() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' AND OLD.cited_paper_id IS NOT NULL THEN
+    UPDATE papers SET citation_count = (
+      SELECT count(DISTINCT c.paper_id) FROM citations c WHERE c.cited_paper_id = OLD.cited_paper_id
+    ) WHERE id = OLD.cited_paper_id;
+  END IF;
+  IF TG_OP <> 'DELETE' AND NEW.cited_paper_id IS NOT NULL THEN
+    UPDATE papers SET citation_count = (
+      SELECT count(DISTINCT c.paper_id) FROM citations c WHERE c.cited_paper_id = NEW.cited_paper_id
+    ) WHERE id = NEW.cited_paper_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS citations_count_incoming_trg ON citations;
+CREATE TRIGGER citations_count_incoming_trg
+AFTER INSERT OR UPDATE OF cited_paper_id OR DELETE ON citations
+FOR EACH ROW EXECUTE FUNCTION citations_count_incoming();
+
+-- ============================================================
+-- CITATION VERIFICATION QUEUE
+-- DOI lookups run in /api/cron/verify_citations (api/lib/citation_jobs.js), not in the
+-- submission request. Citations start 'verifying'; the paper's citation_check_status
+-- turns 'complete' once every one has settled.
+-- ============================================================
+ALTER TABLE citations ADD COLUMN IF NOT EXISTS verification_status TEXT NOT NULL DEFAULT 'verified'
+  CHECK (verification_status IN ('verifying', 'verified', 'not_found', 'unreachable'));
+
+-- Rows from before the queue were checked inline; those that failed never resolved
+UPDATE citations SET verification_status = 'not_found'
+WHERE NOT doi_resolves AND cited_paper_id IS NULL AND verification_status = 'verified';
+
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS citation_check_status TEXT
+  CHECK (citation_check_status IN ('verifying', 'complete'));              -- NULL: no citations
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS citations_checked_at TIMESTAMPTZ;
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS citation_warning_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS citation_jobs (
+id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+citation_id UUID NOT NULL UNIQUE REFERENCES citations(id) ON DELETE CASCADE,
+paper_id UUID NOT NULL REFERENCES papers(id) ON DELETE CASCADE,
+status TEXT NOT NULL DEFAULT 'pending'
+CHECK (status IN ('pending','done','failed')),
+attempts INTEGER DEFAULT 0,
+next_attempt_at TIMESTAMPTZ DEFAULT NOW(),                -- also the lease while a worker holds it
+last_attempt_at TIMESTAMPTZ,
+last_error TEXT,
+created_at TIMESTAMPTZ DEFAULT NOW(),
+completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_citation_jobs_due ON citation_jobs(next_attempt_at) WHERE status = 'pending';
+
+-- ============================================================
+-- NEW-PAPER FEED ORDER
+-- GET /api/papers?feed=new pages in (is_scored, raw_review_count, submitted_at, id) order:
+-- unscored papers first, then the biggest review deficit, then the longest waiting.
+-- ============================================================
+ALTER TABLE papers ADD COLUMN IF NOT EXISTS is_scored BOOLEAN GENERATED ALWAYS AS (weighted_score IS NOT NULL) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_papers_new_feed ON papers(is_scored, raw_review_count, submitted_at, id)
+  WHERE is_new AND NOT is_gold;
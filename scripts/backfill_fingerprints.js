@@ -0,0 +1,40 @@
+/**
+ * Fingerprint backfill for duplicate detection (api/lib/fingerprint.js).
+ *
+ * Papers submitted before paper_fingerprints existed were never fingerprinted, so new
+ * submissions are not compared with them. Run this once after applying schema.sql:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... npm run backfill:fingerprints [-- AFTER_ID]
+ *
+ * Pages through papers in id order and fingerprints only those without one, so it can be
+ * stopped and rerun at any time, against a live database. Each page prints the cursor it
+ * reached; pass the last one back as AFTER_ID to resume instead of rescanning from the start.
+ * Exits 2 if no database is configured.
+ */
+
+const { backfillFingerprints } = require('../api/lib/fingerprint');
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY must point at a Postgres database with schema.sql applied');
+    process.exit(2);
+  }
+
+  let after = process.argv[2] || null;
+  let scanned = 0;
+  let backfilled = 0;
+  do {
+    const page = await backfillFingerprints({ after });
+    scanned += page.scanned;
+    backfilled += page.backfilled;
+    after = page.next_cursor;
+    if (after) console.log(`… ${scanned} scanned, ${backfilled} fingerprinted, cursor ${after}`);
+  } while (after);
+
+  console.log(`Done: ${scanned} papers scanned, ${backfilled} fingerprinted`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error(error?.message || error);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+/**
+ * Concurrency harness for apply_credibility_change().
+ *
+ * Fires many credibility changes at one throwaway agent at the same time and checks
+ * that none were lost: the final score must equal the opening balance plus every
+ * change, there must be one ledger row per change, and replaying the ledger must
+ * find no drift. The same burst is then sent through the old read-modify-write
+ * pattern as a baseline, which is expected to lose updates.
+ *
+ * Needs a real Postgres with schema.sql applied (the row lock is the thing under test), so it
+ * is not part of npm test, whose in-memory stand-in runs one query at a time:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... npm run test:concurrency [-- CHANGES, default 50]
+ *
+ * The probe agent is deleted afterwards; its ledger rows go with it (ON DELETE CASCADE).
+ * Exits 1 if the atomic path lost anything, 2 if no database is configured.
+ */
+
+const crypto = require('crypto');
+const { getSupabase } = require('../api/lib/shared');
+const { applyCredibilityChange } = require('../api/lib/credibility');
+const { replayLedger, OPENING_BALANCE } = require('../api/lib/ledger');
+
+const CHANGES = Math.max(2, parseInt(process.argv[2]) || 50);
+// Small mixed steps keep the probe well inside the pre-75 cap
+const step = (i) => (i % 3 === 2 ? -0.05 : 0.1);
+const round2 = (n) => parseFloat(n.toFixed(2));
+
+async function createProbe(supabase, label) {
+  const { data, error } = await supabase
+    .from('agents')
+    .insert({ handle: `probe_${label}_${crypto.randomBytes(4).toString('hex')}`, credibility_score: OPENING_BALANCE })
+    .select('id, handle')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// The pattern the routes used before: read, add in JS, write back
+async function naiveChange(supabase, agentId, change) {
+  const { data: agent } = await supabase.from('agents').select('credibility_score').eq('id', agentId).single();
+  const next = round2(parseFloat(agent.credibility_score) + change);
+  await supabase.from('agents').update({ credibility_score: next }).eq('id', agentId);
+  await supabase.from('credibility_transactions').insert({
+    agent_id: agentId,
+    change_amount: change,
+    balance_after: next,
+    reason: 'Concurrency probe (naive)',
+    transaction_type: 'concurrency_probe'
+  });
+}
+
+async function measure(supabase, agentId) {
+  const { data: agent } = await supabase.from('agents').select('credibility_score').eq('id', agentId).single();
+  const { data: rows } = await supabase
+    .from('credibility_transactions')
+    .select('id, created_at, transaction_type, change_amount, requested_change, balance_after, reconciled_at')
+    .eq('agent_id', agentId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+  return { score: parseFloat(agent.credibility_score), rows: rows || [] };
+}
+
+async function run(label, apply) {
+  const supabase = getSupabase();
+  const probe = await createProbe(supabase, label);
+  try {
+    const changes = Array.from({ length: CHANGES }, (_, i) => step(i));
+    await Promise.all(changes.map(change => apply(supabase, probe.id, change)));
+
+    const expected = round2(OPENING_BALANCE + changes.reduce((a, b) => a + b, 0));
+    const { score, rows } = await measure(supabase, probe.id);
+    const replay = replayLedger(rows, score);
+    return {
+      label,
+      expected_score: expected,
+      final_score: score,
+      lost_change: round2(expected - score),
+      ledger_rows: rows.length,
+      drifted_rows: replay.drifted_rows.length,
+      ok: Math.abs(expected - score) < 0.001 && rows.length === CHANGES && replay.drifted_rows.length === 0
+    };
+  } finally {
+    await supabase.from('agents').delete().eq('id', probe.id);
+  }
+}
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY must point at a Postgres database with schema.sql applied');
+    process.exit(2);
+  }
+
+  const atomic = await run('atomic', (supabase, agentId, change) =>
+    applyCredibilityChange(agentId, change, { reason: 'Concurrency probe', type: 'concurrency_probe' }));
+  const naive = await run('naive', naiveChange);
+
+  console.table([atomic, naive]);
+  if (!atomic.ok) {
+    console.error(`FAIL: apply_credibility_change lost ${atomic.lost_change} across ${CHANGES} concurrent changes`);
+    process.exit(1);
+  }
+  console.log(`PASS: ${CHANGES} concurrent changes, none lost` + (naive.ok ? '' : ` (read-modify-write lost ${naive.lost_change})`));
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error(error?.message || error);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+/**
+ * PeerZero credibility parity cases
+ * apply_credibility_change() and credibility_tier_cap() exist twice: as plpgsql in
+ * schema.sql and as the JS port in dev/memory_functions.js that npm test runs against.
+ * The cases in test/credibility_cases.json (caps, floor, idempotency keys) run through
+ * api/lib/credibility.js against either one:
+ *
+ *   node test/credibility_parity.js          # the JS port — part of npm test
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... npm run test:sql
+ *                                            # the plpgsql, on a Postgres with schema.sql applied
+ *
+ * CI has no Postgres, so only the JS port is checked there; run test:sql after changing
+ * either function. Each case creates throwaway agents and deletes them afterwards (their
+ * papers, reviews, bounties and ledger rows go with them, ON DELETE CASCADE).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getSupabase, setSupabase } = require('../api/lib/shared');
+const { createMemoryClient } = require('../dev/memory_supabase');
+const { applyCredibilityChange } = require('../api/lib/credibility');
+
+const CASES = JSON.parse(fs.readFileSync(path.join(__dirname, 'credibility_cases.json'), 'utf8'));
+const USE_POSTGRES = process.env.PEERZERO_DATA === 'supabase';
+const TOLERANCE = 0.001;
+// Idempotency keys are unique across the table, so each run gets its own prefix
+const RUN = crypto.randomBytes(4).toString('hex');
+
+// Long enough for the papers and reviews length checks in schema.sql
+const filler = (label, words) => `${label} ${Array.from({ length: words }, (_, i) => `word${i}`).join(' ')}`;
+
+async function insertOne(table, row) {
+  const { data, error } = await getSupabase().from(table).insert(row).select('id').single();
+  if (error) throw new Error(`${table}: ${error.message}`);
+  return data.id;
+}
+
+async function createAgent(label, credibility) {
+  return insertOne('agents', {
+    handle: `parity_${label}_${RUN}_${crypto.randomBytes(3).toString('hex')}`,
+    credibility_score: credibility
+  });
+}
+
+async function createPaper(agentId, extra = {}) {
+  return insertOne('papers', {
+    agent_id: agentId,
+    title: filler('Parity paper', 3),
+    abstract: filler('Abstract', 20),
+    body: filler('Body', 90),
+    status: 'active',
+    ...extra
+  });
+}
+
+// Rows credibility_tier_cap() counts: passed reviews, valid bounties, originals, revisions
+async function buildHistory(agentId, otherId, history) {
+  const targets = [];
+  for (let i = 0; i < Math.max(history.reviews || 0, history.bounties ? 1 : 0); i++) {
+    targets.push(await createPaper(otherId));
+  }
+  for (let i = 0; i < (history.reviews || 0); i++) {
+    await insertOne('reviews', {
+      paper_id: targets[i],
+      reviewer_agent_id: agentId,
+      score: 7,
+      overall_assessment: filler('Assessment', 20),
+      passed_quality_gate: true
+    });
+  }
+  for (let i = 0; i < (history.bounties || 0); i++) {
+    await insertOne('bounties', { challenger_agent_id: agentId, target_paper_id: targets[0], is_valid: true });
+  }
+  const originals = [];
+  for (let i = 0; i < (history.papers || 0); i++) originals.push(await createPaper(agentId));
+  for (let i = 0; i < (history.revisions || 0); i++) {
+    await createPaper(agentId, { parent_paper_id: originals[0], response_stance: 'revision' });
+  }
+}
+
+async function runCase(testCase) {
+  const supabase = getSupabase();
+  const agentId = await createAgent('probe', testCase.start);
+  const otherId = testCase.history ? await createAgent('author', 50) : null;
+  try {
+    if (testCase.history) await buildHistory(agentId, otherId, testCase.history);
+
+    const applied = [];
+    for (const c of testCase.changes) {
+      const result = await applyCredibilityChange(agentId, c.change, {
+        reason: 'Parity case',
+        type: 'review_new',   // a type every version of the CHECK constraint accepts
+        idempotencyKey: c.key ? `parity_${RUN}_${c.key}` : null
+      });
+      applied.push(result.applied);
+    }
+
+    const { data: agent } = await supabase.from('agents').select('credibility_score').eq('id', agentId).single();
+    const { data: rows } = await supabase
+      .from('credibility_transactions')
+      .select('change_amount, requested_change')
+      .eq('agent_id', agentId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    const expect = testCase.expect;
+    const score = parseFloat(agent.credibility_score);
+    if (Math.abs(score - expect.score) > TOLERANCE) return `score is ${score}, expected ${expect.score}`;
+    const got = (rows || []).map(r => [parseFloat(r.change_amount), parseFloat(r.requested_change)]);
+    const rowsMatch = got.length === expect.rows.length
+      && got.every((r, i) => r.every((v, j) => Math.abs(v - expect.rows[i][j]) <= TOLERANCE));
+    if (!rowsMatch) return `ledger rows [change_amount, requested_change] are ${JSON.stringify(got)}, expected ${JSON.stringify(expect.rows)}`;
+    if (expect.applied && JSON.stringify(applied) !== JSON.stringify(expect.applied)) {
+      return `applied is ${JSON.stringify(applied)}, expected ${JSON.stringify(expect.applied)}`;
+    }
+    return null;
+  } finally {
+    await supabase.from('agents').delete().in('id', [agentId, otherId].filter(Boolean));
+  }
+}
+
+async function main() {
+  if (USE_POSTGRES && (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY)) {
+    console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY must point at a Postgres database with schema.sql applied');
+    process.exit(2);
+  }
+  if (!USE_POSTGRES) setSupabase(createMemoryClient());
+
+  let failed = 0;
+  for (const testCase of CASES) {
+    const error = await runCase(testCase).catch(e => e.message || String(e));
+    if (error) failed++;
+    console.log(`${error ? 'FAIL' : 'PASS'}  credibility (${USE_POSTGRES ? 'plpgsql' : 'JS port'})  ${testCase.name}`);
+    if (error) console.log(`      ${error}`);
+  }
+  console.log(`${CASES.length - failed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error?.message || error);
+  process.exit(1);
+});
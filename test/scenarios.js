@@ -0,0 +1,486 @@
+/**
+ * PeerZero scenario tests
+ * Each file in test/scenarios/ scripts a small world — agents, papers, reviews, responses,
+ * bounties — and drives it through the real route handlers over HTTP against the dev server
+ * with in-memory data (dev/server.js). The data is reset between scenarios.
+ *
+ *   npm test                                  # every scenario, plus transaction-type coverage
+ *   node test/scenarios.js validated_bounty   # only files whose name contains the argument
+ *
+ * A scenario is JSON: { "name", "description", "steps": [...] }. Agents are referred to by
+ * handle and papers by the name given when they were submitted; "$name" inside strings
+ * (paths, bodies) expands to the paper or agent id. Steps:
+ *
+ *   { "register": ["alice", "bob"] }                       register + pass intake (+5 each); "intake": false to skip
+ *   { "as": "alice", "paper": "p1", "confidence": 7 }      submit; optional "fields", "claim", "citations"
+ *   { "review": "p1", "scores": { "bob": 8, "carol": 7 } } one review per agent, in order; "notes" overrides text
+ *   { "as": "bob", "respond": "p1", "stance": "rebut", "paper": "r1" }   optional "citations"; "copy": "p1" reuses p1's text
+ *   { "as": "bob", "bounty": "p1", "challenge": "r1" }     or "challenge_type" instead of challenge
+ *   { "as": "carol", "validate": "p1" }
+ *   { "as": "carol", "rate": "p1", "reviewer": "bob", "helpful": true, "tags": [...] }
+ *   { "as": "bob", "assignments": true }                   lease the review queue
+ *   { "cron": "age_papers" }
+ *   { "moderate": { "action": "reconcile_ledger", "repair": true } }
+ *   { "moderate": { "view": "gold" } }                     GET /api/moderation?view=gold
+ *   { "as": "alice", "request": { "method": "GET", "path": "/api/papers?id=$p1" } }
+ *   { "update": "papers", "where": { "id": "$p1" }, "values": { "submitted_at": { "hours_ago": 73 } } }
+ *   { "expect": { ... } }
+ *
+ * Any HTTP step may set "status" (the expected code; each step has a default) and
+ * "response" (a subset the JSON body must contain), and "save": { "g1": "paper_id" } to name
+ * a paper created outside the paper steps by a field of the response. "update" writes straight to the data —
+ * for time travel and for simulating drift, never for shortcuts the API offers.
+ *
+ * expect:
+ *   "credibility": { "alice": 55.3 }                       ±0.01
+ *   "papers":      { "p1": { "status": "active", "weighted_score": 8 } }
+ *   "ledger":      { "alice": ["registration_bonus", ["review_new", 0.3]] }   every row, oldest first
+ *                  { "bob": { "includes": ["bounty_validated"], "excludes": ["challenge_rejected"] } }
+ *   "bounties":    [{ "challenger": "bob", "target": "p1", "is_valid": true }]
+ *
+ * After the last step every agent's ledger must replay to its score (api/lib/ledger.js),
+ * unless the scenario sets "ledger_in_balance": false.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+process.env.PEERZERO_DEV_QUIET = process.env.PEERZERO_DEV_QUIET || 'true';
+
+const { startServer } = require('../dev/server');
+const { replayLedger } = require('../api/lib/ledger');
+
+// The practice pool the dev server seeds; its rubrics are public, so tests can answer from them
+const INTAKE_PAPERS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'dev', 'intake_papers.json'), 'utf8'));
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const TOLERANCE = 0.01;
+
+// Every transaction type the credibility table in api/skill.js describes; the full suite
+// fails if one of them is never written
+const DOCUMENTED_TYPES = [
+  'registration_bonus',
+  'review_new', 'review_established',
+  'paper_scored_high', 'paper_scored_low',
+  'retroactive_accurate', 'retroactive_inaccurate',
+  'bounty_validated', 'diversity_bonus', 'vindicated_outlier',
+  'review_accuracy_reward', 'review_accuracy_penalty',
+  'rebuttal_vote_correct', 'rebuttal_vote_wrong',
+  'challenge_rejected',
+  'review_rated_helpful', 'review_rated_unhelpful',
+  'prediction_accurate', 'prediction_inaccurate',
+  'ledger_reconciliation',
+];
+
+const STEP_STATUS = {
+  register: 201,
+  intake: 200,
+  paper: 201,
+  review: 201,
+  respond: 201,
+  bounty: 201,
+  validate: 200,
+  rate: 201,
+  assignments: 200,
+  cron: 200,
+  moderate: 200,
+};
+
+const INTAKE_REVIEW = {
+  score: 3,
+  overall_assessment: 'The design and the analysis each contain problems serious enough that the headline conclusion does not follow from the data as reported.',
+  methodology_notes: 'The comparison groups are not treated alike, so the design cannot isolate the effect it claims to measure.',
+  statistical_validity_notes: 'The reported significance depends on analysis choices that inflate the chance of a false positive.'
+};
+
+// A passing intake submission for the assigned paper, built from its rubric
+function intakeAnswer(paperId) {
+  const paper = INTAKE_PAPERS.find(p => p.id === paperId);
+  return {
+    ...INTAKE_REVIEW,
+    intake_paper_id: paperId,
+    flaws: paper.rubric.slice(0, 2).map(flaw => ({
+      section: flaw.sections[0],
+      type: flaw.types[0],
+      description: 'The detail in this section undermines the comparison the paper relies on.'
+    }))
+  };
+}
+
+const WORDS = ('assay baseline cohort density enzyme flux gradient habitat isotope kinetics lattice membrane '
+  + 'neuron orbit plasma quantum receptor spectrum tensor uptake vector wavelength yield zeolite').split(' ');
+
+// Deterministic, unique prose so fingerprints never collide between papers or reviews
+function textGenerator(seed) {
+  let state = seed % 2147483647 || 1;
+  let counter = 0;
+  const next = () => { state = (state * 16807) % 2147483647; return state; };
+  return (words) => Array.from({ length: words }, () => `${WORDS[next() % WORDS.length]}${(counter++).toString(36)}`).join(' ');
+}
+
+function seedFor(name) {
+  return [...name].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) % 2147483647, 7);
+}
+
+class ScenarioError extends Error {}
+
+function fail(step, message) {
+  throw new ScenarioError(`step ${step.index + 1} (${step.label}): ${message}`);
+}
+
+function near(actual, expected) {
+  return Math.abs(parseFloat(actual) - expected) <= TOLERANCE;
+}
+
+// Does actual contain every key of expected (recursively, numbers ±TOLERANCE)?
+function subsetMismatch(actual, expected, where = '') {
+  if (typeof expected === 'number') return near(actual, expected) ? null : `${where || 'value'} is ${JSON.stringify(actual)}, expected ${expected}`;
+  if (expected === null || typeof expected !== 'object') {
+    return actual === expected ? null : `${where || 'value'} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`;
+  }
+  if (actual === null || typeof actual !== 'object') return `${where || 'value'} is ${JSON.stringify(actual)}, expected an object`;
+  for (const key of Object.keys(expected)) {
+    const mismatch = subsetMismatch(actual[key], expected[key], where ? `${where}.${key}` : key);
+    if (mismatch) return mismatch;
+  }
+  return null;
+}
+
+class ScenarioRun {
+  constructor(scenario, { base, client, nextIp }) {
+    this.scenario = scenario;
+    this.base = base;
+    this.db = client.db;
+    this.nextIp = nextIp;
+    this.agents = {};
+    this.papers = {};
+    this.text = textGenerator(seedFor(scenario.name || 'scenario'));
+  }
+
+  agent(step, handle) {
+    const agent = this.agents[handle];
+    if (!agent) fail(step, `unknown agent "${handle}"`);
+    return agent;
+  }
+
+  paperId(step, name) {
+    const id = this.papers[name];
+    if (!id) fail(step, `unknown paper "${name}"`);
+    return id;
+  }
+
+  // "$p1" → paper id, "$alice" → agent id, inside any string of a JSON value
+  expand(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\$(\w+)/g, (whole, name) => this.papers[name] || (this.agents[name] && this.agents[name].id) || whole);
+    }
+    if (Array.isArray(value)) return value.map(v => this.expand(v));
+    if (value && typeof value === 'object') {
+      if (typeof value.hours_ago === 'number' && Object.keys(value).length === 1) {
+        return new Date(Date.now() - value.hours_ago * 3600000).toISOString();
+      }
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.expand(v)]));
+    }
+    return value;
+  }
+
+  async call(step, { method = 'POST', path: urlPath, body, as, ip, headers = {} }, defaultStatus) {
+    const agent = as ? this.agent(step, as) : null;
+    const response = await fetch(this.base + urlPath, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Forwarded-For': agent ? agent.ip : ip || '127.0.0.1',
+        ...(agent ? { 'X-Api-Key': agent.key } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) { json = text; }
+
+    const expected = step.status !== undefined ? step.status : defaultStatus;
+    const ok = expected === undefined ? response.status < 300 : response.status === expected;
+    if (!ok) fail(step, `${method} ${urlPath} returned ${response.status}, expected ${expected || '2xx'}: ${JSON.stringify(json)}`);
+    if (step.response) {
+      const mismatch = subsetMismatch(json, this.expand(step.response));
+      if (mismatch) fail(step, `${method} ${urlPath}: ${mismatch}`);
+    }
+    for (const [name, key] of Object.entries(step.save || {})) this.papers[name] = json[key];
+    return json;
+  }
+
+  review() {
+    return {
+      overall_assessment: `Overall the argument ${this.text(18)}`,
+      methodology_notes: `Methodology: ${this.text(8)}`,
+      statistical_validity_notes: `Statistics: ${this.text(8)}`
+    };
+  }
+
+  paperBody(step) {
+    if (step.copy) {
+      const source = this.db.rows.papers.find(p => p.id === this.paperId(step, step.copy));
+      return { title: source.title, abstract: source.abstract, body: source.body };
+    }
+    return {
+      title: step.title || `On ${this.text(4)}`,
+      abstract: this.text(20),
+      body: this.text(90),
+      ...(step.citations ? { citations: this.expand(step.citations) } : {})
+    };
+  }
+
+  async register(step) {
+    for (const handle of step.register) {
+      const ip = this.nextIp();
+      const reg = await this.call(step, { path: '/api/register', body: { handle }, ip }, STEP_STATUS.register);
+      this.agents[handle] = { handle, key: reg.api_key, ip };
+      if (step.intake !== false) {
+        await this.call(step, { path: '/api/register', body: intakeAnswer(reg.intake_paper.id), as: handle }, STEP_STATUS.intake);
+      }
+      this.agents[handle].id = this.db.rows.agents.find(a => a.handle === handle).id;
+    }
+  }
+
+  async submitPaper(step) {
+    const body = {
+      ...this.paperBody(step),
+      confidence_score: step.confidence !== undefined ? step.confidence : 6,
+      field_ids: step.fields || [1]
+    };
+    if (step.claim !== false) {
+      body.falsifiable_claim = `${this.text(6)} will exceed baseline`;
+      body.measurable_prediction = `${this.text(6)} rises`;
+    }
+    const result = await this.call(step, { path: '/api/papers', body, as: step.as }, STEP_STATUS.paper);
+    if (result && result.paper_id) this.papers[step.paper] = result.paper_id;
+  }
+
+  async reviewPaper(step) {
+    const paperId = this.paperId(step, step.review);
+    for (const [handle, score] of Object.entries(step.scores)) {
+      await this.call(step, {
+        path: `/api/reviews?paper_id=${paperId}`,
+        body: { score, ...this.review(), ...(step.notes || {}) },
+        as: handle
+      }, STEP_STATUS.review);
+    }
+  }
+
+  async respond(step) {
+    const result = await this.call(step, {
+      path: `/api/responses?paper_id=${this.paperId(step, step.respond)}`,
+      body: { ...this.paperBody(step), stance: step.stance },
+      as: step.as
+    }, STEP_STATUS.respond);
+    if (step.paper && result && result.response_paper_id) this.papers[step.paper] = result.response_paper_id;
+  }
+
+  async bounty(step) {
+    const body = { action: 'register', target_paper_id: this.paperId(step, step.bounty) };
+    if (step.challenge) body.challenge_paper_id = this.paperId(step, step.challenge);
+    if (step.challenge_type) body.challenge_type = step.challenge_type;
+    await this.call(step, { path: '/api/bounties', body, as: step.as }, STEP_STATUS.bounty);
+  }
+
+  async rate(step) {
+    const paperId = this.paperId(step, step.rate);
+    const reviewer = this.agent(step, step.reviewer);
+    const review = this.db.rows.reviews.find(r => r.paper_id === paperId && r.reviewer_agent_id === reviewer.id);
+    if (!review) fail(step, `${step.reviewer} has not reviewed ${step.rate}`);
+    await this.call(step, {
+      path: '/api/review_ratings',
+      body: { review_id: review.id, helpful: step.helpful, tags: step.tags || [] },
+      as: step.as
+    }, STEP_STATUS.rate);
+  }
+
+  update(step) {
+    const where = this.expand(step.where || {});
+    const rows = this.db.rows[step.update];
+    if (!rows) fail(step, `unknown table "${step.update}"`);
+    const matches = rows.filter(r => Object.entries(where).every(([k, v]) => String(r[k]) === String(v)));
+    if (matches.length === 0) fail(step, `no ${step.update} row matches ${JSON.stringify(where)}`);
+    const { error } = this.db.update(step.update, matches, this.expand(step.values));
+    if (error) fail(step, error.message);
+  }
+
+  check(step) {
+    const expect = step.expect;
+    for (const [handle, expected] of Object.entries(expect.credibility || {})) {
+      const actual = this.db.rows.agents.find(a => a.id === this.agent(step, handle).id).credibility_score;
+      if (!near(actual, expected)) fail(step, `${handle} has credibility ${actual}, expected ${expected}`);
+    }
+
+    for (const [name, expected] of Object.entries(expect.papers || {})) {
+      const paper = this.db.rows.papers.find(p => p.id === this.paperId(step, name));
+      const mismatch = subsetMismatch(paper, expected, name);
+      if (mismatch) fail(step, mismatch);
+    }
+
+    for (const [handle, expected] of Object.entries(expect.ledger || {})) {
+      const rows = this.ledger(this.agent(step, handle).id);
+      const types = rows.map(r => r.transaction_type);
+      if (Array.isArray(expected)) {
+        const actual = rows.map(r => `${r.transaction_type} ${parseFloat(r.change_amount)}`);
+        const matches = rows.length === expected.length && expected.every((e, i) =>
+          Array.isArray(e) ? rows[i].transaction_type === e[0] && near(rows[i].change_amount, e[1]) : rows[i].transaction_type === e);
+        if (!matches) fail(step, `${handle}'s ledger is [${actual.join(', ')}], expected ${JSON.stringify(expected)}`);
+        continue;
+      }
+      for (const type of expected.includes || []) {
+        if (!types.includes(type)) fail(step, `${handle}'s ledger has no ${type} row (has ${types.join(', ')})`);
+      }
+      for (const type of expected.excludes || []) {
+        if (types.includes(type)) fail(step, `${handle}'s ledger has an unexpected ${type} row`);
+      }
+    }
+
+    for (const expected of expect.bounties || []) {
+      const bounty = this.db.rows.bounties.find(b =>
+        b.challenger_agent_id === this.agent(step, expected.challenger).id
+        && b.target_paper_id === this.paperId(step, expected.target));
+      if (!bounty) fail(step, `no bounty by ${expected.challenger} on ${expected.target}`);
+      if (expected.is_valid !== undefined && bounty.is_valid !== expected.is_valid) {
+        fail(step, `bounty by ${expected.challenger} on ${expected.target} has is_valid ${bounty.is_valid}`);
+      }
+    }
+  }
+
+  ledger(agentId) {
+    return this.db.rows.credibility_transactions
+      .filter(t => t.agent_id === agentId)
+      .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at) || (a.id < b.id ? -1 : 1));
+  }
+
+  checkLedgers() {
+    for (const agent of this.db.rows.agents) {
+      const report = replayLedger(this.ledger(agent.id), agent.credibility_score);
+      if (!report.in_balance) {
+        throw new ScenarioError(`${agent.handle}'s ledger does not replay to its score: ${JSON.stringify(report)}`);
+      }
+    }
+  }
+
+  async runStep(step) {
+    if (step.register) return this.register(step);
+    if (step.paper && !step.respond) return this.submitPaper(step);
+    if (step.review) return this.reviewPaper(step);
+    if (step.respond) return this.respond(step);
+    if (step.bounty) return this.bounty(step);
+    if (step.validate) {
+      return this.call(step, {
+        path: '/api/bounties',
+        body: { action: 'validate', target_paper_id: this.paperId(step, step.validate) },
+        as: step.as
+      }, STEP_STATUS.validate);
+    }
+    if (step.rate) return this.rate(step);
+    if (step.assignments) return this.call(step, { method: 'GET', path: '/api/reviews/assignments', as: step.as }, STEP_STATUS.assignments);
+    if (step.cron) {
+      return this.call(step, {
+        method: 'GET',
+        path: `/api/cron/${step.cron}`,
+        headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` }
+      }, STEP_STATUS.cron);
+    }
+    if (step.moderate && step.moderate.view) {
+      return this.call(step, {
+        method: 'GET',
+        path: `/api/moderation?view=${step.moderate.view}`,
+        headers: { Authorization: `Bearer ${process.env.MODERATOR_SECRET}` }
+      }, STEP_STATUS.moderate);
+    }
+    if (step.moderate) {
+      return this.call(step, {
+        path: '/api/moderation',
+        body: this.expand(step.moderate),
+        headers: { Authorization: `Bearer ${process.env.MODERATOR_SECRET}` }
+      }, STEP_STATUS.moderate);
+    }
+    if (step.request) {
+      const { method = 'GET', path: urlPath, body } = step.request;
+      return this.call(step, { method, path: this.expand(urlPath), body: this.expand(body), as: step.as });
+    }
+    if (step.update) return this.update(step);
+    if (step.expect) return this.check(step);
+    return fail(step, 'unknown step');
+  }
+
+  async run() {
+    const steps = this.scenario.steps || [];
+    for (let i = 0; i < steps.length; i++) {
+      const step = { ...steps[i], index: i, label: Object.keys(steps[i]).find(k => k !== 'as') };
+      await this.runStep(step);
+    }
+    if (this.scenario.ledger_in_balance !== false) this.checkLedgers();
+    return new Set(this.db.rows.credibility_transactions.map(t => t.transaction_type));
+  }
+}
+
+function loadScenarios(filter) {
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter(f => f.endsWith('.json') && (!filter || f.includes(filter)))
+    .sort()
+    .map(f => ({ file: f, ...JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, f), 'utf8')) }));
+}
+
+/**
+ * Run scenarios (all, or those whose file name contains filter).
+ * Returns { results: [{ file, name, passed, error }], seenTypes: Set }.
+ */
+async function runScenarios(filter = null) {
+  const { server, port, client } = await startServer({ port: 0 });
+  let ip = 0;
+  // The per-IP flood guard lives in process memory and outlasts reset(), so IPs are never reused
+  const nextIp = () => { ip++; return `10.${(ip >> 16) & 255}.${(ip >> 8) & 255}.${ip & 255}`; };
+  const results = [];
+  const seenTypes = new Set();
+  try {
+    for (const scenario of loadScenarios(filter)) {
+      client.reset();
+      try {
+        const types = await new ScenarioRun(scenario, { base: `http://127.0.0.1:${port}`, client, nextIp }).run();
+        types.forEach(t => seenTypes.add(t));
+        results.push({ file: scenario.file, name: scenario.name, passed: true });
+      } catch (error) {
+        results.push({ file: scenario.file, name: scenario.name, passed: false, error: error instanceof ScenarioError ? error.message : error.stack });
+      }
+    }
+  } finally {
+    server.close();
+  }
+  return { results, seenTypes };
+}
+
+if (require.main === module) {
+  const filter = process.argv[2] || null;
+  runScenarios(filter)
+    .then(({ results, seenTypes }) => {
+      for (const r of results) {
+        console.log(`${r.passed ? 'PASS' : 'FAIL'}  ${r.file}  ${r.name || ''}`);
+        if (!r.passed) console.log(`      ${r.error}`);
+      }
+      const failed = results.filter(r => !r.passed).length;
+      let uncovered = [];
+      if (!filter) {
+        uncovered = DOCUMENTED_TYPES.filter(t => !seenTypes.has(t));
+        console.log(`\nTransaction types covered: ${DOCUMENTED_TYPES.length - uncovered.length}/${DOCUMENTED_TYPES.length}`
+          + (uncovered.length > 0 ? ` — missing: ${uncovered.join(', ')}` : ''));
+      }
+      console.log(`${results.length - failed} passed, ${failed} failed`);
+      process.exit(failed > 0 || uncovered.length > 0 || results.length === 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DOCUMENTED_TYPES,
+  loadScenarios,
+  runScenarios,
+};